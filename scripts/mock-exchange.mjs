@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Local mock of the OKX, Bybit and Deribit public WebSocket APIs, for offline
+// development and for exercising reconnect and resync handling.
+//
+//   npm run mock-exchange -- --seed 42 --gap-rate 0.01
+//
+// then start the app with NEXT_PUBLIC_MOCK_EXCHANGE_URL=ws://localhost:8765
+import { parseArgs } from 'node:util';
+import { createMockExchange } from './mock-exchange/server.mjs';
+
+const { values } = parseArgs({
+    options: {
+        port: { type: 'string', default: '8765' },
+        seed: { type: 'string', default: '1' },
+        interval: { type: 'string', default: '100' },
+        'drop-rate': { type: 'string', default: '0' },
+        'gap-rate': { type: 'string', default: '0' },
+        'checksum-error-rate': { type: 'string', default: '0' },
+        heartbeat: { type: 'string', default: '0' },
+        quiet: { type: 'boolean', default: false },
+        help: { type: 'boolean', default: false },
+    },
+});
+
+if (values.help) {
+    console.log(`Usage: npm run mock-exchange -- [options]
+
+  --port <n>                  listen port (default 8765)
+  --seed <n>                  random seed; the same seed replays the same order flow (default 1)
+  --interval <ms>             time between book updates (default 100)
+  --drop-rate <p>             chance per connection and update of dropping the connection
+  --gap-rate <p>              chance per book update of skipping it (sequence gap)
+  --checksum-error-rate <p>   chance per OKX book update of a wrong checksum
+  --heartbeat <s>             send Deribit heartbeats every s seconds
+  --quiet                     no connection logging
+
+Venues are served at /okx, /bybit and /deribit. Fault options can also be set
+per connection with query parameters, e.g. ws://localhost:8765/okx?gapRate=0.05`);
+    process.exit(0);
+}
+
+const exchange = createMockExchange({
+    port: Number(values.port),
+    seed: Number(values.seed),
+    intervalMs: Number(values.interval),
+    faults: {
+        dropRate: Number(values['drop-rate']),
+        gapRate: Number(values['gap-rate']),
+        checksumErrorRate: Number(values['checksum-error-rate']),
+        heartbeat: Number(values.heartbeat),
+    },
+    log: values.quiet ? () => {} : console.log,
+});
+
+exchange.ready.then((port) => {
+    console.log(`Mock exchange listening on ws://localhost:${port} (/okx, /bybit, /deribit), seed ${values.seed}`);
+});
+
+const shutdown = () => exchange.close().then(() => process.exit(0));
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,102 @@
+import { createRandom } from './random.mjs';
+
+// --- Synthetic order book ---
+// Prices are integer ticks and sizes integer lots, so the book never
+// accumulates float error; protocols format them per venue. Every step()
+// applies a few random order-flow events (market orders that trade through
+// the best levels, limit orders that join or improve the book, and
+// cancellations) and returns the changed levels and the trades.
+
+const SIDES = ['bids', 'asks'];
+
+export const createMarket = ({ seed, midPrice, tickSize, maxLots, depth = 50 }) => {
+    const random = createRandom(seed);
+    const books = { bids: new Map(), asks: new Map() };
+    let seq = random.int(1000000, 9000000);
+    let tradeId = random.int(1000000, 9000000);
+
+    const randomLots = () => random.int(1, maxLots);
+    const sorted = (side) => [...books[side].keys()].sort((a, b) => (side === 'bids' ? b - a : a - b));
+    const best = (side) => sorted(side)[0];
+
+    const midTick = Math.round(midPrice / tickSize);
+    for (let i = 0; i < depth; i++) {
+        books.bids.set(midTick - 1 - i, randomLots());
+        books.asks.set(midTick + 1 + i, randomLots());
+    }
+
+    const step = () => {
+        const changes = { bids: new Map(), asks: new Map() };
+        const trades = [];
+        const setLevel = (side, tick, lots) => {
+            if (lots > 0) books[side].set(tick, lots);
+            else books[side].delete(tick);
+            changes[side].set(tick, Math.max(lots, 0));
+        };
+
+        const events = random.int(1, 4);
+        for (let e = 0; e < events; e++) {
+            const roll = random.next();
+            const side = random.chance(0.5) ? 'bids' : 'asks';
+
+            if (roll < 0.15) {
+                // Market order against `side`; the aggressor is on the other side
+                let remaining = random.int(1, Math.ceil(maxLots * 1.5));
+                for (const tick of sorted(side)) {
+                    if (remaining <= 0 || books[side].size <= 1) break;
+                    const lots = books[side].get(tick);
+                    const traded = Math.min(lots, remaining);
+                    remaining -= traded;
+                    setLevel(side, tick, lots - traded);
+                    trades.push({ id: ++tradeId, side: side === 'bids' ? 'sell' : 'buy', tick, lots: traded });
+                }
+            } else if (roll < 0.55) {
+                // Limit order, mostly near the top of the book, sometimes inside the spread
+                const spread = best('asks') - best('bids');
+                const direction = side === 'bids' ? -1 : 1;
+                const offset = spread > 1 && random.chance(0.2)
+                    ? -random.int(1, spread - 1)
+                    : Math.floor(random.next() ** 2 * depth);
+                const tick = best(side) + direction * offset;
+                setLevel(side, tick, (books[side].get(tick) || 0) + randomLots());
+            } else {
+                // Cancel part or all of a resting level
+                const levels = sorted(side);
+                if (levels.length > 1) {
+                    const tick = levels[random.int(0, levels.length - 1)];
+                    const lots = books[side].get(tick);
+                    setLevel(side, tick, random.chance(0.3) ? 0 : lots - random.int(1, lots));
+                }
+            }
+        }
+
+        // Keep `depth` levels per side: drop the far ones, refill behind the last
+        for (const side of SIDES) {
+            const levels = sorted(side);
+            levels.slice(depth).forEach(tick => setLevel(side, tick, 0));
+            const direction = side === 'bids' ? -1 : 1;
+            let last = levels[Math.min(levels.length, depth) - 1];
+            for (let count = Math.min(levels.length, depth); count < depth; count++) {
+                last += direction * random.int(1, 3);
+                setLevel(side, last, randomLots());
+            }
+        }
+
+        seq += 1;
+        return {
+            seq,
+            prevSeq: seq - 1,
+            bids: [...changes.bids.entries()],
+            asks: [...changes.asks.entries()],
+            trades,
+        };
+    };
+
+    const snapshot = () => ({
+        seq,
+        bids: sorted('bids').map(tick => [tick, books.bids.get(tick)]),
+        asks: sorted('asks').map(tick => [tick, books.asks.get(tick)]),
+    });
+
+    return { step, snapshot, tickSize };
+};
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { createMarket } from './market.mjs';
+import { PROTOCOLS } from './protocols.mjs';
+import { marketParams } from './server.mjs';
+import { getVenue } from '@/lib/venues';
+import { createLocalBook } from '@/lib/orderbook/localBook';
+
+const params = { seed: 42, midPrice: 68000, tickSize: 0.1, maxLots: 200 };
+
+describe('mock market', () => {
+    it('is deterministic for a seed', () => {
+        const a = createMarket(params);
+        const b = createMarket(params);
+        for (let i = 0; i < 200; i++) expect(a.step()).toEqual(b.step());
+        expect(createMarket({ ...params, seed: 43 }).snapshot()).not.toEqual(a.snapshot());
+    });
+
+    it('keeps an uncrossed book of full depth with contiguous sequence ids', () => {
+        const market = createMarket(params);
+        let seq = market.snapshot().seq;
+        for (let i = 0; i < 1000; i++) {
+            const update = market.step();
+            expect(update.prevSeq).toBe(seq);
+            seq = update.seq;
+            const { bids, asks } = market.snapshot();
+            expect(bids).toHaveLength(50);
+            expect(asks).toHaveLength(50);
+            expect(bids[0][0]).toBeLessThan(asks[0][0]);
+        }
+    });
+});
+
+describe('marketParams', () => {
+    it('uses the catalog tick size for the venue and symbol', () => {
+        expect(marketParams(PROTOCOLS.deribit, 'BTC-PERPETUAL').tickSize).toBe(0.5);
+        expect(marketParams(PROTOCOLS.okx, 'BTC-USD-SWAP').tickSize).toBe(0.1);
+        expect(marketParams(PROTOCOLS.bybit, 'BTCUSDT').tickSize).toBe(0.01);
+        expect(marketParams(PROTOCOLS.okx, 'UNLISTED')).toEqual({ midPrice: 100, tickSize: 0.01 });
+    });
+});
+
+// The mock's messages must go through the real adapters and local book without resyncs
+describe.each(['okx', 'bybit', 'deribit'])('%s protocol', (path) => {
+    it('produces snapshots and deltas the app applies cleanly', () => {
+        const protocol = PROTOCOLS[path];
+        const adapter = getVenue(protocol.id);
+        const market = createMarket({ ...params, maxLots: protocol.maxLots });
+        const decimals = (step) => (String(step).split('.')[1] || '').length;
+        const fmt = {
+            price: (tick) => (tick * params.tickSize).toFixed(decimals(params.tickSize)),
+            size: (lots) => (lots * protocol.lotSize).toFixed(decimals(protocol.lotSize)),
+        };
+        const book = createLocalBook({ verifyChecksum: adapter.checksum });
+        const roundTrip = (message) => JSON.parse(JSON.stringify(message));
+
+        expect(book.apply(adapter.parseBook(roundTrip(protocol.bookSnapshot('SYM', market.snapshot(), fmt))))).toEqual({ ok: true });
+        for (let i = 0; i < 300; i++) {
+            const update = market.step();
+            const message = roundTrip(protocol.bookUpdate('SYM', update, market.snapshot(), fmt, { badChecksum: false }));
+            expect(adapter.classify(message)).toBe('book');
+            expect(book.apply(adapter.parseBook(message))).toEqual({ ok: true });
+        }
+        const expected = market.snapshot();
+        expect(book.getLevels(5).bids.map(([price]) => parseFloat(price))).toEqual(expected.bids.slice(0, 5).map(([tick]) => parseFloat(fmt.price(tick))));
+
+        // What gapRate does: one update is never sent
+        market.step();
+        const afterGap = roundTrip(protocol.bookUpdate('SYM', market.step(), market.snapshot(), fmt, { badChecksum: false }));
+        expect(book.apply(adapter.parseBook(afterGap))).toMatchObject({ ok: false, reason: 'gap' });
+    });
+});
@@ -0,0 +1,310 @@
+// --- Venue wire protocols ---
+// Just enough of the OKX v5, Bybit v5 and Deribit v2 public WebSocket APIs for
+// the app's adapters: subscribe/unsubscribe acks, book snapshots and deltas,
+// public trades, tickers, pings and heartbeats. Channels are reduced to 'book',
+// 'trades' and the venue's `tickerChannels`; the server calls back through
+// `ctx` to (un)subscribe a client.
+//
+// Tickers are built from the synthetic book: the mark and index are its mid and
+// funding is a constant MOCK_FUNDING_RATE per 8 hours.
+
+const MOCK_FUNDING_RATE = 0.0001;
+const FUNDING_INTERVAL_MS = 8 * 3600000;
+
+// Same algorithm as src/lib/orderbook/checksum.js, repeated here so the mock
+// runs under plain Node without the app's bundler and path aliases.
+const CRC32_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c;
+    }
+    return table;
+})();
+
+const crc32 = (str) => {
+    let crc = -1;
+    for (let i = 0; i < str.length; i++) {
+        crc = CRC32_TABLE[(crc ^ str.charCodeAt(i)) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) | 0;
+};
+
+const okxChecksum = (bids, asks) => {
+    const parts = [];
+    for (let i = 0; i < 25; i++) {
+        if (bids[i]) parts.push(`${bids[i][0]}:${bids[i][1]}`);
+        if (asks[i]) parts.push(`${asks[i][0]}:${asks[i][1]}`);
+    }
+    return crc32(parts.join(':'));
+};
+
+const parseJson = (raw) => {
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return null;
+    }
+};
+
+const formatLevels = (levels, fmt) => levels.map(([tick, lots]) => [fmt.price(tick), fmt.size(lots)]);
+
+const bookMid = (book, fmt) => (Number(fmt.price(book.bids[0][0])) + Number(fmt.price(book.asks[0][0]))) / 2;
+
+const nextFundingTime = () => Math.ceil(Date.now() / FUNDING_INTERVAL_MS) * FUNDING_INTERVAL_MS;
+
+// OKX swaps are sized in whole contracts
+const okx = {
+    id: 'OKX',
+    lotSize: 1,
+    maxLots: 200,
+    tickerChannels: ['funding-rate', 'mark-price'],
+    handle: (raw, ctx) => {
+        if (raw === 'ping') {
+            ctx.send('pong');
+            return;
+        }
+        const message = parseJson(raw);
+        if (!message || (message.op !== 'subscribe' && message.op !== 'unsubscribe') || !Array.isArray(message.args)) {
+            ctx.send({ event: 'error', code: '60012', msg: `Invalid request: ${raw}`, connId: ctx.connId });
+            return;
+        }
+        for (const arg of message.args) {
+            let channel = arg.channel === 'books' ? 'book' : arg.channel === 'trades' ? 'trades' : null;
+            if (okx.tickerChannels.includes(arg.channel) && arg.instId && arg.instId.endsWith('-SWAP')) channel = arg.channel;
+            if (!channel || !arg.instId) {
+                ctx.send({ event: 'error', code: '60018', msg: `Wrong URL or channel:${arg.channel}`, connId: ctx.connId });
+                continue;
+            }
+            ctx.send({ event: message.op, arg, connId: ctx.connId });
+            if (message.op === 'subscribe') ctx.subscribe(channel, arg.instId);
+            else ctx.unsubscribe(channel, arg.instId);
+        }
+    },
+    bookSnapshot: (symbol, snapshot, fmt) => {
+        const bids = formatLevels(snapshot.bids, fmt);
+        const asks = formatLevels(snapshot.asks, fmt);
+        return {
+            arg: { channel: 'books', instId: symbol },
+            action: 'snapshot',
+            data: [{
+                bids: bids.map(([price, size]) => [price, size, '0', '1']),
+                asks: asks.map(([price, size]) => [price, size, '0', '1']),
+                ts: `${Date.now()}`,
+                checksum: okxChecksum(bids, asks),
+                prevSeqId: -1,
+                seqId: snapshot.seq,
+            }],
+        };
+    },
+    bookUpdate: (symbol, update, book, fmt, { badChecksum }) => {
+        const checksum = okxChecksum(formatLevels(book.bids, fmt), formatLevels(book.asks, fmt));
+        return {
+            arg: { channel: 'books', instId: symbol },
+            action: 'update',
+            data: [{
+                bids: formatLevels(update.bids, fmt).map(([price, size]) => [price, size, '0', size === fmt.size(0) ? '0' : '1']),
+                asks: formatLevels(update.asks, fmt).map(([price, size]) => [price, size, '0', size === fmt.size(0) ? '0' : '1']),
+                ts: `${Date.now()}`,
+                checksum: badChecksum ? checksum ^ 1 : checksum,
+                prevSeqId: update.prevSeq,
+                seqId: update.seq,
+            }],
+        };
+    },
+    trades: (symbol, trades, fmt) => ({
+        arg: { channel: 'trades', instId: symbol },
+        data: trades.map(trade => ({
+            instId: symbol,
+            tradeId: `${trade.id}`,
+            px: fmt.price(trade.tick),
+            sz: fmt.size(trade.lots),
+            side: trade.side,
+            ts: `${Date.now()}`,
+        })),
+    }),
+    ticker: (channel, symbol, book, fmt) => {
+        const ts = `${Date.now()}`;
+        if (channel === 'mark-price') {
+            return { arg: { channel, instId: symbol }, data: [{ instId: symbol, instType: 'SWAP', markPx: bookMid(book, fmt).toFixed(2), ts }] };
+        }
+        const fundingTime = nextFundingTime();
+        return {
+            arg: { channel, instId: symbol },
+            data: [{ instId: symbol, instType: 'SWAP', fundingRate: `${MOCK_FUNDING_RATE}`, fundingTime: `${fundingTime}`, nextFundingTime: `${fundingTime + FUNDING_INTERVAL_MS}`, ts }],
+        };
+    },
+};
+
+// Bybit spot sizes are in the base currency
+const bybit = {
+    id: 'Bybit',
+    lotSize: 0.0001,
+    maxLots: 20000,
+    tickerChannels: ['ticker'],
+    handle: (raw, ctx) => {
+        const message = parseJson(raw);
+        if (message && message.op === 'ping') {
+            ctx.send({ success: true, ret_msg: 'pong', conn_id: ctx.connId, req_id: message.req_id, op: 'ping' });
+            return;
+        }
+        if (!message || (message.op !== 'subscribe' && message.op !== 'unsubscribe') || !Array.isArray(message.args)) {
+            ctx.send({ success: false, ret_msg: `Invalid request: ${raw}`, conn_id: ctx.connId, op: message && message.op });
+            return;
+        }
+        for (const topic of message.args) {
+            const match = /^(orderbook\.50|publicTrade|tickers)\.(.+)$/.exec(topic);
+            if (!match) {
+                ctx.send({ success: false, ret_msg: `Invalid topic: ${topic}`, conn_id: ctx.connId, req_id: message.req_id, op: message.op });
+                continue;
+            }
+            ctx.send({ success: true, ret_msg: '', conn_id: ctx.connId, req_id: message.req_id, op: message.op });
+            const channel = { publicTrade: 'trades', tickers: 'ticker' }[match[1]] || 'book';
+            if (message.op === 'subscribe') ctx.subscribe(channel, match[2]);
+            else ctx.unsubscribe(channel, match[2]);
+        }
+    },
+    bookSnapshot: (symbol, snapshot, fmt) => ({
+        topic: `orderbook.50.${symbol}`,
+        type: 'snapshot',
+        ts: Date.now(),
+        data: { s: symbol, b: formatLevels(snapshot.bids.slice(0, 50), fmt), a: formatLevels(snapshot.asks.slice(0, 50), fmt), u: snapshot.seq, seq: snapshot.seq },
+        cts: Date.now(),
+    }),
+    bookUpdate: (symbol, update, book, fmt) => ({
+        topic: `orderbook.50.${symbol}`,
+        type: 'delta',
+        ts: Date.now(),
+        data: { s: symbol, b: formatLevels(update.bids, fmt), a: formatLevels(update.asks, fmt), u: update.seq, seq: update.seq },
+        cts: Date.now(),
+    }),
+    trades: (symbol, trades, fmt) => ({
+        topic: `publicTrade.${symbol}`,
+        type: 'snapshot',
+        ts: Date.now(),
+        data: trades.map(trade => ({
+            T: Date.now(),
+            s: symbol,
+            S: trade.side === 'buy' ? 'Buy' : 'Sell',
+            v: fmt.size(trade.lots),
+            p: fmt.price(trade.tick),
+            i: `${trade.id}`,
+            BT: false,
+        })),
+    }),
+    ticker: (channel, symbol, book, fmt) => ({
+        topic: `tickers.${symbol}`,
+        type: 'snapshot',
+        ts: Date.now(),
+        data: { symbol, lastPrice: bookMid(book, fmt).toFixed(2), usdIndexPrice: bookMid(book, fmt).toFixed(2) },
+    }),
+};
+
+// Deribit inverse perpetuals are sized in USD, in multiples of 10
+const deribit = {
+    id: 'Deribit',
+    lotSize: 10,
+    maxLots: 5000,
+    tickerChannels: ['ticker'],
+    handle: (raw, ctx) => {
+        const message = parseJson(raw);
+        const reply = (result) => ctx.send({ jsonrpc: '2.0', id: message.id, result });
+        if (!message || !message.method) {
+            ctx.send({ jsonrpc: '2.0', id: message && message.id, error: { code: -32700, message: 'Parse error' } });
+            return;
+        }
+        switch (message.method) {
+            case 'public/test':
+                ctx.heartbeatAnswered();
+                reply({ version: 'mock' });
+                return;
+            case 'public/set_heartbeat':
+                ctx.startHeartbeat((message.params && message.params.interval) * 1000);
+                reply('ok');
+                return;
+            case 'public/subscribe':
+            case 'public/unsubscribe': {
+                const channels = (message.params && message.params.channels) || [];
+                reply(channels);
+                for (const name of channels) {
+                    const match = /^(book|trades|ticker)\.(.+)\.100ms$/.exec(name);
+                    if (!match) continue;
+                    const channel = match[1];
+                    if (message.method === 'public/subscribe') ctx.subscribe(channel, match[2]);
+                    else ctx.unsubscribe(channel, match[2]);
+                }
+                return;
+            }
+            default:
+                ctx.send({ jsonrpc: '2.0', id: message.id, error: { code: -32601, message: 'Method not found' } });
+        }
+    },
+    heartbeat: () => ({ jsonrpc: '2.0', method: 'heartbeat', params: { type: 'test_request' } }),
+    bookSnapshot: (symbol, snapshot, fmt) => ({
+        jsonrpc: '2.0',
+        method: 'subscription',
+        params: {
+            channel: `book.${symbol}.100ms`,
+            data: {
+                type: 'snapshot',
+                timestamp: Date.now(),
+                instrument_name: symbol,
+                change_id: snapshot.seq,
+                bids: snapshot.bids.map(([tick, lots]) => ['new', Number(fmt.price(tick)), Number(fmt.size(lots))]),
+                asks: snapshot.asks.map(([tick, lots]) => ['new', Number(fmt.price(tick)), Number(fmt.size(lots))]),
+            },
+        },
+    }),
+    bookUpdate: (symbol, update, book, fmt) => {
+        const toChange = ([tick, lots]) => [lots > 0 ? 'change' : 'delete', Number(fmt.price(tick)), Number(fmt.size(lots))];
+        return {
+            jsonrpc: '2.0',
+            method: 'subscription',
+            params: {
+                channel: `book.${symbol}.100ms`,
+                data: {
+                    type: 'change',
+                    timestamp: Date.now(),
+                    instrument_name: symbol,
+                    prev_change_id: update.prevSeq,
+                    change_id: update.seq,
+                    bids: update.bids.map(toChange),
+                    asks: update.asks.map(toChange),
+                },
+            },
+        };
+    },
+    trades: (symbol, trades, fmt) => ({
+        jsonrpc: '2.0',
+        method: 'subscription',
+        params: {
+            channel: `trades.${symbol}.100ms`,
+            data: trades.map(trade => ({
+                trade_id: `${trade.id}`,
+                trade_seq: trade.id,
+                timestamp: Date.now(),
+                instrument_name: symbol,
+                price: Number(fmt.price(trade.tick)),
+                amount: Number(fmt.size(trade.lots)),
+                direction: trade.side,
+            })),
+        },
+    }),
+    ticker: (channel, symbol, book, fmt) => {
+        const mid = bookMid(book, fmt);
+        return {
+            jsonrpc: '2.0',
+            method: 'subscription',
+            params: {
+                channel: `ticker.${symbol}.100ms`,
+                data: { timestamp: Date.now(), instrument_name: symbol, mark_price: mid, index_price: mid, last_price: mid, funding_8h: MOCK_FUNDING_RATE, current_funding: 0 },
+            },
+        };
+    },
+};
+
+// Keyed by URL path: ws://host:port/okx, /bybit, /deribit
+export const PROTOCOLS = { okx, bybit, deribit };
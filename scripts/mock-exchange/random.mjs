@@ -0,0 +1,28 @@
+// --- Seeded randomness ---
+// mulberry32: small, fast and good enough for a synthetic order flow. The same
+// seed always produces the same sequence, so mock sessions are reproducible.
+export const createRandom = (seed) => {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return {
+        next,
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        chance: (probability) => probability > 0 && next() < probability,
+    };
+};
+
+// FNV-1a, to derive independent seeds per market and per connection
+export const hashSeed = (...parts) => {
+    let hash = 0x811C9DC5;
+    for (const char of parts.join('|')) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
@@ -0,0 +1,185 @@
+import { WebSocketServer } from 'ws';
+import { createMarket } from './market.mjs';
+import { PROTOCOLS } from './protocols.mjs';
+import { createRandom, hashSeed } from './random.mjs';
+import { getInstrument } from '../../src/lib/instruments/catalog.js';
+
+// --- Mock exchange server ---
+// One WebSocket server for every mocked venue, selected by URL path
+// (ws://localhost:8765/okx). Each venue/symbol pair gets its own synthetic
+// market, seeded from the server seed, created on first subscription and
+// stepped every `intervalMs` from then on. Tickers go out about once a second.
+//
+// Faults are probabilities applied per connection and per tick/update, and
+// can be overridden per connection with query parameters
+// (ws://localhost:8765/okx?gapRate=0.05):
+//   dropRate           abruptly terminate the connection
+//   gapRate            skip a book update, leaving a sequence gap
+//   checksumErrorRate  send a wrong checksum (OKX only)
+//   heartbeat          send Deribit heartbeats every N seconds, as if
+//                      public/set_heartbeat had been called
+
+export const DEFAULT_FAULTS = { dropRate: 0, gapRate: 0, checksumErrorRate: 0, heartbeat: 0 };
+
+const TICKER_INTERVAL_MS = 1000;
+
+const MID_PRICES = { BTC: 68000, ETH: 3500, SOL: 150 };
+// For symbols the app's instrument catalog does not list
+const DEFAULT_TICK_SIZE = 0.01;
+
+const decimalsOf = (step) => (String(step).split('.')[1] || '').length;
+
+// Prices move in the venue's own tick for the symbol, as the app expects
+export const marketParams = (protocol, symbol) => {
+    const instrument = getInstrument(protocol.id, symbol);
+    const base = Object.keys(MID_PRICES).find(asset => symbol.toUpperCase().startsWith(asset));
+    return {
+        midPrice: base ? MID_PRICES[base] : 100,
+        tickSize: instrument ? instrument.tickSize : DEFAULT_TICK_SIZE,
+    };
+};
+
+const faultsFrom = (defaults, searchParams) => {
+    const faults = { ...DEFAULT_FAULTS, ...defaults };
+    for (const key of Object.keys(DEFAULT_FAULTS)) {
+        if (searchParams.has(key)) faults[key] = Number(searchParams.get(key)) || 0;
+    }
+    return faults;
+};
+
+export const createMockExchange = ({ port = 8765, seed = 1, intervalMs = 100, faults = {}, log = console.log } = {}) => {
+    const server = new WebSocketServer({ port });
+    const markets = new Map();
+    const clients = new Set();
+    let connectionCount = 0;
+    let tickerSentAt = 0;
+
+    const getMarket = (protocol, symbol) => {
+        const key = `${protocol.id}:${symbol}`;
+        if (!markets.has(key)) {
+            const { midPrice, tickSize } = marketParams(protocol, symbol);
+            const market = createMarket({ seed: hashSeed(seed, protocol.id, symbol), midPrice, tickSize, maxLots: protocol.maxLots });
+            const priceDecimals = decimalsOf(tickSize);
+            const sizeDecimals = decimalsOf(protocol.lotSize);
+            const fmt = {
+                price: (tick) => (tick * tickSize).toFixed(priceDecimals),
+                size: (lots) => (lots * protocol.lotSize).toFixed(sizeDecimals),
+            };
+            markets.set(key, { market, fmt, protocol, symbol });
+            log(`[mock] ${protocol.id} ${symbol}: new market around ${midPrice}`);
+        }
+        return markets.get(key);
+    };
+
+    const send = (client, message) => {
+        if (client.socket.readyState === client.socket.OPEN) {
+            client.socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+        }
+    };
+
+    const dropClient = (client, reason) => {
+        log(`[mock] ${client.protocol.id} #${client.connId}: dropping connection (${reason}).`);
+        client.socket.terminate();
+    };
+
+    server.on('connection', (socket, request) => {
+        const url = new URL(request.url, 'ws://localhost');
+        const protocol = PROTOCOLS[url.pathname.replace(/^\/+|\/+$/g, '').toLowerCase()];
+        if (!protocol) {
+            socket.close(1008, `Unknown venue path ${url.pathname}`);
+            return;
+        }
+
+        connectionCount += 1;
+        const client = {
+            socket,
+            protocol,
+            connId: connectionCount,
+            subscriptions: new Set(),
+            random: createRandom(hashSeed(seed, protocol.id, connectionCount)),
+            faults: faultsFrom(faults, url.searchParams),
+            heartbeatTimer: null,
+            awaitingHeartbeat: false,
+        };
+        clients.add(client);
+        log(`[mock] ${protocol.id} #${client.connId}: connected ${JSON.stringify(client.faults)}`);
+
+        const startHeartbeat = (periodMs) => {
+            clearInterval(client.heartbeatTimer);
+            if (!protocol.heartbeat || !(periodMs > 0)) return;
+            client.heartbeatTimer = setInterval(() => {
+                // Like Deribit, close connections that ignored the previous test_request
+                if (client.awaitingHeartbeat) {
+                    dropClient(client, 'heartbeat not answered');
+                    return;
+                }
+                client.awaitingHeartbeat = true;
+                send(client, protocol.heartbeat());
+            }, periodMs);
+        };
+
+        const ctx = {
+            connId: `${client.connId}`,
+            send: (message) => send(client, message),
+            subscribe: (channel, symbol) => {
+                client.subscriptions.add(`${channel}:${symbol}`);
+                const { market, fmt } = getMarket(protocol, symbol);
+                if (channel === 'book') send(client, protocol.bookSnapshot(symbol, market.snapshot(), fmt));
+            },
+            unsubscribe: (channel, symbol) => client.subscriptions.delete(`${channel}:${symbol}`),
+            startHeartbeat,
+            heartbeatAnswered: () => {
+                client.awaitingHeartbeat = false;
+            },
+        };
+
+        startHeartbeat(client.faults.heartbeat * 1000);
+        socket.on('message', (raw) => protocol.handle(raw.toString(), ctx));
+        socket.on('close', () => {
+            clearInterval(client.heartbeatTimer);
+            clients.delete(client);
+            log(`[mock] ${protocol.id} #${client.connId}: closed.`);
+        });
+    });
+
+    const tick = () => {
+        const tickerDue = Date.now() - tickerSentAt >= TICKER_INTERVAL_MS;
+        if (tickerDue) tickerSentAt = Date.now();
+        for (const { market, fmt, protocol, symbol } of markets.values()) {
+            const update = market.step();
+            const book = market.snapshot();
+            for (const client of clients) {
+                if (client.protocol !== protocol) continue;
+                if (client.subscriptions.has(`book:${symbol}`) && !client.random.chance(client.faults.gapRate)) {
+                    const badChecksum = client.random.chance(client.faults.checksumErrorRate);
+                    send(client, protocol.bookUpdate(symbol, update, book, fmt, { badChecksum }));
+                }
+                if (client.subscriptions.has(`trades:${symbol}`) && update.trades.length > 0) {
+                    send(client, protocol.trades(symbol, update.trades, fmt));
+                }
+                if (!tickerDue) continue;
+                for (const channel of protocol.tickerChannels) {
+                    if (client.subscriptions.has(`${channel}:${symbol}`)) send(client, protocol.ticker(channel, symbol, book, fmt));
+                }
+            }
+        }
+        for (const client of clients) {
+            if (client.random.chance(client.faults.dropRate)) dropClient(client, 'injected');
+        }
+    };
+
+    const timer = setInterval(tick, intervalMs);
+
+    const ready = new Promise((resolve, reject) => {
+        server.once('listening', () => resolve(server.address().port));
+        server.once('error', reject);
+    });
+
+    const close = () => new Promise((resolve) => {
+        clearInterval(timer);
+        clients.forEach(client => client.socket.terminate());
+        server.close(() => resolve());
+    });
+
+    return { ready, close };
+};
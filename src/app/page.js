@@ -1,447 +1,219 @@
 "use client";
 
 import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
-import { AreaChart, Area, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend } from 'recharts';
 import { AlertCircle, CheckCircle } from 'lucide-react';
-
-// --- MOCK DATA (for initial render and fallback) ---
-const createMockOrderbook = (midPrice, levels = 15) => {
-  const bids = [];
-  const asks = [];
-  for (let i = 1; i <= levels; i++) {
-    bids.push([(midPrice - i * 0.5).toFixed(2), (Math.random() * 10).toFixed(4)]);
-    asks.push([(midPrice + i * 0.5).toFixed(2), (Math.random() * 10).toFixed(4)]);
-  }
-  return { bids, asks };
-};
-
-const MOCK_ORDERBOOKS = {
-  OKX: createMockOrderbook(68000),
-  Bybit: createMockOrderbook(68050),
-  Deribit: createMockOrderbook(68025),
+import { CONNECTION_STATES, combineConnections } from '@/lib/feed/connection';
+import { DEFAULT_HEALTH_THRESHOLDS, healthAlerts } from '@/lib/feed/health';
+import { buildBookView } from '@/lib/orderbook/view';
+import { getInstrument } from '@/lib/instruments/catalog';
+import { SIZE_UNITS, tradesFromBase, unitLabel } from '@/lib/instruments/units';
+import { formatQuote } from '@/lib/instruments/format';
+import { priceDecimals, sizeDecimals } from '@/lib/instruments/precision';
+import { groupingSteps, groupOrderPrice } from '@/lib/orderbook/grouping';
+import { DEFAULT_INSTRUMENT_ID, getCanonicalInstrument, resolveSymbols } from '@/lib/instruments/symbols';
+import { getVenue, listVenues } from '@/lib/venues';
+import { simulateSmartRoute } from '@/lib/simulation/router';
+import { calculateMetrics } from '@/lib/simulation/fills';
+import { compareDelayedExecution } from '@/lib/simulation/delay';
+import { IMPACT_MODELS, DEFAULT_IMPACT_CONFIG, calibrateImpact, estimateBeyondDepth } from '@/lib/simulation/impact';
+import { DEFAULT_ORDER_FORM, validateOrderForm } from '@/lib/simulation/validation';
+import { createWorkingOrder, applyBookUpdate, applyTrades, cancelWorkingOrder, amendWorkingOrder, isWorking, untakenBook } from '@/lib/simulation/workingOrder';
+import { createAlgoOrder, advanceAlgoOrder, cancelAlgoOrder, isAlgoRunning, algoOrderParams } from '@/lib/simulation/algo';
+import { basisMonitor } from '@/lib/analytics/basis';
+import { SMART_ROUTE, createEntry, orderFromForm, fillsFromMetrics, fillsFromRoute, entryFromWorkingOrder, entryFromAlgoOrder, buildPositions, isOpenPosition, positionKey, bookMid, markPositions, blotterTotals } from '@/lib/blotter/blotter';
+import { useOrderbookFeeds } from '@/hooks/useOrderbookFeeds';
+import { useBookMetrics } from '@/hooks/useBookMetrics';
+import { useBasisHistory } from '@/hooks/useBasisHistory';
+import { useSessionRecording } from '@/hooks/useSessionRecording';
+import { useWorkspace } from '@/hooks/useWorkspace';
+import { useBlotter } from '@/hooks/useBlotter';
+import { useAlerts } from '@/hooks/useAlerts';
+import OrderBook, { LADDER_DEPTHS } from '@/components/OrderBook';
+import DepthChart, { DEPTH_CHART_RANGES } from '@/components/DepthChart';
+import Heatmap from '@/components/Heatmap';
+import TimeAndSales from '@/components/TimeAndSales';
+import MicrostructurePanel from '@/components/MicrostructurePanel';
+import BasisMonitorPanel from '@/components/BasisMonitorPanel';
+import FeedHealthPanel from '@/components/FeedHealthPanel';
+import WorkspaceBar from '@/components/WorkspaceBar';
+import OrderForm from '@/components/OrderForm';
+import RoutingResult from '@/components/RoutingResult';
+import WorkingOrderPanel from '@/components/WorkingOrderPanel';
+import AlgoExecutionPanel from '@/components/AlgoExecutionPanel';
+import RecordingPanel from '@/components/RecordingPanel';
+import BlotterPanel from '@/components/BlotterPanel';
+import AlertsPanel from '@/components/AlertsPanel';
+import ReplayControls from '@/components/ReplayControls';
+import PerfOverlay, { isPerfOverlayEnabled } from '@/components/PerfOverlay';
+
+// Registered venue adapters, in tab order
+const VENUES = listVenues();
+
+// Pseudo-venue tab that merges the books of AGGREGATED_VENUES; the smart
+// router splits orders across the same venues
+const AGGREGATED = 'Aggregated';
+const AGGREGATED_VENUES = ['OKX', 'Bybit', 'Deribit'];
+const TABS = [...VENUES, AGGREGATED];
+
+// What a fresh page shows; links leave out anything still at these values
+// (see lib/workspace/workspace.js)
+const DEFAULT_WORKSPACE = {
+    venue: TABS[0],
+    instrumentId: DEFAULT_INSTRUMENT_ID,
+    unit: 'base',
+    grouping: null,
+    depth: 15,
+    chartRange: DEPTH_CHART_RANGES[1],
+    compare: false,
+    basis: false,
+    order: DEFAULT_ORDER_FORM,
+    simulate: false,
 };
+const WORKSPACE_OPTIONS = { venues: TABS, depths: LADDER_DEPTHS, chartRanges: DEPTH_CHART_RANGES, defaults: DEFAULT_WORKSPACE };
 
 
-// --- CUSTOM HOOK for WebSocket Connections ---
-const useOrderbookWebSocket = (venue, symbol, isVisible) => {
-    const [orderbook, setOrderbook] = useState({ bids: [], asks: [] });
-    const [isConnected, setIsConnected] = useState(false);
-    const ws = useRef(null);
-
-    const venueConfig = useMemo(() => ({
-        OKX: {
-            url: 'wss://ws.okx.com:8443/ws/v5/public',
-            subscribe: (instId) => ({ op: 'subscribe', args: [{ channel: 'books', instId }] }),
-            unsubscribe: (instId) => ({ op: 'unsubscribe', args: [{ channel: 'books', instId }] }),
-            parse: (data) => {
-                if (data.arg && data.arg.channel === 'books' && data.data && data.data.length > 0) {
-                    const { bids, asks } = data.data[0];
-                    return { bids, asks: asks.reverse() }; // OKX asks are ascending, we need descending from best ask
-                }
-            }
-        },
-        Bybit: {
-            url: 'wss://stream.bybit.com/v5/public/spot',
-            subscribe: (instId) => ({ op: 'subscribe', args: [`orderbook.50.${instId}`] }),
-            unsubscribe: (instId) => ({ op: 'unsubscribe', args: [`orderbook.50.${instId}`] }),
-            parse: (data) => {
-                if (data.topic && data.topic.startsWith('orderbook.50') && data.data) {
-                    const { b: bids, a: asks } = data.data;
-                    return { bids, asks };
-                }
-            }
-        },
-        Deribit: {
-            url: 'wss://www.deribit.com/ws/api/v2',
-            subscribe: (instId) => ({
-                jsonrpc: '2.0',
-                method: 'public/subscribe',
-                params: { channels: [`book.${instId}.100ms`] }
-            }),
-            unsubscribe: (instId) => ({
-                jsonrpc: '2.0',
-                method: 'public/unsubscribe',
-                params: { channels: [`book.${instId}.100ms`] }
-            }),
-            parse: (data) => {
-                if (data.params && data.params.channel.startsWith('book.') && data.params.data) {
-                    const { bids, asks } = data.params.data;
-                    // Deribit gives [price, size] format
-                    return {
-                        bids: bids.map(b => [b[0].toString(), b[1].toString()]),
-                        asks: asks.map(a => [a[0].toString(), a[1].toString()])
-                    };
-                }
-            }
-        }
-    }), []);
-
-    useEffect(() => {
-        if (!venue || !symbol || !isVisible) {
-             if (ws.current) {
-                ws.current.close();
-                ws.current = null;
-            }
-            return;
-        }
-
-        const config = venueConfig[venue];
-        if (!config) return;
-
-        // Reset orderbook state when venue changes
-        setOrderbook({ bids: [], asks: [] });
-        setIsConnected(false);
-
-        ws.current = new WebSocket(config.url);
-        let pingInterval;
-
-        ws.current.onopen = () => {
-            console.log(`[${venue}] WebSocket connected.`);
-            ws.current.send(JSON.stringify(config.subscribe(symbol)));
-            setIsConnected(true);
-
-            // Bybit requires a ping every 20s
-            if (venue === 'Bybit') {
-                pingInterval = setInterval(() => {
-                    if (ws.current && ws.current.readyState === WebSocket.OPEN) {
-                        ws.current.send(JSON.stringify({ op: 'ping' }));
-                    }
-                }, 20000);
-            }
-        };
-
-        ws.current.onmessage = (event) => {
-            const data = JSON.parse(event.data);
-            
-            // Handle pings from exchanges
-            if (data.event === 'pong' || data.op === 'pong' || (venue === 'Deribit' && data.method === 'heartbeat')) {
-                return;
-            }
-            
-            const newOrderbook = config.parse(data);
-            if (newOrderbook) {
-                setOrderbook(newOrderbook);
-            }
-        };
-
-        ws.current.onerror = (error) => {
-            console.error(`[${venue}] WebSocket error:`, error);
-            setIsConnected(false);
-        };
-
-        ws.current.onclose = () => {
-            console.log(`[${venue}] WebSocket disconnected.`);
-            setIsConnected(false);
-            clearInterval(pingInterval);
-        };
-
-        return () => {
-            if (ws.current) {
-                if (ws.current.readyState === WebSocket.OPEN) {
-                   try {
-                     ws.current.send(JSON.stringify(config.unsubscribe(symbol)));
-                   } catch(e) {
-                     console.error("Error unsubscribing:", e);
-                   }
-                }
-                ws.current.close();
-            }
-            clearInterval(pingInterval);
-        };
-    }, [venue, symbol, isVisible, venueConfig]);
+// --- UI Components ---
 
-    return { orderbook, isConnected };
+const CONNECTION_STYLES = {
+    [CONNECTION_STATES.IDLE]: { dot: 'bg-gray-500', label: 'Idle' },
+    [CONNECTION_STATES.CONNECTING]: { dot: 'bg-blue-400 animate-pulse', label: 'Connecting' },
+    [CONNECTION_STATES.LIVE]: { dot: 'bg-green-500', label: 'Live' },
+    [CONNECTION_STATES.STALE]: { dot: 'bg-yellow-400', label: 'Stale' },
+    [CONNECTION_STATES.RECONNECTING]: { dot: 'bg-orange-400 animate-pulse', label: 'Reconnecting' },
+    [CONNECTION_STATES.FAILED]: { dot: 'bg-red-500', label: 'Failed' },
 };
 
+const formatAge = (ms) => (ms === null ? '—' : `${(ms / 1000).toFixed(1)}s`);
 
-// --- UI Components ---
-
-const VenueTabs = ({ venues, activeVenue, setActiveVenue, connectionStatus }) => (
+// A ring around the status dot flags a feed health alert (see FeedHealthPanel)
+const VenueTabs = ({ venues, activeVenue, setActiveVenue, connectionStatus, unlistedVenues, alerts }) => (
     <div className="flex border-b border-gray-700">
+        {venues.map(venue => {
+            const { state, lastMessageAge, reconnectCount } = connectionStatus[venue];
+            const style = CONNECTION_STYLES[state];
+            const isUnlisted = unlistedVenues.includes(venue);
+            const venueAlerts = alerts[venue] || [];
+            const status = `${style.label} · last update ${formatAge(lastMessageAge)} ago · ${reconnectCount} reconnects`;
+            return (
+                <button
+                    key={venue}
+                    onClick={() => setActiveVenue(venue)}
+                    title={isUnlisted ? 'Instrument not listed on this venue' : [status, ...venueAlerts.map(alert => alert.message)].join('\n')}
+                    className={`flex items-center px-4 py-2 text-sm font-medium transition-colors duration-200 focus:outline-none ${
+                        activeVenue === venue
+                            ? 'border-b-2 border-blue-500 text-white'
+                            : 'text-gray-400 hover:bg-gray-800'
+                    } ${isUnlisted ? 'opacity-40' : ''}`}
+                >
+                    <span className={`w-2 h-2 rounded-full mr-2 ${style.dot} ${venueAlerts.length > 0 ? 'ring-2 ring-amber-400 ring-offset-1 ring-offset-gray-800' : ''}`}></span>
+                    {venue}
+                </button>
+            );
+        })}
+    </div>
+);
+
+const VenueLegend = ({ venues }) => (
+    <div className="flex items-center gap-4 px-4 py-1.5 text-xs text-gray-400 border-b border-gray-700">
+        <span>Size by venue:</span>
         {venues.map(venue => (
-            <button
-                key={venue}
-                onClick={() => setActiveVenue(venue)}
-                className={`flex items-center px-4 py-2 text-sm font-medium transition-colors duration-200 focus:outline-none ${
-                    activeVenue === venue
-                        ? 'border-b-2 border-blue-500 text-white'
-                        : 'text-gray-400 hover:bg-gray-800'
-                }`}
-            >
-                <span className={`w-2 h-2 rounded-full mr-2 ${connectionStatus[venue] ? 'bg-green-500' : 'bg-red-500'}`}></span>
+            <span key={venue} className="flex items-center">
+                <span className="w-3 h-1.5 rounded-sm mr-1.5" style={{ backgroundColor: getVenue(venue).color }}></span>
                 {venue}
-            </button>
+            </span>
         ))}
     </div>
 );
 
-const OrderBook = ({ bids, asks, simulatedOrder }) => {
-    const maxCumulative = useMemo(() => {
-        if (!bids || !asks || bids.length === 0 || asks.length === 0) return 1;
-        const bidTotal = bids.slice(0, 15).reduce((acc, curr) => acc + (parseFloat(curr[1]) || 0), 0);
-        const askTotal = asks.slice(0, 15).reduce((acc, curr) => acc + (parseFloat(curr[1]) || 0), 0);
-        return Math.max(bidTotal, askTotal, 1); // Ensure it's never 0
-    }, [bids, asks]);
-    
-    const formatPrice = (priceStr) => {
-        const price = parseFloat(priceStr);
-        return isNaN(price) ? '...' : price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
-    };
-    const formatSize = (sizeStr) => {
-        const size = parseFloat(sizeStr);
-        return isNaN(size) ? '...' : size.toFixed(4);
-    };
-
-    const OrderRow = ({ price, size, cumulative, type, isSimulated }) => {
-        const percentage = (cumulative / maxCumulative) * 100;
-        const bgColor = type === 'bid' ? 'bg-green-500/20' : 'bg-red-500/20';
-        const textColor = type === 'bid' ? 'text-green-400' : 'text-red-400';
-
-        return (
-            <tr className={`relative text-xs hover:bg-gray-700/50 ${isSimulated ? 'ring-2 ring-yellow-400' : ''}`}>
-                <td className={`p-1.5 ${textColor}`}>{formatPrice(price)}</td>
-                <td className="p-1.5 text-white text-right">{formatSize(size)}</td>
-                <td className="p-1.5 text-gray-400 text-right">{formatSize(cumulative)}</td>
-                <td className="absolute top-0 bottom-0 h-full" style={{ left: type === 'bid' ? 'auto' : 0, right: type === 'bid' ? 0 : 'auto', width: `${percentage}%`, zIndex: -1 }}>
-                    <div className={`h-full ${bgColor} opacity-50`}></div>
-                </td>
-            </tr>
-        );
-    };
-
-    let cumulativeBid = 0;
-    let cumulativeAsk = 0;
-
-    const findSimulatedIndex = (levels, order) => {
-        if (!order || !levels) return -1;
-        const price = parseFloat(order.price);
-        if (isNaN(price)) return -1;
-        if (order.side === 'Buy') { // Looking for asks
-            return levels.findIndex(ask => price >= parseFloat(ask[0]));
-        } else { // Looking for bids
-            return levels.findIndex(bid => price <= parseFloat(bid[0]));
-        }
-    };
-
-    const simulatedAskIndex = findSimulatedIndex(asks, simulatedOrder);
-    const simulatedBidIndex = findSimulatedIndex(bids, simulatedOrder);
-
+const ConnectionBar = ({ connection, onRetry }) => {
+    const { state, lastMessageAge, reconnectCount } = connection;
+    const style = CONNECTION_STYLES[state];
     return (
-        <div className="bg-gray-900 rounded-lg p-4 flex-grow min-h-[400px]">
-            <h3 className="text-lg font-semibold text-white mb-2">Order Book</h3>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                <div>
-                    <table className="w-full border-collapse relative">
-                        <thead>
-                            <tr className="text-gray-500 text-xs">
-                                <th className="text-left p-1 font-normal">Price (USD)</th>
-                                <th className="text-right p-1 font-normal">Size (BTC)</th>
-                                <th className="text-right p-1 font-normal">Total</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            {bids && bids.slice(0, 15).map(([price, size], index) => {
-                                cumulativeBid += parseFloat(size) || 0;
-                                return <OrderRow key={`bid-${index}`} price={price} size={size} cumulative={cumulativeBid} type="bid" isSimulated={simulatedOrder?.side === 'Sell' && index === simulatedBidIndex} />;
-                            })}
-                        </tbody>
-                    </table>
-                </div>
-                <div>
-                    <table className="w-full border-collapse relative">
-                        <thead>
-                            <tr className="text-gray-500 text-xs">
-                                <th className="text-left p-1 font-normal">Price (USD)</th>
-                                <th className="text-right p-1 font-normal">Size (BTC)</th>
-                                <th className="text-right p-1 font-normal">Total</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            {asks && asks.slice(0, 15).map(([price, size], index) => {
-                                cumulativeAsk += parseFloat(size) || 0;
-                                return <OrderRow key={`ask-${index}`} price={price} size={size} cumulative={cumulativeAsk} type="ask" isSimulated={simulatedOrder?.side === 'Buy' && index === simulatedAskIndex} />;
-                            })}
-                        </tbody>
-                    </table>
-                </div>
-            </div>
+        <div className="flex items-center justify-between px-4 py-1.5 text-xs text-gray-400 border-b border-gray-700">
+            <span className="flex items-center">
+                <span className={`w-2 h-2 rounded-full mr-2 ${style.dot}`}></span>
+                {style.label}
+            </span>
+            <span className="flex items-center gap-4">
+                <span>Last update: <span className="font-mono text-gray-300">{formatAge(lastMessageAge)}</span></span>
+                <span>Reconnects: <span className="font-mono text-gray-300">{reconnectCount}</span></span>
+                {state === CONNECTION_STATES.FAILED && (
+                    <button onClick={onRetry} className="px-2 py-0.5 rounded bg-blue-600 hover:bg-blue-700 text-white">Retry</button>
+                )}
+            </span>
         </div>
     );
 };
 
-const DepthChart = ({ bids, asks }) => {
-    const [isClient, setIsClient] = useState(false);
+const formatBps = (value) => (value === null || isNaN(value) ? '—' : `${value.toFixed(2)} bps`);
 
-    useEffect(() => {
-        setIsClient(true);
-    }, []);
-
-    const chartData = useMemo(() => {
-        if (!bids || !asks) return { bids: [], asks: [] };
-        // Process bids: filter, parse, and calculate cumulative size
-        let cumulativeBidSize = 0;
-        const bidData = bids.slice(0, 50).reverse().reduce((acc, [priceStr, sizeStr]) => {
-            const price = parseFloat(priceStr);
-            const size = parseFloat(sizeStr);
-            // Only include valid numbers
-            if (!isNaN(price) && !isNaN(size)) {
-                cumulativeBidSize += size;
-                acc.push({ price, size: cumulativeBidSize });
-            }
-            return acc;
-        }, []);
-
-        // Process asks: filter, parse, and calculate cumulative size
-        let cumulativeAskSize = 0;
-        const askData = asks.slice(0, 50).reduce((acc, [priceStr, sizeStr]) => {
-            const price = parseFloat(priceStr);
-            const size = parseFloat(sizeStr);
-            // Only include valid numbers
-            if (!isNaN(price) && !isNaN(size)) {
-                cumulativeAskSize += size;
-                acc.push({ price, size: cumulativeAskSize });
-            }
-            return acc;
-        }, []);
-
-        return { bids: bidData, asks: askData };
-    }, [bids, asks]);
-
-    // Render placeholder if there's no valid data to display
-    if (!isClient || chartData.bids.length === 0 || chartData.asks.length === 0) {
-        return (
-            <div className="bg-gray-900 rounded-lg p-4 mt-4 h-64 flex items-center justify-center">
-                <p className="text-gray-500">Waiting for data to render depth chart...</p>
-            </div>
-        );
-    }
-
-    const priceDomain = [chartData.bids[0].price, chartData.asks[chartData.asks.length - 1].price];
+const MetricRow = ({ label, value }) => (
+    <div className="flex justify-between">
+        <span className="text-gray-400">{label}:</span>
+        <span className="text-white font-mono">{value}</span>
+    </div>
+);
 
-    return (
-        <div className="bg-gray-900 rounded-lg p-4 mt-4 h-64">
-             <h3 className="text-lg font-semibold text-white mb-2">Market Depth</h3>
-            <ResponsiveContainer width="100%" height="100%">
-                <AreaChart margin={{ top: 5, right: 20, left: 20, bottom: 20 }}>
-                    <defs>
-                        <linearGradient id="colorBid" x1="0" y1="0" x2="0" y2="1">
-                            <stop offset="5%" stopColor="#10B981" stopOpacity={0.4}/>
-                            <stop offset="95%" stopColor="#10B981" stopOpacity={0}/>
-                        </linearGradient>
-                        <linearGradient id="colorAsk" x1="0" y1="0" x2="0" y2="1">
-                            <stop offset="5%" stopColor="#EF4444" stopOpacity={0.4}/>
-                            <stop offset="95%" stopColor="#EF4444" stopOpacity={0}/>
-                        </linearGradient>
-                    </defs>
-                    <XAxis dataKey="price" type="number" domain={priceDomain} tick={{ fill: '#9CA3AF', fontSize: 12 }} tickFormatter={(val) => val.toLocaleString()} allowDataOverflow />
-                    <YAxis orientation="right" tick={{ fill: '#9CA3AF', fontSize: 12 }} tickFormatter={(val) => val.toFixed(2)} />
-                    <Tooltip
-                        contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #4B5563', borderRadius: '0.5rem' }}
-                        labelStyle={{ color: '#F9FAFB' }}
-                        formatter={(value, name) => [`${value.toFixed(4)} BTC`, name]}
-                    />
-                    <Legend wrapperStyle={{ color: '#9CA3AF', paddingTop: '10px' }} />
-                    <Area type="step" dataKey="size" data={chartData.bids} stroke="#10B981" fill="url(#colorBid)" name="Bids" />
-                    <Area type="step" dataKey="size" data={chartData.asks} stroke="#EF4444" fill="url(#colorAsk)" name="Asks" />
-                </AreaChart>
-            </ResponsiveContainer>
-        </div>
+const formatUsdBand = ([low, high]) => `${formatQuote(low)} – ${formatQuote(high)}`;
+
+const IMPACT_MODEL_LABELS = { [IMPACT_MODELS.SQRT]: 'Square-root law', [IMPACT_MODELS.LINEAR]: 'Linear + decay' };
+
+// The part of a market order the visible book could not fill, priced by the
+// impact model; `impact` is an estimateBeyondDepth result
+const ImpactEstimate = ({ impact, config, onConfigChange, baseCurrency }) => {
+    const numberInput = (key, props) => (
+        <input
+            type="number"
+            value={config[key]}
+            onChange={(e) => {
+                const value = parseFloat(e.target.value);
+                if (!isNaN(value) && value > 0) onConfigChange({ ...config, [key]: value });
+            }}
+            className="w-16 bg-gray-800 border border-gray-700 rounded-md px-1.5 py-0.5 text-xs text-gray-200 focus:outline-none focus:ring-1 focus:ring-blue-500"
+            {...props}
+        />
     );
-};
-
-const OrderForm = ({ onSubmit }) => {
-    const [formData, setFormData] = useState({
-        symbol: 'BTCUSDT',
-        orderType: 'Limit',
-        side: 'Buy',
-        price: '',
-        quantity: '',
-        delay: '0'
-    });
-    
-    const [error, setError] = useState('');
-
-    const handleChange = (e) => {
-        const { name, value } = e.target;
-        setFormData(prev => ({ ...prev, [name]: value }));
-    };
-
-    const handleSubmit = (e) => {
-        e.preventDefault();
-        setError('');
-        if (formData.orderType === 'Limit' && (!formData.price || parseFloat(formData.price) <= 0)) {
-            setError('Please enter a valid price for a limit order.');
-            return;
-        }
-        if (!formData.quantity || parseFloat(formData.quantity) <= 0) {
-            setError('Please enter a valid quantity.');
-            return;
-        }
-        onSubmit(formData);
-    };
 
     return (
-        <form onSubmit={handleSubmit} className="bg-gray-900 rounded-lg p-4 space-y-4">
-            <h3 className="text-lg font-semibold text-white">Simulate Order</h3>
-            
-            <div>
-                <label className="text-sm text-gray-400">Symbol</label>
-                <input type="text" name="symbol" value={formData.symbol} onChange={handleChange} className="w-full bg-gray-800 border border-gray-700 rounded-md p-2 mt-1 text-white focus:ring-blue-500 focus:border-blue-500" />
-                 <p className="text-xs text-gray-500 mt-1">OKX: BTC-USD-SWAP, Bybit: BTCUSDT, Deribit: BTC-PERPETUAL</p>
-            </div>
-
-            <div className="grid grid-cols-2 gap-2">
-                <div>
-                    <label className="text-sm text-gray-400">Side</label>
-                    <div className="flex mt-1">
-                        <button type="button" onClick={() => setFormData(p => ({...p, side: 'Buy'}))} className={`w-full p-2 rounded-l-md ${formData.side === 'Buy' ? 'bg-green-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}>Buy</button>
-                        <button type="button" onClick={() => setFormData(p => ({...p, side: 'Sell'}))} className={`w-full p-2 rounded-r-md ${formData.side === 'Sell' ? 'bg-red-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}>Sell</button>
-                    </div>
-                </div>
-                 <div>
-                    <label className="text-sm text-gray-400">Type</label>
-                    <div className="flex mt-1">
-                        <button type="button" onClick={() => setFormData(p => ({...p, orderType: 'Limit'}))} className={`w-full p-2 rounded-l-md ${formData.orderType === 'Limit' ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}>Limit</button>
-                        <button type="button" onClick={() => setFormData(p => ({...p, orderType: 'Market'}))} className={`w-full p-2 rounded-r-md ${formData.orderType === 'Market' ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}>Market</button>
-                    </div>
+        <div className="border border-amber-700/60 rounded-md p-3 space-y-2">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+                <h4 className="text-sm font-semibold text-amber-300">Beyond Visible Depth (modelled)</h4>
+                <div className="flex items-center gap-2 text-xs text-gray-400">
+                    <select value={config.model} onChange={(e) => onConfigChange({ ...config, model: e.target.value })} className="bg-gray-800 border border-gray-700 rounded-md px-1.5 py-0.5 text-xs text-gray-200">
+                        {Object.values(IMPACT_MODELS).map(model => <option key={model} value={model}>{IMPACT_MODEL_LABELS[model]}</option>)}
+                    </select>
+                    {config.model === IMPACT_MODELS.SQRT
+                        ? <label className="flex items-center gap-1">Y {numberInput('coefficient', { step: '0.1', title: 'Impact coefficient' })}</label>
+                        : <label className="flex items-center gap-1">Half-life {numberInput('halfLifeSeconds', { step: '5' })}s</label>}
                 </div>
             </div>
-
-            {formData.orderType === 'Limit' && (
-                <div>
-                    <label className="text-sm text-gray-400">Price (USD)</label>
-                    <input type="number" name="price" value={formData.price} onChange={handleChange} className="w-full bg-gray-800 border border-gray-700 rounded-md p-2 mt-1 text-white focus:ring-blue-500 focus:border-blue-500" placeholder="e.g., 68000.50" />
-                </div>
-            )}
-
-            <div>
-                <label className="text-sm text-gray-400">Quantity (BTC)</label>
-                <input type="number" name="quantity" value={formData.quantity} onChange={handleChange} className="w-full bg-gray-800 border border-gray-700 rounded-md p-2 mt-1 text-white focus:ring-blue-500 focus:border-blue-500" placeholder="e.g., 0.5" />
-            </div>
-
-            <div>
-                <label className="text-sm text-gray-400">Timing Simulation</label>
-                <select name="delay" value={formData.delay} onChange={handleChange} className="w-full bg-gray-800 border border-gray-700 rounded-md p-2 mt-1 text-white focus:ring-blue-500 focus:border-blue-500">
-                    <option value="0">Immediate</option>
-                    <option value="5">5s Delay</option>
-                    <option value="10">10s Delay</option>
-                    <option value="30">30s Delay</option>
-                </select>
+            <p className="text-xs text-gray-500">The metrics above walk the visible book only; the book ran out before the order was filled.</p>
+            <div className="text-sm space-y-2">
+                <MetricRow label="Observed in Book" value={`${impact.observed.qty.toFixed(4)} ${baseCurrency} @ ${formatQuote(impact.observed.avgPrice)}`} />
+                {impact.unavailable ? (
+                    <p className="text-xs text-gray-500">{impact.remainingQty.toFixed(4)} {baseCurrency} not priced: {impact.unavailable}</p>
+                ) : (
+                    <>
+                        <MetricRow label="Modelled Remainder" value={`${impact.modelled.qty.toFixed(4)} ${baseCurrency} @ ${formatQuote(impact.modelled.avgPrice)}`} />
+                        <MetricRow label="Modelled 95% Band" value={formatUsdBand(impact.modelled.band)} />
+                        <MetricRow label="Est. Total Avg Price" value={formatQuote(impact.total.avgPrice)} />
+                        <MetricRow label="Est. Total Slippage vs Mid" value={`${formatBps(impact.total.slippageBpsVsMid)} (${impact.total.slippageBandBps.map(bps => bps.toFixed(1)).join(' – ')})`} />
+                        <MetricRow label="Est. Last Fill Price" value={formatQuote(impact.worstPrice)} />
+                        {impact.recovery && <MetricRow label="Impact Left After 1 min" value={formatQuote(Math.abs(impact.recovery.moveAfterMinute))} />}
+                    </>
+                )}
             </div>
-            
-            {error && <p className="text-sm text-red-500 flex items-center"><AlertCircle className="w-4 h-4 mr-2"/>{error}</p>}
-
-            <button 
-                type="submit" 
-                className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-md transition-colors"
-            >
-                Simulate Order Placement
-            </button>
-        </form>
+            <p className="text-xs text-gray-500">
+                {config.model === IMPACT_MODELS.SQRT
+                    ? 'Square-root law calibrated from the volatility and traded volume of the recent trades.'
+                    : 'Linear impact fitted to the slope of the visible book, decaying as the book refills.'}
+                {' '}The band covers calibration noise only, not the choice of model.
+            </p>
+        </div>
     );
 };
 
-const MetricsDisplay = ({ metrics }) => {
+const MetricsDisplay = ({ metrics, baseCurrency, beyondDepth, impactConfig, onImpactConfigChange }) => {
     if (!metrics) {
         return (
             <div className="bg-gray-900 rounded-lg p-4 mt-4 text-center text-gray-500">
@@ -450,25 +222,33 @@ const MetricsDisplay = ({ metrics }) => {
         );
     }
 
-    const { fillPercent, slippage, impact, warning } = metrics;
+    const {
+        fillPercent, slippage, impact, warning, avgPrice, slippageBpsVsMid, slippageBpsVsBest, notional,
+        takerFees, makerFees, postTradeMid, postTradeSpread, postTradeSpreadBps, restingQty, queuePosition, fills,
+    } = metrics;
 
     return (
         <div className="bg-gray-900 rounded-lg p-4 mt-4 space-y-3">
             <h3 className="text-lg font-semibold text-white">Order Impact Metrics</h3>
             <div className="text-sm space-y-2">
-                <div className="flex justify-between">
-                    <span className="text-gray-400">Est. Fill Percentage:</span>
-                    <span className="text-white font-mono">{fillPercent.toFixed(2)}%</span>
-                </div>
-                <div className="flex justify-between">
-                    <span className="text-gray-400">Slippage:</span>
-                    <span className="text-white font-mono">{slippage.toFixed(2)}%</span>
-                </div>
-                <div className="flex justify-between">
-                    <span className="text-gray-400">Market Impact (Price):</span>
-                    <span className="text-white font-mono">${impact.toFixed(2)}</span>
-                </div>
+                <MetricRow label="Est. Fill Percentage" value={`${fillPercent.toFixed(2)}%`} />
+                <MetricRow label="Avg Fill Price (VWAP)" value={formatQuote(avgPrice)} />
+                <MetricRow label="Slippage vs Mid" value={formatBps(slippageBpsVsMid)} />
+                <MetricRow label="Slippage vs Best" value={`${formatBps(slippageBpsVsBest)} (${slippage.toFixed(2)}%)`} />
+                <MetricRow label="Market Impact (Price)" value={`$${impact.toFixed(2)}`} />
+                <MetricRow label="Notional" value={formatQuote(notional)} />
+                <MetricRow label="Taker Fees (est.)" value={formatQuote(takerFees)} />
+                {restingQty > 0 && <MetricRow label="Maker Fees if Filled (est.)" value={formatQuote(makerFees)} />}
+                <MetricRow label="Post-Trade Mid" value={formatQuote(postTradeMid)} />
+                <MetricRow label="Post-Trade Spread" value={postTradeSpread === null ? '—' : `${formatQuote(postTradeSpread)} (${formatBps(postTradeSpreadBps)})`} />
+                {restingQty > 0 && (
+                    <>
+                        <MetricRow label="Resting Remainder" value={`${restingQty.toFixed(4)} ${baseCurrency}`} />
+                        <MetricRow label="Queue Ahead" value={`${queuePosition.sizeAhead.toFixed(4)} ${baseCurrency} at price, ${queuePosition.levelsAhead} better levels`} />
+                    </>
+                )}
             </div>
+            {beyondDepth && <ImpactEstimate impact={beyondDepth} config={impactConfig} onConfigChange={onImpactConfigChange} baseCurrency={baseCurrency} />}
             {warning && (
                  <div className="p-3 bg-yellow-900/50 border border-yellow-700 rounded-md text-yellow-300 text-sm flex items-start">
                     <AlertCircle className="w-5 h-5 mr-2 flex-shrink-0 mt-0.5" />
@@ -481,6 +261,91 @@ const MetricsDisplay = ({ metrics }) => {
                     <span>Order size has minimal expected market impact.</span>
                 </div>
             )}
+            {fills.length > 0 && (
+                <div>
+                    <h4 className="text-sm font-semibold text-white mb-1">Fill Breakdown</h4>
+                    <table className="w-full text-xs">
+                        <thead>
+                            <tr className="text-gray-500">
+                                <th className="text-left p-1 font-normal">Level Price</th>
+                                <th className="text-right p-1 font-normal">Qty ({baseCurrency})</th>
+                                <th className="text-right p-1 font-normal">Cumulative</th>
+                                <th className="text-right p-1 font-normal">Avg So Far</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {fills.map((fill, index) => (
+                                <tr key={index} className="text-white font-mono">
+                                    <td className="p-1">{formatQuote(fill.price)}</td>
+                                    <td className="p-1 text-right">{fill.quantity.toFixed(4)}</td>
+                                    <td className="p-1 text-right">{fill.cumulativeQty.toFixed(4)}</td>
+                                    <td className="p-1 text-right">{formatQuote(fill.avgPrice)}</td>
+                                </tr>
+                            ))}
+                            {beyondDepth && beyondDepth.modelled && (
+                                <tr className="text-amber-300 font-mono italic" title="Beyond the visible book, from the impact model">
+                                    <td className="p-1">Modelled ~{formatQuote(beyondDepth.modelled.avgPrice)}</td>
+                                    <td className="p-1 text-right">{beyondDepth.modelled.qty.toFixed(4)}</td>
+                                    <td className="p-1 text-right">{(beyondDepth.observed.qty + beyondDepth.modelled.qty).toFixed(4)}</td>
+                                    <td className="p-1 text-right">{formatQuote(beyondDepth.total.avgPrice)}</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const DelayComparison = ({ comparison }) => {
+    const { delaySeconds, side, now, later, executeAt } = comparison;
+    const [remaining, setRemaining] = useState(delaySeconds);
+
+    useEffect(() => {
+        if (later) return;
+        const timer = setInterval(() => setRemaining(Math.max(0, Math.ceil((executeAt - Date.now()) / 1000))), 250);
+        return () => clearInterval(timer);
+    }, [later, executeAt]);
+
+    const drift = now && later ? compareDelayedExecution(side, now, later) : null;
+
+    const Column = ({ title, metrics, pending }) => (
+        <div className="bg-gray-800 rounded-md p-2 space-y-1">
+            <div className="text-xs text-gray-400">{title}</div>
+            {pending ? (
+                <div className="text-sm text-gray-500">Executing in {remaining}s…</div>
+            ) : metrics ? (
+                <>
+                    <div className="text-sm text-white font-mono">{formatQuote(metrics.avgPrice)}</div>
+                    <div className="text-xs text-gray-400">Fill {metrics.fillPercent.toFixed(2)}% · Mid {formatQuote(metrics.midPrice)}</div>
+                </>
+            ) : (
+                <div className="text-sm text-gray-500">Book not ready</div>
+            )}
+        </div>
+    );
+
+    return (
+        <div className="bg-gray-900 rounded-lg p-4 mt-4 space-y-3">
+            <h3 className="text-lg font-semibold text-white">Cost of Waiting</h3>
+            <div className="grid grid-cols-2 gap-2">
+                <Column title="If sent now" metrics={now} />
+                <Column title={`After ${delaySeconds}s delay`} metrics={later} pending={!later} />
+            </div>
+            {drift && (
+                <div className="text-sm space-y-2">
+                    <MetricRow label="Mid Drift" value={drift.midDrift === null ? '—' : `${formatQuote(drift.midDrift)} (${formatBps(drift.midDriftBps)})`} />
+                    <MetricRow label="Avg Price Drift" value={drift.priceDrift === null ? '—' : formatQuote(drift.priceDrift)} />
+                    <MetricRow label="Fill % Change" value={`${drift.fillPercentChange >= 0 ? '+' : ''}${drift.fillPercentChange.toFixed(2)}%`} />
+                    <div className="flex justify-between">
+                        <span className="text-gray-400">Cost of Waiting:</span>
+                        <span className={`font-mono ${drift.costOfWaiting > 0 ? 'text-red-400' : 'text-green-400'}`}>
+                            {drift.costOfWaiting === null ? '—' : `${formatQuote(drift.costOfWaiting)} (${formatBps(drift.costOfWaitingBps)})`}
+                        </span>
+                    </div>
+                </div>
+            )}
         </div>
     );
 };
@@ -488,123 +353,383 @@ const MetricsDisplay = ({ metrics }) => {
 
 // --- Main App Component ---
 export default function Page() {
-    const venues = ['OKX', 'Bybit', 'Deribit'];
-    const [activeVenue, setActiveVenue] = useState('OKX');
-    const [symbol, setSymbol] = useState('BTCUSDT');
+    const venues = VENUES;
+    const [activeVenue, setActiveVenue] = useState(DEFAULT_WORKSPACE.venue);
+    const [instrumentId, setInstrumentId] = useState(DEFAULT_WORKSPACE.instrumentId);
+    const [orderForm, setOrderForm] = useState(DEFAULT_WORKSPACE.order);
     const [simulatedOrder, setSimulatedOrder] = useState(null);
     const [simulationMetrics, setSimulationMetrics] = useState(null);
+    const [routingResult, setRoutingResult] = useState(null);
+    const [sizeUnit, setSizeUnit] = useState(DEFAULT_WORKSPACE.unit);
+    const [delayComparison, setDelayComparison] = useState(null);
+    const [workingOrder, setWorkingOrder] = useState(null);
+    const [algoOrder, setAlgoOrder] = useState(null);
+    const [algoTick, setAlgoTick] = useState(0);
+    const [compareVenues, setCompareVenues] = useState(DEFAULT_WORKSPACE.compare);
+    const [monitorBasis, setMonitorBasis] = useState(DEFAULT_WORKSPACE.basis);
+    const [ladderDepth, setLadderDepth] = useState(DEFAULT_WORKSPACE.depth);
+    const [priceGrouping, setPriceGrouping] = useState(DEFAULT_WORKSPACE.grouping);
+    const [depthChartRange, setDepthChartRange] = useState(DEFAULT_WORKSPACE.chartRange);
+    // Order form fields of an opened link or preset, simulated once the book is ready
+    const [pendingSimulation, setPendingSimulation] = useState(null);
+    const [healthThresholds, setHealthThresholds] = useState(DEFAULT_HEALTH_THRESHOLDS);
+    const [impactConfig, setImpactConfig] = useState(DEFAULT_IMPACT_CONFIG);
+    // Impact model inputs from the book and trades the last simulation ran against
+    const [impactCalibration, setImpactCalibration] = useState(null);
     const simulationTimeout = useRef(null);
+    // Every simulated order and its fills, kept across reloads
+    const blotter = useBlotter();
+    const recordBlotterEntry = blotter.record;
+    // Ids of working orders and algorithms rerun from a link, which are not paper trades
+    const unrecordedOrders = useRef(new Set());
+    const blotterPositions = useMemo(() => buildPositions(blotter.entries, blotter.carried), [blotter.entries, blotter.carried]);
+    // Alert rules are checked against the open feeds, filled in below once they are known
+    const alertInputs = useRef(null);
+    const alerts = useAlerts(alertInputs);
+
+    // Only the active venue's socket is kept open to conserve resources, except
+    // on the aggregated tab, in smart routing mode, when comparing venue
+    // microstructure or monitoring basis, which need every aggregated venue live at once
+    // Native symbol of the selected instrument on each venue (null where it is not listed)
+    const venueSymbols = useMemo(() => resolveSymbols(venues, instrumentId), [venues, instrumentId]);
+    const unlistedVenues = venues.filter(venue => !venueSymbols[venue]);
+    const crossVenues = useMemo(() => AGGREGATED_VENUES.filter(venue => venueSymbols[venue]), [venueSymbols]);
+
+    const isAggregated = activeVenue === AGGREGATED;
+    const executionAlgo = orderForm.execution !== 'None';
+    const routingEnabled = orderForm.routing === 'Smart' && !executionAlgo;
+    const needsAllVenues = isAggregated || routingEnabled || compareVenues || monitorBasis;
+    const openVenues = new Set(needsAllVenues ? crossVenues : []);
+    if (!isAggregated && venueSymbols[activeVenue]) openVenues.add(activeVenue);
+    // A working limit order keeps its venue's feed open after switching tabs
+    if (isWorking(workingOrder)) openVenues.add(workingOrder.venue);
+    if (isAlgoRunning(algoOrder)) openVenues.add(algoOrder.venue);
+    // So does an open paper position in the selected instrument, to mark it to the mid
+    blotterPositions
+        .filter(position => !position.replay && isOpenPosition(position) && venueSymbols[position.venue] === position.symbol)
+        .forEach(position => openVenues.add(position.venue));
+    // And an enabled alert rule on the selected instrument
+    alerts.rules
+        .filter(rule => rule.enabled && rule.instrumentId === instrumentId && venueSymbols[rule.venue])
+        .forEach(rule => openVenues.add(rule.venue));
+    // Feeds are keyed by venue and symbol, so changing the instrument resubscribes every feed
+    const subscriptions = [...openVenues].map(venue => ({ venue, symbol: venueSymbols[venue] }));
+    // While a recording is loaded every feed reads from it instead of the network;
+    // a paused replay must not be flagged stale
+    const session = useSessionRecording(instrumentId);
+    const isReplaying = Boolean(session.replayer);
+
+    // The simulator always works in base currency; the ladder and depth chart
+    // show the unit picked in the order book header
+    const activeInstrument = isAggregated ? null : getInstrument(activeVenue, venueSymbols[activeVenue]);
+    // Contracts differ per venue, so they cannot be summed in the aggregated book
+    const sizeUnits = isAggregated ? SIZE_UNITS.filter(unit => unit !== 'contract') : SIZE_UNITS;
+    const displayUnit = sizeUnits.includes(sizeUnit) ? sizeUnit : 'base';
+
+    // Grouping steps are multiples of the finest tick among the venues shown; the
+    // finest step is the raw book. A step that does not exist for the current
+    // instrument falls back to it.
+    const viewVenues = isAggregated ? crossVenues : [activeVenue];
+    const tickSizes = viewVenues
+        .map(venue => getInstrument(venue, venueSymbols[venue])?.tickSize)
+        .filter(Boolean);
+    const displayTickSize = tickSizes.length > 0 ? Math.min(...tickSizes) : null;
+    const groupings = useMemo(() => groupingSteps(displayTickSize), [displayTickSize]);
+    const groupStep = groupings.includes(priceGrouping) ? priceGrouping : groupings[0] || null;
+    const isGrouped = groupStep !== null && groupStep !== groupings[0];
+
+    // What the ladder and depth chart show; the feed worker builds it from the
+    // books once per frame (see lib/orderbook/view)
+    const viewConfig = {
+        venues: viewVenues,
+        aggregate: isAggregated,
+        unit: displayUnit,
+        grouping: isGrouped ? groupStep : null,
+        depth: ladderDepth,
+        chartRange: depthChartRange,
+    };
+    const { feeds, trades: venueTrades, view, stats: feedStats } = useOrderbookFeeds(venues, subscriptions, {
+        staleAfterMs: isReplaying ? Infinity : undefined,
+        onRawMessage: session.isRecording ? session.onRawMessage : undefined,
+        createSocket: session.createSocket,
+        view: viewConfig,
+    });
 
-    const { orderbook: okxOrderbook, isConnected: okxConnected } = useOrderbookWebSocket('OKX', 'BTC-USD-SWAP', activeVenue === 'OKX');
-    const { orderbook: bybitOrderbook, isConnected: bybitConnected } = useOrderbookWebSocket('Bybit', 'BTCUSDT', activeVenue === 'Bybit');
-    const { orderbook: deribitOrderbook, isConnected: deribitConnected } = useOrderbookWebSocket('Deribit', 'BTC-PERPETUAL', activeVenue === 'Deribit');
+    // For the frame or so after a setting changes, until the worker sends the
+    // view for it, the view is built here from the same books
+    const bookView = view && view.current
+        ? view
+        : buildBookView(
+            Object.fromEntries(viewVenues.map(venue => [venue, feeds[venue].orderbook])),
+            viewConfig,
+            Object.fromEntries(viewVenues.map(venue => [venue, getInstrument(venue, venueSymbols[venue])]))
+        );
 
-    const connectionStatus = { OKX: okxConnected, Bybit: bybitConnected, Deribit: deribitConnected };
+    const connectionStatus = Object.fromEntries(venues.map(venue => [venue, feeds[venue].connection]));
+    connectionStatus[AGGREGATED] = combineConnections(crossVenues.map(venue => feeds[venue].connection));
+    const activeConnection = connectionStatus[activeVenue];
+
+    // Feed health of every open feed, checked against the alert thresholds; the
+    // aggregated tab carries its venues' alerts
+    const healthVenues = VENUES.filter(venue => openVenues.has(venue));
+    const feedHealth = Object.fromEntries(healthVenues.map(venue => [venue, feeds[venue].health]));
+    const feedAlerts = Object.fromEntries(healthVenues.map(venue => [venue, healthAlerts(feeds[venue].health, healthThresholds)]));
+    feedAlerts[AGGREGATED] = crossVenues.flatMap(venue => (feedAlerts[venue] || []).map(alert => ({ ...alert, message: `${venue}: ${alert.message}` })));
+
+    // Paper positions are marked to the mid of the open feed for their venue and
+    // symbol; while replaying the feeds carry the recording, so only positions
+    // opened in a replay are marked
+    const blotterMarks = Object.fromEntries([...openVenues]
+        .map(venue => [positionKey(venue, venueSymbols[venue], isReplaying), bookMid(feeds[venue].orderbook)])
+        .filter(([, mid]) => mid !== null));
+    const markedPositions = markPositions(blotterPositions, blotterMarks);
+    const blotterSummary = blotterTotals(markedPositions);
+
+    // Feed books are in base currency, so contract and USD sized books are comparable
+    const baseUnitBooks = useMemo(
+        () => (needsAllVenues ? Object.fromEntries(crossVenues.map(venue => [venue, feeds[venue].orderbook])) : null),
+        [needsAllVenues, crossVenues, feeds]
+    );
 
-    const currentOrderbook = useMemo(() => {
-        switch (activeVenue) {
-            case 'OKX': return okxOrderbook;
-            case 'Bybit': return bybitOrderbook;
-            case 'Deribit': return deribitOrderbook;
-            default: return { bids: [], asks: [] };
-        }
-    }, [activeVenue, okxOrderbook, bybitOrderbook, deribitOrderbook]);
-
-    const calculateMetrics = useCallback((order, book) => {
-        const { side, quantity, orderType, price } = order;
-        const qty = parseFloat(quantity);
-        
-        let filledQty = 0;
-        let slippage = 0;
-        let impact = 0;
-        let warning = '';
-        let lastFillPrice = 0;
-
-        const bookSide = side === 'Buy' ? book.asks : book.bids;
-        if (bookSide.length === 0) {
-            return { fillPercent: 0, slippage: 0, impact: 0, warning: 'No liquidity available.' };
-        }
-        
-        const entryPrice = parseFloat(bookSide[0][0]);
-        if (isNaN(entryPrice)) {
-             return { fillPercent: 0, slippage: 0, impact: 0, warning: 'Waiting for valid market price...' };
-        }
-        lastFillPrice = entryPrice;
-        
-        if (orderType === 'Market') {
-            let qtyToFill = qty;
-            for (const [levelPriceStr, levelQtyStr] of bookSide) {
-                const levelPrice = parseFloat(levelPriceStr);
-                const levelQty = parseFloat(levelQtyStr);
-                if (isNaN(levelPrice) || isNaN(levelQty)) continue;
-
-                const fillable = Math.min(qtyToFill, levelQty);
-                
-                filledQty += fillable;
-                lastFillPrice = levelPrice; // Update last fill price to the current level
-                qtyToFill -= fillable;
-
-                if (qtyToFill <= 0) break;
-            }
-            // Calculate slippage based on the WORST price (lastFillPrice) vs the BEST price (entryPrice)
-            if (entryPrice > 0) {
-                slippage = (Math.abs(lastFillPrice - entryPrice) / entryPrice) * 100;
-            }
-            impact = Math.abs(lastFillPrice - entryPrice);
-
-        } else { // Limit Order
-            const limitPrice = parseFloat(price);
-            if (isNaN(limitPrice)) return { fillPercent: 0, slippage: 0, impact: 0, warning: 'Invalid limit price.' };
-
-            let qtyToFill = qty;
-            for (const [levelPriceStr, levelQtyStr] of bookSide) {
-                const levelPrice = parseFloat(levelPriceStr);
-                const levelQty = parseFloat(levelQtyStr);
-                if (isNaN(levelPrice) || isNaN(levelQty)) continue;
-
-                const canFill = side === 'Buy' ? levelPrice <= limitPrice : levelPrice >= limitPrice;
-                if (canFill) {
-                    const fillable = Math.min(qtyToFill, levelQty);
-                    filledQty += fillable;
-                    qtyToFill -= fillable;
-                }
-                if (qtyToFill <= 0) break;
-            }
-        }
-        
-        let fillPercent = 0;
-        if (qty > 0 && filledQty > 0) {
-          const calculatedFillPercent = (filledQty / qty) * 100;
-          fillPercent = Math.min(calculatedFillPercent, 100);
+    const currentOrderbook = bookView.base;
+    const displayOrderbook = bookView.display;
+    const groupedOrderbook = bookView.grouped;
+    const canonicalInstrument = getCanonicalInstrument(instrumentId);
+    // The aggregated book has no single instrument; label it in the canonical base and USD
+    const sizeLabel = unitLabel(displayUnit, activeInstrument || canonicalInstrument);
+
+    // Memoised so unchanged ladder rows can skip re-rendering
+    const precision = useMemo(() => ({
+        price: priceDecimals(groupStep || displayTickSize),
+        size: sizeDecimals(displayUnit, activeInstrument),
+    }), [groupStep, displayTickSize, displayUnit, activeInstrument]);
+
+    // Trades behind the book on screen, newest first in base currency; the
+    // aggregated book has every venue's. Built from the trade lists alone, so
+    // book frames do not rebuild them.
+    const baseTrades = useMemo(() => (isAggregated ? crossVenues : [activeVenue])
+        .flatMap(venue => (venueTrades[venue] || []).map(trade => ({ ...trade, venue })))
+        .sort((a, b) => b.seq - a.seq), [isAggregated, crossVenues, activeVenue, venueTrades]);
+
+    // The heatmap and tape show them in the display unit
+    const displayTrades = useMemo(() => tradesFromBase(baseTrades, displayUnit, activeInstrument), [baseTrades, displayUnit, activeInstrument]);
+
+    // Microstructure history for every open venue; the panel shows the active one,
+    // or all of them when comparing
+    const microstructure = useBookMetrics(
+        Object.fromEntries([...openVenues].map(venue => [venue, feeds[venue].orderbook])),
+        { resetKey: instrumentId }
+    );
+    const metricsVenueKey = (isAggregated || compareVenues ? VENUES.filter(venue => openVenues.has(venue)) : [activeVenue]).join(',');
+    const metricsVenues = useMemo(() => metricsVenueKey.split(','), [metricsVenueKey]);
+
+    // Basis, funding and cross-venue spreads of the aggregated venues, sampled
+    // for the panel's history
+    const basis = useMemo(() => (monitorBasis
+        ? basisMonitor(crossVenues.map(venue => ({
+            venue,
+            kind: getInstrument(venue, venueSymbols[venue]).kind,
+            book: feeds[venue].orderbook,
+            ticker: feeds[venue].ticker,
+            fees: getVenue(venue).fees,
+        })))
+        : null), [monitorBasis, crossVenues, venueSymbols, feeds]);
+    const basisHistory = useBasisHistory(basis, { resetKey: instrumentId });
+
+    // The working order is filled from its own venue's book and trades, in base units
+    const workingVenue = isWorking(workingOrder) ? workingOrder.venue : null;
+    const workingBook = workingVenue ? feeds[workingVenue].orderbook : null;
+    const workingTrades = workingVenue ? feeds[workingVenue].trades : null;
+
+    useEffect(() => {
+        // An empty book while the feed resyncs says nothing about the queue
+        if (!workingBook || workingBook.bids.length === 0 || workingBook.asks.length === 0) return;
+        setWorkingOrder(order => applyBookUpdate(order, workingBook));
+    }, [workingBook]);
+
+    useEffect(() => {
+        if (!workingTrades) return;
+        setWorkingOrder(order => applyTrades(order, workingTrades));
+    }, [workingTrades]);
+
+    // A running algorithm works its own venue's book and trades, on the replay
+    // clock while replaying so its slices follow the recording and wait while it
+    // is paused. Live, a one second tick sends slices on time in a quiet market.
+    const algoVenue = isAlgoRunning(algoOrder) ? algoOrder.venue : null;
+    const algoBook = algoVenue ? feeds[algoVenue].orderbook : null;
+    const algoTrades = algoVenue ? feeds[algoVenue].trades : null;
+    const algoClock = isReplaying && session.replayState ? session.replayState.position : null;
+
+    useEffect(() => {
+        if (!algoVenue || isReplaying) return;
+        const interval = setInterval(() => setAlgoTick(tick => tick + 1), 1000);
+        return () => clearInterval(interval);
+    }, [algoVenue, isReplaying]);
+
+    useEffect(() => {
+        if (!algoBook) return;
+        setAlgoOrder(order => advanceAlgoOrder(order, { book: algoBook, trades: algoTrades, now: algoClock ?? Date.now() }));
+    }, [algoBook, algoTrades, algoClock, algoTick]);
+
+    // Working orders and algorithms are recorded in the blotter as they progress;
+    // an update that changes nothing is dropped
+    useEffect(() => {
+        if (workingOrder && !unrecordedOrders.current.has(workingOrder.id)) recordBlotterEntry(entryFromWorkingOrder(workingOrder, { fees: getVenue(workingOrder.venue).fees, replay: isReplaying }));
+    }, [workingOrder, isReplaying, recordBlotterEntry]);
+
+    useEffect(() => {
+        if (algoOrder && !unrecordedOrders.current.has(algoOrder.id)) recordBlotterEntry(entryFromAlgoOrder(algoOrder, { replay: isReplaying }));
+    }, [algoOrder, isReplaying, recordBlotterEntry]);
+
+    const cancelOrder = () => setWorkingOrder(order => cancelWorkingOrder(order));
+    const cancelAlgo = () => setAlgoOrder(order => cancelAlgoOrder(order));
+    const amendOrder = (changes) => setWorkingOrder(order => amendWorkingOrder(order, changes, workingBook));
+
+    // The book highlights the working order while it rests, otherwise the last simulation
+    const orderMarker = isWorking(workingOrder) && workingOrder.venue === activeVenue
+        ? { side: workingOrder.side, price: String(workingOrder.price) }
+        : simulatedOrder;
+
+    const handleInstrumentChange = useCallback((id) => {
+        if (simulationTimeout.current) {
+            clearTimeout(simulationTimeout.current);
         }
+        // Results for the previous instrument no longer match the book on screen
+        setInstrumentId(id);
+        setSimulatedOrder(null);
+        setSimulationMetrics(null);
+        setRoutingResult(null);
+        setDelayComparison(null);
+        setWorkingOrder(order => cancelWorkingOrder(order));
+        setAlgoOrder(order => cancelAlgoOrder(order));
+        setPendingSimulation(null);
+    }, []);
+    const retryActive = () => openVenues.forEach(venue => feeds[venue].retry());
 
+    // Resubscribing makes every recording start with a full snapshot from each venue
+    const handleRecord = () => {
+        session.startRecording();
+        retryActive();
+    };
 
-        if (slippage > 0.5) {
-            warning = `High slippage warning! Your order may cause a price impact of approximately $${impact.toFixed(2)}.`;
+    const handleReplay = async (id) => {
+        const recording = await session.startReplay(id);
+        if (!recording) return;
+        setWorkingOrder(order => cancelWorkingOrder(order));
+        setAlgoOrder(order => cancelAlgoOrder(order));
+        if (recording.instrumentId !== instrumentId) handleInstrumentChange(recording.instrumentId);
+        const recordedVenues = recording.feeds.map(feed => feed.venue);
+        if (!isAggregated && recordedVenues.length > 0 && !recordedVenues.includes(activeVenue)) {
+            setActiveVenue(recordedVenues[0]);
         }
+    };
 
-        return { fillPercent, slippage, impact, warning };
-    }, []);
+    const handleExitReplay = () => {
+        setWorkingOrder(order => cancelWorkingOrder(order));
+        setAlgoOrder(order => cancelAlgoOrder(order));
+        session.stopReplay();
+    };
+
+    // Fee schedule for the book being simulated: the venue's own, or every
+    // aggregated venue's so fills can be charged per contributing venue
+    const feeOptions = useMemo(() => (isAggregated
+        ? { feesByVenue: Object.fromEntries(crossVenues.map(venue => [venue, getVenue(venue).fees])) }
+        : { fees: getVenue(activeVenue).fees }), [isAggregated, crossVenues, activeVenue]);
 
-    const handleSimulationSubmit = useCallback((formData) => {
+    useEffect(() => {
+        alertInputs.current = {
+            feeds: Object.fromEntries([...openVenues].map(venue => [venue, { book: feeds[venue].orderbook, connection: feeds[venue].connection }])),
+            instrumentId,
+            replay: isReplaying,
+        };
+    });
+
+    // Delayed simulations must see the book as it is when the delay ends, not
+    // the one captured when the form was submitted, so they read it from here
+    const liveInputs = useRef(null);
+    useEffect(() => {
+        liveInputs.current = {
+            book: currentOrderbook,
+            books: baseUnitBooks,
+            feeOptions,
+            crossVenues,
+            venue: isAggregated ? null : activeVenue,
+            symbol: venueSymbols[activeVenue],
+            venueSymbols,
+            replay: isReplaying,
+            trades: isAggregated ? null : feeds[activeVenue].trades,
+            bookTrades: baseTrades,
+            clock: algoClock,
+            workingOrder,
+        };
+    });
+
+    // `record` is false when a link or reload reruns the last simulation: it is
+    // shown again but not added to the blotter as a new paper trade
+    const handleSimulationSubmit = useCallback((formData, { record = true } = {}) => {
         if (simulationTimeout.current) {
             clearTimeout(simulationTimeout.current);
         }
-        
-        // Use the symbol from the form for the current active venue
-        const symbolMap = {
-            OKX: 'BTC-USD-SWAP',
-            Bybit: 'BTCUSDT',
-            Deribit: 'BTC-PERPETUAL'
+        setDelayComparison(null);
+
+        // Execution algorithms run on the active venue from now on; a new one replaces the last
+        if (formData.execution !== 'None') {
+            const { book, venue, symbol, trades, clock } = liveInputs.current;
+            if (!venue || !book || book.bids.length === 0 || book.asks.length === 0) {
+                console.log("Order book not ready, skipping execution algorithm.");
+                return;
+            }
+            const id = Date.now();
+            if (!record) unrecordedOrders.current.add(id);
+            setAlgoOrder(createAlgoOrder({
+                ...algoOrderParams(formData),
+                id,
+                venue,
+                symbol,
+                side: formData.side,
+                book,
+                trades,
+                fees: getVenue(venue).fees,
+                now: clock ?? Date.now(),
+            }));
+            return;
+        }
+
+        // Routes the order across the live books; returns the result, or null if no book is ready
+        const routeAgainstLiveBooks = () => {
+            const { books, crossVenues: routeVenues } = liveInputs.current;
+            if (!books || Object.values(books).every(book => book.bids.length === 0 || book.asks.length === 0)) {
+                console.log("Order books not ready, skipping routed simulation.");
+                return null;
+            }
+            const order = {
+                side: formData.side,
+                quantity: parseFloat(formData.quantity),
+                limitPrice: formData.orderType === 'Limit' ? parseFloat(formData.price) : null,
+            };
+            const fees = Object.fromEntries(routeVenues.map(venue => [venue, getVenue(venue).fees.taker]));
+            return simulateSmartRoute(order, books, fees);
         };
-        setSymbol(symbolMap[activeVenue] || formData.symbol);
-        
-        const executeSimulation = () => {
-            const book = currentOrderbook;
+
+        const executeRoutedSimulation = () => {
+            const result = routeAgainstLiveBooks();
+            if (!result) return null;
+            setRoutingResult(result);
+            const { venueSymbols: symbols, replay, clock } = liveInputs.current;
+            const now = clock ?? Date.now();
+            if (record) recordBlotterEntry(createEntry({ id: Date.now(), createdAt: now, replay, venue: SMART_ROUTE, order: orderFromForm(formData), fills: fillsFromRoute(result, { venueSymbols: symbols, timestamp: now }) }));
+            setSimulatedOrder(result.avgPrice === null ? null : { ...formData, price: formData.orderType === 'Limit' ? formData.price : result.avgPrice.toString() });
+            return result;
+        };
+
+        // Runs the order against the live book; returns the metrics and what earlier
+        // orders already took from it, or null if the book is not ready
+        const simulateAgainstLiveBook = () => {
+            const { book, venue, symbol, workingOrder: previous, feeOptions: fees } = liveInputs.current;
             if (!book || book.bids.length === 0 || book.asks.length === 0) {
                 // Do not run simulation if book is not ready
                 console.log("Order book not ready, skipping simulation.");
-                return;
+                return null;
             }
 
             let orderPrice = formData.price;
@@ -615,41 +740,194 @@ export default function Page() {
                     orderPrice = book.bids[0][0];
                 }
             }
-            
+
+            // Crossing size the last working order filled from is not there to take again
+            const sharesBook = Boolean(previous && venue) && previous.venue === venue && previous.symbol === symbol && previous.side === formData.side;
             const order = { ...formData, price: orderPrice };
-            setSimulatedOrder(order);
-            const metrics = calculateMetrics(order, book);
-            setSimulationMetrics(metrics);
+            return {
+                order,
+                metrics: calculateMetrics(order, sharesBook ? untakenBook(previous, book) : book, fees),
+                taken: sharesBook ? previous.taken : {},
+            };
+        };
+
+        const executeSimulation = () => {
+            const result = simulateAgainstLiveBook();
+            if (!result) return null;
+            setSimulatedOrder(result.order);
+            setSimulationMetrics(result.metrics);
+            setImpactCalibration(calibrateImpact(liveInputs.current.book, liveInputs.current.bookTrades));
+
+            // The unfilled part of a limit order on a single venue keeps working
+            // in the book until it is filled by live trades or cancelled; the
+            // blotter records it from there
+            const { book, venue, symbol, trades, feeOptions: fees, venueSymbols: symbols, replay, clock } = liveInputs.current;
+            const id = Date.now();
+            if (formData.orderType === 'Limit' && venue && result.metrics.restingQty > 0) {
+                if (!record) unrecordedOrders.current.add(id);
+                setWorkingOrder(createWorkingOrder({
+                    id,
+                    venue,
+                    symbol,
+                    side: formData.side,
+                    price: parseFloat(formData.price),
+                    quantity: parseFloat(formData.quantity),
+                    book,
+                    immediateFills: result.metrics.fills,
+                    taken: result.taken,
+                    lastTradeSeq: trades.length > 0 ? trades[0].seq : 0,
+                }));
+            } else if (record) {
+                const now = clock ?? id;
+                recordBlotterEntry(createEntry({
+                    id,
+                    createdAt: now,
+                    replay,
+                    venue: venue || AGGREGATED,
+                    symbol: venue ? symbol : null,
+                    order: orderFromForm(formData),
+                    fills: fillsFromMetrics(result.metrics, { venue, symbol, ...fees, venueSymbols: symbols, timestamp: now }),
+                }));
+            }
+            return result.metrics;
         };
 
-        const delay = parseInt(formData.delay, 10) * 1000;
-        if (delay > 0) {
-            simulationTimeout.current = setTimeout(executeSimulation, delay);
+        // Routed results carry the same avgPrice, filledQty, fillPercent and
+        // midPrice as the metrics, so both compare the same way
+        const isRouted = formData.routing === 'Smart';
+        const execute = isRouted ? executeRoutedSimulation : executeSimulation;
+        const delaySeconds = parseInt(formData.delay, 10);
+        if (delaySeconds > 0) {
+            // Snapshot what sending now would have done, then execute for real when the delay ends
+            let immediate = null;
+            if (isRouted) {
+                immediate = routeAgainstLiveBooks();
+            } else {
+                const single = simulateAgainstLiveBook();
+                immediate = single && single.metrics;
+            }
+            setDelayComparison({ delaySeconds, side: formData.side, now: immediate, later: null, executeAt: Date.now() + delaySeconds * 1000 });
+            simulationTimeout.current = setTimeout(() => {
+                const later = execute();
+                setDelayComparison(prev => (prev ? { ...prev, later } : prev));
+            }, delaySeconds * 1000);
         } else {
-            executeSimulation();
+            execute();
         }
-    }, [currentOrderbook, calculateMetrics, activeVenue]);
+    }, [recordBlotterEntry]);
+
+    // Market orders larger than the visible book get the rest priced by the impact
+    // model; recomputed here so changing the model updates the last simulation
+    const impactEstimate = useMemo(() => {
+        if (!simulationMetrics || !impactCalibration || simulatedOrder?.orderType !== 'Market') return null;
+        return estimateBeyondDepth(simulatedOrder.side, parseFloat(simulatedOrder.quantity), simulationMetrics, impactCalibration, impactConfig);
+    }, [simulationMetrics, impactCalibration, simulatedOrder, impactConfig]);
+
+    // --- Workspace ---
+    // The view and the order form are kept in the URL and local storage and can
+    // be saved as presets; a link or preset with a simulation reruns it
+    const applyWorkspace = useCallback((restored) => {
+        if (restored.instrumentId) handleInstrumentChange(restored.instrumentId);
+        if (restored.venue) setActiveVenue(restored.venue);
+        if (restored.unit) setSizeUnit(restored.unit);
+        if ('grouping' in restored) setPriceGrouping(restored.grouping);
+        if (restored.depth) setLadderDepth(restored.depth);
+        if (restored.chartRange) setDepthChartRange(restored.chartRange);
+        if ('compare' in restored) setCompareVenues(restored.compare);
+        if ('basis' in restored) setMonitorBasis(restored.basis);
+        if (restored.order) setOrderForm(restored.order);
+        setPendingSimulation(restored.simulate && restored.order ? restored.order : null);
+    }, [handleInstrumentChange]);
+
+    const workspace = useWorkspace({
+        venue: activeVenue,
+        instrumentId,
+        unit: sizeUnit,
+        grouping: priceGrouping,
+        depth: ladderDepth,
+        chartRange: depthChartRange,
+        compare: compareVenues,
+        basis: monitorBasis,
+        order: orderForm,
+        simulate: Boolean(simulationMetrics || routingResult || algoOrder) || pendingSimulation !== null,
+    }, applyWorkspace, WORKSPACE_OPTIONS);
+
+    // A smart route waits for every venue's book so it matches what the link's author saw
+    useEffect(() => {
+        if (!pendingSimulation) return;
+        const isReady = (candidate) => candidate && candidate.bids.length > 0 && candidate.asks.length > 0;
+        const ready = pendingSimulation.routing === 'Smart' && pendingSimulation.execution === 'None'
+            ? baseUnitBooks && Object.values(baseUnitBooks).every(isReady)
+            : isReady(currentOrderbook);
+        if (!ready) return;
+        setPendingSimulation(null);
+        if (!validateOrderForm(pendingSimulation)) handleSimulationSubmit(pendingSimulation, { record: false });
+    }, [pendingSimulation, currentOrderbook, baseUnitBooks, handleSimulationSubmit]);
 
     return (
         <div className="bg-gray-950 text-white min-h-screen font-sans p-4 lg:p-6">
             <div className="max-w-screen-2xl mx-auto">
-                <header className="mb-6">
-                    <h1 className="text-3xl font-bold text-white">GoQuant Real-Time Orderbook</h1>
-                    <p className="text-gray-400">Live Orderbook Viewer & Simulation Tool</p>
+                <header className="mb-6 flex flex-wrap items-end justify-between gap-4">
+                    <div>
+                        <h1 className="text-3xl font-bold text-white">GoQuant Real-Time Orderbook</h1>
+                        <p className="text-gray-400">Live Orderbook Viewer & Simulation Tool</p>
+                    </div>
+                    <WorkspaceBar workspace={workspace} />
                 </header>
 
                 <main className="grid grid-cols-1 lg:grid-cols-3 gap-6">
                     <div className="lg:col-span-1">
-                        <OrderForm onSubmit={handleSimulationSubmit} />
-                        <MetricsDisplay metrics={simulationMetrics} />
+                        <OrderForm onSubmit={handleSimulationSubmit} formData={orderForm} onFormDataChange={setOrderForm} instrumentId={instrumentId} onInstrumentChange={handleInstrumentChange} venues={VENUES} venueSymbols={venueSymbols} routeVenues={AGGREGATED_VENUES} algoVenue={isAggregated ? null : activeVenue} />
+                        {!executionAlgo && delayComparison && <DelayComparison key={delayComparison.executeAt} comparison={delayComparison} />}
+                        {!executionAlgo && (routingEnabled ? <RoutingResult result={routingResult} baseCurrency={canonicalInstrument.base} quoteCurrency={canonicalInstrument.quote} /> : <MetricsDisplay metrics={simulationMetrics} baseCurrency={canonicalInstrument.base} beyondDepth={impactEstimate} impactConfig={impactConfig} onImpactConfigChange={setImpactConfig} />)}
+                        {(executionAlgo || algoOrder) && <AlgoExecutionPanel key={algoOrder?.id} order={algoOrder} baseCurrency={canonicalInstrument.base} onCancel={cancelAlgo} />}
+                        <WorkingOrderPanel key={workingOrder?.id} order={workingOrder} baseCurrency={canonicalInstrument.base} onCancel={cancelOrder} onAmend={amendOrder} />
+                        <RecordingPanel session={session} onRecord={handleRecord} onReplay={handleReplay} />
+                        <AlertsPanel alerts={alerts} venues={VENUES} instrumentId={instrumentId} />
                     </div>
                     <div className="lg:col-span-2 bg-gray-800 rounded-lg shadow-lg">
-                        <VenueTabs venues={venues} activeVenue={activeVenue} setActiveVenue={setActiveVenue} connectionStatus={connectionStatus} />
-                        <OrderBook bids={currentOrderbook.bids} asks={currentOrderbook.asks} simulatedOrder={simulatedOrder} />
-                        <DepthChart bids={currentOrderbook.bids} asks={currentOrderbook.asks} />
+                        {isReplaying && session.replayState && <ReplayControls replayer={session.replayer} state={session.replayState} onExit={handleExitReplay} />}
+                        <VenueTabs venues={TABS} activeVenue={activeVenue} setActiveVenue={setActiveVenue} connectionStatus={connectionStatus} unlistedVenues={unlistedVenues} alerts={feedAlerts} />
+                        <ConnectionBar connection={activeConnection} onRetry={retryActive} />
+                        {isAggregated && <VenueLegend venues={crossVenues} />}
+                        {!isAggregated && !venueSymbols[activeVenue] ? (
+                            <div className="bg-gray-900 rounded-lg p-4 min-h-[400px] flex items-center justify-center">
+                                <p className="text-gray-500">{activeVenue} does not list {canonicalInstrument.label}.</p>
+                            </div>
+                        ) : (
+                            <>
+                                <OrderBook
+                                    bids={groupedOrderbook.bids}
+                                    asks={groupedOrderbook.asks}
+                                    simulatedOrder={isGrouped ? groupOrderPrice(orderMarker, groupStep, displayOrderbook) : orderMarker}
+                                    isStale={activeConnection.state === CONNECTION_STATES.STALE}
+                                    crossings={isAggregated ? currentOrderbook.crossings : null}
+                                    sizeLabel={sizeLabel}
+                                    sizeUnit={displayUnit}
+                                    sizeUnits={sizeUnits}
+                                    onSizeUnitChange={setSizeUnit}
+                                    depth={ladderDepth}
+                                    onDepthChange={setLadderDepth}
+                                    grouping={groupStep}
+                                    groupings={groupings}
+                                    onGroupingChange={setPriceGrouping}
+                                    precision={precision}
+                                    cumulative={bookView.cumulative}
+                                    maxCumulative={bookView.maxCumulative}
+                                />
+                                <DepthChart bids={groupedOrderbook.bids} asks={groupedOrderbook.asks} curve={bookView.depthCurve} sizeLabel={sizeLabel} range={depthChartRange} onRangeChange={setDepthChartRange} precision={precision} />
+                                <Heatmap key={`${activeVenue}:${instrumentId}:${displayUnit}`} bids={displayOrderbook.bids} asks={displayOrderbook.asks} trades={displayTrades} tickSize={activeInstrument?.tickSize} sizeLabel={sizeLabel} />
+                                <TimeAndSales key={`${activeVenue}:${instrumentId}:${displayUnit}`} trades={displayTrades} sizeLabel={sizeLabel} showVenue={isAggregated} />
+                                <MicrostructurePanel history={microstructure} venues={metricsVenues} baseCurrency={canonicalInstrument.base} compare={compareVenues} onCompareChange={setCompareVenues} canCompare={!isAggregated} />
+                            </>
+                        )}
+                        <BasisMonitorPanel monitor={basis} history={basisHistory} enabled={monitorBasis} onEnabledChange={setMonitorBasis} baseCurrency={canonicalInstrument.base} />
+                        <FeedHealthPanel venues={healthVenues} health={feedHealth} alerts={feedAlerts} thresholds={healthThresholds} onThresholdsChange={setHealthThresholds} isReplaying={isReplaying} />
+                        <BlotterPanel entries={blotter.entries} positions={markedPositions} totals={blotterSummary} onExport={(format) => blotter.download(format, markedPositions)} onClear={blotter.clear} />
                     </div>
                 </main>
             </div>
+            {isPerfOverlayEnabled && <PerfOverlay stats={feedStats} />}
         </div>
     );
 }
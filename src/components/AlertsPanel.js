@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { AlertCircle, Bell, BellOff, Pencil, Plus, Trash2 } from 'lucide-react';
+import { RULE_TYPES, RULE_DEFINITIONS, createRule, validateRule } from '@/lib/alerts/rules';
+import { resolveSymbol, getCanonicalInstrument } from '@/lib/instruments/symbols';
+
+const inputClass = 'w-full bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-sm text-white focus:ring-blue-500 focus:border-blue-500';
+
+const formatTime = (ms) => new Date(ms).toLocaleTimeString('en-US', { hour12: false });
+const formatNumber = (value) => value.toLocaleString('en-US', { maximumFractionDigits: 8 });
+
+const EMPTY_DRAFT = { id: null, instrumentId: null, type: RULE_TYPES.PRICE_CROSS, venue: null, threshold: '', bandBps: '10' };
+
+const unitLabel = (type, baseCurrency) => {
+    const { unit } = RULE_DEFINITIONS[type];
+    if (unit === 'base') return baseCurrency;
+    if (unit === 'seconds') return 's';
+    return unit === 'bps' ? 'bps' : '';
+};
+
+const describeRule = (rule, baseCurrency) => {
+    const { label } = RULE_DEFINITIONS[rule.type];
+    const band = rule.type === RULE_TYPES.DEPTH_BELOW ? ` (±${formatNumber(rule.bandBps)} bps)` : '';
+    return `${label} ${formatNumber(rule.threshold)} ${unitLabel(rule.type, baseCurrency)}${band}`.trim();
+};
+
+const NotificationButton = ({ permission, onRequest }) => {
+    if (permission === 'granted') return <span className="flex items-center text-xs text-green-400"><Bell className="w-3 h-3 mr-1" />Notifications on</span>;
+    if (permission === 'denied') return <span className="flex items-center text-xs text-gray-500" title="Allow notifications for this site in the browser settings"><BellOff className="w-3 h-3 mr-1" />Notifications blocked</span>;
+    if (permission === 'unsupported') return null;
+    return (
+        <button onClick={onRequest} className="flex items-center px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white text-xs">
+            <Bell className="w-3 h-3 mr-1.5" />Enable notifications
+        </button>
+    );
+};
+
+// `alerts` is useAlerts. New rules watch one of `venues` for the selected
+// instrument; an edited rule keeps the instrument it was made for.
+const AlertsPanel = ({ alerts, venues, instrumentId }) => {
+    const { rules, addRule, updateRule, removeRule, log, clearLog, permission, requestPermission } = alerts;
+    const [draft, setDraft] = useState(EMPTY_DRAFT);
+    const [errors, setErrors] = useState({});
+    const isEditing = draft.id !== null;
+    const draftInstrument = getCanonicalInstrument(isEditing ? draft.instrumentId : instrumentId);
+    const baseCurrency = draftInstrument.base;
+    const listedVenues = venues.filter(venue => resolveSymbol(venue, draftInstrument.id));
+    const draftVenue = listedVenues.includes(draft.venue) ? draft.venue : listedVenues[0];
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setDraft(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const found = validateRule(draft);
+        setErrors(found);
+        if (Object.keys(found).length > 0 || !draftVenue) return;
+        const existing = rules.find(rule => rule.id === draft.id);
+        const rule = createRule({
+            id: existing ? existing.id : Date.now(),
+            type: draft.type,
+            venue: draftVenue,
+            instrumentId: draftInstrument.id,
+            threshold: parseFloat(draft.threshold),
+            bandBps: parseFloat(draft.bandBps),
+            enabled: existing ? existing.enabled : true,
+            updatedAt: Date.now(),
+        });
+        if (existing) updateRule(rule);
+        else addRule(rule);
+        setDraft(EMPTY_DRAFT);
+    };
+
+    const editRule = (rule) => {
+        setErrors({});
+        setDraft({ id: rule.id, instrumentId: rule.instrumentId, type: rule.type, venue: rule.venue, threshold: String(rule.threshold), bandBps: String(rule.bandBps ?? EMPTY_DRAFT.bandBps) });
+    };
+
+    return (
+        <div className="bg-gray-900 rounded-lg p-4 mt-4 space-y-3">
+            <div className="flex items-center justify-between">
+                <h3 className="text-lg font-semibold text-white">Alerts</h3>
+                <NotificationButton permission={permission} onRequest={requestPermission} />
+            </div>
+
+            <form onSubmit={handleSubmit} className="space-y-2">
+                <div className="grid grid-cols-2 gap-2">
+                    <select name="type" aria-label="Rule type" value={draft.type} onChange={handleChange} className={inputClass}>
+                        {Object.entries(RULE_DEFINITIONS).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+                    </select>
+                    <select name="venue" aria-label="Venue" value={draftVenue || ''} onChange={handleChange} disabled={listedVenues.length === 0} className={inputClass}>
+                        {listedVenues.map(venue => <option key={venue} value={venue}>{venue}</option>)}
+                    </select>
+                </div>
+                <div className="flex gap-2 items-center">
+                    <input type="number" name="threshold" aria-label="Threshold" value={draft.threshold} onChange={handleChange} className={inputClass} placeholder="Threshold" />
+                    <span className="text-xs text-gray-400 w-10">{unitLabel(draft.type, baseCurrency)}</span>
+                    {draft.type === RULE_TYPES.DEPTH_BELOW && (
+                        <>
+                            <span className="text-xs text-gray-400">±</span>
+                            <input type="number" name="bandBps" aria-label="Band (bps)" value={draft.bandBps} onChange={handleChange} className={inputClass} placeholder="Band" />
+                            <span className="text-xs text-gray-400">bps</span>
+                        </>
+                    )}
+                </div>
+                {Object.values(errors).map(error => (
+                    <p key={error} className="text-xs text-red-500 flex items-center"><AlertCircle className="w-3 h-3 mr-1.5" />{error}</p>
+                ))}
+                <div className="flex gap-2">
+                    <button type="submit" disabled={listedVenues.length === 0} className="flex items-center px-2 py-1 rounded bg-blue-600 hover:bg-blue-700 text-white text-xs disabled:opacity-40">
+                        {isEditing ? <Pencil className="w-3 h-3 mr-1.5" /> : <Plus className="w-3 h-3 mr-1.5" />}
+                        {isEditing ? 'Save rule' : `Add rule for ${draftInstrument.label}`}
+                    </button>
+                    {isEditing && (
+                        <button type="button" onClick={() => setDraft(EMPTY_DRAFT)} className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white text-xs">Cancel</button>
+                    )}
+                </div>
+            </form>
+
+            {rules.length > 0 && (
+                <ul className="space-y-1 text-xs">
+                    {rules.map(rule => {
+                        const otherInstrument = rule.instrumentId !== instrumentId;
+                        const instrument = getCanonicalInstrument(rule.instrumentId);
+                        return (
+                            <li key={rule.id} className={`flex items-center justify-between gap-2 ${draft.id === rule.id ? 'text-blue-300' : otherInstrument ? 'text-gray-500' : 'text-white'}`}>
+                                <label className="flex items-center gap-1.5 cursor-pointer">
+                                    <input type="checkbox" checked={rule.enabled} onChange={(e) => updateRule({ ...rule, enabled: e.target.checked, updatedAt: Date.now() })} />
+                                    <span>{rule.venue} {instrument.label}: {describeRule(rule, instrument.base)}</span>
+                                    {otherInstrument && rule.enabled && (
+                                        <span className="text-[10px] px-1 rounded bg-gray-800 text-gray-400" title={`Checked only while ${instrument.label} is selected`}>paused</span>
+                                    )}
+                                </label>
+                                <span className="flex gap-1">
+                                    <button onClick={() => editRule(rule)} title="Edit rule" className="p-1 rounded text-gray-300 hover:bg-gray-700"><Pencil className="w-3 h-3" /></button>
+                                    <button onClick={() => removeRule(rule.id)} title="Delete rule" className="p-1 rounded text-gray-300 hover:bg-gray-700"><Trash2 className="w-3 h-3" /></button>
+                                </span>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+            {rules.some(rule => rule.instrumentId !== instrumentId) && (
+                <p className="text-xs text-gray-500">Paused rules watch another instrument: its feeds are closed, so they are only checked while it is selected.</p>
+            )}
+
+            <div className="border-t border-gray-800 pt-2">
+                <div className="flex items-center justify-between mb-1">
+                    <span className="text-xs text-gray-400" title="Kept in local storage with the rules">Alert log</span>
+                    <button onClick={clearLog} disabled={log.length === 0} title="Clear log" className="p-1 rounded text-gray-300 hover:bg-gray-700 disabled:opacity-40"><Trash2 className="w-3 h-3" /></button>
+                </div>
+                {log.length === 0 ? (
+                    <p className="text-xs text-gray-500">Nothing has fired yet. Rules fire when their condition comes true, at most once every 30 seconds each.</p>
+                ) : (
+                    <ul className="max-h-48 overflow-y-auto space-y-0.5 text-xs">
+                        {log.map(alert => (
+                            <li key={alert.id} className="text-yellow-300">
+                                <span className="font-mono text-gray-400 mr-2">{formatTime(alert.at)}</span>
+                                {alert.message}
+                                {alert.replay && <span className="ml-1 text-[10px] px-1 rounded bg-purple-900/60 text-purple-300">replay</span>}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default AlertsPanel;
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { ALGOS, ALGO_STATUS, SLICE_STATUS, isAlgoRunning, algoSummary } from '@/lib/simulation/algo';
+
+const STATUS_STYLES = {
+    [ALGO_STATUS.RUNNING]: { label: 'Running', className: 'bg-blue-900/60 text-blue-300' },
+    [ALGO_STATUS.FILLED]: { label: 'Filled', className: 'bg-green-900/60 text-green-300' },
+    [ALGO_STATUS.ENDED]: { label: 'Ended Unfilled', className: 'bg-yellow-900/60 text-yellow-300' },
+    [ALGO_STATUS.CANCELLED]: { label: 'Cancelled', className: 'bg-gray-800 text-gray-400' },
+};
+
+const SLICE_STYLES = {
+    [SLICE_STATUS.SCHEDULED]: 'text-gray-500',
+    [SLICE_STATUS.WORKING]: 'text-blue-300',
+    [SLICE_STATUS.FILLED]: 'text-green-400',
+    [SLICE_STATUS.PARTIAL]: 'text-yellow-300',
+    [SLICE_STATUS.MISSED]: 'text-red-400',
+    [SLICE_STATUS.SKIPPED]: 'text-gray-500',
+};
+
+const formatPrice = (price) => (price === null ? '—' : price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+const formatBps = (bps) => (bps === null ? '—' : `${bps.toFixed(2)} bps`);
+
+// Times are relative to the start of the algorithm, as m:ss
+const formatOffset = (ms) => {
+    const seconds = Math.max(Math.round(ms / 1000), 0);
+    return `+${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const describe = (order) => {
+    const limit = order.limitPrice === null ? '' : ` limit ${formatPrice(order.limitPrice)}`;
+    if (order.algo === ALGOS.ICEBERG) return `Iceberg, ${order.clipSize} clips at ${formatPrice(order.limitPrice)}`;
+    if (order.algo === ALGOS.POV) return `POV ${(order.participation * 100).toFixed(1)}% for up to ${order.durationMs / 60000} min${limit}`;
+    return `${order.algo}, ${order.sliceCount} slices over ${order.durationMs / 60000} min${limit}`;
+};
+
+const MetricRow = ({ label, value, className = 'text-white' }) => (
+    <div className="flex justify-between">
+        <span className="text-gray-400">{label}:</span>
+        <span className={`font-mono ${className}`}>{value}</span>
+    </div>
+);
+
+// Shortfall is a cost, so a lower number is better
+const shortfallClass = (bps) => {
+    if (bps === null) return 'text-white';
+    return bps > 0 ? 'text-red-400' : 'text-green-400';
+};
+
+const AlgoExecutionPanel = ({ order, baseCurrency, onCancel }) => {
+    const [isClient, setIsClient] = useState(false);
+
+    useEffect(() => {
+        setIsClient(true);
+    }, []);
+
+    if (!order) {
+        return (
+            <div className="bg-gray-900 rounded-lg p-4 mt-4 text-center text-gray-500">
+                <p>Start an execution algorithm to see its schedule and fills.</p>
+            </div>
+        );
+    }
+
+    const status = STATUS_STYLES[order.status];
+    const summary = algoSummary(order);
+    const { benchmark } = summary;
+    const timeline = order.slices.map(slice => ({
+        time: formatOffset(slice.scheduledAt - order.startedAt),
+        planned: slice.targetQty,
+        filled: slice.filledQty,
+        avgPrice: slice.avgPrice,
+    }));
+
+    return (
+        <div className="bg-gray-900 rounded-lg p-4 mt-4 space-y-3">
+            <div className="flex items-center justify-between">
+                <h3 className="text-lg font-semibold text-white">Algo Execution</h3>
+                <span className={`text-xs px-2 py-0.5 rounded ${status.className}`}>{status.label}</span>
+            </div>
+            <p className="text-xs text-gray-400">
+                <span className={order.side === 'Buy' ? 'text-green-400' : 'text-red-400'}>{order.side} {order.quantity.toFixed(4)} {baseCurrency}</span> on {order.venue}: {describe(order)}
+            </p>
+
+            <div className="w-full bg-gray-800 rounded-full h-1.5">
+                <div className="bg-blue-500 h-1.5 rounded-full" style={{ width: `${summary.fillPercent}%` }}></div>
+            </div>
+
+            <div className="text-sm space-y-2">
+                <MetricRow label="Filled / Remaining" value={`${summary.filledQty.toFixed(4)} / ${summary.remainingQty.toFixed(4)}`} />
+                <MetricRow label="Arrival Mid" value={formatPrice(summary.arrivalMid)} />
+                <MetricRow label="Realised Avg Price" value={formatPrice(summary.avgPrice)} />
+                <MetricRow label="Implementation Shortfall" value={summary.shortfallCost === null ? '—' : `${formatBps(summary.shortfallBps)} ($${summary.shortfallCost.toFixed(2)})`} className={shortfallClass(summary.shortfallBps)} />
+                <MetricRow label="Fees (est.)" value={`$${summary.fees.toFixed(2)}`} />
+            </div>
+
+            <div className="bg-gray-800/50 rounded p-2 text-sm space-y-1">
+                <div className="text-xs text-gray-400">One market order for the full size at arrival</div>
+                <MetricRow label="Avg Price" value={`${formatPrice(benchmark.avgPrice)}${benchmark.filledQty < order.quantity ? ` (${benchmark.filledQty.toFixed(4)} filled)` : ''}`} />
+                <MetricRow label="Shortfall" value={formatBps(benchmark.shortfallBps)} className={shortfallClass(benchmark.shortfallBps)} />
+                <MetricRow label="Taker Fees (est.)" value={`$${benchmark.fees.toFixed(2)}`} />
+                {summary.improvementBps !== null && (
+                    <MetricRow
+                        label={summary.improvementBps >= 0 ? 'Algo Saved' : 'Algo Cost Extra'}
+                        value={formatBps(Math.abs(summary.improvementBps))}
+                        className={summary.improvementBps >= 0 ? 'text-green-400' : 'text-red-400'}
+                    />
+                )}
+            </div>
+
+            {isClient && timeline.length > 0 && (
+                <div className="h-40">
+                    <ResponsiveContainer width="100%" height="100%">
+                        <ComposedChart data={timeline} margin={{ top: 4, right: 4, left: 0, bottom: 0 }}>
+                            <XAxis dataKey="time" tick={{ fill: '#6B7280', fontSize: 10 }} />
+                            <YAxis yAxisId="qty" tick={{ fill: '#6B7280', fontSize: 10 }} width={40} />
+                            <YAxis yAxisId="price" orientation="right" domain={['auto', 'auto']} tick={{ fill: '#6B7280', fontSize: 10 }} width={56} />
+                            <Tooltip
+                                contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #4B5563', borderRadius: '0.5rem', fontSize: 12 }}
+                                labelStyle={{ color: '#F9FAFB' }}
+                                formatter={(value, name) => [name === 'avgPrice' ? formatPrice(value) : value.toFixed(4), name === 'avgPrice' ? 'Avg price' : name === 'planned' ? 'Planned' : 'Filled']}
+                            />
+                            <Bar yAxisId="qty" dataKey="planned" fill="#374151" isAnimationActive={false} />
+                            <Bar yAxisId="qty" dataKey="filled" fill="#3B82F6" isAnimationActive={false} />
+                            <Line yAxisId="price" dataKey="avgPrice" stroke="#F59E0B" dot={{ r: 2 }} connectNulls isAnimationActive={false} />
+                            {summary.arrivalMid !== null && <ReferenceLine yAxisId="price" y={summary.arrivalMid} stroke="#9CA3AF" strokeDasharray="3 3" />}
+                        </ComposedChart>
+                    </ResponsiveContainer>
+                </div>
+            )}
+
+            {order.slices.length > 0 && (
+                <div className="max-h-48 overflow-y-auto">
+                    <table className="w-full text-xs">
+                        <thead>
+                            <tr className="text-gray-500">
+                                <th className="text-left p-1 font-normal">Time</th>
+                                <th className="text-right p-1 font-normal">Target</th>
+                                <th className="text-right p-1 font-normal">Filled</th>
+                                <th className="text-right p-1 font-normal">Avg Price</th>
+                                <th className="text-right p-1 font-normal">Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {order.slices.map(slice => (
+                                <tr key={slice.index} className="text-white font-mono">
+                                    <td className="p-1" title={slice.executedAt !== null ? `Sent at ${formatOffset(slice.executedAt - order.startedAt)}` : ''}>{formatOffset(slice.scheduledAt - order.startedAt)}</td>
+                                    <td className="p-1 text-right">{slice.targetQty.toFixed(4)}</td>
+                                    <td className="p-1 text-right">{slice.filledQty.toFixed(4)}</td>
+                                    <td className="p-1 text-right">{formatPrice(slice.avgPrice)}</td>
+                                    <td className={`p-1 text-right capitalize ${SLICE_STYLES[slice.status]}`}>{slice.status}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <p className="text-xs text-gray-500">
+                Children fill against the book as it is when they are sent; the simulated book does not remember what earlier children took.
+                {order.algo === ALGOS.POV && ' Participation is measured against the venue\'s public trades since arrival.'}
+            </p>
+
+            {isAlgoRunning(order) && (
+                <button type="button" onClick={onCancel} className="w-full bg-gray-700 hover:bg-gray-600 text-white text-sm font-bold py-2 px-4 rounded-md transition-colors">Cancel Algo</button>
+            )}
+        </div>
+    );
+};
+
+export default AlgoExecutionPanel;
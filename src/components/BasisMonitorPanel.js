@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { getVenue } from '@/lib/venues';
+import { seriesByTime } from '@/lib/analytics/microstructure';
+
+const WINDOWS = [
+    { label: '1m', ms: 60 * 1000 },
+    { label: '5m', ms: 5 * 60 * 1000 },
+    { label: '15m', ms: 15 * 60 * 1000 },
+];
+
+// Pairs have no venue colour of their own
+const PAIR_COLORS = ['#F59E0B', '#22D3EE', '#A78BFA', '#F472B6', '#34D399', '#FB7185'];
+
+const formatPrice = (price) => (price === null || price === undefined ? '—' : price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+const formatNumber = (value, digits) => (value === null || value === undefined ? '—' : value.toFixed(digits));
+const formatPercent = (value, digits) => (value === null || value === undefined ? '—' : `${(value * 100).toFixed(digits)}%`);
+const formatClock = (t) => new Date(t).toLocaleTimeString('en-US', { hour12: false });
+const signClass = (value) => {
+    if (value === null || value === undefined || value === 0) return 'text-white';
+    return value > 0 ? 'text-green-400' : 'text-red-400';
+};
+
+const Selector = ({ options, value, onChange, format = (option) => option }) => (
+    <div className="flex gap-1">
+        {options.map(option => (
+            <button
+                key={option}
+                onClick={() => onChange(option)}
+                className={`px-2 py-0.5 text-xs rounded ${value === option ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-400 hover:bg-gray-700'}`}
+            >
+                {format(option)}
+            </button>
+        ))}
+    </div>
+);
+
+// `lines` is [{ key, color }], one per column of `data`
+const HistoryChart = ({ title, data, lines, digits, format = (value) => value.toFixed(digits) }) => (
+    <div className="bg-gray-800/50 rounded p-2">
+        <div className="text-xs text-gray-400 mb-1">{title}</div>
+        <div className="h-32">
+            <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={data} margin={{ top: 4, right: 8, left: 0, bottom: 0 }}>
+                    <XAxis dataKey="t" type="number" domain={['dataMin', 'dataMax']} tickFormatter={formatClock} tick={{ fill: '#6B7280', fontSize: 10 }} minTickGap={40} />
+                    <YAxis domain={['auto', 'auto']} tick={{ fill: '#6B7280', fontSize: 10 }} tickFormatter={format} width={48} />
+                    <Tooltip
+                        contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #4B5563', borderRadius: '0.5rem', fontSize: 12 }}
+                        labelStyle={{ color: '#F9FAFB' }}
+                        labelFormatter={formatClock}
+                        formatter={(value, name) => [format(value), name]}
+                    />
+                    <ReferenceLine y={0} stroke="#4B5563" strokeDasharray="3 3" />
+                    {lines.map(line => (
+                        <Line key={line.key} type="monotone" dataKey={line.key} stroke={line.color} strokeWidth={1.5} dot={false} isAnimationActive={false} connectNulls={false} />
+                    ))}
+                </LineChart>
+            </ResponsiveContainer>
+        </div>
+    </div>
+);
+
+// `monitor` is basisMonitor of the cross venues (see lib/analytics/basis), or
+// null while the monitor is off; `history` is from useBasisHistory
+const BasisMonitorPanel = ({ monitor, history, enabled, onEnabledChange, baseCurrency }) => {
+    const [isClient, setIsClient] = useState(false);
+    const [windowMs, setWindowMs] = useState(WINDOWS[0].ms);
+
+    useEffect(() => {
+        setIsClient(true);
+    }, []);
+
+    const historyVenues = Object.keys(history.venues);
+    const pairKeys = Object.keys(history.pairs);
+    const latestT = Math.max(...[...Object.values(history.venues), ...Object.values(history.pairs)].map(samples => samples[samples.length - 1].t), 0);
+    const since = latestT - windowMs;
+
+    const charts = useMemo(() => ({
+        basis: seriesByTime(history.venues, since, sample => sample.basisBps),
+        funding: seriesByTime(history.venues, since, sample => sample.annualisedFunding),
+        edge: seriesByTime(history.pairs, since, sample => sample.edgeBps),
+    }), [history, since]);
+
+    const venueLines = historyVenues.map(venue => ({ key: venue, color: getVenue(venue)?.color || '#9CA3AF' }));
+    const pairLines = pairKeys.map((key, i) => ({ key, color: PAIR_COLORS[i % PAIR_COLORS.length] }));
+    const rows = monitor ? Object.values(monitor.venues) : [];
+    const executable = monitor ? monitor.pairs.filter(pair => pair.executable) : [];
+
+    return (
+        <div className="bg-gray-900 rounded-lg p-4 mt-4 space-y-3">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+                <h3 className="text-lg font-semibold text-white">Basis & Funding</h3>
+                <div className="flex flex-wrap items-center gap-3">
+                    <label className="flex items-center text-xs text-gray-400 cursor-pointer">
+                        <input type="checkbox" checked={enabled} onChange={(e) => onEnabledChange(e.target.checked)} className="mr-1.5" />
+                        Monitor
+                    </label>
+                    {enabled && <Selector options={WINDOWS.map(w => w.ms)} value={windowMs} onChange={setWindowMs} format={(ms) => WINDOWS.find(w => w.ms === ms).label} />}
+                </div>
+            </div>
+
+            {!enabled ? (
+                <p className="text-xs text-gray-500">Keeps every venue live to compare perpetuals with spot: basis, mark premium and funding per venue, and the cross-venue spread net of taker fees, with arbitrage flagged when the touch on one venue crosses another&apos;s.</p>
+            ) : rows.length < 2 ? (
+                <p className="text-center text-gray-500 text-sm py-6">The basis monitor needs the instrument on at least two venues.</p>
+            ) : (
+                <>
+                    <table className="w-full text-xs font-mono">
+                        <thead>
+                            <tr className="text-gray-500">
+                                <th className="text-left p-1 font-normal">Venue</th>
+                                <th className="text-right p-1 font-normal">Mid</th>
+                                <th className="text-right p-1 font-normal">Mark</th>
+                                <th className="text-right p-1 font-normal">Index</th>
+                                <th className="text-right p-1 font-normal">Basis bps</th>
+                                <th className="text-right p-1 font-normal">Funding</th>
+                                <th className="text-right p-1 font-normal">Annualised</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map(row => (
+                                <tr key={row.venue} className="text-white">
+                                    <td className="p-1">
+                                        <span className="inline-block w-2 h-2 rounded-full mr-1.5" style={{ backgroundColor: getVenue(row.venue)?.color || '#9CA3AF' }}></span>
+                                        {row.venue} <span className="text-gray-500">{row.kind}</span>
+                                    </td>
+                                    <td className="p-1 text-right">{formatPrice(row.mid)}</td>
+                                    <td className="p-1 text-right" title={row.premiumBps === null ? undefined : `${formatNumber(row.premiumBps, 2)} bps to the index`}>{formatPrice(row.markPrice)}</td>
+                                    <td className="p-1 text-right">{formatPrice(row.indexPrice)}</td>
+                                    <td className={`p-1 text-right ${signClass(row.basisBps)}`}>{formatNumber(row.basisBps, 2)}</td>
+                                    <td className={`p-1 text-right ${signClass(row.fundingRate)}`} title={row.fundingRate === null ? undefined : `every ${row.fundingIntervalHours}h`}>{formatPercent(row.fundingRate, 4)}</td>
+                                    <td className={`p-1 text-right ${signClass(row.annualisedFunding)}`}>{formatPercent(row.annualisedFunding, 2)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <p className="text-xs text-gray-500">
+                        Spot reference {formatPrice(monitor.spot)}{monitor.spotSource === 'index' ? ' (perp index, no spot venue open)' : ''}. Basis is the perp mid over it; funding is per interval and annualised without compounding.
+                    </p>
+
+                    {monitor.pairs.length > 0 && (
+                        <table className="w-full text-xs font-mono">
+                            <thead>
+                                <tr className="text-gray-500">
+                                    <th className="text-left p-1 font-normal">Buy → Sell</th>
+                                    <th className="text-right p-1 font-normal">Mid spread bps</th>
+                                    <th className="text-right p-1 font-normal">Net of fees</th>
+                                    <th className="text-right p-1 font-normal">Touch edge bps</th>
+                                    <th className="text-right p-1 font-normal">Size ({baseCurrency})</th>
+                                    <th className="text-right p-1 font-normal">Profit</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {monitor.pairs.map(pair => (
+                                    <tr key={pair.key} className={pair.executable ? 'bg-green-900/40 text-green-300' : 'text-white'}>
+                                        <td className="p-1">{pair.buyVenue} {formatPrice(pair.buyPrice)} → {pair.sellVenue} {formatPrice(pair.sellPrice)}</td>
+                                        <td className="p-1 text-right">{formatNumber(pair.midSpreadBps, 2)}</td>
+                                        <td className={`p-1 text-right ${pair.executable ? '' : signClass(pair.netMidSpreadBps)}`}>{formatNumber(pair.netMidSpreadBps, 2)}</td>
+                                        <td className={`p-1 text-right ${pair.executable ? '' : signClass(pair.edgeBps)}`}>{formatNumber(pair.edgeBps, 2)}</td>
+                                        <td className="p-1 text-right">{formatNumber(pair.size, 4)}</td>
+                                        <td className="p-1 text-right">{pair.executable ? `$${pair.profit.toFixed(2)}` : '—'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                    {executable.length > 0 && (
+                        <p className="text-xs text-green-300">
+                            Executable: {executable.map(pair => `buy ${pair.buyVenue}, sell ${pair.sellVenue} for ${formatNumber(pair.size, 4)} ${baseCurrency}`).join('; ')}, at the sizes shown at the touch.
+                        </p>
+                    )}
+
+                    {isClient && historyVenues.length > 0 && (
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                            <HistoryChart title="Perp basis to spot (bps)" data={charts.basis} lines={venueLines} digits={2} />
+                            <HistoryChart title="Annualised funding" data={charts.funding} lines={venueLines} format={(value) => formatPercent(value, 2)} />
+                            <HistoryChart title="Touch edge net of fees (bps)" data={charts.edge} lines={pairLines} digits={2} />
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default BasisMonitorPanel;
@@ -0,0 +1,136 @@
+import React from 'react';
+import { Download, Trash2 } from 'lucide-react';
+import { ENTRY_STATUS } from '@/lib/blotter/blotter';
+
+const STATUS_STYLES = {
+    [ENTRY_STATUS.WORKING]: 'text-blue-300',
+    [ENTRY_STATUS.FILLED]: 'text-green-400',
+    [ENTRY_STATUS.PARTIAL]: 'text-yellow-300',
+    [ENTRY_STATUS.UNFILLED]: 'text-gray-500',
+    [ENTRY_STATUS.CANCELLED]: 'text-gray-500',
+};
+
+const formatPrice = (price) => (price === null ? '—' : price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+const formatPnl = (pnl) => (pnl === null ? '—' : `${pnl < 0 ? '-' : ''}$${Math.abs(pnl).toFixed(2)}`);
+const pnlClass = (pnl) => {
+    if (pnl === null || Math.abs(pnl) < 0.005) return 'text-white';
+    return pnl > 0 ? 'text-green-400' : 'text-red-400';
+};
+const formatTime = (ms) => new Date(ms).toLocaleTimeString('en-US', { hour12: false });
+
+const ReplayBadge = () => <span className="ml-1 text-[10px] px-1 rounded bg-purple-900/60 text-purple-300">replay</span>;
+
+const Total = ({ label, value }) => (
+    <div className="bg-gray-800/50 rounded p-2">
+        <div className="text-xs text-gray-400">{label}</div>
+        <div className={`font-mono ${pnlClass(value)}`}>{formatPnl(value)}</div>
+    </div>
+);
+
+// `positions` are marked to the live mid of their venue (see markPositions);
+// `totals` is blotterTotals of them
+const BlotterPanel = ({ entries, positions, totals, onExport, onClear }) => {
+    const handleClear = () => {
+        if (window.confirm('Clear every simulated order and position from the blotter?')) onClear();
+    };
+
+    return (
+        <div className="bg-gray-900 rounded-lg p-4 mt-4 space-y-3">
+            <div className="flex items-center justify-between">
+                <h3 className="text-lg font-semibold text-white">Paper Blotter</h3>
+                <div className="flex gap-2">
+                    <button onClick={() => onExport('csv')} disabled={entries.length === 0} className="flex items-center px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white text-xs disabled:opacity-40">
+                        <Download className="w-3 h-3 mr-1.5" />CSV
+                    </button>
+                    <button onClick={() => onExport('json')} disabled={entries.length === 0} className="flex items-center px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white text-xs disabled:opacity-40">
+                        <Download className="w-3 h-3 mr-1.5" />JSON
+                    </button>
+                    <button onClick={handleClear} disabled={entries.length === 0} title="Clear blotter" className="p-1 rounded text-gray-300 hover:bg-gray-700 disabled:opacity-40">
+                        <Trash2 className="w-4 h-4" />
+                    </button>
+                </div>
+            </div>
+
+            {entries.length === 0 ? (
+                <p className="text-xs text-gray-500">Simulated orders and their fills are kept here, with a paper position per venue and symbol marked to the live mid.</p>
+            ) : (
+                <>
+                    <div className="grid grid-cols-4 gap-2 text-sm">
+                        <Total label="Realised" value={totals.realised} />
+                        <Total label="Unrealised" value={totals.unrealised} />
+                        <Total label="Fees (est.)" value={-totals.fees} />
+                        <Total label="Net PnL" value={totals.net} />
+                    </div>
+                    {totals.unmarked > 0 && (
+                        <p className="text-xs text-yellow-300">{totals.unmarked} open position{totals.unmarked === 1 ? ' is' : 's are'} not marked: their feed is not open for the selected instrument, or they were opened in a replay.</p>
+                    )}
+
+                    {positions.length > 0 && (
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-xs">
+                                <thead>
+                                    <tr className="text-gray-500">
+                                        <th className="text-left p-1 font-normal">Position</th>
+                                        <th className="text-right p-1 font-normal">Qty</th>
+                                        <th className="text-right p-1 font-normal">Avg Entry</th>
+                                        <th className="text-right p-1 font-normal">Mark</th>
+                                        <th className="text-right p-1 font-normal">Unrealised</th>
+                                        <th className="text-right p-1 font-normal">Realised</th>
+                                        <th className="text-right p-1 font-normal">Fees</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {positions.map(position => (
+                                        <tr key={position.key} className="text-white font-mono">
+                                            <td className="p-1 font-sans">{position.venue} {position.symbol}{position.replay && <ReplayBadge />}</td>
+                                            <td className={`p-1 text-right ${position.quantity > 0 ? 'text-green-400' : position.quantity < 0 ? 'text-red-400' : 'text-gray-500'}`}>{position.quantity.toFixed(4)}</td>
+                                            <td className="p-1 text-right">{formatPrice(position.avgEntry)}</td>
+                                            <td className="p-1 text-right">{formatPrice(position.mark)}</td>
+                                            <td className={`p-1 text-right ${pnlClass(position.unrealised)}`}>{formatPnl(position.unrealised)}</td>
+                                            <td className={`p-1 text-right ${pnlClass(position.realised)}`}>{formatPnl(position.realised)}</td>
+                                            <td className="p-1 text-right">{formatPnl(position.fees)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    <div className="max-h-64 overflow-y-auto">
+                        <table className="w-full text-xs">
+                            <thead>
+                                <tr className="text-gray-500">
+                                    <th className="text-left p-1 font-normal">Time</th>
+                                    <th className="text-left p-1 font-normal">Order</th>
+                                    <th className="text-right p-1 font-normal">Filled / Qty</th>
+                                    <th className="text-right p-1 font-normal">Avg Price</th>
+                                    <th className="text-right p-1 font-normal">Status</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {entries.map(entry => (
+                                    <tr key={entry.id} className="text-white">
+                                        <td className="p-1 font-mono text-gray-400">{formatTime(entry.createdAt)}</td>
+                                        <td className="p-1">
+                                            <span className={entry.side === 'Buy' ? 'text-green-400' : 'text-red-400'}>{entry.side}</span>
+                                            {' '}{entry.execution !== 'None' ? entry.execution : entry.orderType}
+                                            {entry.limitPrice !== null && ` @ ${formatPrice(entry.limitPrice)}`}
+                                            <span className="text-gray-500"> · {entry.venue}{entry.symbol ? ` ${entry.symbol}` : ''}</span>
+                                            {entry.replay && <ReplayBadge />}
+                                        </td>
+                                        <td className="p-1 text-right font-mono">{entry.filledQty.toFixed(4)} / {entry.quantity.toFixed(4)}</td>
+                                        <td className="p-1 text-right font-mono">{formatPrice(entry.avgPrice)}</td>
+                                        <td className={`p-1 text-right capitalize ${STATUS_STYLES[entry.status]}`}>{entry.status}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <p className="text-xs text-gray-500">PnL is in the quote currency, linear in the base size. Fills are simulated against the public book and trades; fees use each venue&apos;s default rates.</p>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default BlotterPanel;
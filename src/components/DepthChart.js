@@ -0,0 +1,92 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { AreaChart, Area, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import { depthCurve, levelsInRange } from '@/lib/orderbook/levels';
+
+// Ranges offered by the range selector: a number of levels per side, or a band around the mid
+export const DEPTH_CHART_RANGES = [
+    { mode: 'levels', value: 25 },
+    { mode: 'levels', value: 50 },
+    { mode: 'levels', value: 100 },
+    { mode: 'levels', value: 200 },
+    { mode: 'percent', value: 0.1 },
+    { mode: 'percent', value: 0.5 },
+    { mode: 'percent', value: 1 },
+    { mode: 'percent', value: 5 },
+];
+
+const rangeKey = ({ mode, value }) => `${mode}:${value}`;
+const rangeLabel = ({ mode, value }) => (mode === 'levels' ? `${value} levels` : `±${value}%`);
+
+// `curve` is the depthCurve for `range` when already computed, as the feed worker does (see lib/orderbook/view)
+const DepthChart = ({ bids, asks, curve, sizeLabel, range = DEPTH_CHART_RANGES[1], onRangeChange, precision = { price: 2, size: 4 } }) => {
+    const [isClient, setIsClient] = useState(false);
+
+    useEffect(() => {
+        setIsClient(true);
+    }, []);
+
+    const chartData = useMemo(() => {
+        if (curve) return curve;
+        const plotted = levelsInRange(bids, asks, range);
+        return depthCurve(plotted.bids, plotted.asks, Infinity);
+    }, [curve, bids, asks, range]);
+
+    const rangeSelect = onRangeChange && (
+        <select
+            value={rangeKey(range)}
+            onChange={(e) => onRangeChange(DEPTH_CHART_RANGES.find(option => rangeKey(option) === e.target.value))}
+            className="bg-gray-800 border border-gray-700 rounded-md px-1.5 py-1 text-xs text-gray-300 focus:outline-none focus:ring-1 focus:ring-blue-500"
+        >
+            {DEPTH_CHART_RANGES.map(option => <option key={rangeKey(option)} value={rangeKey(option)}>{rangeLabel(option)}</option>)}
+        </select>
+    );
+
+    // Render placeholder if there's no valid data to display
+    if (!isClient || chartData.bids.length === 0 || chartData.asks.length === 0) {
+        return (
+            <div className="bg-gray-900 rounded-lg p-4 mt-4 h-64 flex flex-col items-center justify-center gap-2">
+                <p className="text-gray-500">Waiting for data to render depth chart...</p>
+                {isClient && rangeSelect}
+            </div>
+        );
+    }
+
+    const priceDomain = [chartData.bids[0].price, chartData.asks[chartData.asks.length - 1].price];
+
+    return (
+        <div className="bg-gray-900 rounded-lg p-4 mt-4 h-64">
+            <div className="flex items-center justify-between mb-2">
+                <h3 className="text-lg font-semibold text-white">Market Depth</h3>
+                {rangeSelect}
+            </div>
+            <ResponsiveContainer width="100%" height="100%">
+                <AreaChart margin={{ top: 5, right: 20, left: 20, bottom: 20 }}>
+                    <defs>
+                        <linearGradient id="colorBid" x1="0" y1="0" x2="0" y2="1">
+                            <stop offset="5%" stopColor="#10B981" stopOpacity={0.4}/>
+                            <stop offset="95%" stopColor="#10B981" stopOpacity={0}/>
+                        </linearGradient>
+                        <linearGradient id="colorAsk" x1="0" y1="0" x2="0" y2="1">
+                            <stop offset="5%" stopColor="#EF4444" stopOpacity={0.4}/>
+                            <stop offset="95%" stopColor="#EF4444" stopOpacity={0}/>
+                        </linearGradient>
+                    </defs>
+                    <XAxis dataKey="price" type="number" domain={priceDomain} tick={{ fill: '#9CA3AF', fontSize: 12 }} tickFormatter={(val) => val.toLocaleString('en-US', { maximumFractionDigits: precision.price })} allowDataOverflow />
+                    <YAxis orientation="right" tick={{ fill: '#9CA3AF', fontSize: 12 }} tickFormatter={(val) => val.toFixed(Math.min(precision.size, 2))} />
+                    <Tooltip
+                        contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #4B5563', borderRadius: '0.5rem' }}
+                        labelStyle={{ color: '#F9FAFB' }}
+                        labelFormatter={(price) => price.toLocaleString('en-US', { minimumFractionDigits: precision.price, maximumFractionDigits: precision.price })}
+                        formatter={(value, name) => [`${value.toFixed(precision.size)} ${sizeLabel}`, name]}
+                    />
+                    <Legend wrapperStyle={{ color: '#9CA3AF', paddingTop: '10px' }} />
+                    <Area type="step" dataKey="size" data={chartData.bids} stroke="#10B981" fill="url(#colorBid)" name="Bids" />
+                    <Area type="step" dataKey="size" data={chartData.asks} stroke="#EF4444" fill="url(#colorAsk)" name="Asks" />
+                </AreaChart>
+            </ResponsiveContainer>
+        </div>
+    );
+};
+
+
+export default DepthChart;
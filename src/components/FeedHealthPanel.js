@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { AlertCircle } from 'lucide-react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { getVenue } from '@/lib/venues';
+
+const formatMs = (ms) => (ms === null || ms === undefined ? '—' : `${Math.round(ms)}`);
+const formatClock = (t) => new Date(t).toLocaleTimeString('en-US', { hour12: false });
+const bucketLabel = (upTo, previous) => (upTo === Infinity ? `>${previous}` : `≤${upTo}`);
+
+const ThresholdInput = ({ label, unit, value, onChange }) => (
+    <label className="flex items-center gap-1.5 text-xs text-gray-400">
+        {label}
+        <input
+            type="number"
+            min="0"
+            value={value}
+            onChange={(e) => {
+                const next = parseFloat(e.target.value);
+                if (!isNaN(next) && next >= 0) onChange(next);
+            }}
+            className="w-16 bg-gray-800 border border-gray-700 rounded-md px-1.5 py-0.5 text-xs text-gray-200 focus:outline-none focus:ring-1 focus:ring-blue-500"
+        />
+        {unit}
+    </label>
+);
+
+// One row per latency bucket with each venue's share of its samples, so busy
+// and quiet venues compare; null until some venue has latency samples
+const latencyShares = (health, venues) => {
+    const withLatency = venues.filter(venue => health[venue].latency.count > 0);
+    if (withLatency.length === 0) return null;
+    const buckets = health[withLatency[0]].latency.histogram;
+    return buckets.map(({ upTo }, i) => {
+        const row = { bucket: bucketLabel(upTo, buckets[i - 1]?.upTo) };
+        for (const venue of withLatency) {
+            const { count, histogram } = health[venue].latency;
+            row[venue] = (histogram[i].count / count) * 100;
+        }
+        return row;
+    });
+};
+
+// `health` is { [venue]: snapshot } from useOrderbookFeeds (see lib/feed/health.js)
+// and `alerts` the healthAlerts for each venue against `thresholds`.
+const FeedHealthPanel = ({ venues, health, alerts, thresholds, onThresholdsChange, isReplaying }) => {
+    const [isClient, setIsClient] = useState(false);
+
+    useEffect(() => {
+        setIsClient(true);
+    }, []);
+
+    const shownVenues = venues.filter(venue => health[venue]);
+
+    const histogram = latencyShares(health, shownVenues);
+
+    const raised = shownVenues.flatMap(venue => (alerts[venue] || []).map(alert => ({ venue, ...alert })));
+
+    return (
+        <div className="bg-gray-900 rounded-lg p-4 mt-4 space-y-3">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+                <h3 className="text-lg font-semibold text-white">Feed Health</h3>
+                <div className="flex flex-wrap items-center gap-3">
+                    <span className="text-xs text-gray-500">Alert when</span>
+                    <ThresholdInput label="p90 latency >" unit="ms" value={thresholds.latencyMs} onChange={(latencyMs) => onThresholdsChange({ ...thresholds, latencyMs })} />
+                    <ThresholdInput label="gaps >" unit="/min" value={thresholds.gapsPerMinute} onChange={(gapsPerMinute) => onThresholdsChange({ ...thresholds, gapsPerMinute })} />
+                </div>
+            </div>
+
+            {raised.length > 0 && (
+                <div className="p-2 bg-amber-900/40 border border-amber-700 rounded-md text-amber-300 text-xs space-y-0.5">
+                    {raised.map(({ venue, kind, message }) => (
+                        <div key={`${venue}-${kind}`} className="flex items-center">
+                            <AlertCircle className="w-3 h-3 mr-1 flex-shrink-0" />
+                            <span>{venue}: {message}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {shownVenues.length === 0 ? (
+                <p className="text-center text-gray-500 text-sm py-6">No open feeds.</p>
+            ) : (
+                <>
+                    <table className="w-full text-xs font-mono">
+                        <thead>
+                            <tr className="text-gray-500">
+                                <th className="text-left p-1 font-normal">Venue</th>
+                                <th className="text-right p-1 font-normal">Msgs/s</th>
+                                <th className="text-right p-1 font-normal">p50 ms</th>
+                                <th className="text-right p-1 font-normal">p90 ms</th>
+                                <th className="text-right p-1 font-normal">p99 ms</th>
+                                <th className="text-right p-1 font-normal">Max ms</th>
+                                <th className="text-right p-1 font-normal">Gaps 1m / total</th>
+                                <th className="text-right p-1 font-normal">Reconnects</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {shownVenues.map(venue => {
+                                const { messageRate, latency, resyncs, reconnects } = health[venue];
+                                const lastReconnect = reconnects.history[reconnects.history.length - 1];
+                                const flagged = (kind) => (alerts[venue] || []).some(alert => alert.kind === kind);
+                                return (
+                                    <tr key={venue} className="text-white">
+                                        <td className="p-1">
+                                            <span className="inline-block w-2 h-2 rounded-full mr-1.5" style={{ backgroundColor: getVenue(venue)?.color || '#9CA3AF' }}></span>
+                                            {venue}
+                                        </td>
+                                        <td className="p-1 text-right">{messageRate.toFixed(1)}</td>
+                                        <td className="p-1 text-right">{formatMs(latency.p50)}</td>
+                                        <td className={`p-1 text-right ${flagged('latency') ? 'text-amber-300' : ''}`}>{formatMs(latency.p90)}</td>
+                                        <td className="p-1 text-right">{formatMs(latency.p99)}</td>
+                                        <td className="p-1 text-right">{formatMs(latency.max)}</td>
+                                        <td
+                                            className={`p-1 text-right ${flagged('gaps') ? 'text-amber-300' : ''}`}
+                                            title={resyncs.last ? `Last resync ${formatClock(resyncs.last.at)}: ${resyncs.last.reason}` : 'No resyncs'}
+                                        >
+                                            {resyncs.inWindow} / {resyncs.total}
+                                        </td>
+                                        <td
+                                            className="p-1 text-right"
+                                            title={reconnects.history.map(({ at, attempt }) => `${formatClock(at)} (attempt ${attempt})`).join('\n') || 'No reconnects'}
+                                        >
+                                            {reconnects.total}{lastReconnect && <span className="text-gray-500"> · {formatClock(lastReconnect.at)}</span>}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                    <p className="text-xs text-gray-500">
+                        {isReplaying
+                            ? 'Latency is not measured while replaying a recording.'
+                            : 'Latency is receive time minus the exchange timestamp over the last minute, including any clock offset. Binance depth and some snapshots carry no timestamp.'}
+                    </p>
+
+                    {isClient && histogram && (
+                        <div className="bg-gray-800/50 rounded p-2">
+                            <div className="text-xs text-gray-400 mb-1">Latency distribution (% of messages, ms)</div>
+                            <div className="h-32">
+                                <ResponsiveContainer width="100%" height="100%">
+                                    <BarChart data={histogram} margin={{ top: 4, right: 8, left: 0, bottom: 0 }}>
+                                        <XAxis dataKey="bucket" tick={{ fill: '#6B7280', fontSize: 10 }} />
+                                        <YAxis tick={{ fill: '#6B7280', fontSize: 10 }} tickFormatter={(value) => `${value.toFixed(0)}%`} width={36} />
+                                        <Tooltip
+                                            contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #4B5563', borderRadius: '0.5rem', fontSize: 12 }}
+                                            labelStyle={{ color: '#F9FAFB' }}
+                                            formatter={(value, name) => [`${value.toFixed(1)}%`, name]}
+                                        />
+                                        {Object.keys(histogram[0]).filter(key => key !== 'bucket').map(venue => (
+                                            <Bar key={venue} dataKey={venue} fill={getVenue(venue)?.color || '#9CA3AF'} isAnimationActive={false} />
+                                        ))}
+                                    </BarChart>
+                                </ResponsiveContainer>
+                            </div>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default FeedHealthPanel;
@@ -0,0 +1,263 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+    createBookHistory,
+    followPriceRange,
+    inferTickSize,
+    referenceSize,
+    sizeIntensity,
+    heatColor,
+    axisStep,
+    HEAT_COLORS,
+} from '@/lib/orderbook/heatmap';
+
+// History shown across the panel
+const WINDOW_MS = 60000;
+const HEIGHT = 320;
+// Room for the price axis on the right and the time axis below, in CSS pixels
+const PRICE_AXIS_WIDTH = 72;
+const TIME_AXIS_HEIGHT = 18;
+// The colour scale is redrawn once the book's typical level size moves this far from it
+const REFERENCE_DRIFT = 2;
+
+const BACKGROUND = '#111827';
+const AXIS_TEXT = '#9CA3AF';
+const BID_COLOR = '#10B981';
+const ASK_COLOR = '#EF4444';
+
+// The heatmap itself is painted onto an offscreen "tape" canvas that scrolls
+// left as time passes: each frame shifts it by the elapsed pixels and paints
+// only the new columns from the latest book. It is repainted from the whole
+// history only when the price range, colour scale or size changes, so a 100ms
+// feed costs a few dozen rectangles per frame. The best bid/ask lines, trade
+// bubbles and axes are cheap and drawn fresh on top every frame.
+const Heatmap = ({ bids, asks, trades, tickSize, sizeLabel }) => {
+    const containerRef = useRef(null);
+    const canvasRef = useRef(null);
+    const history = useRef(null);
+    if (!history.current) history.current = createBookHistory({ windowMs: WINDOW_MS });
+    const [hasData, setHasData] = useState(false);
+
+    // Read by the render loop without restarting it
+    const tick = useRef(tickSize);
+    useEffect(() => {
+        tick.current = tickSize;
+    });
+
+    useEffect(() => {
+        history.current.addBook({ bids, asks }, Date.now());
+        if (bids.length > 0 && asks.length > 0) setHasData(true);
+    }, [bids, asks]);
+
+    useEffect(() => {
+        history.current.addTrades(trades, Date.now());
+    }, [trades]);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        const ctx = canvas.getContext('2d');
+        const tape = document.createElement('canvas');
+        const tapeCtx = tape.getContext('2d');
+
+        let width = 0;
+        let plotWidth = 0;
+        const plotHeight = HEIGHT - TIME_AXIS_HEIGHT;
+        let dpr = 1;
+        let range = null;
+        let reference = null;
+        let paintedUntil = 0;
+        let needsRepaint = true;
+        let frame = null;
+
+        const resize = () => {
+            dpr = window.devicePixelRatio || 1;
+            width = containerRef.current.clientWidth;
+            plotWidth = Math.max(width - PRICE_AXIS_WIDTH, 0);
+            canvas.width = Math.round(width * dpr);
+            canvas.height = Math.round(HEIGHT * dpr);
+            canvas.style.width = `${width}px`;
+            canvas.style.height = `${HEIGHT}px`;
+            tape.width = Math.max(Math.round(plotWidth * dpr), 1);
+            tape.height = Math.round(plotHeight * dpr);
+            needsRepaint = true;
+        };
+
+        const msPerPixel = () => WINDOW_MS / plotWidth;
+        const yOf = (price) => ((range.max - price) / (range.max - range.min)) * plotHeight;
+        const cellHeight = (snapshot) => {
+            const step = tick.current || inferTickSize(snapshot) || 0;
+            return Math.max((step / (range.max - range.min)) * plotHeight, 1);
+        };
+
+        // Paints the book `snapshot` into tape columns [x0, x1)
+        const paintColumns = (snapshot, x0, x1) => {
+            tapeCtx.fillStyle = BACKGROUND;
+            tapeCtx.fillRect(x0, 0, x1 - x0, plotHeight);
+            if (!snapshot) return;
+            const cell = cellHeight(snapshot);
+            for (const levels of [snapshot.bids, snapshot.asks]) {
+                for (const [price, size] of levels) {
+                    if (price < range.min || price > range.max) continue;
+                    tapeCtx.fillStyle = heatColor(sizeIntensity(size, reference));
+                    tapeCtx.fillRect(x0, yOf(price) - cell / 2, x1 - x0, cell);
+                }
+            }
+        };
+
+        const repaint = (now) => {
+            tapeCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+            const snapshots = history.current.snapshots();
+            const xOf = (t) => Math.floor(plotWidth - (now - t) / msPerPixel());
+            paintColumns(null, 0, plotWidth);
+            snapshots.forEach((snapshot, i) => {
+                const x0 = Math.max(xOf(snapshot.t), 0);
+                const x1 = i + 1 < snapshots.length ? xOf(snapshots[i + 1].t) : plotWidth;
+                if (x1 > x0) paintColumns(snapshot, x0, x1);
+            });
+            paintedUntil = now;
+        };
+
+        const scroll = (now, latest) => {
+            const shift = Math.floor((now - paintedUntil) / msPerPixel());
+            if (shift <= 0) return;
+            tapeCtx.setTransform(1, 0, 0, 1, 0, 0);
+            tapeCtx.drawImage(tape, -shift * dpr, 0);
+            tapeCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+            paintColumns(latest, plotWidth - shift, plotWidth);
+            paintedUntil += shift * msPerPixel();
+        };
+
+        const drawTouch = (snapshots, key, color, xOf) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            let penDown = false;
+            snapshots.forEach((snapshot, i) => {
+                const price = snapshot[key];
+                if (price === null) {
+                    penDown = false;
+                    return;
+                }
+                const x0 = Math.max(xOf(snapshot.t), 0);
+                const x1 = i + 1 < snapshots.length ? xOf(snapshots[i + 1].t) : plotWidth;
+                const y = yOf(price);
+                if (penDown) ctx.lineTo(x0, y);
+                else ctx.moveTo(x0, y);
+                ctx.lineTo(x1, y);
+                penDown = true;
+            });
+            ctx.stroke();
+        };
+
+        const drawTrades = (prints, xOf) => {
+            const largest = prints.reduce((acc, trade) => Math.max(acc, trade.size), 0);
+            for (const trade of prints) {
+                const radius = 2 + Math.sqrt(trade.size / largest) * 10;
+                ctx.fillStyle = trade.side === 'Buy' ? 'rgba(16, 185, 129, 0.55)' : 'rgba(239, 68, 68, 0.55)';
+                ctx.strokeStyle = trade.side === 'Buy' ? BID_COLOR : ASK_COLOR;
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.arc(xOf(trade.t), yOf(trade.price), radius, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+            }
+        };
+
+        const drawAxes = () => {
+            ctx.fillStyle = AXIS_TEXT;
+            ctx.font = '11px sans-serif';
+            ctx.textBaseline = 'middle';
+            ctx.textAlign = 'left';
+            const step = axisStep(range.max - range.min, 6);
+            const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+            for (let price = Math.ceil(range.min / step) * step; price <= range.max; price += step) {
+                const y = yOf(price);
+                if (y < 6 || y > plotHeight - 6) continue;
+                ctx.fillText(price.toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals }), plotWidth + 6, y);
+            }
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            for (let seconds = 10; seconds * 1000 < WINDOW_MS; seconds += 10) {
+                ctx.fillText(`-${seconds}s`, plotWidth - (seconds * 1000) / msPerPixel(), plotHeight + 4);
+            }
+        };
+
+        const draw = () => {
+            frame = requestAnimationFrame(draw);
+            if (plotWidth <= 0) return;
+            const now = Date.now();
+            history.current.prune(now);
+            const latest = history.current.latest();
+            if (!latest) return;
+
+            const nextRange = followPriceRange(range, latest, { tickSize: tick.current });
+            if (!nextRange) return;
+            if (nextRange !== range) {
+                range = nextRange;
+                needsRepaint = true;
+            }
+            const latestReference = referenceSize(latest);
+            if (latestReference && (!reference || latestReference > reference * REFERENCE_DRIFT || latestReference < reference / REFERENCE_DRIFT)) {
+                reference = latestReference;
+                needsRepaint = true;
+            }
+
+            if (needsRepaint) {
+                repaint(now);
+                needsRepaint = false;
+            } else {
+                scroll(now, latest);
+            }
+
+            ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+            ctx.fillStyle = BACKGROUND;
+            ctx.fillRect(0, 0, width, HEIGHT);
+            ctx.drawImage(tape, 0, 0, plotWidth, plotHeight);
+
+            const xOf = (t) => plotWidth - (now - t) / msPerPixel();
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(0, 0, plotWidth, plotHeight);
+            ctx.clip();
+            const snapshots = history.current.snapshots();
+            drawTouch(snapshots, 'bestBid', BID_COLOR, xOf);
+            drawTouch(snapshots, 'bestAsk', ASK_COLOR, xOf);
+            drawTrades(history.current.trades(), xOf);
+            ctx.restore();
+            drawAxes();
+        };
+
+        const observer = new ResizeObserver(resize);
+        observer.observe(containerRef.current);
+        resize();
+        frame = requestAnimationFrame(draw);
+
+        return () => {
+            cancelAnimationFrame(frame);
+            observer.disconnect();
+        };
+    }, []);
+
+    return (
+        <div className="bg-gray-900 rounded-lg p-4 mt-4">
+            <div className="flex items-center justify-between mb-2">
+                <h3 className="text-lg font-semibold text-white">Liquidity Heatmap</h3>
+                <div className="flex items-center gap-2 text-xs text-gray-400">
+                    <span>Resting size ({sizeLabel})</span>
+                    <div className="w-24 h-2 rounded" style={{ background: `linear-gradient(to right, ${HEAT_COLORS[0]}, ${HEAT_COLORS[64]}, ${HEAT_COLORS[128]}, ${HEAT_COLORS[192]}, ${HEAT_COLORS[255]})` }}></div>
+                    <span className="text-green-400">● Buy</span>
+                    <span className="text-red-400">● Sell</span>
+                </div>
+            </div>
+            <div ref={containerRef} className="relative w-full" style={{ height: HEIGHT }}>
+                <canvas ref={canvasRef} className="block" />
+                {!hasData && (
+                    <div className="absolute inset-0 flex items-center justify-center">
+                        <p className="text-gray-500">Waiting for data to render heatmap...</p>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default Heatmap;
@@ -0,0 +1,159 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { getVenue } from '@/lib/venues';
+import { IMBALANCE_LEVELS, DEPTH_BANDS_BPS, averageSince, seriesByTime } from '@/lib/analytics/microstructure';
+
+const WINDOWS = [
+    { label: '1m', ms: 60 * 1000 },
+    { label: '5m', ms: 5 * 60 * 1000 },
+    { label: '15m', ms: 15 * 60 * 1000 },
+];
+
+const formatPrice = (price) => (price === null || price === undefined ? '—' : price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+const formatNumber = (value, digits) => (value === null || value === undefined ? '—' : value.toFixed(digits));
+const formatClock = (t) => new Date(t).toLocaleTimeString('en-US', { hour12: false });
+
+const Selector = ({ options, value, onChange, format = (option) => option }) => (
+    <div className="flex gap-1">
+        {options.map(option => (
+            <button
+                key={option}
+                onClick={() => onChange(option)}
+                className={`px-2 py-0.5 text-xs rounded ${value === option ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-400 hover:bg-gray-700'}`}
+            >
+                {format(option)}
+            </button>
+        ))}
+    </div>
+);
+
+const MetricChart = ({ title, data, venues, digits, zeroLine }) => (
+    <div className="bg-gray-800/50 rounded p-2">
+        <div className="text-xs text-gray-400 mb-1">{title}</div>
+        <div className="h-32">
+            <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={data} margin={{ top: 4, right: 8, left: 0, bottom: 0 }}>
+                    <XAxis dataKey="t" type="number" domain={['dataMin', 'dataMax']} tickFormatter={formatClock} tick={{ fill: '#6B7280', fontSize: 10 }} minTickGap={40} />
+                    <YAxis domain={['auto', 'auto']} tick={{ fill: '#6B7280', fontSize: 10 }} tickFormatter={(value) => value.toFixed(digits)} width={48} />
+                    <Tooltip
+                        contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #4B5563', borderRadius: '0.5rem', fontSize: 12 }}
+                        labelStyle={{ color: '#F9FAFB' }}
+                        labelFormatter={formatClock}
+                        formatter={(value, name) => [value.toFixed(digits), name]}
+                    />
+                    {zeroLine && <ReferenceLine y={0} stroke="#4B5563" strokeDasharray="3 3" />}
+                    {venues.map(venue => (
+                        <Line key={venue} type="monotone" dataKey={venue} stroke={getVenue(venue)?.color || '#9CA3AF'} strokeWidth={1.5} dot={false} isAnimationActive={false} connectNulls={false} />
+                    ))}
+                </LineChart>
+            </ResponsiveContainer>
+        </div>
+    </div>
+);
+
+// `history` is { [venue]: [{ t, ...bookMetrics }] } from useBookMetrics, with
+// sizes in base currency. Only `venues` are shown.
+const MicrostructurePanel = ({ history, venues, baseCurrency, compare, onCompareChange, canCompare }) => {
+    const [isClient, setIsClient] = useState(false);
+    const [windowMs, setWindowMs] = useState(WINDOWS[0].ms);
+    const [imbalanceLevels, setImbalanceLevels] = useState(5);
+    const [depthBand, setDepthBand] = useState(25);
+
+    useEffect(() => {
+        setIsClient(true);
+    }, []);
+
+    const shown = useMemo(
+        () => Object.fromEntries(venues.filter(venue => history[venue]?.length > 0).map(venue => [venue, history[venue]])),
+        [history, venues]
+    );
+    const shownVenues = Object.keys(shown);
+    const latestT = Math.max(...Object.values(shown).map(samples => samples[samples.length - 1].t), 0);
+    const since = latestT - windowMs;
+
+    const charts = useMemo(() => ({
+        spread: seriesByTime(shown, since, sample => sample.spreadBps),
+        imbalance: seriesByTime(shown, since, sample => sample.imbalance[imbalanceLevels]),
+        microprice: seriesByTime(shown, since, sample => ((sample.microprice - sample.mid) / sample.mid) * 10000),
+        depth: seriesByTime(shown, since, sample => sample.depth[depthBand].total),
+    }), [shown, since, imbalanceLevels, depthBand]);
+
+    const windowLabel = WINDOWS.find(w => w.ms === windowMs).label;
+
+    return (
+        <div className="bg-gray-900 rounded-lg p-4 mt-4 space-y-3">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+                <h3 className="text-lg font-semibold text-white">Microstructure</h3>
+                <div className="flex flex-wrap items-center gap-3">
+                    {canCompare && (
+                        <label className="flex items-center text-xs text-gray-400 cursor-pointer">
+                            <input type="checkbox" checked={compare} onChange={(e) => onCompareChange(e.target.checked)} className="mr-1.5" />
+                            Compare venues
+                        </label>
+                    )}
+                    <Selector options={WINDOWS.map(w => w.ms)} value={windowMs} onChange={setWindowMs} format={(ms) => WINDOWS.find(w => w.ms === ms).label} />
+                </div>
+            </div>
+
+            {shownVenues.length === 0 ? (
+                <p className="text-center text-gray-500 text-sm py-6">Collecting book samples...</p>
+            ) : (
+                <>
+                    <table className="w-full text-xs font-mono">
+                        <thead>
+                            <tr className="text-gray-500">
+                                <th className="text-left p-1 font-normal">Venue</th>
+                                <th className="text-right p-1 font-normal">Mid</th>
+                                <th className="text-right p-1 font-normal">Spread bps (avg {windowLabel})</th>
+                                <th className="text-right p-1 font-normal">Imbalance top {imbalanceLevels}</th>
+                                <th className="text-right p-1 font-normal">Microprice</th>
+                                <th className="text-right p-1 font-normal">±{depthBand}bps {baseCurrency} (avg {windowLabel})</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {shownVenues.map(venue => {
+                                const samples = shown[venue];
+                                const last = samples[samples.length - 1];
+                                const imbalance = last.imbalance[imbalanceLevels];
+                                return (
+                                    <tr key={venue} className="text-white">
+                                        <td className="p-1">
+                                            <span className="inline-block w-2 h-2 rounded-full mr-1.5" style={{ backgroundColor: getVenue(venue)?.color || '#9CA3AF' }}></span>
+                                            {venue}
+                                        </td>
+                                        <td className="p-1 text-right">{formatPrice(last.mid)}</td>
+                                        <td className="p-1 text-right">{formatNumber(last.spreadBps, 2)} ({formatNumber(averageSince(samples, since, s => s.spreadBps), 2)})</td>
+                                        <td className={`p-1 text-right ${imbalance >= 0 ? 'text-green-400' : 'text-red-400'}`}>{formatNumber(imbalance, 2)}</td>
+                                        <td className="p-1 text-right">{formatPrice(last.microprice)}</td>
+                                        <td className="p-1 text-right">
+                                            <span className="text-green-400">{formatNumber(last.depth[depthBand].bid, 2)}</span>
+                                            {' / '}
+                                            <span className="text-red-400">{formatNumber(last.depth[depthBand].ask, 2)}</span>
+                                            {' '}({formatNumber(averageSince(samples, since, s => s.depth[depthBand].total), 2)})
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+
+                    <div className="flex flex-wrap items-center gap-4 text-xs text-gray-400">
+                        <span className="flex items-center gap-2">Imbalance levels <Selector options={IMBALANCE_LEVELS} value={imbalanceLevels} onChange={setImbalanceLevels} /></span>
+                        <span className="flex items-center gap-2">Depth band <Selector options={DEPTH_BANDS_BPS} value={depthBand} onChange={setDepthBand} format={(bps) => `±${bps}bps`} /></span>
+                    </div>
+
+                    {isClient && (
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                            <MetricChart title="Spread (bps)" data={charts.spread} venues={shownVenues} digits={2} />
+                            <MetricChart title={`Imbalance, top ${imbalanceLevels} levels`} data={charts.imbalance} venues={shownVenues} digits={2} zeroLine />
+                            <MetricChart title="Microprice vs mid (bps)" data={charts.microprice} venues={shownVenues} digits={2} zeroLine />
+                            <MetricChart title={`Depth within ±${depthBand}bps (${baseCurrency})`} data={charts.depth} venues={shownVenues} digits={2} />
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default MicrostructurePanel;
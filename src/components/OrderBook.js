@@ -0,0 +1,187 @@
+import React, { useMemo } from 'react';
+import { AlertCircle } from 'lucide-react';
+import { getVenue } from '@/lib/venues';
+import { cumulativeSizes, maxCumulativeSize, orderLevelIndex } from '@/lib/orderbook/levels';
+
+// Rows per side offered by the depth selector
+export const LADDER_DEPTHS = [10, 15, 25, 50];
+
+const formatPrice = (priceStr, decimals = 2) => {
+    const price = parseFloat(priceStr);
+    return isNaN(price) ? '...' : price.toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+};
+const formatSize = (sizeStr, decimals = 4) => {
+    const size = parseFloat(sizeStr);
+    return isNaN(size) ? '...' : size.toFixed(decimals);
+};
+
+// Stacked bar showing each venue's share of an aggregated level. Contributions
+// stay in base currency whatever the display unit, so shares use their own total.
+const ContributionBar = ({ contributions }) => {
+    const total = Object.values(contributions).reduce((acc, size) => acc + size, 0);
+    return (
+        <div className="flex h-1 mt-0.5 rounded overflow-hidden" title={Object.entries(contributions).map(([venue, size]) => `${venue}: ${size.toFixed(4)}`).join('\n')}>
+            {Object.entries(contributions).map(([venue, size]) => (
+                <div key={venue} style={{ width: `${(size / total) * 100}%`, backgroundColor: getVenue(venue)?.color || '#9CA3AF' }}></div>
+            ))}
+        </div>
+    );
+};
+
+// Memoised so rows whose level did not change between frames are not re-rendered
+const OrderRow = React.memo(({ price, size, cumulative, maxCumulative, type, isSimulated, contributions, isCrossed, precision }) => {
+    const percentage = (cumulative / maxCumulative) * 100;
+    const bgColor = type === 'bid' ? 'bg-green-500/20' : 'bg-red-500/20';
+    const textColor = type === 'bid' ? 'text-green-400' : 'text-red-400';
+
+    return (
+        <tr className={`relative text-xs hover:bg-gray-700/50 ${isSimulated ? 'ring-2 ring-yellow-400' : ''} ${isCrossed ? 'bg-amber-500/20' : ''}`}>
+            <td className={`p-1.5 ${textColor}`}>{formatPrice(price, precision.price)}</td>
+            <td className="p-1.5 text-white text-right">
+                {formatSize(size, precision.size)}
+                {contributions && <ContributionBar contributions={contributions} />}
+            </td>
+            <td className="p-1.5 text-gray-400 text-right">{formatSize(cumulative, precision.size)}</td>
+            <td className="absolute top-0 bottom-0 h-full" style={{ left: type === 'bid' ? 'auto' : 0, right: type === 'bid' ? 0 : 'auto', width: `${percentage}%`, zIndex: -1 }}>
+                <div className={`h-full ${bgColor} opacity-50`}></div>
+            </td>
+        </tr>
+    );
+});
+OrderRow.displayName = 'OrderRow';
+
+const LadderSide = ({ levels, type, sizeLabel, depth, cumulative, maxCumulative, simulatedIndex, isCrossed, precision }) => {
+    return (
+        <table className="w-full border-collapse relative">
+            <thead>
+                <tr className="text-gray-500 text-xs">
+                    <th className="text-left p-1 font-normal">Price (USD)</th>
+                    <th className="text-right p-1 font-normal">Size ({sizeLabel})</th>
+                    <th className="text-right p-1 font-normal">Total</th>
+                </tr>
+            </thead>
+            <tbody>
+                {levels.slice(0, depth).map(([price, size, contributions], index) => (
+                    <OrderRow
+                        key={`${type}-${index}`}
+                        price={price}
+                        size={size}
+                        cumulative={cumulative[index]}
+                        maxCumulative={maxCumulative}
+                        type={type}
+                        isSimulated={index === simulatedIndex}
+                        contributions={contributions}
+                        isCrossed={isCrossed(parseFloat(price))}
+                        precision={precision}
+                    />
+                ))}
+            </tbody>
+        </table>
+    );
+};
+
+const selectClass = 'bg-gray-800 border border-gray-700 rounded-md px-1.5 py-1 text-xs text-gray-300 focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+// `bids` and `asks` arrive already grouped at `grouping` (see lib/orderbook/grouping);
+// `precision` is { price, size } in decimal places. `cumulative` ({ bids, asks })
+// and `maxCumulative` can be passed in when already computed for `depth`, as the
+// feed worker does (see lib/orderbook/view).
+const OrderBook = ({
+    bids = [], asks = [], simulatedOrder, isStale, crossings, sizeLabel, sizeUnit, sizeUnits, onSizeUnitChange,
+    depth = 15, onDepthChange, grouping, groupings = [], onGroupingChange, precision = { price: 2, size: 4 },
+    cumulative: givenCumulative, maxCumulative: givenMaxCumulative,
+}) => {
+    const cumulative = useMemo(
+        () => givenCumulative || { bids: cumulativeSizes(bids, depth), asks: cumulativeSizes(asks, depth) },
+        [givenCumulative, bids, asks, depth]
+    );
+    const maxCumulative = useMemo(
+        () => givenMaxCumulative ?? maxCumulativeSize(bids, asks, depth),
+        [givenMaxCumulative, bids, asks, depth]
+    );
+    const simulated = orderLevelIndex(bids, asks, simulatedOrder);
+
+    // In a crossed aggregated book, bids at or above the best ask (and asks at or
+    // below the best bid) are the levels that overlap between venues
+    const hasCrossings = crossings && crossings.length > 0;
+    const bestBid = bids.length ? parseFloat(bids[0][0]) : NaN;
+    const bestAsk = asks.length ? parseFloat(asks[0][0]) : NaN;
+
+    return (
+        <div className="bg-gray-900 rounded-lg p-4 flex-grow min-h-[400px]">
+            <div className="flex items-center justify-between mb-2">
+                <h3 className="text-lg font-semibold text-white">Order Book</h3>
+                <div className="flex flex-wrap items-center justify-end gap-3">
+                    {isStale && (
+                        <span className="text-xs text-yellow-300 flex items-center"><AlertCircle className="w-4 h-4 mr-1"/>Feed stale — prices may be out of date</span>
+                    )}
+                    {groupings.length > 0 && (
+                        <label className="flex items-center gap-1.5 text-xs text-gray-400">
+                            Group
+                            <select value={grouping} onChange={(e) => onGroupingChange(Number(e.target.value))} className={selectClass}>
+                                {groupings.map(step => <option key={step} value={step}>{step}</option>)}
+                            </select>
+                        </label>
+                    )}
+                    <label className="flex items-center gap-1.5 text-xs text-gray-400">
+                        Rows
+                        <select value={depth} onChange={(e) => onDepthChange(Number(e.target.value))} className={selectClass}>
+                            {LADDER_DEPTHS.map(rows => <option key={rows} value={rows}>{rows}</option>)}
+                        </select>
+                    </label>
+                    <div className="flex text-xs">
+                        {sizeUnits.map((unit, index) => (
+                            <button
+                                key={unit}
+                                onClick={() => onSizeUnitChange(unit)}
+                                className={`px-2 py-1 capitalize ${index === 0 ? 'rounded-l-md' : ''} ${index === sizeUnits.length - 1 ? 'rounded-r-md' : ''} ${sizeUnit === unit ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+                            >
+                                {unit}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            </div>
+            {hasCrossings && (
+                <div className="mb-2 p-2 bg-amber-900/40 border border-amber-700 rounded-md text-amber-300 text-xs space-y-0.5">
+                    {crossings.map(({ type, bidVenue, bidPrice, askVenue, askPrice }) => (
+                        <div key={`${bidVenue}-${askVenue}`} className="flex items-center">
+                            <AlertCircle className="w-3 h-3 mr-1 flex-shrink-0"/>
+                            <span>{type === 'crossed' ? 'Crossed' : 'Locked'}: {bidVenue} bid {formatPrice(bidPrice, precision.price)} {type === 'crossed' ? '>' : '='} {askVenue} ask {formatPrice(askPrice, precision.price)}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+            <div className={`grid grid-cols-1 md:grid-cols-2 gap-4 transition-opacity ${isStale ? 'opacity-40 grayscale' : ''}`}>
+                <div>
+                    <LadderSide
+                        levels={bids}
+                        type="bid"
+                        sizeLabel={sizeLabel}
+                        depth={depth}
+                        cumulative={cumulative.bids}
+                        maxCumulative={maxCumulative}
+                        precision={precision}
+                        simulatedIndex={simulated && simulated.side === 'bids' ? simulated.index : -1}
+                        isCrossed={(price) => hasCrossings && price >= bestAsk}
+                    />
+                </div>
+                <div>
+                    <LadderSide
+                        levels={asks}
+                        type="ask"
+                        sizeLabel={sizeLabel}
+                        depth={depth}
+                        cumulative={cumulative.asks}
+                        maxCumulative={maxCumulative}
+                        precision={precision}
+                        simulatedIndex={simulated && simulated.side === 'asks' ? simulated.index : -1}
+                        isCrossed={(price) => hasCrossings && price <= bestBid}
+                    />
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default OrderBook;
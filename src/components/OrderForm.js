@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { AlertCircle } from 'lucide-react';
+import { CANONICAL_INSTRUMENTS, getCanonicalInstrument } from '@/lib/instruments/symbols';
+import { validateOrderForm, DEFAULT_ORDER_FORM, DELAY_SECONDS, EXECUTION_CHOICES, MAX_ALGO_SLICES } from '@/lib/simulation/validation';
+import { ALGOS } from '@/lib/simulation/algo';
+
+const EXECUTION_LABELS = {
+    None: 'Single Order',
+    [ALGOS.TWAP]: 'TWAP',
+    [ALGOS.VWAP]: 'VWAP',
+    [ALGOS.POV]: 'POV',
+    [ALGOS.ICEBERG]: 'Iceberg',
+};
+
+const inputClass = 'w-full bg-gray-800 border border-gray-700 rounded-md p-2 mt-1 text-white focus:ring-blue-500 focus:border-blue-500';
+
+// The fields are kept here unless `formData` is passed, in which case
+// `onFormDataChange` receives updater functions like a state setter.
+// Execution algorithms need a single venue: `algoVenue` is the one they would
+// run on, or null on the aggregated tab.
+const OrderForm = ({ onSubmit, onRoutingChange, instrumentId, onInstrumentChange, venues, venueSymbols, routeVenues, algoVenue, formData: controlledFormData, onFormDataChange }) => {
+    const [ownFormData, setOwnFormData] = useState(DEFAULT_ORDER_FORM);
+    const formData = controlledFormData || ownFormData;
+    const setFormData = controlledFormData ? onFormDataChange : setOwnFormData;
+
+    const [error, setError] = useState('');
+    const isAlgo = formData.execution !== 'None';
+    const base = getCanonicalInstrument(instrumentId).base;
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const setRouting = (routing) => {
+        setFormData(prev => ({ ...prev, routing }));
+        if (onRoutingChange) onRoutingChange(routing === 'Smart');
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        let validationError = validateOrderForm(formData);
+        if (!validationError && isAlgo && !algoVenue) {
+            validationError = 'Execution algorithms run on a single venue. Pick a venue tab first.';
+        }
+        setError(validationError || '');
+        if (validationError) return;
+        onSubmit(formData);
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="bg-gray-900 rounded-lg p-4 space-y-4">
+            <h3 className="text-lg font-semibold text-white">Simulate Order</h3>
+            
+            <div>
+                <label className="text-sm text-gray-400">Symbol</label>
+                <select name="symbol" value={instrumentId} onChange={(e) => onInstrumentChange(e.target.value)} className="w-full bg-gray-800 border border-gray-700 rounded-md p-2 mt-1 text-white focus:ring-blue-500 focus:border-blue-500">
+                    {CANONICAL_INSTRUMENTS.map(instrument => (
+                        <option key={instrument.id} value={instrument.id}>{instrument.label}</option>
+                    ))}
+                </select>
+                 <p className="text-xs text-gray-500 mt-1">{venues.map(venue => `${venue}: ${venueSymbols[venue] || 'not listed'}`).join(', ')}</p>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+                <div>
+                    <label className="text-sm text-gray-400">Side</label>
+                    <div className="flex mt-1">
+                        <button type="button" onClick={() => setFormData(p => ({...p, side: 'Buy'}))} className={`w-full p-2 rounded-l-md ${formData.side === 'Buy' ? 'bg-green-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}>Buy</button>
+                        <button type="button" onClick={() => setFormData(p => ({...p, side: 'Sell'}))} className={`w-full p-2 rounded-r-md ${formData.side === 'Sell' ? 'bg-red-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}>Sell</button>
+                    </div>
+                </div>
+                 <div>
+                    <label className="text-sm text-gray-400">Type</label>
+                    <div className="flex mt-1">
+                        <button type="button" onClick={() => setFormData(p => ({...p, orderType: 'Limit'}))} className={`w-full p-2 rounded-l-md ${formData.orderType === 'Limit' ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}>Limit</button>
+                        <button type="button" onClick={() => setFormData(p => ({...p, orderType: 'Market'}))} className={`w-full p-2 rounded-r-md ${formData.orderType === 'Market' ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}>Market</button>
+                    </div>
+                </div>
+            </div>
+
+            <div>
+                <label className="text-sm text-gray-400">Execution</label>
+                <select name="execution" value={formData.execution} onChange={handleChange} className={inputClass}>
+                    {EXECUTION_CHOICES.map(choice => <option key={choice} value={choice}>{EXECUTION_LABELS[choice]}</option>)}
+                </select>
+            </div>
+
+            {(formData.execution === ALGOS.TWAP || formData.execution === ALGOS.VWAP) && (
+                <div className="grid grid-cols-2 gap-2">
+                    <div>
+                        <label className="text-sm text-gray-400">Duration (min)</label>
+                        <input type="number" name="algoMinutes" value={formData.algoMinutes} onChange={handleChange} className={inputClass} />
+                    </div>
+                    <div>
+                        <label className="text-sm text-gray-400">Slices</label>
+                        <input type="number" name="algoSlices" min="1" max={MAX_ALGO_SLICES} step="1" value={formData.algoSlices} onChange={handleChange} className={inputClass} />
+                    </div>
+                </div>
+            )}
+            {formData.execution === ALGOS.POV && (
+                <div className="grid grid-cols-2 gap-2">
+                    <div>
+                        <label className="text-sm text-gray-400">Participation (%)</label>
+                        <input type="number" name="participation" value={formData.participation} onChange={handleChange} className={inputClass} />
+                    </div>
+                    <div>
+                        <label className="text-sm text-gray-400">Max Duration (min)</label>
+                        <input type="number" name="algoMinutes" value={formData.algoMinutes} onChange={handleChange} className={inputClass} />
+                    </div>
+                </div>
+            )}
+            {formData.execution === ALGOS.ICEBERG && (
+                <div>
+                    <label className="text-sm text-gray-400">Visible Clip ({base})</label>
+                    <input type="number" name="clipSize" value={formData.clipSize} onChange={handleChange} className={inputClass} placeholder="e.g., 0.1" />
+                </div>
+            )}
+            {isAlgo && (
+                <p className="text-xs text-gray-500">
+                    {algoVenue ? `Runs on ${algoVenue}. ` : ''}
+                    {formData.execution === ALGOS.ICEBERG ? 'Clips rest at the limit price.' : `Child orders are ${formData.orderType === 'Limit' ? 'immediate-or-cancel at the limit price' : 'market orders'}.`}
+                </p>
+            )}
+
+            {!isAlgo && (
+                <div>
+                    <label className="text-sm text-gray-400">Routing</label>
+                    <div className="flex mt-1">
+                        <button type="button" onClick={() => setRouting('Single')} className={`w-full p-2 rounded-l-md ${formData.routing === 'Single' ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}>Active Venue</button>
+                        <button type="button" onClick={() => setRouting('Smart')} className={`w-full p-2 rounded-r-md ${formData.routing === 'Smart' ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}>Smart Route</button>
+                    </div>
+                    {formData.routing === 'Smart' && (
+                        <p className="text-xs text-gray-500 mt-1">Splits the order across {routeVenues.join(', ')} for the best price after taker fees.</p>
+                    )}
+                </div>
+            )}
+
+            {formData.orderType === 'Limit' && (
+                <div>
+                    <label className="text-sm text-gray-400">Price (USD)</label>
+                    <input type="number" name="price" value={formData.price} onChange={handleChange} className="w-full bg-gray-800 border border-gray-700 rounded-md p-2 mt-1 text-white focus:ring-blue-500 focus:border-blue-500" placeholder="e.g., 68000.50" />
+                </div>
+            )}
+
+            <div>
+                <label className="text-sm text-gray-400">Quantity ({base})</label>
+                <input type="number" name="quantity" value={formData.quantity} onChange={handleChange} className="w-full bg-gray-800 border border-gray-700 rounded-md p-2 mt-1 text-white focus:ring-blue-500 focus:border-blue-500" placeholder="e.g., 0.5" />
+            </div>
+
+            {!isAlgo && (
+                <div>
+                    <label className="text-sm text-gray-400">Timing Simulation</label>
+                    <select name="delay" value={formData.delay} onChange={handleChange} className="w-full bg-gray-800 border border-gray-700 rounded-md p-2 mt-1 text-white focus:ring-blue-500 focus:border-blue-500">
+                        {DELAY_SECONDS.map(seconds => (
+                            <option key={seconds} value={String(seconds)}>{seconds === 0 ? 'Immediate' : `${seconds}s Delay`}</option>
+                        ))}
+                    </select>
+                </div>
+            )}
+            
+            {error && <p className="text-sm text-red-500 flex items-center"><AlertCircle className="w-4 h-4 mr-2"/>{error}</p>}
+
+            <button 
+                type="submit" 
+                className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-md transition-colors"
+            >
+                {isAlgo ? 'Start Execution' : 'Simulate Order Placement'}
+            </button>
+        </form>
+    );
+};
+
+
+export default OrderForm;
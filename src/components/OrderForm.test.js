@@ -0,0 +1,113 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, cleanup } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import OrderForm from './OrderForm';
+
+afterEach(cleanup);
+
+const renderForm = ({ algoVenue = 'OKX' } = {}) => {
+    const onSubmit = vi.fn();
+    render(
+        <OrderForm
+            onSubmit={onSubmit}
+            onRoutingChange={() => {}}
+            instrumentId="BTC"
+            onInstrumentChange={() => {}}
+            venues={['OKX', 'Bybit']}
+            venueSymbols={{ OKX: 'BTC-USD-SWAP', Bybit: 'BTCUSDT' }}
+            routeVenues={['OKX', 'Bybit']}
+            algoVenue={algoVenue}
+        />
+    );
+    return { onSubmit, user: userEvent.setup() };
+};
+
+const submit = (user) => user.click(screen.getByRole('button', { name: 'Simulate Order Placement' }));
+
+describe('OrderForm validation', () => {
+    it('requires a price for limit orders', async () => {
+        const { onSubmit, user } = renderForm();
+        await user.type(screen.getByPlaceholderText('e.g., 0.5'), '1');
+        await submit(user);
+        expect(screen.getByText('Please enter a valid price for a limit order.')).toBeTruthy();
+        expect(onSubmit).not.toHaveBeenCalled();
+    });
+
+    it('rejects zero and negative quantities', async () => {
+        const { onSubmit, user } = renderForm();
+        await user.type(screen.getByPlaceholderText('e.g., 68000.50'), '68000');
+        await user.type(screen.getByPlaceholderText('e.g., 0.5'), '0');
+        await submit(user);
+        expect(screen.getByText('Please enter a valid quantity.')).toBeTruthy();
+        await user.clear(screen.getByPlaceholderText('e.g., 0.5'));
+        await user.type(screen.getByPlaceholderText('e.g., 0.5'), '-2');
+        await submit(user);
+        expect(screen.getByText('Please enter a valid quantity.')).toBeTruthy();
+        expect(onSubmit).not.toHaveBeenCalled();
+    });
+
+    it('does not ask market orders for a price', async () => {
+        const { onSubmit, user } = renderForm();
+        await user.click(screen.getByRole('button', { name: 'Market' }));
+        expect(screen.queryByPlaceholderText('e.g., 68000.50')).toBeNull();
+        await user.type(screen.getByPlaceholderText('e.g., 0.5'), '0.25');
+        await submit(user);
+        expect(onSubmit).toHaveBeenCalledWith(expect.objectContaining({ orderType: 'Market', side: 'Buy', quantity: '0.25' }));
+    });
+
+    it('submits a valid limit order and clears the previous error', async () => {
+        const { onSubmit, user } = renderForm();
+        await submit(user);
+        expect(screen.getByText('Please enter a valid price for a limit order.')).toBeTruthy();
+        await user.click(screen.getByRole('button', { name: 'Sell' }));
+        await user.type(screen.getByPlaceholderText('e.g., 68000.50'), '68000.5');
+        await user.type(screen.getByPlaceholderText('e.g., 0.5'), '2');
+        await submit(user);
+        expect(screen.queryByText(/Please enter/)).toBeNull();
+        expect(onSubmit).toHaveBeenCalledWith(expect.objectContaining({ orderType: 'Limit', side: 'Sell', price: '68000.5', quantity: '2' }));
+    });
+});
+
+describe('OrderForm execution algorithms', () => {
+    const chooseExecution = (user, algo) => user.selectOptions(screen.getByDisplayValue('Single Order'), algo);
+
+    it('submits a TWAP with its duration and slices', async () => {
+        const { onSubmit, user } = renderForm();
+        await chooseExecution(user, 'TWAP');
+        await user.click(screen.getByRole('button', { name: 'Market' }));
+        await user.type(screen.getByPlaceholderText('e.g., 0.5'), '5');
+        const slices = document.querySelector('input[name="algoSlices"]');
+        await user.clear(slices);
+        await user.type(slices, '20');
+        await user.click(screen.getByRole('button', { name: 'Start Execution' }));
+        expect(onSubmit).toHaveBeenCalledWith(expect.objectContaining({ execution: 'TWAP', quantity: '5', algoMinutes: '10', algoSlices: '20' }));
+    });
+
+    it('asks an iceberg for a limit price and a clip no larger than the order', async () => {
+        const { onSubmit, user } = renderForm();
+        await chooseExecution(user, 'Iceberg');
+        await user.click(screen.getByRole('button', { name: 'Market' }));
+        await user.type(screen.getByPlaceholderText('e.g., 0.5'), '1');
+        await user.click(screen.getByRole('button', { name: 'Start Execution' }));
+        expect(screen.getByText('An iceberg order needs a limit price.')).toBeTruthy();
+
+        await user.click(screen.getByRole('button', { name: 'Limit' }));
+        await user.type(screen.getByPlaceholderText('e.g., 68000.50'), '68000');
+        await user.type(screen.getByPlaceholderText('e.g., 0.1'), '2');
+        await user.click(screen.getByRole('button', { name: 'Start Execution' }));
+        expect(screen.getByText('The clip size cannot be larger than the order.')).toBeTruthy();
+        expect(onSubmit).not.toHaveBeenCalled();
+    });
+
+    it('needs a single venue', async () => {
+        const { onSubmit, user } = renderForm({ algoVenue: null });
+        await chooseExecution(user, 'POV');
+        await user.click(screen.getByRole('button', { name: 'Market' }));
+        await user.type(screen.getByPlaceholderText('e.g., 0.5'), '1');
+        await user.click(screen.getByRole('button', { name: 'Start Execution' }));
+        expect(screen.getByText(/run on a single venue/)).toBeTruthy();
+        expect(onSubmit).not.toHaveBeenCalled();
+    });
+});
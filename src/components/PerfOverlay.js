@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+
+// Shown in development, or in a production build with NEXT_PUBLIC_PERF_OVERLAY=1
+export const isPerfOverlayEnabled = process.env.NODE_ENV !== 'production' || process.env.NEXT_PUBLIC_PERF_OVERLAY === '1';
+
+const Stat = ({ label, value, warn }) => (
+    <div className="flex justify-between gap-4">
+        <span className="text-gray-500">{label}</span>
+        <span className={warn ? 'text-yellow-300' : 'text-gray-200'}>{value}</span>
+    </div>
+);
+
+// Feed performance from useOrderbookFeeds, refreshed once a second: where the
+// feeds run, messages handled per second, the time spent handling each one,
+// the longest a change waited before reaching the UI, and render frame rate.
+const PerfOverlay = ({ stats }) => {
+    const [collapsed, setCollapsed] = useState(false);
+
+    return (
+        <div className="fixed bottom-2 right-2 z-50 bg-gray-900/90 border border-gray-700 rounded-md px-2 py-1.5 text-[11px] font-mono text-gray-300 shadow-lg">
+            <button onClick={() => setCollapsed(c => !c)} className="w-full text-left text-gray-400 hover:text-white">
+                {collapsed ? '▸' : '▾'} Feed perf
+            </button>
+            {!collapsed && (stats ? (
+                <div className="mt-1 min-w-[11rem]">
+                    <Stat label="Feeds on" value={stats.transport} />
+                    <Stat label="Messages/s" value={stats.messageRate.toFixed(0)} />
+                    <Stat label="Processing avg" value={`${stats.avgProcessingMs.toFixed(2)} ms`} />
+                    <Stat label="Processing max" value={`${stats.maxProcessingMs.toFixed(2)} ms`} warn={stats.maxProcessingMs > 8} />
+                    <Stat label="Latency to UI max" value={`${stats.maxLatencyMs.toFixed(0)} ms`} warn={stats.maxLatencyMs > 100} />
+                    <Stat label="FPS" value={stats.fps.toFixed(0)} warn={stats.fps < 50} />
+                    <Stat label="Dropped frames" value={stats.droppedFrames} warn={stats.droppedFrames > 0} />
+                </div>
+            ) : (
+                <div className="mt-1 text-gray-500">Waiting for stats…</div>
+            ))}
+        </div>
+    );
+};
+
+export default PerfOverlay;
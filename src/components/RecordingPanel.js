@@ -0,0 +1,63 @@
+import React, { useRef } from 'react';
+import { AlertCircle, Circle, Square, Play, Download, Upload, Trash2 } from 'lucide-react';
+import { formatDuration } from '@/lib/recording/recorder';
+
+const RecordingPanel = ({ session, onRecord, onReplay }) => {
+    const fileInput = useRef(null);
+    const { recordings, error, isRecording, recordedCount, stopRecording, replayer, download, upload, remove } = session;
+
+    const handleFile = (e) => {
+        const [file] = e.target.files;
+        if (file) upload(file);
+        e.target.value = '';
+    };
+
+    return (
+        <div className="bg-gray-900 rounded-lg p-4 mt-4 space-y-3">
+            <div className="flex items-center justify-between">
+                <h3 className="text-lg font-semibold text-white">Recordings</h3>
+                <div className="flex gap-2">
+                    {isRecording ? (
+                        <button onClick={stopRecording} className="flex items-center px-2 py-1 rounded bg-red-600 hover:bg-red-700 text-white text-xs">
+                            <Square className="w-3 h-3 mr-1.5" />Stop ({recordedCount.toLocaleString()})
+                        </button>
+                    ) : (
+                        <button onClick={onRecord} disabled={Boolean(replayer)} className="flex items-center px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white text-xs disabled:opacity-40">
+                            <Circle className="w-3 h-3 mr-1.5 text-red-500 fill-red-500" />Record
+                        </button>
+                    )}
+                    <button onClick={() => fileInput.current.click()} className="flex items-center px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white text-xs">
+                        <Upload className="w-3 h-3 mr-1.5" />Import
+                    </button>
+                    <input ref={fileInput} type="file" accept=".gz,.ndjson,.jsonl" onChange={handleFile} className="hidden" />
+                </div>
+            </div>
+
+            {error && <p className="text-sm text-red-500 flex items-center"><AlertCircle className="w-4 h-4 mr-2"/>{error}</p>}
+
+            {recordings.length === 0 ? (
+                <p className="text-xs text-gray-500">Record the open feeds to review them later or replay them without a network connection.</p>
+            ) : (
+                <ul className="space-y-1 text-sm">
+                    {recordings.map(recording => (
+                        <li key={recording.id} className="flex items-center justify-between bg-gray-800 rounded px-2 py-1.5">
+                            <div className="min-w-0">
+                                <p className="text-white truncate">{recording.name}</p>
+                                <p className="text-xs text-gray-500">
+                                    {formatDuration(recording.endedAt - recording.startedAt)} · {recording.messageCount.toLocaleString()} msgs · {recording.feeds.map(feed => feed.venue).join(', ')}
+                                </p>
+                            </div>
+                            <div className="flex gap-1 ml-2 shrink-0">
+                                <button onClick={() => onReplay(recording.id)} disabled={isRecording} title="Replay" className="p-1 rounded text-gray-300 hover:bg-gray-700 disabled:opacity-40"><Play className="w-4 h-4" /></button>
+                                <button onClick={() => download(recording.id)} title="Export (.ndjson.gz)" className="p-1 rounded text-gray-300 hover:bg-gray-700"><Download className="w-4 h-4" /></button>
+                                <button onClick={() => remove(recording.id)} disabled={replayer && replayer.recording.id === recording.id} title="Delete" className="p-1 rounded text-gray-300 hover:bg-gray-700 disabled:opacity-40"><Trash2 className="w-4 h-4" /></button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default RecordingPanel;
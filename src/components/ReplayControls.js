@@ -0,0 +1,49 @@
+import React from 'react';
+import { Play, Pause, StepForward, X } from 'lucide-react';
+import { REPLAY_SPEEDS } from '@/lib/recording/replay';
+import { formatDuration } from '@/lib/recording/recorder';
+
+const speedLabel = (speed) => (speed === Infinity ? 'Max' : `${speed}x`);
+
+// Transport bar shown above the book while a recording drives the feeds
+const ReplayControls = ({ replayer, state, onExit }) => {
+    const { playing, speed, position, index, total } = state;
+    const duration = replayer.duration;
+    const wallClock = new Date(replayer.recording.startedAt + position).toLocaleTimeString('en-US', { hour12: false });
+
+    return (
+        <div className="flex flex-wrap items-center gap-3 px-4 py-2 text-xs text-gray-300 bg-purple-950/40 border-b border-purple-800 rounded-t-lg">
+            <span className="font-semibold text-purple-300">REPLAY</span>
+            <span className="truncate max-w-[12rem]" title={replayer.recording.name}>{replayer.recording.name}</span>
+            <button onClick={playing ? replayer.pause : replayer.play} title={playing ? 'Pause' : 'Play'} className="p-1 rounded bg-gray-800 hover:bg-gray-700">
+                {playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+            </button>
+            <button onClick={replayer.step} title="Step one message" className="p-1 rounded bg-gray-800 hover:bg-gray-700"><StepForward className="w-4 h-4" /></button>
+            <div className="flex">
+                {REPLAY_SPEEDS.map((value, i) => (
+                    <button
+                        key={value}
+                        onClick={() => replayer.setSpeed(value)}
+                        className={`px-2 py-1 ${i === 0 ? 'rounded-l' : ''} ${i === REPLAY_SPEEDS.length - 1 ? 'rounded-r' : ''} ${speed === value ? 'bg-purple-600 text-white' : 'bg-gray-800 hover:bg-gray-700'}`}
+                    >
+                        {speedLabel(value)}
+                    </button>
+                ))}
+            </div>
+            <input
+                type="range"
+                min={0}
+                max={duration}
+                value={position}
+                onChange={(e) => replayer.seek(Number(e.target.value))}
+                className="flex-1 min-w-[8rem] accent-purple-500"
+            />
+            <span className="font-mono">{formatDuration(position)} / {formatDuration(duration)}</span>
+            <span className="font-mono text-gray-500" title="Recorded time">{wallClock}</span>
+            <span className="font-mono text-gray-500">{index.toLocaleString()}/{total.toLocaleString()}</span>
+            <button onClick={onExit} title="Back to live" className="flex items-center px-2 py-1 rounded bg-gray-800 hover:bg-gray-700"><X className="w-3 h-3 mr-1" />Live</button>
+        </div>
+    );
+};
+
+export default ReplayControls;
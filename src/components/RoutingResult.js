@@ -0,0 +1,84 @@
+import React from 'react';
+import { AlertCircle, CheckCircle } from 'lucide-react';
+import { getVenue } from '@/lib/venues';
+import { formatQuote } from '@/lib/instruments/format';
+
+// Sizes are in `baseCurrency`, prices and fees in `quoteCurrency`
+const RoutingResult = ({ result, baseCurrency, quoteCurrency }) => {
+    if (!result) {
+        return (
+            <div className="bg-gray-900 rounded-lg p-4 mt-4 text-center text-gray-500">
+                <p>Submit a routed simulation to see the child orders.</p>
+            </div>
+        );
+    }
+
+    const { childOrders, fillPercent, avgPrice, avgEffectivePrice, totalFees, bestSingle, savings, savingsBps } = result;
+
+    return (
+        <div className="bg-gray-900 rounded-lg p-4 mt-4 space-y-3">
+            <h3 className="text-lg font-semibold text-white">Smart Routing</h3>
+            <table className="w-full text-xs">
+                <thead>
+                    <tr className="text-gray-500">
+                        <th className="text-left p-1 font-normal">Venue</th>
+                        <th className="text-right p-1 font-normal">Qty ({baseCurrency})</th>
+                        <th className="text-right p-1 font-normal">Avg Price</th>
+                        <th className="text-right p-1 font-normal">Fees</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {childOrders.map(child => (
+                        <tr key={child.venue} className="text-white">
+                            <td className="p-1 flex items-center">
+                                <span className="w-2 h-2 rounded-full mr-2" style={{ backgroundColor: getVenue(child.venue)?.color }}></span>
+                                {child.venue}
+                            </td>
+                            <td className="p-1 text-right font-mono">{child.quantity.toFixed(4)}</td>
+                            <td className="p-1 text-right font-mono">{formatQuote(child.avgPrice, quoteCurrency)}</td>
+                            <td className="p-1 text-right font-mono">{formatQuote(child.fees, quoteCurrency)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <div className="text-sm space-y-2">
+                <div className="flex justify-between">
+                    <span className="text-gray-400">Est. Fill Percentage:</span>
+                    <span className="text-white font-mono">{fillPercent.toFixed(2)}%</span>
+                </div>
+                <div className="flex justify-between">
+                    <span className="text-gray-400">Avg Fill Price:</span>
+                    <span className="text-white font-mono">{formatQuote(avgPrice, quoteCurrency)}</span>
+                </div>
+                <div className="flex justify-between">
+                    <span className="text-gray-400">Avg Price incl. Fees:</span>
+                    <span className="text-white font-mono">{formatQuote(avgEffectivePrice, quoteCurrency)}</span>
+                </div>
+                <div className="flex justify-between">
+                    <span className="text-gray-400">Total Fees:</span>
+                    <span className="text-white font-mono">{formatQuote(totalFees, quoteCurrency)}</span>
+                </div>
+                {bestSingle && (
+                    <div className="flex justify-between">
+                        <span className="text-gray-400">Best Single Venue ({bestSingle.venue}):</span>
+                        <span className="text-white font-mono">{formatQuote(bestSingle.avgEffectivePrice, quoteCurrency)}</span>
+                    </div>
+                )}
+            </div>
+            {savings !== null && savings > 0.005 && (
+                <div className="p-3 bg-green-900/50 border border-green-700 rounded-md text-green-300 text-sm flex items-start">
+                    <CheckCircle className="w-5 h-5 mr-2 flex-shrink-0 mt-0.5" />
+                    <span>Routing saves {formatQuote(savings, quoteCurrency)} ({savingsBps.toFixed(2)} bps) versus sending everything to {bestSingle.venue}.</span>
+                </div>
+            )}
+            {savings !== null && savings <= 0.005 && (
+                <div className="p-3 bg-gray-800 border border-gray-700 rounded-md text-gray-300 text-sm flex items-start">
+                    <AlertCircle className="w-5 h-5 mr-2 flex-shrink-0 mt-0.5" />
+                    <span>{bestSingle.venue} alone is as good as routing for this size.</span>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RoutingResult;
@@ -0,0 +1,160 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { LineChart, Line, YAxis, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { createTradeFlow, summarizeTrades, sizePercentile } from '@/lib/trades/flow';
+
+const WINDOWS = [
+    { label: '1m', ms: 60 * 1000 },
+    { label: '5m', ms: 5 * 60 * 1000 },
+    { label: '15m', ms: 15 * 60 * 1000 },
+];
+// Rows shown on the tape
+const TAPE_ROWS = 100;
+// Points plotted on the CVD sparkline
+const SPARKLINE_POINTS = 300;
+// Without a threshold, trades above this percentile of the window are highlighted
+const LARGE_TRADE_PERCENTILE = 0.95;
+
+const formatPrice = (price) => (price === null ? '—' : price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+const formatSize = (size) => size.toFixed(4);
+const formatSigned = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(4)}`;
+const formatTime = (timestamp) => {
+    const date = new Date(timestamp);
+    return `${date.toLocaleTimeString('en-US', { hour12: false })}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+};
+
+const downsample = (points, count) => {
+    if (points.length <= count) return points;
+    const step = points.length / count;
+    return Array.from({ length: count }, (_, i) => points[Math.floor(i * step)]).concat(points[points.length - 1]);
+};
+
+// Windowed stats and the session CVD of `flow`, after its latest trades were added
+const flowStatsOf = (flow, windowMs) => {
+    const recent = flow.recent(windowMs);
+    return {
+        ...summarizeTrades(recent),
+        autoLargeSize: sizePercentile(recent, LARGE_TRADE_PERCENTILE),
+        cvd: flow.cvd(),
+        cvdSeries: downsample(flow.cvdSeries(), SPARKLINE_POINTS),
+    };
+};
+
+const Stat = ({ label, value, className = 'text-white' }) => (
+    <div>
+        <div className="text-gray-400 text-xs">{label}</div>
+        <div className={`font-mono text-sm ${className}`}>{value}</div>
+    </div>
+);
+
+// `trades` is newest first, in the display unit. The panel keeps its own
+// history (up to the longest window) and the session CVD, so it should be
+// remounted when the venue, instrument or unit changes.
+const TimeAndSales = ({ trades, sizeLabel, showVenue }) => {
+    const [isClient, setIsClient] = useState(false);
+    const [windowMs, setWindowMs] = useState(WINDOWS[0].ms);
+    const [minSize, setMinSize] = useState('');
+    const [largeSize, setLargeSize] = useState('');
+    const flow = useRef(null);
+    if (!flow.current) flow.current = createTradeFlow({ maxAgeMs: WINDOWS[WINDOWS.length - 1].ms });
+    const [flowStats, setFlowStats] = useState(() => flowStatsOf(flow.current, windowMs));
+
+    useEffect(() => {
+        setIsClient(true);
+    }, []);
+
+    // The flow skips trades it has already seen, so a list that only gained
+    // trades, or did not change, adds each trade once
+    useEffect(() => {
+        flow.current.add(trades);
+        setFlowStats(flowStatsOf(flow.current, windowMs));
+    }, [trades, windowMs]);
+
+    const minSizeValue = parseFloat(minSize) > 0 ? parseFloat(minSize) : 0;
+    const largeThreshold = parseFloat(largeSize) > 0 ? parseFloat(largeSize) : flowStats.autoLargeSize;
+    const tape = useMemo(() => trades.filter(trade => trade.size >= minSizeValue).slice(0, TAPE_ROWS), [trades, minSizeValue]);
+
+    const windowLabel = WINDOWS.find(w => w.ms === windowMs).label;
+
+    return (
+        <div className="bg-gray-900 rounded-lg p-4 mt-4 space-y-3">
+            <div className="flex items-center justify-between">
+                <h3 className="text-lg font-semibold text-white">Time & Sales</h3>
+                <div className="flex gap-1">
+                    {WINDOWS.map(({ label, ms }) => (
+                        <button
+                            key={label}
+                            onClick={() => setWindowMs(ms)}
+                            className={`px-2 py-0.5 text-xs rounded ${windowMs === ms ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-400 hover:bg-gray-700'}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="grid grid-cols-3 gap-3">
+                <Stat label={`Buy Vol (${windowLabel})`} value={formatSize(flowStats.buyVolume)} className="text-green-400" />
+                <Stat label={`Sell Vol (${windowLabel})`} value={formatSize(flowStats.sellVolume)} className="text-red-400" />
+                <Stat label={`Delta (${windowLabel})`} value={formatSigned(flowStats.delta)} className={flowStats.delta >= 0 ? 'text-green-400' : 'text-red-400'} />
+                <Stat label={`VWAP (${windowLabel})`} value={formatPrice(flowStats.vwap)} />
+                <Stat label="Buy Share" value={flowStats.buyRatio === null ? '—' : `${(flowStats.buyRatio * 100).toFixed(1)}%`} />
+                <Stat label="Session CVD" value={formatSigned(flowStats.cvd)} className={flowStats.cvd >= 0 ? 'text-green-400' : 'text-red-400'} />
+            </div>
+
+            <div className="h-16">
+                {isClient && flowStats.cvdSeries.length > 1 ? (
+                    <ResponsiveContainer width="100%" height="100%">
+                        <LineChart data={flowStats.cvdSeries} margin={{ top: 4, right: 4, left: 4, bottom: 4 }}>
+                            <YAxis hide domain={['auto', 'auto']} />
+                            <ReferenceLine y={0} stroke="#4B5563" strokeDasharray="3 3" />
+                            <Line type="monotone" dataKey="cvd" stroke="#60A5FA" strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                        </LineChart>
+                    </ResponsiveContainer>
+                ) : (
+                    <div className="h-full flex items-center justify-center text-xs text-gray-500">Waiting for trades...</div>
+                )}
+            </div>
+
+            <div className="grid grid-cols-2 gap-2 text-xs">
+                <label className="flex items-center gap-2 text-gray-400">
+                    Min size
+                    <input type="number" min="0" step="any" value={minSize} onChange={(e) => setMinSize(e.target.value)} placeholder="0" className="w-full bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white" />
+                </label>
+                <label className="flex items-center gap-2 text-gray-400">
+                    Large ≥
+                    <input type="number" min="0" step="any" value={largeSize} onChange={(e) => setLargeSize(e.target.value)} placeholder={largeThreshold === null ? 'auto' : `auto ${largeThreshold.toFixed(4)}`} className="w-full bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white" />
+                </label>
+            </div>
+
+            <div className="max-h-72 overflow-y-auto">
+                <table className="w-full text-xs font-mono">
+                    <thead className="sticky top-0 bg-gray-900">
+                        <tr className="text-gray-500">
+                            <th className="text-left p-1 font-normal">Time</th>
+                            {showVenue && <th className="text-left p-1 font-normal">Venue</th>}
+                            <th className="text-right p-1 font-normal">Price</th>
+                            <th className="text-right p-1 font-normal">Size ({sizeLabel})</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {tape.map(trade => {
+                            const isLarge = largeThreshold !== null && trade.size >= largeThreshold;
+                            const sideColor = trade.side === 'Buy' ? 'text-green-400' : 'text-red-400';
+                            return (
+                                <tr key={trade.seq} className={isLarge ? `font-bold ${trade.side === 'Buy' ? 'bg-green-500/15' : 'bg-red-500/15'}` : ''}>
+                                    <td className="p-1 text-gray-400">{formatTime(trade.timestamp)}</td>
+                                    {showVenue && <td className="p-1 text-gray-400">{trade.venue}</td>}
+                                    <td className={`p-1 text-right ${sideColor}`}>{formatPrice(trade.price)}</td>
+                                    <td className={`p-1 text-right ${sideColor}`}>{formatSize(trade.size)}</td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+                {tape.length === 0 && <p className="text-center text-gray-500 text-xs py-4">No trades{minSizeValue > 0 ? ' above the minimum size' : ''} yet.</p>}
+            </div>
+        </div>
+    );
+};
+
+export default TimeAndSales;
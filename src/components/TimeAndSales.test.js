@@ -0,0 +1,52 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { describe, it, expect, afterEach } from 'vitest';
+import { render, screen, cleanup, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import TimeAndSales from './TimeAndSales';
+
+afterEach(cleanup);
+
+// jsdom has no layout; the CVD sparkline only needs the constructor to exist
+globalThis.ResizeObserver ??= class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+};
+
+// Newest first, as the page passes them
+const TRADES = [
+    { seq: 3, side: 'Sell', price: 100.5, size: 5, timestamp: 3000, venue: 'OKX' },
+    { seq: 2, side: 'Buy', price: 101, size: 0.2, timestamp: 2000, venue: 'Bybit' },
+    { seq: 1, side: 'Buy', price: 100, size: 1, timestamp: 1000, venue: 'OKX' },
+];
+
+const rows = () => within(screen.getByRole('table')).getAllByRole('row').slice(1);
+
+describe('TimeAndSales', () => {
+    it('lists trades newest first with flow metrics', () => {
+        render(<TimeAndSales trades={TRADES} sizeLabel="BTC" />);
+        expect(rows().map(row => row.cells[2].textContent)).toEqual(['5.0000', '0.2000', '1.0000']);
+        // Window delta and session CVD agree while every trade is in the window
+        expect(screen.getAllByText('-3.8000')).toHaveLength(2);
+        expect(rows()[0].cells[1].className).toContain('text-red-400');
+    });
+
+    it('counts each trade once when the list is passed again', () => {
+        const { rerender } = render(<TimeAndSales trades={TRADES} sizeLabel="BTC" />);
+        rerender(<TimeAndSales trades={[...TRADES]} sizeLabel="BTC" />);
+        expect(screen.getAllByText('-3.8000')).toHaveLength(2);
+        rerender(<TimeAndSales trades={[{ seq: 4, side: 'Buy', price: 100, size: 1, timestamp: 4000 }, ...TRADES]} sizeLabel="BTC" />);
+        expect(screen.getAllByText('-2.8000')).toHaveLength(2);
+    });
+
+    it('filters by minimum size and highlights large trades', async () => {
+        const user = userEvent.setup();
+        render(<TimeAndSales trades={TRADES} sizeLabel="BTC" showVenue />);
+        await user.type(screen.getByPlaceholderText('0'), '0.5');
+        expect(rows()).toHaveLength(2);
+        await user.type(screen.getByPlaceholderText(/^auto/), '1');
+        expect(rows().map(row => row.className.includes('font-bold'))).toEqual([true, true]);
+        expect(rows()[0].cells[1].textContent).toBe('OKX');
+    });
+});
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { AlertCircle } from 'lucide-react';
+import { WORKING_ORDER_STATUS, isWorking, remainingQty, averageFillPrice } from '@/lib/simulation/workingOrder';
+
+const STATUS_STYLES = {
+    [WORKING_ORDER_STATUS.WORKING]: { label: 'Working', className: 'bg-blue-900/60 text-blue-300' },
+    [WORKING_ORDER_STATUS.PARTIALLY_FILLED]: { label: 'Partially Filled', className: 'bg-yellow-900/60 text-yellow-300' },
+    [WORKING_ORDER_STATUS.FILLED]: { label: 'Filled', className: 'bg-green-900/60 text-green-300' },
+    [WORKING_ORDER_STATUS.CANCELLED]: { label: 'Cancelled', className: 'bg-gray-800 text-gray-400' },
+};
+
+const formatPrice = (price) => (price === null ? '—' : price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString('en-US', { hour12: false });
+
+const WorkingOrderPanel = ({ order, baseCurrency, onCancel, onAmend }) => {
+    const [amend, setAmend] = useState({ price: '', quantity: '' });
+    const [error, setError] = useState('');
+
+    if (!order) return null;
+
+    const status = STATUS_STYLES[order.status];
+    const open = isWorking(order);
+    const avgPrice = averageFillPrice(order);
+
+    const handleAmend = (e) => {
+        e.preventDefault();
+        setError('');
+        const price = amend.price === '' ? order.price : parseFloat(amend.price);
+        const quantity = amend.quantity === '' ? order.quantity : parseFloat(amend.quantity);
+        if (isNaN(price) || price <= 0) {
+            setError('Please enter a valid price.');
+            return;
+        }
+        if (isNaN(quantity) || quantity <= order.filledQty) {
+            setError(`Quantity must be above the ${order.filledQty.toFixed(4)} already filled.`);
+            return;
+        }
+        onAmend({ price, quantity });
+        setAmend({ price: '', quantity: '' });
+    };
+
+    return (
+        <div className="bg-gray-900 rounded-lg p-4 mt-4 space-y-3">
+            <div className="flex items-center justify-between">
+                <h3 className="text-lg font-semibold text-white">Working Order</h3>
+                <span className={`text-xs px-2 py-0.5 rounded ${status.className}`}>{status.label}</span>
+            </div>
+            <div className="text-sm space-y-2">
+                <div className="flex justify-between">
+                    <span className="text-gray-400">Order:</span>
+                    <span className={`font-mono ${order.side === 'Buy' ? 'text-green-400' : 'text-red-400'}`}>
+                        {order.side} {order.quantity.toFixed(4)} {baseCurrency} @ {formatPrice(order.price)} on {order.venue}
+                    </span>
+                </div>
+                <div className="flex justify-between">
+                    <span className="text-gray-400">Filled / Remaining:</span>
+                    <span className="text-white font-mono">{order.filledQty.toFixed(4)} / {remainingQty(order).toFixed(4)}</span>
+                </div>
+                <div className="flex justify-between">
+                    <span className="text-gray-400">Avg Fill Price:</span>
+                    <span className="text-white font-mono">{formatPrice(avgPrice)}</span>
+                </div>
+                {open && (
+                    <div className="flex justify-between">
+                        <span className="text-gray-400">Queue Ahead:</span>
+                        <span className="text-white font-mono">{order.queueAhead.toFixed(4)} {baseCurrency}</span>
+                    </div>
+                )}
+            </div>
+
+            {order.fills.length > 0 && (
+                <table className="w-full text-xs">
+                    <thead>
+                        <tr className="text-gray-500">
+                            <th className="text-left p-1 font-normal">Time</th>
+                            <th className="text-right p-1 font-normal">Price</th>
+                            <th className="text-right p-1 font-normal">Qty</th>
+                            <th className="text-right p-1 font-normal">Liquidity</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {order.fills.map((fill, index) => (
+                            <tr key={index} className="text-white font-mono">
+                                <td className="p-1">{formatTime(fill.timestamp)}</td>
+                                <td className="p-1 text-right">{formatPrice(fill.price)}</td>
+                                <td className="p-1 text-right">{fill.quantity.toFixed(4)}</td>
+                                <td className="p-1 text-right capitalize">{fill.liquidity}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            {open && (
+                <form onSubmit={handleAmend} className="space-y-2">
+                    <div className="grid grid-cols-2 gap-2">
+                        <input type="number" value={amend.price} onChange={(e) => setAmend(prev => ({ ...prev, price: e.target.value }))} placeholder={`Price (${order.price})`} className="w-full bg-gray-800 border border-gray-700 rounded-md p-2 text-white text-sm focus:ring-blue-500 focus:border-blue-500" />
+                        <input type="number" value={amend.quantity} onChange={(e) => setAmend(prev => ({ ...prev, quantity: e.target.value }))} placeholder={`Qty (${order.quantity})`} className="w-full bg-gray-800 border border-gray-700 rounded-md p-2 text-white text-sm focus:ring-blue-500 focus:border-blue-500" />
+                    </div>
+                    {error && <p className="text-sm text-red-500 flex items-center"><AlertCircle className="w-4 h-4 mr-2"/>{error}</p>}
+                    <div className="grid grid-cols-2 gap-2">
+                        <button type="submit" className="w-full bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold py-2 px-4 rounded-md transition-colors">Amend</button>
+                        <button type="button" onClick={onCancel} className="w-full bg-gray-700 hover:bg-gray-600 text-white text-sm font-bold py-2 px-4 rounded-md transition-colors">Cancel Order</button>
+                    </div>
+                    <p className="text-xs text-gray-500">Changing the price or increasing the size moves the order to the back of the queue.</p>
+                </form>
+            )}
+        </div>
+    );
+};
+
+export default WorkingOrderPanel;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { Link, Save, Trash2 } from 'lucide-react';
+
+const controlClass = 'bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-xs text-gray-200 focus:outline-none focus:ring-1 focus:ring-blue-500';
+const buttonClass = 'flex items-center px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white text-xs disabled:opacity-40';
+
+// Named presets and a shareable link for the workspace; `workspace` is the
+// useWorkspace result
+const WorkspaceBar = ({ workspace }) => {
+    const { presets, savePreset, loadPreset, deletePreset } = workspace;
+    const [selected, setSelected] = useState('');
+    const [name, setName] = useState('');
+    const [copied, setCopied] = useState(false);
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        const trimmed = name.trim();
+        if (!trimmed) return;
+        savePreset(trimmed);
+        setSelected(trimmed);
+        setName('');
+    };
+
+    const handleLoad = (presetName) => {
+        setSelected(presetName);
+        if (presetName) loadPreset(presetName);
+    };
+
+    const handleDelete = () => {
+        deletePreset(selected);
+        setSelected('');
+    };
+
+    // The URL is kept in sync with the workspace, so the current address is the link
+    const copyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 1500);
+        } catch (e) {
+            console.error('Could not copy the link:', e);
+        }
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            <select value={selected} onChange={(e) => handleLoad(e.target.value)} className={controlClass} aria-label="Load preset">
+                <option value="">{presets.length > 0 ? 'Load preset…' : 'No saved presets'}</option>
+                {presets.map(preset => <option key={preset.name} value={preset.name}>{preset.name}</option>)}
+            </select>
+            <button onClick={handleDelete} disabled={!selected} title="Delete preset" className={buttonClass}>
+                <Trash2 className="w-3 h-3" />
+            </button>
+            <form onSubmit={handleSave} className="flex items-center gap-2">
+                <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Preset name" className={`${controlClass} w-32`} />
+                <button type="submit" disabled={!name.trim()} className={buttonClass}>
+                    <Save className="w-3 h-3 mr-1.5" />Save
+                </button>
+            </form>
+            <button onClick={copyLink} className={buttonClass}>
+                <Link className="w-3 h-3 mr-1.5" />{copied ? 'Copied' : 'Copy link'}
+            </button>
+        </div>
+    );
+};
+
+export default WorkspaceBar;
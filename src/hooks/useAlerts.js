@@ -0,0 +1,77 @@
+"use client";
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { evaluateRules, appendAlerts } from '@/lib/alerts/rules';
+import { loadAlertRules, saveAlertRules, loadAlertLog, saveAlertLog } from '@/lib/alerts/storage';
+
+const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// Shows a fired alert as a browser notification when the user allowed them;
+// `tag` replaces a rule's earlier notification rather than stacking them
+const notify = (alert) => {
+    if (!notificationsSupported() || Notification.permission !== 'granted') return;
+    try {
+        new Notification(`GoQuant alert${alert.replay ? ' (replay)' : ''}`, { body: alert.message, tag: alert.ruleId, timestamp: alert.at });
+    } catch (e) {
+        // Some mobile browsers only allow notifications from a service worker
+        console.error('Could not show a notification:', e);
+    }
+};
+
+// Keeps the alert rules (see lib/alerts/rules.js), checks them every `checkMs`
+// and collects what fired in `log`, newest first; both are saved to local
+// storage on every change. `inputs` is a ref to { feeds, instrumentId, replay }, with
+// `feeds` { [venue]: { book, connection } } for the open feeds; it is read on
+// every check, so the caller can fill it in after deciding which feeds to open.
+export const useAlerts = (inputs, { checkMs = 500 } = {}) => {
+    const [rules, setRules] = useState([]);
+    const [isLoaded, setIsLoaded] = useState(false);
+    const [log, setLog] = useState([]);
+    const [permission, setPermission] = useState('unsupported');
+    const latestRules = useRef(rules);
+    const ruleState = useRef({});
+    useEffect(() => {
+        latestRules.current = rules;
+    });
+
+    useEffect(() => {
+        setRules(added => [...loadAlertRules(), ...added]);
+        setLog(fired => appendAlerts(loadAlertLog(), [...fired].reverse()));
+        setIsLoaded(true);
+        if (notificationsSupported()) setPermission(Notification.permission);
+    }, []);
+
+    useEffect(() => {
+        if (isLoaded) saveAlertRules(rules);
+    }, [isLoaded, rules]);
+
+    useEffect(() => {
+        if (isLoaded) saveAlertLog(log);
+    }, [isLoaded, log]);
+
+    useEffect(() => {
+        const timer = setInterval(() => {
+            if (!inputs.current) return;
+            const { feeds, instrumentId, replay } = inputs.current;
+            const { state, alerts } = evaluateRules(latestRules.current, feeds, ruleState.current, { instrumentId, now: Date.now(), replay });
+            ruleState.current = state;
+            if (alerts.length === 0) return;
+            alerts.forEach(notify);
+            setLog(prev => appendAlerts(prev, alerts));
+        }, checkMs);
+        return () => clearInterval(timer);
+    }, [inputs, checkMs]);
+
+    const addRule = useCallback((rule) => setRules(prev => [...prev, rule]), []);
+    // `rule` replaces the one with its id
+    const updateRule = useCallback((rule) => setRules(prev => prev.map(existing => (existing.id === rule.id ? rule : existing))), []);
+    const removeRule = useCallback((id) => setRules(prev => prev.filter(rule => rule.id !== id)), []);
+    const clearLog = useCallback(() => setLog([]), []);
+
+    const requestPermission = useCallback(async () => {
+        if (!notificationsSupported()) return;
+        setPermission(await Notification.requestPermission());
+    }, []);
+
+    return { rules, addRule, updateRule, removeRule, log, clearLog, permission, requestPermission };
+};
@@ -0,0 +1,46 @@
+"use client";
+
+import { useState, useEffect, useRef } from 'react';
+import { appendSample } from '@/lib/analytics/microstructure';
+
+const EMPTY_HISTORY = { venues: {}, pairs: {} };
+
+// Samples a basisMonitor result (see lib/analytics/basis) every `sampleMs`
+// and keeps `maxAgeMs` of it as { venues: { [venue]: samples }, pairs:
+// { [pair key]: samples } }, like useBookMetrics. Venue samples are
+// { t, basisBps, premiumBps, annualisedFunding }, pair samples { t,
+// edgeBps, netMidSpreadBps }. `monitor` is null while the monitor is off,
+// which pauses sampling without clearing; `resetKey` clears everything.
+export const useBasisHistory = (monitor, { sampleMs = 1000, maxAgeMs = 15 * 60 * 1000, resetKey } = {}) => {
+    const [history, setHistory] = useState(EMPTY_HISTORY);
+    const latest = useRef(monitor);
+    useEffect(() => {
+        latest.current = monitor;
+    });
+
+    useEffect(() => {
+        setHistory(EMPTY_HISTORY);
+        const timer = setInterval(() => {
+            if (!latest.current) return;
+            const t = Date.now();
+            const { venues, pairs } = latest.current;
+            setHistory(prev => {
+                const next = { venues: { ...prev.venues }, pairs: { ...prev.pairs } };
+                for (const row of Object.values(venues)) {
+                    // A venue without a book leaves a gap rather than a bogus sample
+                    if (row.mid === null) continue;
+                    const sample = { t, basisBps: row.basisBps, premiumBps: row.premiumBps, annualisedFunding: row.annualisedFunding };
+                    next.venues[row.venue] = appendSample(prev.venues[row.venue] || [], sample, maxAgeMs);
+                }
+                for (const pair of pairs) {
+                    const sample = { t, edgeBps: pair.edgeBps, netMidSpreadBps: pair.netMidSpreadBps };
+                    next.pairs[pair.key] = appendSample(prev.pairs[pair.key] || [], sample, maxAgeMs);
+                }
+                return next;
+            });
+        }, sampleMs);
+        return () => clearInterval(timer);
+    }, [sampleMs, maxAgeMs, resetKey]);
+
+    return history;
+};
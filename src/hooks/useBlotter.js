@@ -0,0 +1,44 @@
+"use client";
+
+import { useState, useEffect, useCallback } from 'react';
+import { EMPTY_BLOTTER, recordEntry } from '@/lib/blotter/blotter';
+import { loadBlotter, saveBlotter } from '@/lib/blotter/storage';
+import { blotterToCsv, blotterToJson, blotterFileName } from '@/lib/blotter/export';
+
+const CONTENT_TYPES = { csv: 'text/csv', json: 'application/json' };
+
+// Keeps the blotter (see lib/blotter/blotter.js) and saves it to local storage
+// on every change. `record(entry)` adds an entry or updates the one with the
+// same id; `carried` are the positions of entries dropped past the cap.
+// Entries recorded before storage was read are kept.
+export const useBlotter = () => {
+    const [blotter, setBlotter] = useState(EMPTY_BLOTTER);
+    const [isLoaded, setIsLoaded] = useState(false);
+    const { entries, carried } = blotter;
+
+    useEffect(() => {
+        setBlotter(recorded => [...recorded.entries].reverse().reduce(recordEntry, loadBlotter()));
+        setIsLoaded(true);
+    }, []);
+
+    useEffect(() => {
+        if (isLoaded) saveBlotter(blotter);
+    }, [isLoaded, blotter]);
+
+    const record = useCallback((entry) => setBlotter(prev => recordEntry(prev, entry)), []);
+
+    const clear = useCallback(() => setBlotter(EMPTY_BLOTTER), []);
+
+    // `positions` go into the JSON export alongside the entries
+    const download = useCallback((format, positions = []) => {
+        const content = format === 'csv' ? blotterToCsv(entries) : blotterToJson(entries, positions);
+        const url = URL.createObjectURL(new Blob([content], { type: CONTENT_TYPES[format] }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = blotterFileName(format);
+        link.click();
+        URL.revokeObjectURL(url);
+    }, [entries]);
+
+    return { entries, carried, record, clear, download };
+};
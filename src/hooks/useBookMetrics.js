@@ -0,0 +1,39 @@
+"use client";
+
+import { useState, useEffect, useRef } from 'react';
+import { bookMetrics, appendSample } from '@/lib/analytics/microstructure';
+
+// Samples each venue's book every `sampleMs` and keeps `maxAgeMs` of
+// microstructure metrics per venue, as { [venue]: [{ t, ...metrics }] }.
+// Sampling on a timer rather than on every update gives evenly spaced series
+// whatever each venue's update rate, and lines the venues up on the same times.
+//
+// `books` is { [venue]: book } with base-currency sizes; it can be rebuilt
+// every render. A venue that is no longer in `books` keeps its history;
+// everything is cleared when `resetKey` changes (e.g. the instrument).
+export const useBookMetrics = (books, { sampleMs = 500, maxAgeMs = 15 * 60 * 1000, resetKey } = {}) => {
+    const [history, setHistory] = useState({});
+    const latest = useRef(books);
+    useEffect(() => {
+        latest.current = books;
+    });
+
+    useEffect(() => {
+        setHistory({});
+        const timer = setInterval(() => {
+            const t = Date.now();
+            setHistory(prev => {
+                const next = { ...prev };
+                for (const [venue, book] of Object.entries(latest.current)) {
+                    // An empty book while the feed resyncs leaves a gap rather than a bogus sample
+                    const metrics = bookMetrics(book);
+                    if (metrics) next[venue] = appendSample(prev[venue] || [], { t, ...metrics }, maxAgeMs);
+                }
+                return next;
+            });
+        }, sampleMs);
+        return () => clearInterval(timer);
+    }, [sampleMs, maxAgeMs, resetKey]);
+
+    return history;
+};
@@ -0,0 +1,193 @@
+"use client";
+
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { INITIAL_CONNECTION } from '@/lib/feed/orderbookFeed';
+import { MAX_TRADES } from '@/lib/feed/engine';
+import { createWorkerTransport, createInlineTransport } from '@/lib/feed/transport';
+
+const EMPTY_BOOK = { bids: [], asks: [] };
+const EMPTY_TRADES = [];
+
+// A gap between animation frames longer than this counts the frames it skipped as dropped
+const FRAME_MS = 1000 / 60;
+const DROPPED_FRAME_MS = FRAME_MS * 1.5;
+const STATS_INTERVAL_MS = 1000;
+
+const emptyCounters = (since) => ({ since, frames: 0, dropped: 0, messages: 0, processingMs: 0, maxProcessingMs: 0, maxLatencyMs: 0 });
+
+// Keeps one feed open per entry in `subscriptions` ({ venue, symbol }) and
+// returns { feeds, trades, view, stats }:
+//
+//   feeds  { [venue]: { orderbook, trades, ticker, connection, health, retry } } for every
+//          venue in `venues`. Books and trades are in base currency (see
+//          lib/instruments/units). Venues without a subscription report an
+//          empty book, an idle connection and no health. Trades are newest
+//          first and carry an increasing `seq` so consumers can tell which ones
+//          they have already processed. `ticker` is the venue's mark price, index
+//          and funding (see parseTicker in lib/venues/registry.js), or null.
+//          `health` is refreshed once a second
+//          (see lib/feed/health.js); latency is not measured during replays.
+//   trades { [venue]: trades } as in `feeds`, changing only when trades arrive or a
+//          feed restarts, for callers that should not re-run on every book frame
+//   view   The book view built for the `view` config (see lib/orderbook/view),
+//          with `current` false until it reflects the latest config.
+//   stats  Feed performance over the last second, for the perf overlay.
+//
+// Sockets, parsing, book maintenance and the view run in a Web Worker (see
+// lib/feed/engine). The UI takes one coalesced frame per animation frame, at
+// most `maxFps` times a second, however fast the venues send.
+//
+// `onRawMessage(venue, symbol, data, at)` taps every raw venue message; pass it
+// only while it is needed, as raw messages are otherwise not sent across.
+// `createSocket` swaps the transport (see createOrderbookFeed) and runs the
+// feeds on the main thread, as the replayed sockets live there; changing it
+// restarts every feed.
+export const useOrderbookFeeds = (venues, subscriptions, { staleAfterMs = 5000, onRawMessage, createSocket, view, maxFps = 30 } = {}) => {
+    const [books, setBooks] = useState({});
+    const [trades, setTrades] = useState({});
+    const [tickers, setTickers] = useState({});
+    const [connections, setConnections] = useState({});
+    const [health, setHealth] = useState({});
+    const [bookView, setBookView] = useState(null);
+    const [stats, setStats] = useState(null);
+    const transport = useRef(null);
+    const tradeSeq = useRef(0);
+    // Kept in a ref so a new tap does not restart the feeds
+    const rawTap = useRef(onRawMessage);
+    useEffect(() => {
+        rawTap.current = onRawMessage;
+    });
+
+    // Subscriptions and the view are compared by value so callers can pass fresh objects each render
+    const subscriptionKey = subscriptions.map(({ venue, symbol }) => `${venue}:${symbol}`).sort().join('|');
+    const viewKey = view ? JSON.stringify(view) : null;
+    const isRecording = Boolean(onRawMessage);
+    // What a new transport is brought up to date with; updated before the effects below run
+    const latest = useRef({});
+    useEffect(() => {
+        latest.current = { subscriptions, view: view && { ...view, key: viewKey }, isRecording, maxFps };
+    });
+
+    useEffect(() => {
+        const feedTransport = createSocket || typeof Worker === 'undefined'
+            ? createInlineTransport({ staleAfterMs, createSocket, measureLatency: !createSocket })
+            : createWorkerTransport({ staleAfterMs });
+        transport.current = feedTransport;
+        feedTransport.setSubscriptions(latest.current.subscriptions);
+        if (latest.current.view) feedTransport.setView(latest.current.view);
+        feedTransport.setRecording(latest.current.isRecording);
+
+        let counters = emptyCounters(performance.now());
+
+        const applyFrame = (frame) => {
+            if (frame.books) setBooks(prev => ({ ...prev, ...frame.books }));
+            if (frame.trades || frame.cleared) {
+                // Venues send trades oldest first; the lists are kept newest first
+                const numbered = Object.entries(frame.trades || {}).map(([venue, batch]) => [venue, batch.map(trade => ({ ...trade, seq: ++tradeSeq.current })).reverse()]);
+                setTrades(prev => {
+                    const next = { ...prev };
+                    for (const venue of frame.cleared || []) next[venue] = EMPTY_TRADES;
+                    for (const [venue, batch] of numbered) next[venue] = [...batch, ...(next[venue] || EMPTY_TRADES)].slice(0, MAX_TRADES);
+                    return next;
+                });
+            }
+            if (frame.tickers || frame.cleared) {
+                setTickers(prev => {
+                    const next = { ...prev, ...frame.tickers };
+                    // A ticker in the same frame belongs to the restarted feed
+                    for (const venue of frame.cleared || []) {
+                        if (!frame.tickers || !frame.tickers[venue]) delete next[venue];
+                    }
+                    return next;
+                });
+            }
+            if (frame.connections) setConnections(prev => ({ ...prev, ...frame.connections }));
+            if (frame.view) setBookView(frame.view);
+            if (frame.health) setHealth(frame.health);
+            if (frame.raw && rawTap.current) {
+                for (const { venue, symbol, data, at } of frame.raw) rawTap.current(venue, symbol, data, at);
+            }
+
+            counters.messages += frame.stats.messages;
+            counters.processingMs += frame.stats.processingMs;
+            counters.maxProcessingMs = Math.max(counters.maxProcessingMs, frame.stats.maxProcessingMs);
+            if (frame.pendingSince !== null) counters.maxLatencyMs = Math.max(counters.maxLatencyMs, Date.now() - frame.pendingSince);
+        };
+
+        const publishStats = (time) => {
+            const seconds = (time - counters.since) / 1000;
+            setStats({
+                transport: feedTransport.kind,
+                messageRate: counters.messages / seconds,
+                avgProcessingMs: counters.messages > 0 ? counters.processingMs / counters.messages : 0,
+                maxProcessingMs: counters.maxProcessingMs,
+                maxLatencyMs: counters.maxLatencyMs,
+                fps: counters.frames / seconds,
+                droppedFrames: counters.dropped,
+            });
+            counters = emptyCounters(time);
+        };
+
+        let lastRequest = -Infinity;
+        let lastTick = null;
+        let frameId;
+        const tick = (time) => {
+            frameId = requestAnimationFrame(tick);
+            // A hidden page gets no animation frames at all; that pause is not a drop
+            const gap = lastTick === null ? 0 : time - lastTick;
+            if (gap > DROPPED_FRAME_MS && gap < STATS_INTERVAL_MS) counters.dropped += Math.round(gap / FRAME_MS) - 1;
+            lastTick = time;
+            counters.frames += 1;
+            // Allow a little jitter so a 30 fps cap on a 60 Hz display takes every other frame
+            if (time - lastRequest >= 1000 / latest.current.maxFps - 2) {
+                lastRequest = time;
+                feedTransport.requestFrame(frame => frame && applyFrame(frame));
+            }
+            if (time - counters.since >= STATS_INTERVAL_MS) publishStats(time);
+        };
+        frameId = requestAnimationFrame(tick);
+
+        // Close everything on unmount, and restart every feed when the staleness threshold or transport changes
+        return () => {
+            cancelAnimationFrame(frameId);
+            feedTransport.destroy();
+            transport.current = null;
+        };
+    }, [staleAfterMs, createSocket]);
+
+    useEffect(() => {
+        if (transport.current) transport.current.setSubscriptions(latest.current.subscriptions);
+    }, [subscriptionKey]);
+
+    useEffect(() => {
+        if (transport.current && latest.current.view) transport.current.setView(latest.current.view);
+    }, [viewKey]);
+
+    useEffect(() => {
+        if (transport.current) transport.current.setRecording(isRecording);
+    }, [isRecording]);
+
+    const retry = useCallback((venue) => {
+        if (transport.current) transport.current.retry(venue);
+    }, []);
+
+    // Stable between renders unless a book, connection or health changed, so callers can memoise on it
+    const feeds = useMemo(() => {
+        const result = {};
+        for (const venue of venues) {
+            result[venue] = {
+                orderbook: books[venue] || EMPTY_BOOK,
+                trades: trades[venue] || EMPTY_TRADES,
+                ticker: tickers[venue] || null,
+                connection: connections[venue] || INITIAL_CONNECTION,
+                health: health[venue] || null,
+                retry: () => retry(venue),
+            };
+        }
+        return result;
+    }, [venues, books, trades, tickers, connections, health, retry]);
+
+    const currentView = useMemo(() => bookView && { ...bookView, current: bookView.key === viewKey }, [bookView, viewKey]);
+
+    return { feeds, trades, view: currentView, stats };
+};
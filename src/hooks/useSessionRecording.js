@@ -0,0 +1,140 @@
+"use client";
+
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { createRecorder, MAX_RECORDED_MESSAGES } from '@/lib/recording/recorder';
+import { createReplayer } from '@/lib/recording/replay';
+import { saveRecording, listRecordings, loadRecording, deleteRecording } from '@/lib/recording/store';
+import { exportRecording, importRecording, recordingFileName } from '@/lib/recording/ndjson';
+
+// How often the recorded message count is pushed to the UI while recording
+const COUNT_INTERVAL_MS = 500;
+
+// Recording of live venue messages into IndexedDB and replay of saved sessions.
+// Pass `onRawMessage` and `createSocket` to useOrderbookFeeds: the first taps
+// live frames while recording, the second is set while a replay is loaded and
+// swaps every feed over to the recording.
+export const useSessionRecording = (instrumentId) => {
+    const [recordings, setRecordings] = useState([]);
+    const [recordedCount, setRecordedCount] = useState(null);
+    const [replayer, setReplayer] = useState(null);
+    const [replayState, setReplayState] = useState(null);
+    const [error, setError] = useState('');
+    const recorder = useRef(null);
+
+    const fail = useCallback((message) => (e) => {
+        console.error(message, e);
+        setError(`${message} ${e.message || ''}`.trim());
+    }, []);
+
+    const refresh = useCallback(() => listRecordings().then(setRecordings).catch(fail('Could not list recordings.')), [fail]);
+
+    useEffect(() => {
+        refresh();
+    }, [refresh]);
+
+    const onRawMessage = useCallback((venue, symbol, data, at) => {
+        if (recorder.current) recorder.current.record(venue, symbol, data, at);
+    }, []);
+
+    const stopRecording = useCallback(() => {
+        if (!recorder.current) return;
+        const recording = recorder.current.finish();
+        recorder.current = null;
+        setRecordedCount(null);
+        if (recording.messages.length === 0) return;
+        saveRecording(recording).then(refresh).catch(fail('Could not save the recording.'));
+    }, [refresh, fail]);
+
+    const startRecording = useCallback(() => {
+        setError('');
+        recorder.current = createRecorder({ instrumentId });
+        setRecordedCount(0);
+    }, [instrumentId]);
+
+    const isRecording = recordedCount !== null;
+
+    // Show progress, and stop on our own once the recording is full
+    useEffect(() => {
+        if (!isRecording) return;
+        const interval = setInterval(() => {
+            if (!recorder.current) return;
+            const count = recorder.current.count();
+            setRecordedCount(count);
+            if (count >= MAX_RECORDED_MESSAGES) stopRecording();
+        }, COUNT_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [isRecording, stopRecording]);
+
+    const startReplay = useCallback(async (id) => {
+        setError('');
+        try {
+            const recording = await loadRecording(id);
+            setReplayer(createReplayer(recording, { onProgress: setReplayState }));
+            setReplayState({ playing: false, speed: 1, position: 0, duration: 0, index: 0, total: recording.messages.length, generation: 0 });
+            return recording;
+        } catch (e) {
+            fail('Could not load the recording.')(e);
+            return null;
+        }
+    }, [fail]);
+
+    const stopReplay = useCallback(() => {
+        setReplayer(null);
+        setReplayState(null);
+    }, []);
+
+    // Stop the timers and close the sockets of a replay that was replaced, exited or unmounted
+    useEffect(() => () => replayer && replayer.destroy(), [replayer]);
+
+    const download = useCallback(async (id) => {
+        try {
+            const recording = await loadRecording(id);
+            const url = URL.createObjectURL(await exportRecording(recording));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = recordingFileName(recording);
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (e) {
+            fail('Could not export the recording.')(e);
+        }
+    }, [fail]);
+
+    const upload = useCallback(async (file) => {
+        setError('');
+        try {
+            await saveRecording(await importRecording(file));
+            await refresh();
+        } catch (e) {
+            fail('Could not import the recording.')(e);
+        }
+    }, [refresh, fail]);
+
+    const remove = useCallback((id) => deleteRecording(id).then(refresh).catch(fail('Could not delete the recording.')), [refresh, fail]);
+
+    // A new socket factory per generation restarts the feeds after a backwards seek,
+    // and its sockets belong to that generation
+    const generation = replayState ? replayState.generation : 0;
+    const createSocket = useMemo(
+        () => (replayer ? (url, options) => replayer.createSocket(url, { ...options, generation }) : undefined),
+        [replayer, generation]
+    );
+
+    return {
+        recordings,
+        error,
+        isRecording,
+        recordedCount,
+        startRecording,
+        stopRecording,
+        onRawMessage,
+        replayer,
+        replayState,
+        startReplay,
+        stopReplay,
+        createSocket,
+        download,
+        upload,
+        remove,
+    };
+};
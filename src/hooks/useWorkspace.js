@@ -0,0 +1,54 @@
+"use client";
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { sanitizeWorkspace, workspaceToParams, workspaceFromParams } from '@/lib/workspace/workspace';
+import { loadLastWorkspace, saveLastWorkspace, listPresets, savePreset, deletePreset } from '@/lib/workspace/storage';
+
+// Keeps `workspace` (see lib/workspace/workspace.js) in the URL and in local
+// storage, and restores it on load: from the link if it has workspace
+// parameters, otherwise the last one saved on this browser.
+// `applyWorkspace(partial)` must set the page's state from a partial workspace;
+// it is also called when a preset is loaded. `options` is { venues, depths,
+// chartRanges, defaults } and should not change between renders.
+//
+// Restoring waits for the first effect rather than reading the URL during
+// render, so the server-rendered page and the first client render agree.
+export const useWorkspace = (workspace, applyWorkspace, options) => {
+    const [presets, setPresets] = useState([]);
+    const [isRestored, setIsRestored] = useState(false);
+    // Kept in refs so callers can pass fresh objects and callbacks each render
+    const apply = useRef(applyWorkspace);
+    const latest = useRef(workspace);
+    useEffect(() => {
+        apply.current = applyWorkspace;
+        latest.current = workspace;
+    });
+
+    useEffect(() => {
+        const fromLink = workspaceFromParams(new URLSearchParams(window.location.search), options);
+        const restored = Object.keys(fromLink).length > 0 ? fromLink : sanitizeWorkspace(loadLastWorkspace(), options);
+        if (Object.keys(restored).length > 0) apply.current(restored);
+        setPresets(listPresets());
+        setIsRestored(true);
+    }, [options]);
+
+    // Compared by value, as the workspace object is rebuilt every render
+    const workspaceKey = JSON.stringify(workspace);
+    useEffect(() => {
+        if (!isRestored) return;
+        saveLastWorkspace(latest.current);
+        const params = workspaceToParams(latest.current, options.defaults).toString();
+        window.history.replaceState(window.history.state, '', `${window.location.pathname}${params ? `?${params}` : ''}`);
+    }, [isRestored, workspaceKey, options]);
+
+    const save = useCallback((name) => setPresets(savePreset(name, latest.current)), []);
+
+    const load = useCallback((name) => {
+        const preset = listPresets().find(candidate => candidate.name === name);
+        if (preset) apply.current(sanitizeWorkspace(preset.workspace, options));
+    }, [options]);
+
+    const remove = useCallback((name) => setPresets(deletePreset(name)), []);
+
+    return { presets, isRestored, savePreset: save, loadPreset: load, deletePreset: remove };
+};
@@ -0,0 +1,171 @@
+import { CONNECTION_STATES } from '@/lib/feed/connection';
+
+// --- Alert rules ---
+// Conditions on the live feeds, checked every half second or so:
+//
+//   { id, type, venue, instrumentId, threshold, bandBps, enabled, updatedAt }
+//
+// A rule watches one venue's feed for one canonical instrument (see
+// lib/instruments/symbols) and is only checked while that instrument is
+// selected. `threshold` is in the unit of its type (RULE_DEFINITIONS); `bandBps` is
+// only used by depth rules. Books are { bids, asks } with base-currency sizes.
+//
+// Rules fire when their condition becomes true, not while it stays true, and
+// then wait at least `cooldownMs` before firing again so a spread flickering
+// around its threshold does not flood the log. Price rules fire when the mid
+// crosses the price in either direction, never on the first look at the book.
+
+export const RULE_TYPES = {
+    PRICE_CROSS: 'priceCross',
+    SPREAD_ABOVE: 'spreadAbove',
+    DEPTH_BELOW: 'depthBelow',
+    LARGE_LEVEL: 'largeLevel',
+    FEED_STALE: 'feedStale',
+};
+
+// Label and threshold unit per type, for the rule editor and messages
+export const RULE_DEFINITIONS = {
+    [RULE_TYPES.PRICE_CROSS]: { label: 'Price crosses', unit: 'quote' },
+    [RULE_TYPES.SPREAD_ABOVE]: { label: 'Spread wider than', unit: 'bps' },
+    [RULE_TYPES.DEPTH_BELOW]: { label: 'Depth within band below', unit: 'base' },
+    [RULE_TYPES.LARGE_LEVEL]: { label: 'Single level larger than', unit: 'base' },
+    [RULE_TYPES.FEED_STALE]: { label: 'Feed stale for', unit: 'seconds' },
+};
+
+export const DEFAULT_COOLDOWN_MS = 30000;
+
+// Fired alerts kept in the log
+export const MAX_LOG_ENTRIES = 200;
+
+export const createRule = ({ id, type, venue, instrumentId, threshold, bandBps = null, enabled = true, updatedAt }) => ({
+    id,
+    type,
+    venue,
+    instrumentId,
+    threshold,
+    bandBps: type === RULE_TYPES.DEPTH_BELOW ? bandBps : null,
+    enabled,
+    updatedAt,
+});
+
+// Problems with a rule editor's { type, threshold, bandBps } strings, keyed by
+// field; empty when the rule can be saved
+export const validateRule = ({ type, threshold, bandBps }) => {
+    const errors = {};
+    if (!RULE_DEFINITIONS[type]) errors.type = 'Choose a rule type.';
+    const value = parseFloat(threshold);
+    if (!(value > 0)) errors.threshold = 'Enter a positive number.';
+    if (type === RULE_TYPES.DEPTH_BELOW && !(parseFloat(bandBps) > 0)) errors.bandBps = 'Enter a band in bps.';
+    return errors;
+};
+
+// --- Conditions ---
+
+const topOfBook = (book) => {
+    if (!book || book.bids.length === 0 || book.asks.length === 0) return null;
+    const bid = parseFloat(book.bids[0][0]);
+    const ask = parseFloat(book.asks[0][0]);
+    return { bid, ask, mid: (bid + ask) / 2 };
+};
+
+const sizeWithin = (levels, mid, bps) => levels.reduce((acc, [price, size]) => {
+    const distance = (Math.abs(parseFloat(price) - mid) / mid) * 10000;
+    return distance <= bps + 1e-9 ? acc + parseFloat(size) : acc;
+}, 0);
+
+const largestLevel = (book) => {
+    let largest = null;
+    for (const side of ['bids', 'asks']) {
+        for (const [price, size] of book[side]) {
+            if (!largest || parseFloat(size) > largest.size) largest = { side, price: parseFloat(price), size: parseFloat(size) };
+        }
+    }
+    return largest;
+};
+
+const formatNumber = (value, digits = 2) => value.toLocaleString('en-US', { maximumFractionDigits: digits });
+
+// Whether `rule` holds for the venue's `{ book, connection }` at `now`, as
+// { active, message, memory }. `memory` is what the rule needs from earlier
+// checks (the side of the price, when the feed was last live); `active` is
+// null when there is nothing to judge, e.g. an empty book during a resync.
+const checkRule = (rule, { book, connection }, now, memory) => {
+    const top = topOfBook(book);
+    switch (rule.type) {
+        case RULE_TYPES.PRICE_CROSS: {
+            if (!top || top.mid === rule.threshold) return { active: null, memory };
+            const side = top.mid > rule.threshold ? 'above' : 'below';
+            const crossed = memory.side !== undefined && memory.side !== side;
+            return { active: crossed, message: `mid ${formatNumber(top.mid)} crossed ${side} ${formatNumber(rule.threshold)}`, memory: { side } };
+        }
+        case RULE_TYPES.SPREAD_ABOVE: {
+            if (!top) return { active: null, memory };
+            const spreadBps = ((top.ask - top.bid) / top.mid) * 10000;
+            return { active: spreadBps > rule.threshold, message: `spread ${formatNumber(spreadBps)} bps is wider than ${formatNumber(rule.threshold)} bps`, memory };
+        }
+        case RULE_TYPES.DEPTH_BELOW: {
+            if (!top) return { active: null, memory };
+            const depth = sizeWithin(book.bids, top.mid, rule.bandBps) + sizeWithin(book.asks, top.mid, rule.bandBps);
+            return { active: depth < rule.threshold, message: `depth within ±${formatNumber(rule.bandBps)} bps is ${formatNumber(depth, 4)}, below ${formatNumber(rule.threshold, 4)}`, memory };
+        }
+        case RULE_TYPES.LARGE_LEVEL: {
+            const largest = book && largestLevel(book);
+            if (!largest) return { active: null, memory };
+            const side = largest.side === 'bids' ? 'bid' : 'ask';
+            return { active: largest.size > rule.threshold, message: `${formatNumber(largest.size, 4)} ${side} at ${formatNumber(largest.price)} is larger than ${formatNumber(rule.threshold, 4)}`, memory };
+        }
+        case RULE_TYPES.FEED_STALE: {
+            // lastMessageAge only counts up while the socket is open; through a
+            // reconnect the feed has been quiet since it was last live
+            const { state, lastMessageAge } = connection;
+            if (state === CONNECTION_STATES.IDLE) return { active: null, memory: {} };
+            const open = state === CONNECTION_STATES.LIVE || state === CONNECTION_STATES.STALE;
+            const liveAt = open && lastMessageAge !== null ? now - lastMessageAge : memory.liveAt ?? now;
+            const quietSeconds = (now - liveAt) / 1000;
+            return { active: quietSeconds >= rule.threshold, message: `no book update for ${formatNumber(quietSeconds, 0)}s`, memory: { liveAt } };
+        }
+        default:
+            return { active: null, memory };
+    }
+};
+
+// --- Evaluation ---
+
+// Checks every enabled rule for `instrumentId` against `feeds` ({ [venue]:
+// { book, connection } } for the open feeds) and returns { state, alerts }.
+// `state` is { [ruleId]: { updatedAt, active, firedAt, memory } } from the
+// previous call; a rule that was edited starts afresh. Alerts are { id, ruleId,
+// venue, type, message, at, replay }. Staleness is not judged while
+// replaying, where a paused replay is silent on purpose.
+export const evaluateRules = (rules, feeds, state, { instrumentId, now, replay = false, cooldownMs = DEFAULT_COOLDOWN_MS }) => {
+    const next = {};
+    const alerts = [];
+    for (const rule of rules) {
+        const previous = state[rule.id] && state[rule.id].updatedAt === rule.updatedAt
+            ? state[rule.id]
+            : { updatedAt: rule.updatedAt, active: false, firedAt: null, memory: {} };
+        const feed = feeds[rule.venue];
+        const skip = !rule.enabled || rule.instrumentId !== instrumentId || !feed || (replay && rule.type === RULE_TYPES.FEED_STALE);
+        if (skip) {
+            // Price rules forget which side they were on, so coming back does not count as a cross
+            next[rule.id] = { ...previous, active: false, memory: {} };
+            continue;
+        }
+        const { active, message, memory } = checkRule(rule, feed, now, previous.memory);
+        if (active === null) {
+            next[rule.id] = { ...previous, memory };
+            continue;
+        }
+        const cooledDown = previous.firedAt === null || now - previous.firedAt >= cooldownMs;
+        const fires = active && !previous.active && cooledDown;
+        if (fires) {
+            alerts.push({ id: `${rule.id}:${now}`, ruleId: rule.id, venue: rule.venue, type: rule.type, message: `${rule.venue}: ${message}`, at: now, replay });
+        }
+        // A condition that came true during the cooldown fires once it is over, if it still holds
+        next[rule.id] = { updatedAt: rule.updatedAt, active: active && (fires || previous.active), firedAt: fires ? now : previous.firedAt, memory };
+    }
+    return { state: next, alerts };
+};
+
+// Newest first, capped
+export const appendAlerts = (log, alerts) => (alerts.length > 0 ? [...[...alerts].reverse(), ...log].slice(0, MAX_LOG_ENTRIES) : log);
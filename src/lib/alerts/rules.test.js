@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { CONNECTION_STATES } from '@/lib/feed/connection';
+import { RULE_TYPES, MAX_LOG_ENTRIES, createRule, validateRule, evaluateRules, appendAlerts } from './rules';
+
+const LIVE = { state: CONNECTION_STATES.LIVE, lastMessageAge: 0, reconnectCount: 0 };
+
+const book = (bid, ask, { bidSize = '1', askSize = '1', levels = [] } = {}) => ({
+    bids: [[`${bid}`, bidSize], ...levels.filter(([side]) => side === 'bid').map(([, price, size]) => [`${price}`, `${size}`])],
+    asks: [[`${ask}`, askSize], ...levels.filter(([side]) => side === 'ask').map(([, price, size]) => [`${price}`, `${size}`])],
+});
+
+const rule = (type, threshold, extra = {}) => createRule({ id: type, type, venue: 'OKX', instrumentId: 'BTC', threshold, updatedAt: 1, ...extra });
+
+// Runs the rules over a sequence of { book, connection, now } and returns the alerts of each step
+const run = (rules, steps, options = {}) => {
+    let state = {};
+    return steps.map(({ book: stepBook = null, connection = LIVE, now, instrumentId = 'BTC' }) => {
+        const result = evaluateRules(rules, { OKX: { book: stepBook, connection } }, state, { instrumentId, now, ...options });
+        state = result.state;
+        return result.alerts;
+    });
+};
+
+describe('evaluateRules', () => {
+    it('fires a price rule when the mid crosses it, not on the first look', () => {
+        const alerts = run([rule(RULE_TYPES.PRICE_CROSS, 68000)], [
+            { book: book(68100, 68102), now: 0 },
+            { book: book(67990, 67992), now: 1000 },
+            { book: book(67980, 67982), now: 2000 },
+            { book: book(68010, 68012), now: 40000 },
+        ]);
+        expect(alerts.map(step => step.length)).toEqual([0, 1, 0, 1]);
+        expect(alerts[1][0].message).toBe('OKX: mid 67,991 crossed below 68,000');
+        expect(alerts[3][0].message).toContain('crossed above');
+    });
+
+    it('fires once when a condition comes true and again only after it clears and the cooldown passes', () => {
+        const wide = book(68000, 68010);
+        const tight = book(68000, 68000.5);
+        const alerts = run([rule(RULE_TYPES.SPREAD_ABOVE, 1)], [
+            { book: wide, now: 0 },
+            { book: wide, now: 500 },
+            { book: tight, now: 1000 },
+            { book: wide, now: 1500 },
+            { book: wide, now: 31000 },
+        ]);
+        expect(alerts.map(step => step.length)).toEqual([1, 0, 0, 0, 1]);
+        expect(alerts[0][0]).toMatchObject({ ruleId: RULE_TYPES.SPREAD_ABOVE, venue: 'OKX', at: 0, replay: false });
+    });
+
+    it('measures depth within the band around the mid', () => {
+        const rules = [rule(RULE_TYPES.DEPTH_BELOW, 3, { bandBps: 10 })];
+        // 10 bps of 68000 is 68; the level at 67900 is outside the band
+        const thin = book(67999, 68001, { levels: [['bid', 67950, 0.5], ['bid', 67900, 5]] });
+        const deep = book(67999, 68001, { levels: [['bid', 67950, 1.5], ['ask', 68050, 1]] });
+        expect(run(rules, [{ book: deep, now: 0 }]).flat()).toHaveLength(0);
+        const [[alert]] = run(rules, [{ book: thin, now: 0 }]);
+        expect(alert.message).toBe('OKX: depth within ±10 bps is 2.5, below 3');
+    });
+
+    it('reports the largest level on either side', () => {
+        const [[alert]] = run([rule(RULE_TYPES.LARGE_LEVEL, 10)], [
+            { book: book(67999, 68001, { levels: [['bid', 67990, 4], ['ask', 68005, 12.5]] }), now: 0 },
+        ]);
+        expect(alert.message).toBe('OKX: 12.5 ask at 68,005 is larger than 10');
+    });
+
+    it('times a stale feed from its last update, through reconnects', () => {
+        const rules = [rule(RULE_TYPES.FEED_STALE, 10)];
+        const alerts = run(rules, [
+            { connection: { ...LIVE, lastMessageAge: 2000 }, now: 5000 },
+            { connection: { ...LIVE, state: CONNECTION_STATES.STALE, lastMessageAge: 8000 }, now: 11000 },
+            { connection: { ...LIVE, state: CONNECTION_STATES.RECONNECTING, lastMessageAge: 8000 }, now: 13000 },
+        ]);
+        expect(alerts.map(step => step.length)).toEqual([0, 0, 1]);
+        expect(alerts[2][0].message).toBe('OKX: no book update for 10s');
+        expect(run(rules, [{ connection: { ...LIVE, lastMessageAge: 60000 }, now: 60000 }], { replay: true }).flat()).toHaveLength(0);
+    });
+
+    it('skips disabled rules, other instruments and empty books', () => {
+        const wide = book(68000, 68010);
+        expect(run([rule(RULE_TYPES.SPREAD_ABOVE, 1, { enabled: false })], [{ book: wide, now: 0 }]).flat()).toHaveLength(0);
+        expect(run([rule(RULE_TYPES.SPREAD_ABOVE, 1)], [{ book: wide, now: 0, instrumentId: 'ETH' }]).flat()).toHaveLength(0);
+        expect(run([rule(RULE_TYPES.SPREAD_ABOVE, 1)], [{ book: { bids: [], asks: [] }, now: 0 }]).flat()).toHaveLength(0);
+    });
+
+    it('starts an edited rule afresh', () => {
+        const wide = book(68000, 68010);
+        const first = evaluateRules([rule(RULE_TYPES.SPREAD_ABOVE, 1)], { OKX: { book: wide, connection: LIVE } }, {}, { instrumentId: 'BTC', now: 0 });
+        const edited = evaluateRules([rule(RULE_TYPES.SPREAD_ABOVE, 1.2, { updatedAt: 2 })], { OKX: { book: wide, connection: LIVE } }, first.state, { instrumentId: 'BTC', now: 1000 });
+        expect(edited.alerts).toHaveLength(1);
+    });
+});
+
+describe('validateRule', () => {
+    it('needs a positive threshold, and a band for depth rules', () => {
+        expect(validateRule({ type: RULE_TYPES.SPREAD_ABOVE, threshold: '5' })).toEqual({});
+        expect(validateRule({ type: RULE_TYPES.SPREAD_ABOVE, threshold: '0' })).toHaveProperty('threshold');
+        expect(validateRule({ type: RULE_TYPES.DEPTH_BELOW, threshold: '5', bandBps: '' })).toHaveProperty('bandBps');
+    });
+});
+
+describe('appendAlerts', () => {
+    it('keeps the newest alerts first, up to the cap', () => {
+        const log = appendAlerts([{ id: 'old' }], [{ id: 'a' }, { id: 'b' }]);
+        expect(log.map(alert => alert.id)).toEqual(['b', 'a', 'old']);
+        const full = appendAlerts(Array.from({ length: MAX_LOG_ENTRIES }, (_, i) => ({ id: i })), [{ id: 'new' }]);
+        expect(full).toHaveLength(MAX_LOG_ENTRIES);
+        expect(full[0].id).toBe('new');
+    });
+});
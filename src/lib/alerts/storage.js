@@ -0,0 +1,50 @@
+import { getCanonicalInstrument } from '@/lib/instruments/symbols';
+import { RULE_DEFINITIONS, MAX_LOG_ENTRIES } from './rules';
+
+// --- Alert storage (local storage) ---
+// The alert rules (see rules.js) and the log of fired alerts, newest first.
+// Storage can be unavailable (private browsing, quota); loading then starts
+// empty and saving is skipped. Rules for instruments this version does not
+// know are dropped.
+
+const RULES_KEY = 'goquant:alert-rules';
+const LOG_KEY = 'goquant:alert-log';
+
+const isRule = (rule) => Boolean(rule)
+    && rule.id !== undefined
+    && Boolean(RULE_DEFINITIONS[rule.type])
+    && typeof rule.venue === 'string'
+    && Boolean(getCanonicalInstrument(rule.instrumentId))
+    && Number.isFinite(rule.threshold);
+
+const isAlert = (alert) => Boolean(alert)
+    && typeof alert.id === 'string'
+    && typeof alert.message === 'string'
+    && Number.isFinite(alert.at);
+
+const loadList = (key, isValid) => {
+    try {
+        const raw = window.localStorage.getItem(key);
+        const list = raw ? JSON.parse(raw) : [];
+        return Array.isArray(list) ? list.filter(isValid) : [];
+    } catch (e) {
+        console.error(`Could not read ${key} from local storage:`, e);
+        return [];
+    }
+};
+
+const saveList = (key, list) => {
+    try {
+        window.localStorage.setItem(key, JSON.stringify(list));
+    } catch (e) {
+        console.error(`Could not write ${key} to local storage:`, e);
+    }
+};
+
+export const loadAlertRules = () => loadList(RULES_KEY, isRule);
+
+export const saveAlertRules = (rules) => saveList(RULES_KEY, rules);
+
+export const loadAlertLog = () => loadList(LOG_KEY, isAlert).slice(0, MAX_LOG_ENTRIES);
+
+export const saveAlertLog = (log) => saveList(LOG_KEY, log);
@@ -0,0 +1,113 @@
+// --- Cross-venue basis and funding ---
+// Compares the same asset across venues, e.g. an OKX swap, Bybit spot and a
+// Deribit perpetual. Each market is { venue, kind, book, ticker, fees }: `kind`
+// is 'perp' or 'spot' (see lib/instruments/catalog), `book` has base-currency
+// sizes, `ticker` is the feed's latest parseTicker fields (or null) and `fees`
+// the venue's { maker, taker } rates.
+//
+// Prices are compared as they are quoted, so USD, USDT and USDC quotes are
+// treated as equal.
+//
+//   spot        Reference spot price: the mean mid of the spot venues, or the
+//               mean index price of the perps when no spot venue is open
+//   venues      { [venue]: row } with the touch, mid, mark and index prices,
+//               the mark's premium to the index, the perp's basis to the spot
+//               reference, and funding per interval and annualised
+//   pairs       One row per pair of venues, in the more profitable direction:
+//               buy at one venue's ask and sell at the other's bid, net of
+//               taker fees on both legs, for the size shown at both touches
+
+const HOURS_PER_YEAR = 24 * 365;
+
+// Simple (not compounded) annual rate of a funding rate paid every `intervalHours`
+export const annualiseFunding = (rate, intervalHours) => {
+    if (rate === null || rate === undefined || !(intervalHours > 0)) return null;
+    return rate * (HOURS_PER_YEAR / intervalHours);
+};
+
+const bps = (value, reference) => (value !== null && reference ? (value / reference) * 10000 : null);
+
+const mean = (values) => (values.length > 0 ? values.reduce((acc, value) => acc + value, 0) / values.length : null);
+
+// Best bid and ask with their sizes, null when either side is empty
+const touch = (book) => {
+    if (!book || book.bids.length === 0 || book.asks.length === 0) return null;
+    const [bid, bidSize] = book.bids[0].map(parseFloat);
+    const [ask, askSize] = book.asks[0].map(parseFloat);
+    return { bid, bidSize, ask, askSize, mid: (bid + ask) / 2 };
+};
+
+const venueRow = (market, spot) => {
+    const top = touch(market.book);
+    const ticker = market.ticker || {};
+    const markPrice = ticker.markPrice ?? null;
+    const indexPrice = ticker.indexPrice ?? null;
+    const fundingRate = market.kind === 'perp' ? ticker.fundingRate ?? null : null;
+    const fundingIntervalHours = fundingRate === null ? null : ticker.fundingIntervalHours ?? null;
+    const basis = market.kind === 'perp' && top && spot !== null ? top.mid - spot : null;
+    return {
+        venue: market.venue,
+        kind: market.kind,
+        ...(top || { bid: null, bidSize: null, ask: null, askSize: null, mid: null }),
+        markPrice,
+        indexPrice,
+        premiumBps: markPrice !== null && indexPrice !== null ? bps(markPrice - indexPrice, indexPrice) : null,
+        basis,
+        basisBps: bps(basis, spot),
+        fundingRate,
+        fundingIntervalHours,
+        annualisedFunding: annualiseFunding(fundingRate, fundingIntervalHours),
+        nextFundingTime: fundingRate === null ? null : ticker.nextFundingTime ?? null,
+    };
+};
+
+// Buying at `buy`'s ask and selling at `sell`'s bid; `edge` is the profit per
+// unit of base currency after both taker fees
+const crossing = (buy, sell, fees) => {
+    const edge = sell.bid * (1 - fees[sell.venue]) - buy.ask * (1 + fees[buy.venue]);
+    const size = Math.min(buy.askSize, sell.bidSize);
+    return {
+        buyVenue: buy.venue,
+        sellVenue: sell.venue,
+        buyPrice: buy.ask,
+        sellPrice: sell.bid,
+        edge,
+        edgeBps: bps(edge, buy.ask),
+        size,
+        profit: edge * size,
+        executable: edge > 0 && size > 0,
+    };
+};
+
+const pairRow = (a, b, fees) => {
+    const there = crossing(a, b, fees);
+    const back = crossing(b, a, fees);
+    const best = back.edge > there.edge ? back : there;
+    // The mid spread is taken in the same direction, so a positive spread is what the trade captures
+    const buyMid = best.buyVenue === a.venue ? a.mid : b.mid;
+    const sellMid = best.buyVenue === a.venue ? b.mid : a.mid;
+    const midSpreadBps = bps(sellMid - buyMid, (buyMid + sellMid) / 2);
+    return {
+        key: [a.venue, b.venue].sort().join('/'),
+        ...best,
+        midSpreadBps,
+        netMidSpreadBps: midSpreadBps - (fees[a.venue] + fees[b.venue]) * 10000,
+    };
+};
+
+export const basisMonitor = (markets) => {
+    const spotMids = markets.filter(market => market.kind === 'spot').map(market => touch(market.book)?.mid).filter(mid => mid !== undefined);
+    const indexPrices = markets.filter(market => market.kind === 'perp').map(market => market.ticker?.indexPrice).filter(price => price !== undefined && price !== null);
+    const spotSource = spotMids.length > 0 ? 'spot' : indexPrices.length > 0 ? 'index' : null;
+    const spot = mean(spotSource === 'spot' ? spotMids : indexPrices);
+
+    const venues = Object.fromEntries(markets.map(market => [market.venue, venueRow(market, spot)]));
+    const fees = Object.fromEntries(markets.map(market => [market.venue, market.fees ? market.fees.taker : 0]));
+    const quoted = Object.values(venues).filter(row => row.mid !== null);
+    const pairs = [];
+    for (let i = 0; i < quoted.length; i++) {
+        for (let j = i + 1; j < quoted.length; j++) pairs.push(pairRow(quoted[i], quoted[j], fees));
+    }
+    pairs.sort((a, b) => b.edgeBps - a.edgeBps);
+    return { spot, spotSource, venues, pairs };
+};
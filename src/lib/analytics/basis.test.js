@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { annualiseFunding, basisMonitor } from './basis';
+
+const book = (bid, bidSize, ask, askSize) => ({ bids: [[`${bid}`, `${bidSize}`]], asks: [[`${ask}`, `${askSize}`]] });
+
+const okx = { venue: 'OKX', kind: 'perp', fees: { maker: 0.0002, taker: 0.0005 } };
+const bybit = { venue: 'Bybit', kind: 'spot', fees: { maker: 0.001, taker: 0.001 } };
+const deribit = { venue: 'Deribit', kind: 'perp', fees: { maker: 0, taker: 0.0005 } };
+
+describe('annualiseFunding', () => {
+    it('scales the rate by the number of funding intervals in a year', () => {
+        expect(annualiseFunding(0.0001, 8)).toBeCloseTo(0.1095, 10);
+        expect(annualiseFunding(0.0001, 1)).toBeCloseTo(0.876, 10);
+        expect(annualiseFunding(null, 8)).toBeNull();
+    });
+});
+
+describe('basisMonitor', () => {
+    it('measures perps against the spot venues, with funding and the mark premium', () => {
+        const { spot, spotSource, venues } = basisMonitor([
+            { ...okx, book: book(68099, 1, 68101, 1), ticker: { markPrice: 68100, fundingRate: 0.0001, fundingIntervalHours: 8 } },
+            { ...bybit, book: book(67999, 1, 68001, 1), ticker: { lastPrice: 68000, indexPrice: 67990 } },
+        ]);
+        expect(spotSource).toBe('spot');
+        expect(spot).toBe(68000);
+        expect(venues.OKX.basis).toBe(100);
+        expect(venues.OKX.basisBps).toBeCloseTo((100 / 68000) * 10000, 9);
+        expect(venues.OKX.annualisedFunding).toBeCloseTo(0.1095, 10);
+        expect(venues.OKX.premiumBps).toBeNull();
+        expect(venues.Bybit).toMatchObject({ basis: null, fundingRate: null, indexPrice: 67990 });
+    });
+
+    it('falls back to the perps\' index price without a spot venue', () => {
+        const { spot, spotSource, venues } = basisMonitor([
+            { ...deribit, book: book(68049.5, 1, 68050.5, 1), ticker: { markPrice: 68034, indexPrice: 68000 } },
+        ]);
+        expect(spotSource).toBe('index');
+        expect(spot).toBe(68000);
+        expect(venues.Deribit.basis).toBe(50);
+        expect(venues.Deribit.premiumBps).toBeCloseTo(5, 9);
+    });
+
+    it('flags a pair as executable only when the touch crosses by more than both taker fees', () => {
+        // Buying OKX at 68000 and selling Bybit at 68200 clears 0.05% + 0.1% in fees
+        const crossed = basisMonitor([
+            { ...okx, book: book(67990, 2, 68000, 0.5), ticker: null },
+            { ...bybit, book: book(68200, 0.3, 68210, 1), ticker: null },
+        ]);
+        const [pair] = crossed.pairs;
+        expect(pair).toMatchObject({ key: 'Bybit/OKX', buyVenue: 'OKX', sellVenue: 'Bybit', buyPrice: 68000, sellPrice: 68200, size: 0.3, executable: true });
+        expect(pair.edge).toBeCloseTo(68200 * 0.999 - 68000 * 1.0005, 9);
+        expect(pair.profit).toBeCloseTo(pair.edge * 0.3, 9);
+        expect(pair.netMidSpreadBps).toBeCloseTo(pair.midSpreadBps - 15, 9);
+
+        // A 5 bps gap does not cover 15 bps of fees
+        const { pairs } = basisMonitor([
+            { ...okx, book: book(67990, 2, 68000, 0.5), ticker: null },
+            { ...bybit, book: book(68034, 0.3, 68040, 1), ticker: null },
+        ]);
+        expect(pairs[0].executable).toBe(false);
+        expect(pairs[0].edge).toBeLessThan(0);
+    });
+
+    it('leaves venues without a book out of the pairs', () => {
+        const { pairs, venues } = basisMonitor([
+            { ...okx, book: book(68000, 1, 68001, 1), ticker: null },
+            { ...bybit, book: { bids: [], asks: [] }, ticker: null },
+            { ...deribit, book: book(68000.5, 1, 68001.5, 1), ticker: null },
+        ]);
+        expect(pairs.map(pair => pair.key)).toEqual(['Deribit/OKX']);
+        expect(venues.Bybit.mid).toBeNull();
+        expect(venues.OKX.basisBps).toBeNull();
+    });
+});
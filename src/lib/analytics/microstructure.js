@@ -0,0 +1,102 @@
+// --- Order book microstructure metrics ---
+// Liquidity-quality measures for one book, taken at a point in time:
+//
+//   mid, spread, spreadBps   Touch prices; bps are relative to the mid
+//   microprice               Mid weighted by the size at the touch, leaning
+//                            towards the side more likely to be hit next
+//   imbalance[n]             (bid size - ask size) / total over the top n levels, -1..1
+//   depth[bps]               Size resting within ±bps of the mid, per side
+//
+// Books are { bids, asks } with sizes in base currency, so venues that quote
+// in contracts or USD compare like for like.
+
+export const IMBALANCE_LEVELS = [1, 5, 10, 20];
+export const DEPTH_BANDS_BPS = [10, 25, 50];
+
+const parseLevels = (levels) => {
+    const result = [];
+    for (const [priceStr, sizeStr] of levels || []) {
+        const price = parseFloat(priceStr);
+        const size = parseFloat(sizeStr);
+        if (isNaN(price) || isNaN(size)) continue;
+        result.push([price, size]);
+    }
+    return result;
+};
+
+const sizeOfTop = (levels, n) => levels.slice(0, n).reduce((acc, [, size]) => acc + size, 0);
+
+// Null when either side is empty
+export const bookMetrics = (book) => {
+    const bids = parseLevels(book.bids);
+    const asks = parseLevels(book.asks);
+    if (bids.length === 0 || asks.length === 0) return null;
+
+    const [bestBid, bestBidSize] = bids[0];
+    const [bestAsk, bestAskSize] = asks[0];
+    const mid = (bestBid + bestAsk) / 2;
+    const spread = bestAsk - bestBid;
+    const touchSize = bestBidSize + bestAskSize;
+
+    const imbalance = {};
+    for (const n of IMBALANCE_LEVELS) {
+        const bidSize = sizeOfTop(bids, n);
+        const askSize = sizeOfTop(asks, n);
+        imbalance[n] = bidSize + askSize > 0 ? (bidSize - askSize) / (bidSize + askSize) : 0;
+    }
+
+    // Levels exactly on a band's edge count, whatever the float error in the mid
+    const withinBand = (price, bps) => (Math.abs(price - mid) / mid) * 10000 <= bps + 1e-9;
+    const depth = {};
+    for (const bps of DEPTH_BANDS_BPS) {
+        const bid = bids.reduce((acc, [price, size]) => (withinBand(price, bps) ? acc + size : acc), 0);
+        const ask = asks.reduce((acc, [price, size]) => (withinBand(price, bps) ? acc + size : acc), 0);
+        depth[bps] = { bid, ask, total: bid + ask };
+    }
+
+    return {
+        mid,
+        spread,
+        spreadBps: (spread / mid) * 10000,
+        microprice: touchSize > 0 ? (bestAsk * bestBidSize + bestBid * bestAskSize) / touchSize : mid,
+        imbalance,
+        depth,
+    };
+};
+
+// Appends a { t, ...metrics } sample and drops samples older than `maxAgeMs`
+// before it. Returns a new array so it can be kept in React state.
+export const appendSample = (samples, sample, maxAgeMs) => {
+    const cutoff = sample.t - maxAgeMs;
+    let first = 0;
+    while (first < samples.length && samples[first].t < cutoff) first += 1;
+    return [...samples.slice(first), sample];
+};
+
+// Mean of `pick(sample)` over the samples at or after `since`, null if none
+export const averageSince = (samples, since, pick) => {
+    let total = 0;
+    let count = 0;
+    for (const sample of samples) {
+        if (sample.t < since) continue;
+        const value = pick(sample);
+        if (value === null || value === undefined || isNaN(value)) continue;
+        total += value;
+        count += 1;
+    }
+    return count > 0 ? total / count : null;
+};
+
+// One row per sample time with a column per venue, for multi-line charts.
+// Venues are sampled together, so their sample times line up.
+export const seriesByTime = (historyByVenue, since, pick) => {
+    const rows = new Map();
+    for (const [venue, samples] of Object.entries(historyByVenue)) {
+        for (const sample of samples) {
+            if (sample.t < since) continue;
+            if (!rows.has(sample.t)) rows.set(sample.t, { t: sample.t });
+            rows.get(sample.t)[venue] = pick(sample);
+        }
+    }
+    return [...rows.values()].sort((a, b) => a.t - b.t);
+};
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { bookMetrics, appendSample, averageSince, seriesByTime } from './microstructure';
+import { bookArb } from '@/test/arbitraries';
+
+const BOOK = {
+    bids: [['99.9', '3'], ['99.8', '1'], ['99.5', '2'], ['99', '4']],
+    asks: [['100.1', '1'], ['100.2', '2'], ['100.5', '2'], ['101', '8']],
+};
+
+describe('bookMetrics', () => {
+    const metrics = bookMetrics(BOOK);
+
+    it('measures the touch', () => {
+        expect(metrics.mid).toBeCloseTo(100);
+        expect(metrics.spread).toBeCloseTo(0.2);
+        expect(metrics.spreadBps).toBeCloseTo(20);
+    });
+
+    it('leans the microprice towards the thinner side', () => {
+        // 3 bid vs 1 ask at the touch: the ask is more likely to be lifted
+        expect(metrics.microprice).toBeCloseTo((100.1 * 3 + 99.9 * 1) / 4);
+        expect(metrics.microprice).toBeGreaterThan(metrics.mid);
+    });
+
+    it('computes imbalance over the top levels', () => {
+        expect(metrics.imbalance[1]).toBeCloseTo(0.5);
+        expect(metrics.imbalance[5]).toBeCloseTo((10 - 13) / 23);
+    });
+
+    it('sums depth inside each band around the mid', () => {
+        expect(metrics.depth[10]).toEqual({ bid: 3, ask: 1, total: 4 });
+        expect(metrics.depth[25]).toEqual({ bid: 4, ask: 3, total: 7 });
+        expect(metrics.depth[50]).toEqual({ bid: 6, ask: 5, total: 11 });
+    });
+
+    it('is null for a one-sided book', () => {
+        expect(bookMetrics({ bids: BOOK.bids, asks: [] })).toBeNull();
+    });
+
+    it('keeps the microprice inside the spread and imbalance within -1..1', () => {
+        fc.assert(fc.property(bookArb(100), (book) => {
+            const m = bookMetrics(book);
+            if (!m) return;
+            expect(m.microprice).toBeGreaterThanOrEqual(parseFloat(book.bids[0][0]) - 1e-9);
+            expect(m.microprice).toBeLessThanOrEqual(parseFloat(book.asks[0][0]) + 1e-9);
+            for (const value of Object.values(m.imbalance)) {
+                expect(Math.abs(value)).toBeLessThanOrEqual(1 + 1e-12);
+            }
+            expect(m.depth[10].total).toBeLessThanOrEqual(m.depth[25].total);
+            expect(m.depth[25].total).toBeLessThanOrEqual(m.depth[50].total);
+        }));
+    });
+});
+
+describe('history helpers', () => {
+    it('drops samples older than the maximum age', () => {
+        let samples = [];
+        for (const t of [0, 500, 1000, 1500]) samples = appendSample(samples, { t }, 1000);
+        expect(samples.map(s => s.t)).toEqual([500, 1000, 1500]);
+    });
+
+    it('averages values inside the window, skipping missing ones', () => {
+        const samples = [{ t: 0, v: 10 }, { t: 1, v: 2 }, { t: 2, v: null }, { t: 3, v: 4 }];
+        expect(averageSince(samples, 1, s => s.v)).toBe(3);
+        expect(averageSince(samples, 5, s => s.v)).toBeNull();
+    });
+
+    it('lines venues up by sample time', () => {
+        const rows = seriesByTime({ OKX: [{ t: 1, v: 1 }, { t: 2, v: 2 }], Bybit: [{ t: 2, v: 5 }] }, 0, s => s.v);
+        expect(rows).toEqual([{ t: 1, OKX: 1 }, { t: 2, OKX: 2, Bybit: 5 }]);
+    });
+});
@@ -0,0 +1,281 @@
+import { isWorking, WORKING_ORDER_STATUS } from '../simulation/workingOrder';
+import { ALGOS, ALGO_STATUS, isAlgoRunning } from '../simulation/algo';
+
+// --- Paper-trading blotter ---
+// Every simulated order is kept as an entry:
+//
+//   { id, createdAt, replay, venue, symbol, side, orderType, execution,
+//     quantity, limitPrice, status, filledQty, avgPrice, fills }
+//
+// `venue` is where the order was sent ('Aggregated' or 'Smart Route' when it
+// could fill on several venues, `symbol` then being null); each fill says
+// where it happened: { venue, symbol, price, quantity, fee, liquidity, timestamp }.
+// Sizes are in base currency and prices, fees and PnL in the quote currency.
+// Entries made while replaying a recording are flagged so their positions are
+// kept apart from live ones.
+//
+// The blotter is { entries, carried }: entries newest first, and `carried` the
+// positions (see buildPositions) of finished entries dropped to keep it at
+// MAX_ENTRIES, so positions and PnL survive the cap.
+
+export const ENTRY_STATUS = {
+    WORKING: 'working',
+    FILLED: 'filled',
+    PARTIAL: 'partial',
+    UNFILLED: 'unfilled',
+    CANCELLED: 'cancelled',
+};
+
+export const SMART_ROUTE = 'Smart Route';
+
+// Oldest finished entries are folded into `carried` past this many, so local
+// storage stays small
+export const MAX_ENTRIES = 500;
+
+export const EMPTY_BLOTTER = { entries: [], carried: [] };
+
+const EPSILON = 1e-12;
+
+const doneStatus = (filledQty, quantity) => {
+    if (filledQty >= quantity - EPSILON) return ENTRY_STATUS.FILLED;
+    return filledQty > EPSILON ? ENTRY_STATUS.PARTIAL : ENTRY_STATUS.UNFILLED;
+};
+
+// `order` is { side, orderType, execution, quantity, limitPrice }; the status
+// defaults to what the fills say about a finished order
+export const createEntry = ({ id, createdAt, replay = false, venue, symbol = null, order, fills, status = null }) => {
+    const filledQty = fills.reduce((acc, fill) => acc + fill.quantity, 0);
+    const notional = fills.reduce((acc, fill) => acc + fill.price * fill.quantity, 0);
+    return {
+        id,
+        createdAt,
+        replay,
+        venue,
+        symbol,
+        side: order.side,
+        orderType: order.orderType,
+        execution: order.execution || 'None',
+        quantity: order.quantity,
+        limitPrice: order.limitPrice ?? null,
+        status: status || doneStatus(filledQty, order.quantity),
+        filledQty,
+        avgPrice: filledQty > 0 ? notional / filledQty : null,
+        fills,
+    };
+};
+
+// --- Fills from the simulators ---
+
+// Taker fills of calculateMetrics. Aggregated levels carry each venue's share
+// of the level, so their fills are split between the venues pro rata.
+// `fees` is the venue's { taker } rate, `feesByVenue` the same per venue.
+export const fillsFromMetrics = (metrics, { venue = null, symbol = null, fees = null, feesByVenue = null, venueSymbols = {}, timestamp }) => metrics.fills.flatMap((fill) => {
+    if (!fill.contributions) {
+        const rate = fees ? fees.taker : 0;
+        return [{ venue, symbol, price: fill.price, quantity: fill.quantity, fee: fill.price * fill.quantity * rate, liquidity: 'taker', timestamp }];
+    }
+    const levelSize = Object.values(fill.contributions).reduce((acc, size) => acc + size, 0);
+    return Object.entries(fill.contributions)
+        .filter(([, size]) => size > 0)
+        .map(([source, size]) => {
+            const quantity = fill.quantity * (size / levelSize);
+            const rate = feesByVenue && feesByVenue[source] ? feesByVenue[source].taker : 0;
+            return { venue: source, symbol: venueSymbols[source] || null, price: fill.price, quantity, fee: fill.price * quantity * rate, liquidity: 'taker', timestamp };
+        });
+});
+
+// One fill per child order of a smart route, at the child's average price
+export const fillsFromRoute = (result, { venueSymbols = {}, timestamp }) => result.childOrders.map(child => ({
+    venue: child.venue,
+    symbol: venueSymbols[child.venue] || null,
+    price: child.avgPrice,
+    quantity: child.quantity,
+    fee: child.fees,
+    liquidity: 'taker',
+    timestamp,
+}));
+
+// `fees` are the venue's { maker, taker } rates
+const fillsFromWorkingOrder = (order, fees) => order.fills.map(fill => ({
+    venue: order.venue,
+    symbol: order.symbol,
+    price: fill.price,
+    quantity: fill.quantity,
+    fee: fill.price * fill.quantity * (fees ? fees[fill.liquidity] : 0),
+    liquidity: fill.liquidity,
+    timestamp: fill.timestamp,
+}));
+
+// One fill per child that traded, at its average price. Iceberg clips mix
+// taker and maker fills, so their liquidity is left out.
+const fillsFromAlgoOrder = (order) => order.slices
+    .filter(slice => slice.filledQty > 0)
+    .map(slice => ({
+        venue: order.venue,
+        symbol: order.symbol,
+        price: slice.avgPrice,
+        quantity: slice.filledQty,
+        fee: slice.fees,
+        liquidity: order.algo === ALGOS.ICEBERG ? null : 'taker',
+        timestamp: slice.executedAt ?? slice.scheduledAt,
+    }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+// The order form's fields as an entry's order (see DEFAULT_ORDER_FORM)
+export const orderFromForm = (formData) => ({
+    side: formData.side,
+    orderType: formData.orderType,
+    execution: formData.execution,
+    quantity: parseFloat(formData.quantity),
+    limitPrice: formData.orderType === 'Limit' ? parseFloat(formData.price) : null,
+});
+
+// A working limit order's entry, including the fills it took on arrival;
+// recorded again whenever it fills, is amended or ends
+export const entryFromWorkingOrder = (order, { fees = null, replay = false } = {}) => {
+    let status = ENTRY_STATUS.WORKING;
+    if (!isWorking(order)) status = order.status === WORKING_ORDER_STATUS.CANCELLED ? ENTRY_STATUS.CANCELLED : null;
+    return createEntry({
+        id: order.id,
+        createdAt: order.createdAt,
+        replay,
+        venue: order.venue,
+        symbol: order.symbol,
+        order: { side: order.side, orderType: 'Limit', quantity: order.quantity, limitPrice: order.price },
+        fills: fillsFromWorkingOrder(order, fees),
+        status,
+    });
+};
+
+// An execution algorithm's entry, the parent order with one fill per child
+export const entryFromAlgoOrder = (order, { replay = false } = {}) => {
+    let status = ENTRY_STATUS.WORKING;
+    if (!isAlgoRunning(order)) status = order.status === ALGO_STATUS.CANCELLED ? ENTRY_STATUS.CANCELLED : null;
+    return createEntry({
+        id: order.id,
+        createdAt: order.startedAt,
+        replay,
+        venue: order.venue,
+        symbol: order.symbol,
+        order: { side: order.side, orderType: order.limitPrice === null ? 'Market' : 'Limit', execution: order.algo, quantity: order.quantity, limitPrice: order.limitPrice },
+        fills: fillsFromAlgoOrder(order),
+        status,
+    });
+};
+
+// --- Entries ---
+
+const sameEntry = (a, b) => a.status === b.status
+    && a.fills.length === b.fills.length
+    && a.filledQty === b.filledQty
+    && a.quantity === b.quantity
+    && a.limitPrice === b.limitPrice;
+
+// Folds the oldest finished entries past MAX_ENTRIES into the carried
+// positions. Working entries are kept, as they are still recorded again.
+export const trimBlotter = (blotter) => {
+    let { entries, carried } = blotter;
+    while (entries.length > MAX_ENTRIES) {
+        const index = entries.findLastIndex(entry => entry.status !== ENTRY_STATUS.WORKING);
+        if (index === -1) break;
+        carried = buildPositions([entries[index]], carried);
+        entries = [...entries.slice(0, index), ...entries.slice(index + 1)];
+    }
+    return entries === blotter.entries ? blotter : { entries, carried };
+};
+
+// Adds `entry` to `blotter`, or updates the one with its id, newest first. An
+// update keeps the time and mode the entry was first recorded with. Returns
+// `blotter` itself when nothing changed.
+export const recordEntry = (blotter, entry) => {
+    const { entries } = blotter;
+    const index = entries.findIndex(existing => existing.id === entry.id);
+    if (index === -1) return trimBlotter({ ...blotter, entries: [entry, ...entries] });
+    const existing = entries[index];
+    if (sameEntry(existing, entry)) return blotter;
+    const next = [...entries];
+    next[index] = { ...entry, createdAt: existing.createdAt, replay: existing.replay };
+    return { ...blotter, entries: next };
+};
+
+// --- Positions ---
+
+export const positionKey = (venue, symbol, replay = false) => `${replay ? 'replay:' : ''}${venue}:${symbol}`;
+
+// Applies one fill to a { quantity, avgEntry, realised } position, quantity
+// signed (long positive). Fills that reduce the position realise PnL against
+// the average entry; one that flips it opens the rest at the fill price.
+const applyFill = (position, side, fill) => {
+    const signed = side === 'Buy' ? fill.quantity : -fill.quantity;
+    const { quantity, avgEntry } = position;
+    const next = { ...position, fees: position.fees + fill.fee, volume: position.volume + fill.quantity, fillCount: position.fillCount + 1, lastFillAt: fill.timestamp };
+
+    if (Math.abs(quantity) < EPSILON || Math.sign(quantity) === Math.sign(signed)) {
+        const total = Math.abs(quantity) + fill.quantity;
+        return { ...next, quantity: quantity + signed, avgEntry: (Math.abs(quantity) * (avgEntry || 0) + fill.quantity * fill.price) / total };
+    }
+
+    const closing = Math.min(fill.quantity, Math.abs(quantity));
+    const realised = position.realised + closing * (fill.price - avgEntry) * Math.sign(quantity);
+    const remaining = quantity + signed;
+    if (Math.abs(remaining) < EPSILON) return { ...next, quantity: 0, avgEntry: null, realised };
+    // Still on the same side, or flipped with the rest opened at the fill price
+    return { ...next, quantity: remaining, avgEntry: Math.sign(remaining) === Math.sign(quantity) ? avgEntry : fill.price, realised };
+};
+
+// Paper positions per venue and symbol from every entry's fills, in fill
+// order, on top of the `carried` ones: { key, venue, symbol, replay, quantity,
+// avgEntry, realised, fees, volume, fillCount, lastFillAt }. Realised PnL does
+// not include fees.
+export const buildPositions = (entries, carried = []) => {
+    const fills = entries
+        .flatMap(entry => entry.fills.map(fill => ({ ...fill, side: entry.side, replay: entry.replay })))
+        .filter(fill => fill.venue && fill.symbol && fill.quantity > 0)
+        .sort((a, b) => a.timestamp - b.timestamp);
+
+    const positions = new Map(carried.map(position => [position.key, position]));
+    for (const fill of fills) {
+        const key = positionKey(fill.venue, fill.symbol, fill.replay);
+        const position = positions.get(key) || {
+            key, venue: fill.venue, symbol: fill.symbol, replay: fill.replay,
+            quantity: 0, avgEntry: null, realised: 0, fees: 0, volume: 0, fillCount: 0, lastFillAt: null,
+        };
+        positions.set(key, applyFill(position, fill.side, fill));
+    }
+    return [...positions.values()].sort((a, b) => Number(a.replay) - Number(b.replay) || a.venue.localeCompare(b.venue) || a.symbol.localeCompare(b.symbol));
+};
+
+export const isOpenPosition = (position) => Math.abs(position.quantity) >= EPSILON;
+
+export const bookMid = (book) => {
+    if (!book || book.bids.length === 0 || book.asks.length === 0) return null;
+    return (parseFloat(book.bids[0][0]) + parseFloat(book.asks[0][0])) / 2;
+};
+
+// Marks positions to `marks` ({ [positionKey]: mid }). Positions without a
+// mark get null unrealised PnL; flat ones have none to mark.
+export const markPositions = (positions, marks) => positions.map((position) => {
+    const mark = marks[position.key] ?? null;
+    let unrealised = 0;
+    if (isOpenPosition(position)) unrealised = mark === null ? null : position.quantity * (mark - position.avgEntry);
+    return {
+        ...position,
+        mark,
+        unrealised,
+    };
+});
+
+// Totals of marked positions; `unmarked` counts open positions without a mark,
+// whose unrealised PnL is left out
+export const blotterTotals = (marked) => {
+    const realised = marked.reduce((acc, position) => acc + position.realised, 0);
+    const fees = marked.reduce((acc, position) => acc + position.fees, 0);
+    const unrealised = marked.reduce((acc, position) => acc + (position.unrealised || 0), 0);
+    return {
+        realised,
+        unrealised,
+        fees,
+        net: realised + unrealised - fees,
+        unmarked: marked.filter(position => position.unrealised === null).length,
+    };
+};
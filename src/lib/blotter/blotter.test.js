@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import { calculateMetrics } from '../simulation/fills';
+import { createWorkingOrder, cancelWorkingOrder } from '../simulation/workingOrder';
+import {
+    ENTRY_STATUS, MAX_ENTRIES, EMPTY_BLOTTER, createEntry, fillsFromMetrics, entryFromWorkingOrder,
+    recordEntry, buildPositions, positionKey, markPositions, blotterTotals,
+} from './blotter';
+
+const fill = (price, quantity, timestamp, extra = {}) => ({ venue: 'OKX', symbol: 'BTC-USD-SWAP', price, quantity, fee: 0, liquidity: 'taker', timestamp, ...extra });
+
+const entry = (id, side, fills, extra = {}) => createEntry({
+    id,
+    createdAt: id,
+    venue: 'OKX',
+    symbol: 'BTC-USD-SWAP',
+    order: { side, orderType: 'Market', quantity: fills.reduce((acc, f) => acc + f.quantity, 0) },
+    fills,
+    ...extra,
+});
+
+describe('createEntry', () => {
+    it('sums the fills and works out the status of a finished order', () => {
+        const partial = createEntry({ id: 1, createdAt: 1, venue: 'OKX', order: { side: 'Buy', orderType: 'Limit', quantity: 2, limitPrice: 100 }, fills: [fill(99, 0.5, 1), fill(100, 0.5, 1)] });
+        expect(partial).toMatchObject({ filledQty: 1, avgPrice: 99.5, status: ENTRY_STATUS.PARTIAL, limitPrice: 100, execution: 'None' });
+        expect(createEntry({ id: 2, createdAt: 2, venue: 'OKX', order: { side: 'Buy', orderType: 'Market', quantity: 1 }, fills: [] }).status).toBe(ENTRY_STATUS.UNFILLED);
+    });
+});
+
+describe('fillsFromMetrics', () => {
+    it('splits aggregated fills between the venues that made up each level', () => {
+        const book = { bids: [['99', '1', { OKX: 1 }]], asks: [['100', '2', { OKX: 1.5, Bybit: 0.5 }]] };
+        const metrics = calculateMetrics({ side: 'Buy', quantity: 1, orderType: 'Market' }, book);
+        const fills = fillsFromMetrics(metrics, {
+            feesByVenue: { OKX: { taker: 0.001 }, Bybit: { taker: 0.002 } },
+            venueSymbols: { OKX: 'BTC-USD-SWAP', Bybit: 'BTCUSDT' },
+            timestamp: 5,
+        });
+        expect(fills).toHaveLength(2);
+        expect(fills[0]).toMatchObject({ venue: 'OKX', symbol: 'BTC-USD-SWAP', price: 100, quantity: 0.75 });
+        expect(fills[0].fee).toBeCloseTo(0.075, 12);
+        expect(fills[1]).toMatchObject({ venue: 'Bybit', symbol: 'BTCUSDT', quantity: 0.25 });
+        expect(fills[1].fee).toBeCloseTo(0.05, 12);
+    });
+});
+
+describe('entryFromWorkingOrder', () => {
+    const book = { bids: [['99', '1']], asks: [['101', '1']] };
+
+    it('follows the working order until it is cancelled, charging fees by liquidity', () => {
+        const order = createWorkingOrder({ id: 7, venue: 'OKX', symbol: 'BTC-USD-SWAP', side: 'Buy', price: 101, quantity: 2, book, immediateFills: [{ price: 101, quantity: 1 }], now: 10 });
+        const working = entryFromWorkingOrder(order, { fees: { maker: 0.0002, taker: 0.0005 } });
+        expect(working).toMatchObject({ id: 7, createdAt: 10, status: ENTRY_STATUS.WORKING, filledQty: 1, orderType: 'Limit', limitPrice: 101 });
+        expect(working.fills[0].fee).toBeCloseTo(101 * 0.0005, 12);
+        expect(entryFromWorkingOrder(cancelWorkingOrder(order, 20)).status).toBe(ENTRY_STATUS.CANCELLED);
+    });
+});
+
+describe('recordEntry', () => {
+    it('adds new entries first and updates existing ones in place', () => {
+        const first = entry(1, 'Buy', [fill(100, 1, 1)]);
+        const second = entry(2, 'Sell', [fill(101, 1, 2)]);
+        const blotter = recordEntry(recordEntry(EMPTY_BLOTTER, first), second);
+        expect(blotter.entries.map(e => e.id)).toEqual([2, 1]);
+
+        expect(recordEntry(blotter, entry(1, 'Buy', [fill(100, 1, 1)]))).toBe(blotter);
+        const updated = recordEntry(blotter, { ...entry(1, 'Buy', [fill(100, 1, 1), fill(100, 1, 3)]), createdAt: 99, replay: true });
+        expect(updated.entries[1]).toMatchObject({ filledQty: 2, createdAt: 1, replay: false });
+    });
+
+    it('keeps positions and realised PnL when entries past the limit are dropped', () => {
+        const recorded = [
+            entry(0, 'Buy', [fill(100, 1, 0)], { status: ENTRY_STATUS.WORKING }),
+            entry(1, 'Buy', [fill(100, 2, 1)]),
+            entry(2, 'Sell', [fill(110, 1, 2)]),
+            ...Array.from({ length: MAX_ENTRIES }, (_, i) => entry(i + 3, 'Buy', [fill(120, 0.001, i + 3)])),
+        ];
+        const blotter = recorded.reduce(recordEntry, EMPTY_BLOTTER);
+        expect(blotter.entries).toHaveLength(MAX_ENTRIES);
+        // The working order is still recorded again, so it stays
+        expect(blotter.entries[blotter.entries.length - 1].id).toBe(0);
+        expect(blotter.entries.map(e => e.id)).not.toContain(1);
+
+        const [position] = buildPositions(blotter.entries, blotter.carried);
+        const [expected] = buildPositions([...recorded].reverse());
+        expect(position.quantity).toBeCloseTo(expected.quantity, 9);
+        expect(position.avgEntry).toBeCloseTo(expected.avgEntry, 9);
+        expect(position.realised).toBeCloseTo(10, 9);
+        expect(position.fillCount).toBe(expected.fillCount);
+    });
+});
+
+describe('buildPositions', () => {
+    it('averages entries and realises PnL against the average when reducing', () => {
+        const [position] = buildPositions([
+            entry(3, 'Sell', [fill(130, 1.5, 3, { fee: 1 })]),
+            entry(2, 'Buy', [fill(110, 1, 2)]),
+            entry(1, 'Buy', [fill(100, 1, 1)]),
+        ]);
+        expect(position.quantity).toBeCloseTo(0.5, 12);
+        expect(position.avgEntry).toBeCloseTo(105, 12);
+        expect(position.realised).toBeCloseTo(1.5 * 25, 12);
+        expect(position.fees).toBe(1);
+    });
+
+    it('opens the rest at the fill price when a fill flips the position', () => {
+        const [position] = buildPositions([
+            entry(2, 'Sell', [fill(90, 3, 2)]),
+            entry(1, 'Buy', [fill(100, 1, 1)]),
+        ]);
+        expect(position.quantity).toBeCloseTo(-2, 12);
+        expect(position.avgEntry).toBe(90);
+        expect(position.realised).toBeCloseTo(-10, 12);
+    });
+
+    it('keeps venues, symbols and replayed positions apart', () => {
+        const positions = buildPositions([
+            entry(3, 'Buy', [fill(100, 1, 3)], { replay: true }),
+            entry(2, 'Buy', [fill(100, 1, 2, { venue: 'Bybit', symbol: 'BTCUSDT' })]),
+            entry(1, 'Buy', [fill(100, 1, 1)]),
+        ]);
+        expect(positions.map(p => p.key)).toEqual(['Bybit:BTCUSDT', 'OKX:BTC-USD-SWAP', 'replay:OKX:BTC-USD-SWAP']);
+    });
+});
+
+describe('markPositions', () => {
+    it('marks open positions to the mid and totals the PnL', () => {
+        const positions = buildPositions([
+            entry(3, 'Buy', [fill(100, 2, 3, { venue: 'Bybit', symbol: 'BTCUSDT', fee: 0.5 })]),
+            entry(2, 'Sell', [fill(110, 1, 2)]),
+            entry(1, 'Buy', [fill(100, 1, 1)]),
+        ]);
+        const marked = markPositions(positions, { [positionKey('Bybit', 'BTCUSDT')]: 95 });
+        expect(marked.find(p => p.venue === 'Bybit')).toMatchObject({ mark: 95, unrealised: -10 });
+        // Flat, so nothing to mark
+        expect(marked.find(p => p.venue === 'OKX').unrealised).toBe(0);
+        expect(blotterTotals(marked)).toEqual({ realised: 10, unrealised: -10, fees: 0.5, net: -0.5, unmarked: 0 });
+
+        expect(blotterTotals(markPositions(positions, {})).unmarked).toBe(1);
+    });
+});
@@ -0,0 +1,34 @@
+// --- Blotter export ---
+// CSV has one row per fill, with the order's fields repeated on each; orders
+// that never traded get a single row with empty fill columns. JSON has the
+// entries as stored plus the positions built from them.
+
+const CSV_COLUMNS = [
+    'order_id', 'created_at', 'mode', 'order_venue', 'side', 'type', 'execution', 'quantity', 'limit_price', 'status',
+    'fill_time', 'fill_venue', 'fill_symbol', 'fill_price', 'fill_quantity', 'fee', 'liquidity',
+];
+
+const isoTime = (ms) => (ms === null || ms === undefined ? '' : new Date(ms).toISOString());
+
+const csvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const blotterToCsv = (entries) => {
+    const rows = [...entries].reverse().flatMap((entry) => {
+        const order = [entry.id, isoTime(entry.createdAt), entry.replay ? 'replay' : 'live', entry.venue, entry.side, entry.orderType, entry.execution, entry.quantity, entry.limitPrice, entry.status];
+        if (entry.fills.length === 0) return [[...order, '', '', '', '', '', '', '']];
+        return entry.fills.map(fill => [...order, isoTime(fill.timestamp), fill.venue, fill.symbol, fill.price, fill.quantity, fill.fee, fill.liquidity]);
+    });
+    return [CSV_COLUMNS, ...rows].map(row => row.map(csvValue).join(',')).join('\n') + '\n';
+};
+
+export const blotterToJson = (entries, positions, now = Date.now()) => JSON.stringify({
+    exportedAt: isoTime(now),
+    entries,
+    positions,
+}, null, 2);
+
+export const blotterFileName = (format, now = Date.now()) => `goquant-blotter-${now}.${format}`;
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { createEntry } from './blotter';
+import { blotterToCsv, blotterToJson } from './export';
+
+const filled = createEntry({
+    id: 2,
+    createdAt: Date.UTC(2024, 0, 1, 12),
+    venue: 'Smart Route',
+    order: { side: 'Buy', orderType: 'Market', quantity: 1.5 },
+    fills: [
+        { venue: 'OKX', symbol: 'BTC-USD-SWAP', price: 100, quantity: 1, fee: 0.05, liquidity: 'taker', timestamp: Date.UTC(2024, 0, 1, 12) },
+        { venue: 'Bybit', symbol: 'BTCUSDT', price: 101, quantity: 0.5, fee: 0.03, liquidity: 'taker', timestamp: Date.UTC(2024, 0, 1, 12) },
+    ],
+});
+const unfilled = createEntry({ id: 1, createdAt: Date.UTC(2024, 0, 1, 11), replay: true, venue: 'OKX', symbol: 'BTC-USD-SWAP', order: { side: 'Sell', orderType: 'Limit', quantity: 1, limitPrice: 120 }, fills: [] });
+
+describe('blotterToCsv', () => {
+    it('writes a row per fill, oldest order first, and a row for orders without fills', () => {
+        const lines = blotterToCsv([filled, unfilled]).trim().split('\n');
+        expect(lines[0]).toBe('order_id,created_at,mode,order_venue,side,type,execution,quantity,limit_price,status,fill_time,fill_venue,fill_symbol,fill_price,fill_quantity,fee,liquidity');
+        expect(lines).toHaveLength(4);
+        expect(lines[1]).toBe('1,2024-01-01T11:00:00.000Z,replay,OKX,Sell,Limit,None,1,120,unfilled,,,,,,,');
+        expect(lines[2]).toBe('2,2024-01-01T12:00:00.000Z,live,Smart Route,Buy,Market,None,1.5,,filled,2024-01-01T12:00:00.000Z,OKX,BTC-USD-SWAP,100,1,0.05,taker');
+        expect(lines[3]).toContain(',Bybit,BTCUSDT,101,0.5,0.03,taker');
+    });
+});
+
+describe('blotterToJson', () => {
+    it('includes the entries and positions', () => {
+        const json = JSON.parse(blotterToJson([filled], [{ key: 'OKX:BTC-USD-SWAP' }], Date.UTC(2024, 0, 2)));
+        expect(json.exportedAt).toBe('2024-01-02T00:00:00.000Z');
+        expect(json.entries[0].fills).toHaveLength(2);
+        expect(json.positions).toEqual([{ key: 'OKX:BTC-USD-SWAP' }]);
+    });
+});
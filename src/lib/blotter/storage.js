@@ -0,0 +1,36 @@
+import { EMPTY_BLOTTER, trimBlotter } from './blotter';
+
+// --- Blotter storage (local storage) ---
+// The blotter's entries (see blotter.js), newest first, and the positions
+// carried from dropped ones. Storage can be unavailable (private browsing,
+// quota); loading then starts empty and saving is skipped. Earlier versions
+// stored the entries alone.
+
+const BLOTTER_KEY = 'goquant:blotter';
+
+const isEntry = (entry) => Boolean(entry) && entry.id !== undefined && Array.isArray(entry.fills);
+
+const isPosition = (position) => Boolean(position) && typeof position.key === 'string' && Number.isFinite(position.quantity);
+
+export const loadBlotter = () => {
+    try {
+        const raw = window.localStorage.getItem(BLOTTER_KEY);
+        const stored = raw ? JSON.parse(raw) : null;
+        const { entries, carried } = Array.isArray(stored) ? { entries: stored, carried: [] } : { ...EMPTY_BLOTTER, ...stored };
+        return trimBlotter({
+            entries: Array.isArray(entries) ? entries.filter(isEntry) : [],
+            carried: Array.isArray(carried) ? carried.filter(isPosition) : [],
+        });
+    } catch (e) {
+        console.error(`Could not read ${BLOTTER_KEY} from local storage:`, e);
+        return EMPTY_BLOTTER;
+    }
+};
+
+export const saveBlotter = (blotter) => {
+    try {
+        window.localStorage.setItem(BLOTTER_KEY, JSON.stringify(blotter));
+    } catch (e) {
+        console.error(`Could not write ${BLOTTER_KEY} to local storage:`, e);
+    }
+};
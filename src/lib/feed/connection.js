@@ -0,0 +1,47 @@
+// --- Feed connection state machine ---
+//
+//   idle ──► connecting ──► live ◄──► stale
+//                │            │         │
+//                ▼            ▼         ▼
+//            reconnecting ◄───┴─────────┘
+//                │
+//                ▼
+//             failed (after MAX_RECONNECT_ATTEMPTS, until retried manually)
+export const CONNECTION_STATES = {
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    LIVE: 'live',
+    STALE: 'stale',
+    RECONNECTING: 'reconnecting',
+    FAILED: 'failed',
+};
+
+export const MAX_RECONNECT_ATTEMPTS = 10;
+
+// Exponential backoff with jitter: each attempt doubles the ceiling (capped at
+// maxMs) and the actual delay is drawn from the upper half of it, so several
+// venues dropping at once do not all reconnect in lockstep.
+export const backoffDelay = (attempt, { baseMs = 500, maxMs = 30000, random = Math.random } = {}) => {
+    const ceiling = Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+    return Math.round(ceiling / 2 + random() * (ceiling / 2));
+};
+
+// Worst-first ordering used when several feeds are summarised as one
+const SEVERITY = [
+    CONNECTION_STATES.FAILED,
+    CONNECTION_STATES.RECONNECTING,
+    CONNECTION_STATES.STALE,
+    CONNECTION_STATES.CONNECTING,
+    CONNECTION_STATES.LIVE,
+    CONNECTION_STATES.IDLE,
+];
+
+// Summarises several feeds: the worst state, the oldest update and the total reconnects
+export const combineConnections = (connections) => {
+    const ages = connections.map(c => c.lastMessageAge).filter(age => age !== null);
+    return {
+        state: SEVERITY.find(state => connections.some(c => c.state === state)) || CONNECTION_STATES.IDLE,
+        lastMessageAge: ages.length ? Math.max(...ages) : null,
+        reconnectCount: connections.reduce((acc, c) => acc + c.reconnectCount, 0),
+    };
+};
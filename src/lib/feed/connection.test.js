@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { backoffDelay, combineConnections, CONNECTION_STATES } from './connection';
+
+describe('backoffDelay', () => {
+    it('doubles the ceiling per attempt and draws from its upper half', () => {
+        expect(backoffDelay(1, { random: () => 0 })).toBe(250);
+        expect(backoffDelay(1, { random: () => 1 })).toBe(500);
+        expect(backoffDelay(3, { random: () => 1 })).toBe(2000);
+    });
+
+    it('stays within [max/2, max] once capped', () => {
+        fc.assert(fc.property(fc.integer({ min: 1, max: 100 }), fc.double({ min: 0, max: 1, noNaN: true }), (attempt, r) => {
+            const delay = backoffDelay(attempt, { random: () => r });
+            const ceiling = Math.min(30000, 500 * 2 ** (attempt - 1));
+            expect(delay).toBeGreaterThanOrEqual(Math.floor(ceiling / 2));
+            expect(delay).toBeLessThanOrEqual(ceiling);
+        }));
+    });
+});
+
+describe('combineConnections', () => {
+    it('reports the worst state, the oldest update and the total reconnects', () => {
+        expect(combineConnections([
+            { state: CONNECTION_STATES.LIVE, lastMessageAge: 100, reconnectCount: 1 },
+            { state: CONNECTION_STATES.STALE, lastMessageAge: 6000, reconnectCount: 2 },
+            { state: CONNECTION_STATES.CONNECTING, lastMessageAge: null, reconnectCount: 0 },
+        ])).toEqual({ state: CONNECTION_STATES.STALE, lastMessageAge: 6000, reconnectCount: 3 });
+    });
+
+    it('is idle with no feeds', () => {
+        expect(combineConnections([])).toEqual({ state: CONNECTION_STATES.IDLE, lastMessageAge: null, reconnectCount: 0 });
+    });
+});
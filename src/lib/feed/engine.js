@@ -0,0 +1,225 @@
+import { getVenue } from '@/lib/venues';
+import { getInstrument } from '@/lib/instruments/catalog';
+import { bookToBase, tradesToBase } from '@/lib/instruments/units';
+import { buildBookView } from '@/lib/orderbook/view';
+import { createOrderbookFeed, INITIAL_CONNECTION } from './orderbookFeed';
+import { createFeedHealth } from './health';
+
+// --- Feed engine ---
+// Owns every venue feed (sockets, parsing, local books) and derives what the
+// UI draws from them. It normally runs inside the feed worker
+// (src/workers/feedWorker.js) so none of this touches the main thread; see
+// lib/feed/transport.js for how the UI talks to it.
+//
+// Updates are coalesced rather than pushed: takeFrame() returns everything
+// that changed since the previous call (or null), so a venue sending ten
+// book updates between two UI frames costs one unit conversion and one view
+// rebuild, not ten. A frame is:
+//   {
+//     books        { [venue]: book } with base-currency sizes, for venues that changed
+//     trades       { [venue]: trades } new since the last frame, oldest first, base currency
+//     cleared      [venue] whose feed stopped or restarted; drop their trades and ticker
+//     tickers      { [venue]: ticker } that changed, the latest value of every field the
+//                  venue's ticker channels have sent (see parseTicker in lib/venues/registry.js)
+//     connections  { [venue]: connection } that changed
+//     view         buildBookView result for the configured view, plus its `key`
+//     raw          [{ venue, symbol, data, at }] while recording
+//     stats        { messages, processingMs, maxProcessingMs } since the last frame
+//     health       { [venue]: feed health snapshot } for the open feeds, about once a
+//                  second (see lib/feed/health.js)
+//     pendingSince Time (ms since epoch) of the oldest change in the frame
+//   }
+//
+// `measureLatency` is turned off for replays, whose exchange timestamps are
+// from the past.
+
+const EMPTY_BOOK = { bids: [], asks: [] };
+
+// Most recent trades kept per venue, here and by the UI. Also bounds what piles
+// up while the page is hidden and no frames are taken.
+export const MAX_TRADES = 500;
+
+const HEALTH_INTERVAL_MS = 1000;
+
+export const createFeedEngine = ({ staleAfterMs, createSocket, measureLatency = true, now = Date.now } = {}) => {
+    const feeds = new Map();
+    const health = {};
+    let healthSentAt = -Infinity;
+    // Latest venue-native levels, converted to base currency only when a frame is taken
+    const nativeBooks = {};
+    const baseBooks = {};
+    const instruments = {};
+    let changedBooks = new Set();
+    let trades = {};
+    const tickers = {};
+    let changedTickers = new Set();
+    let cleared = new Set();
+    let connections = {};
+    let raw = null;
+    let view = null;
+    let viewChanged = false;
+    let stats = { messages: 0, processingMs: 0, maxProcessingMs: 0 };
+    let pendingSince = null;
+
+    const touch = () => {
+        if (pendingSince === null) pendingSince = now();
+    };
+
+    const setBook = (venue, levels) => {
+        nativeBooks[venue] = levels;
+        changedBooks.add(venue);
+        if (view && view.venues.includes(venue)) viewChanged = true;
+        touch();
+    };
+
+    const setConnection = (venue, connection) => {
+        connections[venue] = connection;
+        touch();
+    };
+
+    const startFeed = (key, venue, symbol) => {
+        const adapter = getVenue(venue);
+        if (!adapter) {
+            console.error(`Unknown venue "${venue}".`);
+            return;
+        }
+        instruments[venue] = getInstrument(venue, symbol);
+        setBook(venue, EMPTY_BOOK);
+        cleared.add(venue);
+        delete trades[venue];
+        delete tickers[venue];
+        changedTickers.delete(venue);
+        const venueHealth = createFeedHealth({ now });
+        health[venue] = venueHealth;
+        healthSentAt = -Infinity;
+        let reconnectCount = 0;
+        const feed = createOrderbookFeed({
+            adapter,
+            symbol,
+            staleAfterMs,
+            createSocket,
+            onBook: (levels) => setBook(venue, levels),
+            onTrades: (batch) => {
+                trades[venue] = [...(trades[venue] || []), ...tradesToBase(batch, instruments[venue])].slice(-MAX_TRADES);
+                touch();
+            },
+            // Venues split the fields across channels, so each message updates the ones it has
+            onTicker: (fields) => {
+                tickers[venue] = { ...tickers[venue], ...fields };
+                changedTickers.add(venue);
+                touch();
+            },
+            onConnection: (connection) => {
+                if (connection.reconnectCount > reconnectCount) venueHealth.recordReconnect(connection.reconnectCount);
+                reconnectCount = connection.reconnectCount;
+                setConnection(venue, connection);
+            },
+            onRawMessage: (data) => {
+                if (raw) raw.push({ venue, symbol, data, at: now() });
+            },
+            onLatency: measureLatency ? venueHealth.recordLatency : undefined,
+            onResync: venueHealth.recordResync,
+            onProcessed: (ms) => {
+                venueHealth.recordMessage();
+                stats.messages += 1;
+                stats.processingMs += ms;
+                stats.maxProcessingMs = Math.max(stats.maxProcessingMs, ms);
+            },
+        });
+        feeds.set(key, feed);
+        feed.start();
+    };
+
+    // `subscriptions` is [{ venue, symbol }]; feeds no longer listed are stopped
+    // and report an empty book and an idle connection
+    const setSubscriptions = (subscriptions) => {
+        const wanted = new Map(subscriptions.map(sub => [`${sub.venue}:${sub.symbol}`, sub]));
+        for (const [key, feed] of feeds) {
+            if (wanted.has(key)) continue;
+            feed.stop();
+            feeds.delete(key);
+            setBook(feed.venue, EMPTY_BOOK);
+            setConnection(feed.venue, INITIAL_CONNECTION);
+            cleared.add(feed.venue);
+            delete trades[feed.venue];
+            delete tickers[feed.venue];
+            changedTickers.delete(feed.venue);
+            delete health[feed.venue];
+            healthSentAt = -Infinity;
+        }
+        for (const [key, { venue, symbol }] of wanted) {
+            if (!feeds.has(key)) startFeed(key, venue, symbol);
+        }
+    };
+
+    // See lib/orderbook/view.js; `key` is handed back with every view built from it
+    const setView = (config) => {
+        view = config;
+        viewChanged = true;
+        touch();
+    };
+
+    const setRecording = (enabled) => {
+        raw = enabled ? raw || [] : null;
+    };
+
+    const retry = (venue) => {
+        for (const feed of feeds.values()) {
+            if (feed.venue === venue) feed.retry();
+        }
+    };
+
+    const takeFrame = () => {
+        const healthDue = now() - healthSentAt >= HEALTH_INTERVAL_MS;
+        if (pendingSince === null && !(raw && raw.length > 0) && !healthDue) return null;
+        const frame = { stats, pendingSince };
+
+        if (changedBooks.size > 0) {
+            frame.books = {};
+            for (const venue of changedBooks) {
+                baseBooks[venue] = bookToBase(nativeBooks[venue], instruments[venue]);
+                frame.books[venue] = baseBooks[venue];
+            }
+            changedBooks = new Set();
+        }
+        if (cleared.size > 0) {
+            frame.cleared = [...cleared];
+            cleared = new Set();
+        }
+        if (Object.keys(trades).length > 0) {
+            frame.trades = trades;
+            trades = {};
+        }
+        if (changedTickers.size > 0) {
+            frame.tickers = Object.fromEntries([...changedTickers].map(venue => [venue, tickers[venue]]));
+            changedTickers = new Set();
+        }
+        if (Object.keys(connections).length > 0) {
+            frame.connections = connections;
+            connections = {};
+        }
+        if (view && viewChanged) {
+            frame.view = { key: view.key, ...buildBookView(baseBooks, view, instruments) };
+            viewChanged = false;
+        }
+        if (raw && raw.length > 0) {
+            frame.raw = raw;
+            raw = [];
+        }
+        if (healthDue) {
+            frame.health = Object.fromEntries(Object.entries(health).map(([venue, venueHealth]) => [venue, venueHealth.snapshot()]));
+            healthSentAt = now();
+        }
+
+        stats = { messages: 0, processingMs: 0, maxProcessingMs: 0 };
+        pendingSince = null;
+        return frame;
+    };
+
+    const destroy = () => {
+        feeds.forEach(feed => feed.stop());
+        feeds.clear();
+    };
+
+    return { setSubscriptions, setView, setRecording, retry, takeFrame, destroy };
+};
@@ -0,0 +1,154 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createFeedEngine } from './engine';
+import { CONNECTION_STATES } from './connection';
+import okx from '@/lib/venues/__fixtures__/okx.json';
+import bybit from '@/lib/venues/__fixtures__/bybit.json';
+
+// Sockets that open straight away and let the test push venue messages
+const createFakeSockets = () => {
+    const sockets = {};
+    const createSocket = (url, { venue }) => {
+        const socket = { readyState: 1, sent: [], send: (message) => socket.sent.push(message), close: () => { socket.readyState = 3; } };
+        sockets[venue] = socket;
+        setTimeout(() => socket.onopen && socket.onopen(), 0);
+        return socket;
+    };
+    const push = (venue, message) => sockets[venue].onmessage({ data: JSON.stringify(message) });
+    return { sockets, createSocket, push };
+};
+
+const VIEW = { venues: ['OKX'], aggregate: false, unit: 'base', grouping: null, depth: 2, chartRange: { mode: 'levels', value: 50 }, key: 'okx-view' };
+
+describe('createFeedEngine', () => {
+    let fake;
+    let engine;
+    let clock;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.stubGlobal('WebSocket', { OPEN: 1 });
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        fake = createFakeSockets();
+        clock = 1000;
+        engine = createFeedEngine({ createSocket: fake.createSocket, now: () => clock });
+        engine.setSubscriptions([{ venue: 'OKX', symbol: 'BTC-USD-SWAP' }]);
+        vi.advanceTimersByTime(1);
+    });
+
+    afterEach(() => {
+        engine.destroy();
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('reports starting feeds as cleared and connecting', () => {
+        const frame = engine.takeFrame();
+        expect(frame.cleared).toEqual(['OKX']);
+        expect(frame.books.OKX).toEqual({ bids: [], asks: [] });
+        expect(frame.connections.OKX.state).toBe(CONNECTION_STATES.CONNECTING);
+        expect(engine.takeFrame()).toBeNull();
+    });
+
+    it('coalesces updates between frames into one book in base currency', () => {
+        engine.takeFrame();
+        clock = 2000;
+        fake.push('OKX', okx.snapshot);
+        clock = 2500;
+        fake.push('OKX', okx.update);
+
+        const frame = engine.takeFrame();
+        expect(frame.pendingSince).toBe(2000);
+        expect(frame.stats.messages).toBe(2);
+        expect(frame.connections.OKX.state).toBe(CONNECTION_STATES.LIVE);
+        // The update adds a 3 contract bid at 68000.0; inverse swap contracts are worth 100 USD
+        const [price, size] = frame.books.OKX.bids[0];
+        expect(parseFloat(price)).toBe(68000);
+        expect(parseFloat(size)).toBeCloseTo(300 / 68000, 9);
+        expect(engine.takeFrame()).toBeNull();
+    });
+
+    it('builds the view only when its venues or config change', () => {
+        engine.setView(VIEW);
+        fake.push('OKX', okx.snapshot);
+        const frame = engine.takeFrame();
+        expect(frame.view.key).toBe('okx-view');
+        expect(frame.view.display.bids).toHaveLength(3);
+        expect(frame.view.cumulative.bids).toHaveLength(2);
+        expect(frame.view.depthCurve.bids.length).toBeGreaterThan(0);
+
+        engine.setSubscriptions([{ venue: 'OKX', symbol: 'BTC-USD-SWAP' }, { venue: 'Bybit', symbol: 'BTCUSDT' }]);
+        vi.advanceTimersByTime(1);
+        fake.push('Bybit', bybit.snapshot);
+        expect(engine.takeFrame().view).toBeUndefined();
+
+        engine.setView({ ...VIEW, venues: ['OKX', 'Bybit'], aggregate: true, key: 'aggregated' });
+        const aggregated = engine.takeFrame().view;
+        expect(aggregated.key).toBe('aggregated');
+        expect(aggregated.base.bids[0][2]).toBeDefined();
+    });
+
+    it('passes trades on once, oldest first and in base currency', () => {
+        engine.takeFrame();
+        fake.push('OKX', okx.trades);
+        const { trades } = engine.takeFrame();
+        expect(trades.OKX.map(trade => trade.id)).toEqual(['930563621', '930563622']);
+        expect(trades.OKX[0].size).toBeCloseTo(500 / 68000.1, 9);
+        expect(engine.takeFrame()).toBeNull();
+    });
+
+    it('subscribes to the ticker channels and merges their fields per venue', () => {
+        const subscribed = fake.sockets.OKX.sent.map(message => JSON.parse(message));
+        expect(subscribed.flatMap(message => message.args.map(arg => arg.channel))).toEqual(['books', 'trades', 'funding-rate', 'mark-price']);
+        engine.takeFrame();
+        fake.push('OKX', okx.fundingRate);
+        fake.push('OKX', okx.markPrice);
+        expect(engine.takeFrame().tickers.OKX).toEqual({
+            fundingRate: 0.0001, fundingIntervalHours: 8, nextFundingTime: 1754035200000, markPrice: 68001.5, timestamp: 1754035200400,
+        });
+        expect(engine.takeFrame()).toBeNull();
+    });
+
+    it('clears a stopped feed and drops its unsent trades', () => {
+        engine.takeFrame();
+        fake.push('OKX', okx.trades);
+        engine.setSubscriptions([]);
+        const frame = engine.takeFrame();
+        expect(frame.cleared).toEqual(['OKX']);
+        expect(frame.trades).toBeUndefined();
+        expect(frame.connections.OKX.state).toBe(CONNECTION_STATES.IDLE);
+    });
+
+    it('collects raw messages with their arrival time only while recording', () => {
+        engine.takeFrame();
+        fake.push('OKX', okx.snapshot);
+        expect(engine.takeFrame().raw).toBeUndefined();
+
+        engine.setRecording(true);
+        clock = 3000;
+        fake.push('OKX', okx.update);
+        expect(engine.takeFrame().raw).toEqual([{ venue: 'OKX', symbol: 'BTC-USD-SWAP', data: JSON.stringify(okx.update), at: 3000 }]);
+
+        engine.setRecording(false);
+        fake.push('OKX', okx.pong);
+        expect(engine.takeFrame()).toBeNull();
+    });
+
+    it('reports feed health about once a second', () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(engine.takeFrame().health.OKX.latency.count).toBe(0);
+
+        fake.push('OKX', okx.snapshot);
+        fake.push('OKX', okx.updateWithGap);
+        expect(engine.takeFrame().health).toBeUndefined();
+
+        clock = 2000;
+        const { health } = engine.takeFrame();
+        expect(health.OKX.latency.count).toBe(2);
+        expect(health.OKX.resyncs.total).toBe(1);
+        expect(health.OKX.messageRate).toBeGreaterThan(0);
+        // Nothing else changed, but health is still sent
+        clock = 3000;
+        expect(engine.takeFrame().health.OKX).toBeDefined();
+    });
+});
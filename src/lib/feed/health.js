@@ -0,0 +1,125 @@
+// --- Feed health ---
+// How fresh and how clean one venue's feed is, over a rolling window:
+//
+//   latency     Receive time minus the exchange timestamp in each book or trades
+//               message, in ms. It includes any offset between the local and the
+//               exchange clock, so a small negative value is possible.
+//   messages    Messages received per second
+//   resyncs     Sequence gaps, checksum mismatches and restarts that forced a
+//               fresh snapshot
+//   reconnects  Socket reopened after a drop or a stall
+//
+// Recording is cheap enough for the message loop; snapshot() does the sorting
+// and is meant to be called about once a second.
+
+// Upper edges of the latency histogram buckets, in ms; a last bucket takes the rest
+export const LATENCY_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500];
+
+export const DEFAULT_HEALTH_THRESHOLDS = { latencyMs: 500, gapsPerMinute: 3 };
+
+// Fewer latency samples than this are too noisy to alert on
+const MIN_ALERT_SAMPLES = 20;
+// Bounds memory on very busy feeds; the oldest samples go first
+const MAX_LATENCY_SAMPLES = 20000;
+const MAX_RECONNECT_HISTORY = 20;
+
+// Nearest-rank percentile of an ascending array, null if empty
+export const percentile = (sorted, p) => (sorted.length === 0 ? null : sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)]);
+
+// [{ upTo, count }] with upTo = Infinity for the last bucket
+export const latencyHistogram = (latencies) => {
+    const counts = new Array(LATENCY_BUCKETS_MS.length + 1).fill(0);
+    for (const ms of latencies) {
+        const bucket = LATENCY_BUCKETS_MS.findIndex(edge => ms <= edge);
+        counts[bucket === -1 ? LATENCY_BUCKETS_MS.length : bucket] += 1;
+    }
+    return counts.map((count, i) => ({ upTo: i < LATENCY_BUCKETS_MS.length ? LATENCY_BUCKETS_MS[i] : Infinity, count }));
+};
+
+export const createFeedHealth = ({ windowMs = 60 * 1000, now = Date.now } = {}) => {
+    const startedAt = now();
+    // [t, ms] oldest first
+    let latencies = [];
+    // [second, count] oldest first
+    let messageCounts = [];
+    let resyncTimes = [];
+    let resyncTotal = 0;
+    let lastResync = null;
+    let reconnects = [];
+    let reconnectTotal = 0;
+
+    const prune = (t) => {
+        const cutoff = t - windowMs;
+        if (latencies.length > 0 && latencies[0][0] < cutoff) latencies = latencies.filter(([at]) => at >= cutoff);
+        if (messageCounts.length > 0 && messageCounts[0][0] * 1000 < cutoff) messageCounts = messageCounts.filter(([second]) => second * 1000 >= cutoff);
+        if (resyncTimes.length > 0 && resyncTimes[0] < cutoff) resyncTimes = resyncTimes.filter(at => at >= cutoff);
+    };
+
+    const recordMessage = () => {
+        const second = Math.floor(now() / 1000);
+        const last = messageCounts[messageCounts.length - 1];
+        if (last && last[0] === second) last[1] += 1;
+        else messageCounts.push([second, 1]);
+    };
+
+    const recordLatency = (ms) => {
+        if (!Number.isFinite(ms)) return;
+        latencies.push([now(), ms]);
+        if (latencies.length > MAX_LATENCY_SAMPLES) latencies = latencies.slice(-MAX_LATENCY_SAMPLES);
+    };
+
+    const recordResync = (reason) => {
+        const at = now();
+        resyncTimes.push(at);
+        resyncTotal += 1;
+        lastResync = { at, reason };
+    };
+
+    const recordReconnect = (attempt) => {
+        reconnects = [...reconnects, { at: now(), attempt }].slice(-MAX_RECONNECT_HISTORY);
+        reconnectTotal += 1;
+    };
+
+    const snapshot = () => {
+        const t = now();
+        prune(t);
+        // A feed younger than the window gets its message rate over its lifetime.
+        // Resyncs are always counted over the full window, so one resync just
+        // after connecting does not read as a high rate.
+        const spanSeconds = Math.max(Math.min(windowMs, t - startedAt), 1000) / 1000;
+        const sorted = latencies.map(([, ms]) => ms).sort((a, b) => a - b);
+        const messages = messageCounts.reduce((acc, [, count]) => acc + count, 0);
+        return {
+            t,
+            windowMs,
+            messageRate: messages / spanSeconds,
+            latency: {
+                count: sorted.length,
+                p50: percentile(sorted, 0.5),
+                p90: percentile(sorted, 0.9),
+                p99: percentile(sorted, 0.99),
+                max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+                histogram: latencyHistogram(sorted),
+            },
+            resyncs: { total: resyncTotal, inWindow: resyncTimes.length, perMinute: resyncTimes.length / (windowMs / 60000), last: lastResync },
+            reconnects: { total: reconnectTotal, history: reconnects },
+        };
+    };
+
+    return { recordMessage, recordLatency, recordResync, recordReconnect, snapshot };
+};
+
+// Threshold breaches in a snapshot, as [{ kind: 'latency' | 'gaps', message }].
+// Latency is judged on the 90th percentile so a single slow message does not alert.
+export const healthAlerts = (snapshot, thresholds = DEFAULT_HEALTH_THRESHOLDS) => {
+    if (!snapshot) return [];
+    const alerts = [];
+    const { latency, resyncs } = snapshot;
+    if (latency.count >= MIN_ALERT_SAMPLES && latency.p90 > thresholds.latencyMs) {
+        alerts.push({ kind: 'latency', message: `p90 latency ${Math.round(latency.p90)} ms is above ${thresholds.latencyMs} ms` });
+    }
+    if (resyncs.perMinute > thresholds.gapsPerMinute) {
+        alerts.push({ kind: 'gaps', message: `${resyncs.perMinute.toFixed(1)} gaps/resyncs per minute is above ${thresholds.gapsPerMinute}` });
+    }
+    return alerts;
+};
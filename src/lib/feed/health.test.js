@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { createFeedHealth, healthAlerts, latencyHistogram, percentile, LATENCY_BUCKETS_MS, DEFAULT_HEALTH_THRESHOLDS } from './health';
+
+const withClock = (start = 0) => {
+    const clock = { t: start };
+    const health = createFeedHealth({ windowMs: 60000, now: () => clock.t });
+    return { clock, health };
+};
+
+describe('percentile', () => {
+    it('uses the nearest rank', () => {
+        const sorted = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+        expect(percentile(sorted, 0.5)).toBe(5);
+        expect(percentile(sorted, 0.9)).toBe(9);
+        expect(percentile(sorted, 0.99)).toBe(10);
+        expect(percentile([], 0.5)).toBeNull();
+    });
+
+    it('always returns a sample between the min and the max', () => {
+        fc.assert(fc.property(fc.array(fc.double({ min: -100, max: 5000, noNaN: true }), { minLength: 1 }), fc.double({ min: 0, max: 1, noNaN: true }), (values, p) => {
+            const sorted = [...values].sort((a, b) => a - b);
+            const value = percentile(sorted, p);
+            expect(sorted).toContain(value);
+        }));
+    });
+});
+
+describe('latencyHistogram', () => {
+    it('counts every sample once, with bucket edges inclusive', () => {
+        const histogram = latencyHistogram([-3, 5, 6, 10, 2500, 2501]);
+        expect(histogram).toHaveLength(LATENCY_BUCKETS_MS.length + 1);
+        expect(histogram[0]).toEqual({ upTo: 5, count: 2 });
+        expect(histogram[1]).toEqual({ upTo: 10, count: 2 });
+        expect(histogram.at(-2)).toEqual({ upTo: 2500, count: 1 });
+        expect(histogram.at(-1)).toEqual({ upTo: Infinity, count: 1 });
+    });
+});
+
+describe('createFeedHealth', () => {
+    it('reports latency percentiles and message rate over the window', () => {
+        const { clock, health } = withClock(100000);
+        for (let i = 1; i <= 100; i++) {
+            clock.t += 100;
+            health.recordMessage();
+            health.recordLatency(i);
+        }
+        const snapshot = health.snapshot();
+        expect(snapshot.latency).toMatchObject({ count: 100, p50: 50, p90: 90, p99: 99, max: 100 });
+        // 100 messages over the feed's first 10 seconds
+        expect(snapshot.messageRate).toBeCloseTo(10, 5);
+    });
+
+    it('forgets samples older than the window but keeps totals', () => {
+        const { clock, health } = withClock();
+        health.recordLatency(900);
+        health.recordResync('sequence gap');
+        clock.t = 61000;
+        health.recordLatency(20);
+        const snapshot = health.snapshot();
+        expect(snapshot.latency.count).toBe(1);
+        expect(snapshot.latency.max).toBe(20);
+        expect(snapshot.resyncs).toMatchObject({ total: 1, inWindow: 0, perMinute: 0 });
+        expect(snapshot.resyncs.last).toEqual({ at: 0, reason: 'sequence gap' });
+    });
+
+    it('keeps a history of reconnects', () => {
+        const { clock, health } = withClock();
+        health.recordReconnect(1);
+        clock.t = 5000;
+        health.recordReconnect(2);
+        expect(health.snapshot().reconnects).toEqual({ total: 2, history: [{ at: 0, attempt: 1 }, { at: 5000, attempt: 2 }] });
+    });
+
+    it('ignores latencies that are not numbers', () => {
+        const { health } = withClock();
+        health.recordLatency(NaN);
+        expect(health.snapshot().latency.count).toBe(0);
+    });
+});
+
+describe('healthAlerts', () => {
+    const snapshotWith = ({ p90 = 10, count = 100, perMinute = 0 }) => ({ latency: { p90, count }, resyncs: { perMinute } });
+
+    it('alerts on p90 latency and gap rate above the thresholds', () => {
+        expect(healthAlerts(snapshotWith({}), DEFAULT_HEALTH_THRESHOLDS)).toEqual([]);
+        expect(healthAlerts(snapshotWith({ p90: 800 })).map(alert => alert.kind)).toEqual(['latency']);
+        expect(healthAlerts(snapshotWith({ perMinute: 4 })).map(alert => alert.kind)).toEqual(['gaps']);
+        expect(healthAlerts(snapshotWith({ p90: 800, perMinute: 4 }), { latencyMs: 1000, gapsPerMinute: 5 })).toEqual([]);
+    });
+
+    it('waits for enough latency samples', () => {
+        expect(healthAlerts(snapshotWith({ p90: 800, count: 5 }))).toEqual([]);
+        expect(healthAlerts(null)).toEqual([]);
+    });
+});
@@ -0,0 +1,228 @@
+import { createLocalBook } from '@/lib/orderbook/localBook';
+import { MESSAGE_TYPES, venueUrl } from '@/lib/venues';
+import { CONNECTION_STATES, MAX_RECONNECT_ATTEMPTS, backoffDelay } from './connection';
+
+// Number of levels per side published from the local book, enough for the
+// depth chart's widest ranges and coarse price grouping
+export const BOOK_DEPTH = 200;
+
+// After this many stale periods without a book update the socket is recycled
+const STALE_RECONNECT_FACTOR = 3;
+
+export const INITIAL_CONNECTION = { state: CONNECTION_STATES.IDLE, lastMessageAge: null, reconnectCount: 0 };
+
+const encode = (message) => (typeof message === 'string' ? message : JSON.stringify(message));
+
+const decode = (raw) => {
+    try {
+        return JSON.parse(raw);
+    } catch {
+        // Some venues answer keepalives with bare strings such as 'pong'
+        return raw;
+    }
+};
+
+// Owns one venue's socket: subscription, keepalive, local book maintenance,
+// resync on gaps, staleness watchdog and reconnect with backoff. Framework-free;
+// results are reported through onBook(levels), onConnection(connection) and,
+// when given and the venue has a trades channel, onTrades(trades), and
+// likewise onTicker(fields) for its mark price, index and funding channels.
+// `onRawMessage(data)` sees every message before it is parsed (for recording),
+// `onProcessed(ms)` reports how long each message took to handle,
+// `onLatency(ms)` how long each timestamped book or trades message took to
+// arrive from the exchange (see the adapters' messageTime), `onResync(reason)`
+// every resync of the local book, and
+// `createSocket(url, { venue, symbol })` can replace the WebSocket, e.g. with a
+// replayed session.
+const openWebSocket = (url) => new WebSocket(url);
+
+export const createOrderbookFeed = ({ adapter, symbol, staleAfterMs = 5000, onBook, onConnection, onTrades, onTicker, onRawMessage, onProcessed, onLatency, onResync, createSocket = openWebSocket }) => {
+    const venue = adapter.id;
+    const wantsTrades = Boolean(onTrades && adapter.subscribeTrades);
+    const wantsTicker = Boolean(onTicker && adapter.subscribeTicker && adapter.subscribeTicker(symbol));
+    const book = createLocalBook({
+        verifyChecksum: adapter.checksum && ((bids, asks) => adapter.checksum(bids, asks, symbol)),
+        maxDepth: adapter.maxDepth,
+    });
+    let connection = INITIAL_CONNECTION;
+    let socket = null;
+    let keepaliveInterval;
+    let reconnectTimer;
+    let watchdog;
+    let attempts = 0;
+    let lastUpdateAt = null;
+    let running = false;
+
+    const updateConnection = (patch) => {
+        connection = { ...connection, ...patch };
+        onConnection(connection);
+    };
+
+    const send = (message) => {
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(encode(message));
+        }
+    };
+
+    // Drop the local book and ask the venue for a fresh snapshot
+    const resync = (reason) => {
+        console.warn(`[${venue}] Order book out of sync (${reason}), resubscribing.`);
+        if (onResync) onResync(reason);
+        book.reset();
+        send(adapter.unsubscribe(symbol));
+        send(adapter.subscribe(symbol));
+    };
+
+    const processMessage = (event) => {
+        if (onRawMessage) onRawMessage(event.data);
+        const data = decode(event.data);
+        const type = adapter.classify(data);
+
+        if (onLatency && adapter.messageTime && (type === MESSAGE_TYPES.BOOK || type === MESSAGE_TYPES.TRADE)) {
+            const sentAt = adapter.messageTime(data);
+            if (sentAt) onLatency(Date.now() - sentAt);
+        }
+
+        switch (type) {
+            case MESSAGE_TYPES.HEARTBEAT: {
+                const reply = adapter.onHeartbeat && adapter.onHeartbeat(data);
+                if (reply) send(reply);
+                return;
+            }
+            case MESSAGE_TYPES.ERROR:
+                console.error(`[${venue}] Venue error:`, data);
+                return;
+            case MESSAGE_TYPES.TRADE:
+                if (wantsTrades) onTrades(adapter.parseTrades(data));
+                return;
+            case MESSAGE_TYPES.TICKER:
+                if (wantsTicker) onTicker(adapter.parseTicker(data));
+                return;
+            case MESSAGE_TYPES.BOOK:
+                break;
+            default:
+                return;
+        }
+
+        const result = book.apply(adapter.parseBook(data));
+        if (!result.ok) {
+            resync(result.reason);
+            return;
+        }
+        if (!result.ignored) {
+            // A healthy book resets the backoff so the next drop starts from the shortest delay
+            attempts = 0;
+            lastUpdateAt = Date.now();
+            onBook(book.getLevels(BOOK_DEPTH));
+            if (connection.state !== CONNECTION_STATES.LIVE || connection.lastMessageAge !== 0) {
+                updateConnection({ state: CONNECTION_STATES.LIVE, lastMessageAge: 0 });
+            }
+        }
+    };
+
+    const handleMessage = (event) => {
+        if (!onProcessed) {
+            processMessage(event);
+            return;
+        }
+        const startedAt = performance.now();
+        processMessage(event);
+        onProcessed(performance.now() - startedAt);
+    };
+
+    const scheduleReconnect = () => {
+        attempts += 1;
+        if (attempts > MAX_RECONNECT_ATTEMPTS) {
+            console.error(`[${venue}] Giving up after ${MAX_RECONNECT_ATTEMPTS} reconnect attempts.`);
+            updateConnection({ state: CONNECTION_STATES.FAILED });
+            return;
+        }
+        const delay = backoffDelay(attempts);
+        console.log(`[${venue}] Reconnecting in ${delay}ms (attempt ${attempts}).`);
+        updateConnection({ state: CONNECTION_STATES.RECONNECTING, reconnectCount: connection.reconnectCount + 1 });
+        reconnectTimer = setTimeout(connect, delay);
+    };
+
+    const connect = () => {
+        book.reset();
+        lastUpdateAt = null;
+        const current = createSocket(venueUrl(adapter), { venue, symbol });
+        socket = current;
+
+        socket.onopen = () => {
+            console.log(`[${venue}] WebSocket connected.`);
+            send(adapter.subscribe(symbol));
+            if (wantsTrades) send(adapter.subscribeTrades(symbol));
+            if (wantsTicker) send(adapter.subscribeTicker(symbol));
+            if (adapter.keepalive) {
+                keepaliveInterval = setInterval(() => send(adapter.keepalive.message()), adapter.keepalive.intervalMs);
+            }
+        };
+
+        socket.onmessage = handleMessage;
+
+        socket.onerror = (error) => {
+            console.error(`[${venue}] WebSocket error:`, error);
+        };
+
+        socket.onclose = () => {
+            console.log(`[${venue}] WebSocket disconnected.`);
+            clearInterval(keepaliveInterval);
+            // Sockets replaced by stop()/retry() must not trigger another reconnect
+            if (running && socket === current) scheduleReconnect();
+        };
+    };
+
+    // Watchdog: flag the feed stale when book updates stop, and force a reconnect
+    // if it stays silent long enough that the socket is probably half-open.
+    const checkStaleness = () => {
+        if (lastUpdateAt === null) return;
+        const age = Date.now() - lastUpdateAt;
+        if (connection.state === CONNECTION_STATES.LIVE || connection.state === CONNECTION_STATES.STALE) {
+            updateConnection({ lastMessageAge: age, state: age > staleAfterMs ? CONNECTION_STATES.STALE : CONNECTION_STATES.LIVE });
+        }
+        if (age > staleAfterMs * STALE_RECONNECT_FACTOR && socket && socket.readyState === WebSocket.OPEN) {
+            console.warn(`[${venue}] No book updates for ${age}ms, forcing reconnect.`);
+            lastUpdateAt = null;
+            socket.close();
+        }
+    };
+
+    const start = () => {
+        if (running) return;
+        running = true;
+        attempts = 0;
+        updateConnection({ state: CONNECTION_STATES.CONNECTING });
+        watchdog = setInterval(checkStaleness, 1000);
+        connect();
+    };
+
+    const stop = () => {
+        running = false;
+        clearTimeout(reconnectTimer);
+        clearInterval(watchdog);
+        clearInterval(keepaliveInterval);
+        if (socket) {
+            if (socket.readyState === WebSocket.OPEN) {
+                try {
+                    socket.send(encode(adapter.unsubscribe(symbol)));
+                    if (wantsTrades) socket.send(encode(adapter.unsubscribeTrades(symbol)));
+                    if (wantsTicker) socket.send(encode(adapter.unsubscribeTicker(symbol)));
+                } catch (e) {
+                    console.error("Error unsubscribing:", e);
+                }
+            }
+            socket.onmessage = null;
+            socket.close();
+            socket = null;
+        }
+    };
+
+    // Manual retry once the feed has given up reconnecting on its own
+    const retry = () => {
+        stop();
+        start();
+    };
+
+    return { start, stop, retry, venue, symbol };
+};
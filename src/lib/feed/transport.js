@@ -0,0 +1,62 @@
+import { createFeedEngine } from './engine';
+
+// --- Feed transports ---
+// How the UI reaches the feed engine. Both transports expose the same methods:
+//   setSubscriptions(subscriptions), setView(config), setRecording(enabled),
+//   retry(venue), requestFrame(callback(frame | null)), destroy(), kind
+//
+// The worker transport runs the engine in a Web Worker and allows one frame
+// request in flight, so a busy worker or a slow main thread never builds up a
+// queue of stale frames. The inline transport runs it on the main thread; it
+// is needed when sockets are created on the main thread (a replayed session)
+// and where workers are unavailable.
+
+export const TRANSPORT_KINDS = { WORKER: 'worker', INLINE: 'main thread' };
+
+export const createWorkerTransport = ({ staleAfterMs }) => {
+    const worker = new Worker(new URL('../../workers/feedWorker.js', import.meta.url));
+    let pending = null;
+
+    worker.onmessage = ({ data }) => {
+        if (data.type !== 'frame' || !pending) return;
+        const callback = pending;
+        pending = null;
+        callback(data.frame);
+    };
+    worker.onerror = (error) => {
+        console.error('Feed worker error:', error);
+    };
+
+    worker.postMessage({ type: 'init', staleAfterMs });
+
+    return {
+        kind: TRANSPORT_KINDS.WORKER,
+        setSubscriptions: (subscriptions) => worker.postMessage({ type: 'subscriptions', subscriptions }),
+        setView: (view) => worker.postMessage({ type: 'view', view }),
+        setRecording: (enabled) => worker.postMessage({ type: 'recording', enabled }),
+        retry: (venue) => worker.postMessage({ type: 'retry', venue }),
+        requestFrame: (callback) => {
+            if (pending) return;
+            pending = callback;
+            worker.postMessage({ type: 'frame' });
+        },
+        destroy: () => {
+            pending = null;
+            // Lets the worker unsubscribe and close its sockets before it exits
+            worker.postMessage({ type: 'destroy' });
+        },
+    };
+};
+
+export const createInlineTransport = ({ staleAfterMs, createSocket, measureLatency }) => {
+    const engine = createFeedEngine({ staleAfterMs, createSocket, measureLatency });
+    return {
+        kind: TRANSPORT_KINDS.INLINE,
+        setSubscriptions: engine.setSubscriptions,
+        setView: engine.setView,
+        setRecording: engine.setRecording,
+        retry: engine.retry,
+        requestFrame: (callback) => callback(engine.takeFrame()),
+        destroy: engine.destroy,
+    };
+};
@@ -0,0 +1,77 @@
+// --- Bundled instrument metadata ---
+// Snapshot of the instruments each venue lists for the markets this tool
+// supports. Fields:
+//
+//   base, quote       Currencies, e.g. BTC / USDT
+//   kind              'spot' or 'perp'
+//   sizeUnit          Unit the venue's book sizes are in: 'base', 'quote' or 'contract'
+//   contractValue     Size of one contract, in contractCurrency
+//   contractCurrency  'base' for linear contracts, 'quote' for inverse ones
+//   tickSize          Minimum price increment
+//   lotSize           Minimum size increment, in sizeUnit
+
+const spot = (base, quote, tickSize, lotSize) => ({
+    base, quote, kind: 'spot', sizeUnit: 'base', contractValue: 1, contractCurrency: 'base', tickSize, lotSize,
+});
+
+// OKX swaps are sized in contracts; inverse ones are worth a fixed USD amount
+const okxSwap = (base, quote, contractValue, tickSize, lotSize) => ({
+    base, quote, kind: 'perp', sizeUnit: 'contract', contractValue,
+    contractCurrency: quote === 'USD' ? 'quote' : 'base', tickSize, lotSize,
+});
+
+// Deribit inverse perpetuals are sized in USD, linear (USDC) ones in the base currency
+const deribitPerp = (base, quote, contractValue, tickSize, lotSize) => ({
+    base, quote, kind: 'perp', sizeUnit: quote === 'USD' ? 'quote' : 'base', contractValue,
+    contractCurrency: quote === 'USD' ? 'quote' : 'base', tickSize, lotSize,
+});
+
+export const INSTRUMENTS = {
+    OKX: {
+        'BTC-USD-SWAP': okxSwap('BTC', 'USD', 100, 0.1, 1),
+        'ETH-USD-SWAP': okxSwap('ETH', 'USD', 10, 0.01, 1),
+        'SOL-USD-SWAP': okxSwap('SOL', 'USD', 10, 0.001, 1),
+        'BTC-USDT-SWAP': okxSwap('BTC', 'USDT', 0.01, 0.1, 0.01),
+        'ETH-USDT-SWAP': okxSwap('ETH', 'USDT', 0.1, 0.01, 0.01),
+        'SOL-USDT-SWAP': okxSwap('SOL', 'USDT', 1, 0.01, 0.01),
+        'BTC-USDT': spot('BTC', 'USDT', 0.1, 0.00000001),
+        'ETH-USDT': spot('ETH', 'USDT', 0.01, 0.000001),
+        'SOL-USDT': spot('SOL', 'USDT', 0.01, 0.000001),
+    },
+    Bybit: {
+        BTCUSDT: spot('BTC', 'USDT', 0.01, 0.000001),
+        ETHUSDT: spot('ETH', 'USDT', 0.01, 0.00001),
+        SOLUSDT: spot('SOL', 'USDT', 0.01, 0.001),
+    },
+    Deribit: {
+        'BTC-PERPETUAL': deribitPerp('BTC', 'USD', 10, 0.5, 10),
+        'ETH-PERPETUAL': deribitPerp('ETH', 'USD', 1, 0.05, 1),
+        'BTC_USDC-PERPETUAL': deribitPerp('BTC', 'USDC', 1, 1, 0.0001),
+        'ETH_USDC-PERPETUAL': deribitPerp('ETH', 'USDC', 1, 0.1, 0.001),
+        'SOL_USDC-PERPETUAL': deribitPerp('SOL', 'USDC', 1, 0.01, 0.1),
+    },
+    Binance: {
+        BTCUSDT: spot('BTC', 'USDT', 0.01, 0.00001),
+        ETHUSDT: spot('ETH', 'USDT', 0.01, 0.0001),
+        SOLUSDT: spot('SOL', 'USDT', 0.01, 0.001),
+    },
+    Coinbase: {
+        'BTC-USD': spot('BTC', 'USD', 0.01, 0.00000001),
+        'ETH-USD': spot('ETH', 'USD', 0.01, 0.00000001),
+        'SOL-USD': spot('SOL', 'USD', 0.01, 0.00000001),
+    },
+    Kraken: {
+        'BTC/USD': spot('BTC', 'USD', 0.1, 0.00000001),
+        'ETH/USD': spot('ETH', 'USD', 0.01, 0.00000001),
+        'SOL/USD': spot('SOL', 'USD', 0.01, 0.00000001),
+    },
+};
+
+// Entries are tagged with their venue and symbol once so lookups return stable objects
+for (const [venue, instruments] of Object.entries(INSTRUMENTS)) {
+    for (const [symbol, instrument] of Object.entries(instruments)) {
+        instruments[symbol] = { venue, symbol, ...instrument };
+    }
+}
+
+export const getInstrument = (venue, symbol) => (INSTRUMENTS[venue] && INSTRUMENTS[venue][symbol]) || null;
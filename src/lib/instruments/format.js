@@ -0,0 +1,11 @@
+// --- Quote currency formatting ---
+// Prices, fees and PnL for display, to the cent. USD and the stablecoins that
+// stand in for it (see symbols.js) get a dollar sign; other quotes are suffixed.
+
+const DOLLAR_QUOTES = ['USD', 'USDT', 'USDC'];
+
+export const formatQuote = (value, quote = 'USD') => {
+    if (value === null || value === undefined || isNaN(value)) return '—';
+    const amount = value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return DOLLAR_QUOTES.includes(quote) ? `$${amount}` : `${amount} ${quote}`;
+};
@@ -0,0 +1,11 @@
+import { describe, it, expect } from 'vitest';
+import { formatQuote } from './format';
+
+describe('formatQuote', () => {
+    it('prefixes dollar quotes and suffixes others', () => {
+        expect(formatQuote(68000.5)).toBe('$68,000.50');
+        expect(formatQuote(1.234, 'USDT')).toBe('$1.23');
+        expect(formatQuote(0.5, 'EUR')).toBe('0.50 EUR');
+        expect(formatQuote(null)).toBe('—');
+    });
+});
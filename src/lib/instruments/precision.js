@@ -0,0 +1,35 @@
+// --- Display precision ---
+// Decimal places for prices and sizes, following the instrument's tick and
+// lot size (see the catalog) so the ladder neither hides nor invents digits.
+
+// Sizes that cannot be tied to a lot (e.g. the aggregated book) use this
+const DEFAULT_SIZE_DECIMALS = 4;
+const MAX_DECIMALS = 8;
+
+// Decimal places in a step such as 0.5, 0.001 or 1e-8
+export const decimalsOf = (step) => {
+    if (!(step > 0)) return 0;
+    // Float noise from arithmetic (0.1 * 3) is rounded away first
+    const [mantissa, exponent] = Number(step.toPrecision(12)).toExponential().split('e');
+    const fraction = (mantissa.split('.')[1] || '').length;
+    return Math.min(Math.max(fraction - parseInt(exponent, 10), 0), MAX_DECIMALS);
+};
+
+export const priceDecimals = (tickSize) => (tickSize ? decimalsOf(tickSize) : 2);
+
+// One lot expressed in the display `unit`, where that is fixed. Inverse
+// contracts are worth a varying amount of base currency, so they have none.
+const lotIn = (unit, instrument) => {
+    const { sizeUnit, lotSize, contractValue, contractCurrency } = instrument;
+    if (unit === sizeUnit) return lotSize;
+    if (unit === 'base' && sizeUnit === 'contract' && contractCurrency === 'base') return lotSize * contractValue;
+    if (unit === 'contract' && sizeUnit === 'base' && contractCurrency === 'base') return lotSize / contractValue;
+    return null;
+};
+
+export const sizeDecimals = (unit, instrument) => {
+    if (!instrument || !instrument.lotSize) return DEFAULT_SIZE_DECIMALS;
+    const lot = lotIn(unit, instrument);
+    if (lot !== null) return decimalsOf(lot);
+    return unit === 'quote' ? 2 : DEFAULT_SIZE_DECIMALS;
+};
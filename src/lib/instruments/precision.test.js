@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { decimalsOf, priceDecimals, sizeDecimals } from './precision';
+import { getInstrument } from './catalog';
+
+describe('decimalsOf', () => {
+    it('counts the decimal places of a step', () => {
+        expect(decimalsOf(0.5)).toBe(1);
+        expect(decimalsOf(0.001)).toBe(3);
+        expect(decimalsOf(1e-8)).toBe(8);
+        expect(decimalsOf(10)).toBe(0);
+        expect(decimalsOf(0.1 * 3)).toBe(1);
+        expect(decimalsOf(0)).toBe(0);
+    });
+});
+
+describe('priceDecimals', () => {
+    it('follows the tick size', () => {
+        expect(priceDecimals(getInstrument('OKX', 'BTC-USD-SWAP').tickSize)).toBe(1);
+        expect(priceDecimals(getInstrument('OKX', 'SOL-USD-SWAP').tickSize)).toBe(3);
+        expect(priceDecimals(null)).toBe(2);
+    });
+});
+
+describe('sizeDecimals', () => {
+    it('follows the lot size in the venue unit', () => {
+        expect(sizeDecimals('contract', getInstrument('OKX', 'BTC-USD-SWAP'))).toBe(0);
+        expect(sizeDecimals('base', getInstrument('OKX', 'BTC-USDT'))).toBe(8);
+    });
+
+    it('converts linear contract lots to base currency', () => {
+        // 0.01 contracts of 0.01 BTC
+        expect(sizeDecimals('base', getInstrument('OKX', 'BTC-USDT-SWAP'))).toBe(4);
+    });
+
+    it('falls back where a lot has no fixed size in the unit', () => {
+        expect(sizeDecimals('base', getInstrument('OKX', 'BTC-USD-SWAP'))).toBe(4);
+        expect(sizeDecimals('quote', getInstrument('OKX', 'BTC-USDT'))).toBe(2);
+        expect(sizeDecimals('base', null)).toBe(4);
+    });
+});
@@ -0,0 +1,44 @@
+import { getVenue } from '@/lib/venues';
+import { getInstrument } from './catalog';
+
+// --- Canonical instruments ---
+// One entry in the symbol picker. Each venue maps it to its own native id by
+// trying market kinds and quote currencies in preference order and keeping the
+// first one that exists in the instrument catalog.
+
+// USD and stablecoin quotes are treated as interchangeable across venues, so
+// canonical instruments are quoted in USD
+const QUOTE_PREFERENCE = {
+    perp: ['USD', 'USDT', 'USDC'],
+    spot: ['USDT', 'USD', 'USDC'],
+};
+
+const canonical = (base, kinds, label) => ({ id: kinds.length > 1 ? base : `${base}-${kinds[0].toUpperCase()}`, base, quote: 'USD', kinds, label });
+
+export const CANONICAL_INSTRUMENTS = ['BTC', 'ETH', 'SOL'].flatMap(base => [
+    // Perpetual where the venue lists one, spot otherwise
+    canonical(base, ['perp', 'spot'], `${base} (perp or spot)`),
+    canonical(base, ['perp'], `${base} Perpetual`),
+    canonical(base, ['spot'], `${base} Spot`),
+]);
+
+export const DEFAULT_INSTRUMENT_ID = 'BTC';
+
+export const getCanonicalInstrument = (id) => CANONICAL_INSTRUMENTS.find(instrument => instrument.id === id) || null;
+
+// Native symbol for `venue`, or null when the venue does not list the instrument
+export const resolveSymbol = (venue, canonicalId) => {
+    const adapter = getVenue(venue);
+    const instrument = getCanonicalInstrument(canonicalId);
+    if (!adapter || !instrument) return null;
+
+    for (const kind of instrument.kinds) {
+        for (const quote of QUOTE_PREFERENCE[kind]) {
+            const symbol = adapter.toNativeSymbol({ base: instrument.base, quote, kind });
+            if (symbol && getInstrument(venue, symbol)) return symbol;
+        }
+    }
+    return null;
+};
+
+export const resolveSymbols = (venues, canonicalId) => Object.fromEntries(venues.map(venue => [venue, resolveSymbol(venue, canonicalId)]));
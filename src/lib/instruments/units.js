@@ -0,0 +1,76 @@
+// --- Size unit conversion ---
+// Book sizes arrive in whatever unit the venue uses (see sizeUnit in the
+// catalog). Everything is normalised through base currency:
+//   venue unit -> base currency -> display unit ('base', 'quote' or 'contract')
+
+export const SIZE_UNITS = ['base', 'quote', 'contract'];
+
+// Instruments missing from the catalog are assumed to be spot, sized in base currency
+const DEFAULT_INSTRUMENT = { sizeUnit: 'base', contractValue: 1, contractCurrency: 'base' };
+
+// Base currency worth of one contract at `price`
+const contractInBase = (instrument, price) => (instrument.contractCurrency === 'base'
+    ? instrument.contractValue
+    : instrument.contractValue / price);
+
+export const toBaseSize = (size, price, instrument) => {
+    const { sizeUnit } = instrument || DEFAULT_INSTRUMENT;
+    switch (sizeUnit) {
+        case 'quote': return size / price;
+        case 'contract': return size * contractInBase(instrument, price);
+        default: return size;
+    }
+};
+
+export const fromBaseSize = (baseSize, price, unit, instrument) => {
+    switch (unit) {
+        case 'quote': return baseSize * price;
+        case 'contract': return baseSize / contractInBase(instrument || DEFAULT_INSTRUMENT, price);
+        default: return baseSize;
+    }
+};
+
+const convertLevels = (levels, convert) => (levels || []).map(([priceStr, sizeStr, ...rest]) => {
+    const price = parseFloat(priceStr);
+    const size = parseFloat(sizeStr);
+    if (isNaN(price) || isNaN(size)) return [priceStr, sizeStr, ...rest];
+    return [priceStr, convert(size, price).toString(), ...rest];
+});
+
+// Venue-native book -> base currency sizes
+export const bookToBase = (book, instrument) => ({
+    ...book,
+    bids: convertLevels(book.bids, (size, price) => toBaseSize(size, price, instrument)),
+    asks: convertLevels(book.asks, (size, price) => toBaseSize(size, price, instrument)),
+});
+
+// Base currency book -> display unit. Per-venue contributions on aggregated
+// levels are left in base currency.
+export const bookFromBase = (book, unit, instrument) => {
+    if (unit === 'base') return book;
+    return {
+        ...book,
+        bids: convertLevels(book.bids, (size, price) => fromBaseSize(size, price, unit, instrument)),
+        asks: convertLevels(book.asks, (size, price) => fromBaseSize(size, price, unit, instrument)),
+    };
+};
+
+// `instrument` is a catalog or canonical instrument; without one the unit is
+// named generically rather than guessed
+export const unitLabel = (unit, instrument) => {
+    if (unit === 'contract') return 'Contracts';
+    if (!instrument) return unit === 'quote' ? 'Quote' : 'Base';
+    return unit === 'quote' ? instrument.quote : instrument.base;
+};
+
+// Venue-native trades -> base currency sizes
+export const tradesToBase = (trades, instrument) => trades.map(trade => ({
+    ...trade,
+    size: toBaseSize(trade.size, trade.price, instrument),
+}));
+
+// Base currency trades -> display unit
+export const tradesFromBase = (trades, unit, instrument) => (unit === 'base' ? trades : trades.map(trade => ({
+    ...trade,
+    size: fromBaseSize(trade.size, trade.price, unit, instrument),
+})));
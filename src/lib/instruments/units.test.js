@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { getInstrument } from './catalog';
+import { toBaseSize, fromBaseSize, bookToBase, bookFromBase, unitLabel } from './units';
+import { getCanonicalInstrument } from './symbols';
+
+const inverseSwap = getInstrument('OKX', 'BTC-USD-SWAP');
+const linearSwap = getInstrument('OKX', 'BTC-USDT-SWAP');
+const inversePerp = getInstrument('Deribit', 'BTC-PERPETUAL');
+
+describe('size units', () => {
+    it('converts inverse contracts (USD face value) to base at the level price', () => {
+        // 100 USD contracts at 50,000: 10 contracts are 0.02 BTC
+        expect(toBaseSize(10, 50000, inverseSwap)).toBeCloseTo(0.02, 12);
+    });
+
+    it('converts linear contracts (base face value) regardless of price', () => {
+        expect(toBaseSize(10, 50000, linearSwap)).toBeCloseTo(0.1, 12);
+    });
+
+    it('converts quote-sized books', () => {
+        expect(toBaseSize(68000, 68000, inversePerp)).toBe(1);
+    });
+
+    it('treats unknown instruments as base-sized spot', () => {
+        expect(toBaseSize(1.5, 68000, null)).toBe(1.5);
+    });
+
+    it('converts whole books and keeps extra level fields', () => {
+        const book = bookToBase({ bids: [['50000', '10', 'extra']], asks: [['50001', 'x']] }, linearSwap);
+        expect(book.bids[0]).toEqual(['50000', '0.1', 'extra']);
+        expect(book.asks[0]).toEqual(['50001', 'x']);
+    });
+
+    it('round-trips every unit through base', () => {
+        const price = fc.integer({ min: 1, max: 200000 });
+        const size = fc.double({ min: 0.0001, max: 1e6, noNaN: true });
+        fc.assert(fc.property(price, size, fc.constantFrom(inverseSwap, linearSwap, inversePerp), fc.constantFrom('base', 'quote', 'contract'), (p, s, instrument, unit) => {
+            const shown = fromBaseSize(s, p, unit, instrument);
+            const back = bookToBase({ bids: [[String(p), String(shown)]], asks: [] }, { ...instrument, sizeUnit: unit });
+            expect(parseFloat(back.bids[0][1]) / s).toBeCloseTo(1, 9);
+        }));
+    });
+
+    it('leaves base books untouched for display', () => {
+        const book = { bids: [['1', '2']], asks: [] };
+        expect(bookFromBase(book, 'base', linearSwap)).toBe(book);
+    });
+});
+
+describe('unitLabel', () => {
+    it('names the instrument\'s own currencies, and generic units without one', () => {
+        expect(unitLabel('base', getCanonicalInstrument('ETH'))).toBe('ETH');
+        expect(unitLabel('quote', getCanonicalInstrument('SOL-SPOT'))).toBe('USD');
+        expect(unitLabel('base', getInstrument('OKX', 'ETH-USDT-SWAP'))).toBe('ETH');
+        expect(unitLabel('base', null)).toBe('Base');
+        expect(unitLabel('contract', null)).toBe('Contracts');
+    });
+});
@@ -0,0 +1,61 @@
+// --- Cross-venue book aggregation ---
+// Merges several venues' books (already normalised to base-currency sizes) into
+// one book. Each merged level is [priceStr, sizeStr, contributions] where
+// contributions maps venue -> size at that price, so the aggregated book can be
+// passed anywhere a single-venue book is accepted.
+
+const mergeSide = (booksByVenue, sideKey, descending) => {
+    const levels = new Map();
+    for (const [venue, book] of Object.entries(booksByVenue)) {
+        for (const [priceStr, sizeStr] of book[sideKey] || []) {
+            const price = parseFloat(priceStr);
+            const size = parseFloat(sizeStr);
+            if (isNaN(price) || isNaN(size) || size <= 0) continue;
+            const level = levels.get(price) || { size: 0, contributions: {} };
+            level.size += size;
+            level.contributions[venue] = (level.contributions[venue] || 0) + size;
+            levels.set(price, level);
+        }
+    }
+    return [...levels.entries()]
+        .sort(([a], [b]) => (descending ? b - a : a - b))
+        .map(([price, { size, contributions }]) => [price.toString(), size.toString(), contributions]);
+};
+
+// A bid on one venue at or above an ask on another means the venues are
+// crossed (bid > ask) or locked (bid === ask).
+export const findCrossedMarkets = (booksByVenue) => {
+    const tops = Object.entries(booksByVenue)
+        .map(([venue, book]) => ({
+            venue,
+            bid: book.bids && book.bids.length ? parseFloat(book.bids[0][0]) : NaN,
+            ask: book.asks && book.asks.length ? parseFloat(book.asks[0][0]) : NaN,
+        }));
+
+    const crossings = [];
+    for (const bidSide of tops) {
+        for (const askSide of tops) {
+            if (bidSide.venue === askSide.venue || isNaN(bidSide.bid) || isNaN(askSide.ask)) continue;
+            if (bidSide.bid >= askSide.ask) {
+                crossings.push({
+                    type: bidSide.bid > askSide.ask ? 'crossed' : 'locked',
+                    bidVenue: bidSide.venue,
+                    bidPrice: bidSide.bid,
+                    askVenue: askSide.venue,
+                    askPrice: askSide.ask,
+                });
+            }
+        }
+    }
+    return crossings;
+};
+
+export const aggregateBooks = (booksByVenue, depth) => {
+    const bids = mergeSide(booksByVenue, 'bids', true);
+    const asks = mergeSide(booksByVenue, 'asks', false);
+    return {
+        bids: depth ? bids.slice(0, depth) : bids,
+        asks: depth ? asks.slice(0, depth) : asks,
+        crossings: findCrossedMarkets(booksByVenue),
+    };
+};
@@ -0,0 +1,43 @@
+// --- CRC32 (IEEE 802.3), as used by the OKX and Kraken order book checksums ---
+const CRC32_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c;
+    }
+    return table;
+})();
+
+// Returns the CRC32 of a string as a signed 32-bit integer (OKX sends it signed,
+// Kraken unsigned).
+export const crc32 = (str) => {
+    let crc = -1;
+    for (let i = 0; i < str.length; i++) {
+        crc = CRC32_TABLE[(crc ^ str.charCodeAt(i)) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) | 0;
+};
+
+// OKX interleaves the top 25 bids and asks as "bidPx:bidSz:askPx:askSz:..." using
+// the exact strings from the feed, so levels must keep their original formatting.
+export const okxChecksum = (bids, asks) => {
+    const parts = [];
+    for (let i = 0; i < 25; i++) {
+        if (bids[i]) parts.push(`${bids[i][0]}:${bids[i][1]}`);
+        if (asks[i]) parts.push(`${asks[i][0]}:${asks[i][1]}`);
+    }
+    return crc32(parts.join(':'));
+};
+
+// Kraken (v2) concatenates the top 10 asks, best first, then the top 10 bids,
+// each level as price then quantity written to the instrument's precision with
+// the decimal point and leading zeros removed. Its book sends numbers, so the
+// precision has to come from the catalog rather than the feed's strings.
+export const krakenChecksum = (bids, asks, { priceDecimals, sizeDecimals }) => {
+    const digits = (value, decimals) => parseFloat(value).toFixed(decimals).replace('.', '').replace(/^0+/, '');
+    const side = (levels) => levels.slice(0, 10).map(([price, qty]) => `${digits(price, priceDecimals)}${digits(qty, sizeDecimals)}`).join('');
+    return crc32(side(asks) + side(bids)) >>> 0;
+};
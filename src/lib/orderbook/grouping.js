@@ -0,0 +1,70 @@
+import { decimalsOf } from '@/lib/instruments/precision';
+
+// --- Price grouping ---
+// Buckets levels into coarser price steps for the ladder and depth chart.
+// Bids are grouped down and asks up, so a bucket never shows a better price
+// than the orders in it: with a step of 1, the bid bucket 68000 holds bids
+// from 68000 to 68000.9 and the ask bucket 68001 holds asks from 68000.1 to 68001.
+
+// Steps offered, as multiples of the instrument's tick
+const GROUPING_MULTIPLES = [1, 5, 10, 100, 1000];
+
+// Tolerance when dividing prices by the step, so 68000.3 / 0.1 is not 680002.9999
+const EPSILON = 1e-9;
+
+export const groupingSteps = (tickSize) => {
+    if (!tickSize) return [];
+    return GROUPING_MULTIPLES.map(multiple => Number((tickSize * multiple).toPrecision(12)));
+};
+
+const bucketIndex = (price, step, sideKey) => (sideKey === 'bids'
+    ? Math.floor(price / step + EPSILON)
+    : Math.ceil(price / step - EPSILON));
+
+// Levels must be sorted best first, as the local book and aggregator publish
+// them, so equal buckets are adjacent. Per-venue contributions are summed too.
+export const groupLevels = (levels, step, sideKey) => {
+    const decimals = decimalsOf(step);
+    const grouped = [];
+    let current = null;
+    for (const [priceStr, sizeStr, contributions] of levels || []) {
+        const price = parseFloat(priceStr);
+        const size = parseFloat(sizeStr);
+        if (isNaN(price) || isNaN(size)) continue;
+        const index = bucketIndex(price, step, sideKey);
+        if (!current || current.index !== index) {
+            current = { index, size: 0, contributions: contributions ? {} : undefined };
+            grouped.push(current);
+        }
+        current.size += size;
+        if (contributions) {
+            for (const [venue, venueSize] of Object.entries(contributions)) {
+                current.contributions[venue] = (current.contributions[venue] || 0) + venueSize;
+            }
+        }
+    }
+    return grouped.map(({ index, size, contributions }) => {
+        const level = [(index * step).toFixed(decimals), size.toString()];
+        return contributions ? [...level, contributions] : level;
+    });
+};
+
+// A step of null (or the finest one) leaves the book untouched
+export const groupBook = (book, step) => {
+    if (!step) return book;
+    return { ...book, bids: groupLevels(book.bids, step, 'bids'), asks: groupLevels(book.asks, step, 'asks') };
+};
+
+// Snaps an order's price to the bucket it shows up in: the other side's bucket
+// if it is marketable against the ungrouped book, its own side's otherwise
+export const groupOrderPrice = (order, step, book) => {
+    if (!order || !step) return order;
+    const price = parseFloat(order.price);
+    if (isNaN(price)) return order;
+    const isBuy = order.side === 'Buy';
+    const opposite = isBuy ? book.asks : book.bids;
+    const best = opposite && opposite.length > 0 ? parseFloat(opposite[0][0]) : NaN;
+    const marketable = isBuy ? price >= best : price <= best;
+    const sideKey = (isBuy === marketable) ? 'asks' : 'bids';
+    return { ...order, price: (bucketIndex(price, step, sideKey) * step).toFixed(decimalsOf(step)) };
+};
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { groupingSteps, groupLevels, groupBook, groupOrderPrice } from './grouping';
+import { bookArb, totalSize } from '@/test/arbitraries';
+
+describe('groupingSteps', () => {
+    it('offers multiples of the tick without float noise', () => {
+        expect(groupingSteps(0.1)).toEqual([0.1, 0.5, 1, 10, 100]);
+        expect(groupingSteps(0.01)).toEqual([0.01, 0.05, 0.1, 1, 10]);
+        expect(groupingSteps(null)).toEqual([]);
+    });
+});
+
+describe('groupLevels', () => {
+    it('groups bids down and asks up', () => {
+        const bids = [['68000.9', '1'], ['68000.1', '2'], ['68000', '3'], ['67999.9', '4']];
+        const asks = [['68000.1', '1'], ['68000.9', '2'], ['68001', '3'], ['68001.1', '4']];
+        expect(groupLevels(bids, 1, 'bids')).toEqual([['68000', '6'], ['67999', '4']]);
+        expect(groupLevels(asks, 1, 'asks')).toEqual([['68001', '6'], ['68002', '4']]);
+    });
+
+    it('is not thrown off by float division', () => {
+        // 68000.3 / 0.1 is 680002.9999999999
+        expect(groupLevels([['68000.3', '1']], 0.1, 'bids')).toEqual([['68000.3', '1']]);
+        expect(groupLevels([['0.3', '1']], 0.1, 'asks')).toEqual([['0.3', '1']]);
+    });
+
+    it('sums per-venue contributions', () => {
+        const bids = [['100.5', '3', { OKX: 1, Bybit: 2 }], ['100.2', '1', { OKX: 1 }]];
+        expect(groupLevels(bids, 1, 'bids')).toEqual([['100', '4', { OKX: 2, Bybit: 2 }]]);
+    });
+
+    it('keeps total size, ordering and the correct side of every level', () => {
+        const stepArb = fc.constantFrom(0.5, 1, 10, 100);
+        fc.assert(fc.property(bookArb(), stepArb, (book, step) => {
+            const grouped = groupBook(book, step);
+            expect(totalSize(grouped.bids)).toBeCloseTo(totalSize(book.bids), 6);
+            expect(totalSize(grouped.asks)).toBeCloseTo(totalSize(book.asks), 6);
+            const bidPrices = grouped.bids.map(([price]) => parseFloat(price));
+            const askPrices = grouped.asks.map(([price]) => parseFloat(price));
+            expect([...bidPrices].sort((a, b) => b - a)).toEqual(bidPrices);
+            expect([...askPrices].sort((a, b) => a - b)).toEqual(askPrices);
+            // A bucket never shows a better price than the orders in it
+            if (book.bids.length > 0) expect(bidPrices[0]).toBeLessThanOrEqual(parseFloat(book.bids[0][0]));
+            if (book.asks.length > 0) expect(askPrices[0]).toBeGreaterThanOrEqual(parseFloat(book.asks[0][0]));
+        }));
+    });
+
+    it('leaves the book alone without a step', () => {
+        const book = { bids: [['1', '1']], asks: [] };
+        expect(groupBook(book, null)).toBe(book);
+    });
+});
+
+describe('groupOrderPrice', () => {
+    const book = { bids: [['99.9', '1']], asks: [['100.1', '1']] };
+
+    it('snaps a marketable order to the other side’s bucket', () => {
+        expect(groupOrderPrice({ side: 'Buy', price: '100.3' }, 1, book).price).toBe('101');
+        expect(groupOrderPrice({ side: 'Sell', price: '99.5' }, 1, book).price).toBe('99');
+    });
+
+    it('snaps a passive order to its own side’s bucket', () => {
+        expect(groupOrderPrice({ side: 'Buy', price: '99.5' }, 1, book).price).toBe('99');
+        expect(groupOrderPrice({ side: 'Sell', price: '100.05' }, 1, book).price).toBe('101');
+        expect(groupOrderPrice(null, 1, book)).toBeNull();
+    });
+});
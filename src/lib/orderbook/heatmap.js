@@ -0,0 +1,150 @@
+// --- Liquidity heatmap history ---
+// Rolling window of book snapshots and trade prints behind the heatmap panel.
+// Levels are parsed to numbers once when they arrive so drawing never touches
+// strings. Times are local arrival times (ms), which keeps the book and the
+// prints on one clock whatever the venue's timestamps say.
+
+// Levels kept per side in each snapshot
+const HISTORY_DEPTH = 100;
+
+const toNumbers = (levels, depth) => {
+    const result = [];
+    for (const [priceStr, sizeStr] of (levels || []).slice(0, depth)) {
+        const price = parseFloat(priceStr);
+        const size = parseFloat(sizeStr);
+        if (isNaN(price) || isNaN(size)) continue;
+        result.push([price, size]);
+    }
+    return result;
+};
+
+export const createBookHistory = ({ windowMs = 60000, depth = HISTORY_DEPTH } = {}) => {
+    let snapshots = [];
+    let trades = [];
+    // null until the first batch, which only marks where the history starts
+    let lastTradeSeq = null;
+
+    // An empty book (e.g. while the feed resyncs) is kept so it shows up as a gap
+    const addBook = (book, t) => {
+        const bids = toNumbers(book.bids, depth);
+        const asks = toNumbers(book.asks, depth);
+        snapshots.push({
+            t,
+            bids,
+            asks,
+            bestBid: bids.length > 0 ? bids[0][0] : null,
+            bestAsk: asks.length > 0 ? asks[0][0] : null,
+        });
+    };
+
+    // `batch` is newest first with increasing `seq`, as kept by useOrderbookFeeds;
+    // trades already in the list when the history started are not placed on it
+    const addTrades = (batch, t) => {
+        const newest = batch.length > 0 ? batch[0].seq : 0;
+        if (lastTradeSeq === null) {
+            lastTradeSeq = newest;
+            return;
+        }
+        for (let i = batch.length - 1; i >= 0; i--) {
+            const trade = batch[i];
+            if (trade.seq <= lastTradeSeq) continue;
+            trades.push({ t, price: trade.price, size: trade.size, side: trade.side });
+        }
+        lastTradeSeq = Math.max(lastTradeSeq, newest);
+    };
+
+    // Drops everything older than the window, keeping the last snapshot before
+    // it because that is the book still showing at the left edge
+    const prune = (now) => {
+        const cutoff = now - windowMs;
+        let first = 0;
+        while (first < snapshots.length - 1 && snapshots[first + 1].t <= cutoff) first += 1;
+        if (first > 0) snapshots = snapshots.slice(first);
+        if (trades.length > 0 && trades[0].t < cutoff) trades = trades.filter(trade => trade.t >= cutoff);
+    };
+
+    return {
+        addBook,
+        addTrades,
+        prune,
+        snapshots: () => snapshots,
+        trades: () => trades,
+        latest: () => snapshots[snapshots.length - 1] || null,
+        windowMs,
+    };
+};
+
+// Smallest gap between adjacent prices, used as the cell height when the
+// instrument's tick size is not known (e.g. the aggregated book)
+export const inferTickSize = (snapshot) => {
+    let tick = Infinity;
+    for (const levels of [snapshot.bids, snapshot.asks]) {
+        for (let i = 1; i < levels.length; i++) {
+            const gap = Math.abs(levels[i - 1][0] - levels[i][0]);
+            if (gap > 0 && gap < tick) tick = gap;
+        }
+    }
+    return isFinite(tick) ? tick : null;
+};
+
+// Price range covering `levels` levels either side of the touch, at least `minTicks` ticks tall
+export const priceRangeFor = (snapshot, { levels = 40, tickSize, minTicks = 20 } = {}) => {
+    if (snapshot.bestBid === null || snapshot.bestAsk === null) return null;
+    const low = snapshot.bids[Math.min(levels, snapshot.bids.length) - 1][0];
+    const high = snapshot.asks[Math.min(levels, snapshot.asks.length) - 1][0];
+    const mid = (snapshot.bestBid + snapshot.bestAsk) / 2;
+    const half = Math.max(mid - low, high - mid, ((tickSize || 0) * minTicks) / 2);
+    return { min: mid - half, max: mid + half };
+};
+
+// Keeps the current range while the mid stays in its middle half, so the
+// picture only jumps (and is redrawn) when the price has really moved
+export const followPriceRange = (range, snapshot, options) => {
+    if (snapshot.bestBid === null || snapshot.bestAsk === null) return range;
+    if (range) {
+        const mid = (snapshot.bestBid + snapshot.bestAsk) / 2;
+        const quarter = (range.max - range.min) / 4;
+        if (mid >= range.min + quarter && mid <= range.max - quarter) return range;
+    }
+    return priceRangeFor(snapshot, options) || range;
+};
+
+// Size that maps to full colour: the 95th percentile level in the snapshot,
+// so one huge wall does not wash out everything else
+export const referenceSize = (snapshot) => {
+    const sizes = [...snapshot.bids, ...snapshot.asks].map(([, size]) => size).filter(size => size > 0).sort((a, b) => a - b);
+    if (sizes.length === 0) return null;
+    return sizes[Math.min(sizes.length - 1, Math.floor(sizes.length * 0.95))];
+};
+
+// 0..1, square-root scaled so small resting size is still visible
+export const sizeIntensity = (size, reference) => (reference > 0 ? Math.min(Math.sqrt(size / reference), 1) : 0);
+
+// Colour ramp from empty (dark blue) to the reference size (white), as 256 CSS colours
+const RAMP = [
+    [0, [17, 24, 39]],
+    [0.25, [30, 64, 175]],
+    [0.5, [6, 182, 212]],
+    [0.75, [250, 204, 21]],
+    [1, [255, 255, 255]],
+];
+
+export const HEAT_COLORS = Array.from({ length: 256 }, (_, i) => {
+    const x = i / 255;
+    let stop = 1;
+    while (stop < RAMP.length - 1 && RAMP[stop][0] < x) stop += 1;
+    const [x0, c0] = RAMP[stop - 1];
+    const [x1, c1] = RAMP[stop];
+    const f = (x - x0) / (x1 - x0);
+    const [r, g, b] = c0.map((c, k) => Math.round(c + (c1[k] - c) * f));
+    return `rgb(${r},${g},${b})`;
+});
+
+export const heatColor = (intensity) => HEAT_COLORS[Math.round(Math.max(0, Math.min(1, intensity)) * 255)];
+
+// Round axis step (1, 2 or 5 times a power of ten) giving about `count` labels over `span`
+export const axisStep = (span, count) => {
+    const raw = span / count;
+    const magnitude = 10 ** Math.floor(Math.log10(raw));
+    return [1, 2, 5, 10].map(multiple => multiple * magnitude).find(step => step >= raw - 1e-12);
+};
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import {
+    createBookHistory,
+    inferTickSize,
+    priceRangeFor,
+    followPriceRange,
+    referenceSize,
+    sizeIntensity,
+    heatColor,
+    HEAT_COLORS,
+    axisStep,
+} from './heatmap';
+
+const book = (mid, size = '1') => ({
+    bids: [[String(mid - 0.5), size], [String(mid - 1), size], [String(mid - 1.5), size]],
+    asks: [[String(mid + 0.5), size], [String(mid + 1), size], [String(mid + 1.5), size]],
+});
+
+const trade = (seq, price = 100) => ({ seq, price, size: 1, side: 'Buy' });
+
+describe('createBookHistory', () => {
+    it('stores numeric levels and the touch, including empty books', () => {
+        const history = createBookHistory();
+        history.addBook(book(100), 0);
+        history.addBook({ bids: [], asks: [] }, 100);
+        const [first, gap] = history.snapshots();
+        expect(first.bids[0]).toEqual([99.5, 1]);
+        expect(first.bestAsk).toBe(100.5);
+        expect(gap.bestBid).toBeNull();
+        expect(history.latest()).toBe(gap);
+    });
+
+    it('keeps the last snapshot before the window so the left edge stays painted', () => {
+        const history = createBookHistory({ windowMs: 1000 });
+        [0, 400, 800, 1200, 1600].forEach(t => history.addBook(book(100), t));
+        history.prune(2000);
+        expect(history.snapshots().map(s => s.t)).toEqual([800, 1200, 1600]);
+    });
+
+    it('places only trades that arrive after the history started, oldest first', () => {
+        const history = createBookHistory({ windowMs: 1000 });
+        history.addTrades([trade(2), trade(1)], 0);
+        expect(history.trades()).toEqual([]);
+        history.addTrades([trade(4, 101), trade(3, 102), trade(2)], 10);
+        expect(history.trades().map(t => t.price)).toEqual([102, 101]);
+        history.addTrades([trade(4, 101)], 20);
+        expect(history.trades()).toHaveLength(2);
+        history.prune(1015);
+        expect(history.trades()).toEqual([]);
+    });
+});
+
+describe('price range', () => {
+    const history = createBookHistory();
+    history.addBook(book(100), 0);
+    const snapshot = history.latest();
+
+    it('infers the tick from the closest levels', () => {
+        expect(inferTickSize(snapshot)).toBe(0.5);
+        expect(inferTickSize({ bids: [[1, 1]], asks: [] })).toBeNull();
+    });
+
+    it('is centred on the mid and covers the requested levels', () => {
+        expect(priceRangeFor(snapshot, { levels: 2 })).toEqual({ min: 99, max: 101 });
+        expect(priceRangeFor(snapshot, { levels: 2, tickSize: 1, minTicks: 10 })).toEqual({ min: 95, max: 105 });
+        expect(priceRangeFor({ bestBid: null, bestAsk: 1 })).toBeNull();
+    });
+
+    it('only moves once the mid leaves the middle half', () => {
+        const range = { min: 96, max: 104 };
+        const at = (mid) => {
+            const h = createBookHistory();
+            h.addBook(book(mid), 0);
+            return h.latest();
+        };
+        expect(followPriceRange(range, at(101.5))).toBe(range);
+        expect(followPriceRange(range, at(102.5), { levels: 3 })).toEqual({ min: 101, max: 104 });
+        expect(followPriceRange(range, { bestBid: null, bestAsk: null })).toBe(range);
+    });
+});
+
+describe('colour scale', () => {
+    it('uses the 95th percentile size as the reference', () => {
+        const sizes = Array.from({ length: 20 }, (_, i) => [100 + i, i + 1]);
+        expect(referenceSize({ bids: sizes, asks: [] })).toBe(20);
+        expect(referenceSize({ bids: [], asks: [] })).toBeNull();
+    });
+
+    it('maps sizes to clamped intensities and ramp colours', () => {
+        expect(sizeIntensity(25, 100)).toBe(0.5);
+        expect(sizeIntensity(400, 100)).toBe(1);
+        expect(sizeIntensity(1, 0)).toBe(0);
+        expect(heatColor(0)).toBe(HEAT_COLORS[0]);
+        expect(heatColor(2)).toBe('rgb(255,255,255)');
+        expect(HEAT_COLORS).toHaveLength(256);
+    });
+});
+
+describe('axisStep', () => {
+    it('picks 1, 2 or 5 times a power of ten', () => {
+        expect(axisStep(10, 5)).toBe(2);
+        expect(axisStep(0.3, 6)).toBeCloseTo(0.05);
+        expect(axisStep(700, 6)).toBe(200);
+    });
+});
@@ -0,0 +1,78 @@
+// --- Level arithmetic shared by the order book ladder and depth chart ---
+// Levels are [priceStr, sizeStr, ...] with bids best (highest) first and asks
+// best (lowest) first, as published by the local book and aggregator.
+
+// Running totals from the best level outwards; unparseable levels add nothing
+export const cumulativeSizes = (levels, depth = levels.length) => {
+    let total = 0;
+    return levels.slice(0, depth).map(([, sizeStr]) => {
+        total += parseFloat(sizeStr) || 0;
+        return total;
+    });
+};
+
+// Largest total size shown on either side, used to scale the depth bars (never 0)
+export const maxCumulativeSize = (bids, asks, depth) => {
+    const total = (levels) => (levels ? cumulativeSizes(levels, depth).pop() || 0 : 0);
+    return Math.max(total(bids), total(asks), 1);
+};
+
+// Depth curve points { price, size } in ascending price order, where size is
+// everything at that price or better: bids accumulate downwards from the best
+// bid, asks upwards from the best ask.
+export const depthCurve = (bids, asks, depth = 50) => {
+    const accumulate = (levels) => {
+        let total = 0;
+        const points = [];
+        for (const [priceStr, sizeStr] of levels.slice(0, depth)) {
+            const price = parseFloat(priceStr);
+            const size = parseFloat(sizeStr);
+            if (isNaN(price) || isNaN(size)) continue;
+            total += size;
+            points.push({ price, size: total });
+        }
+        return points;
+    };
+    if (!bids || !asks) return { bids: [], asks: [] };
+    return { bids: accumulate(bids).reverse(), asks: accumulate(asks) };
+};
+
+// Where an order shows up in the ladder: a marketable order marks the deepest
+// level on the other side it trades through, a passive one the level on its own
+// side it joins (or would sit in front of). Returns { side: 'bids' | 'asks', index },
+// with index -1 when the order is outside the levels given.
+export const orderLevelIndex = (bids, asks, order) => {
+    if (!order || !bids || !asks) return null;
+    const price = parseFloat(order.price);
+    if (isNaN(price)) return null;
+
+    const isBuy = order.side === 'Buy';
+    const opposite = isBuy ? asks : bids;
+    const crosses = (levelPrice) => (isBuy ? price >= levelPrice : price <= levelPrice);
+
+    if (opposite.length > 0 && crosses(parseFloat(opposite[0][0]))) {
+        let index = 0;
+        while (index + 1 < opposite.length && crosses(parseFloat(opposite[index + 1][0]))) index += 1;
+        return { side: isBuy ? 'asks' : 'bids', index };
+    }
+
+    const own = isBuy ? bids : asks;
+    const index = own.findIndex(([levelPrice]) => (isBuy ? price >= parseFloat(levelPrice) : price <= parseFloat(levelPrice)));
+    return { side: isBuy ? 'bids' : 'asks', index };
+};
+
+// Levels the depth chart plots: the first `value` levels per side for
+// { mode: 'levels' }, or those within ±`value` percent of the mid for
+// { mode: 'percent' }
+export const levelsInRange = (bids, asks, range) => {
+    if (!bids || !asks) return { bids: [], asks: [] };
+    if (range.mode === 'levels') return { bids: bids.slice(0, range.value), asks: asks.slice(0, range.value) };
+    if (bids.length === 0 || asks.length === 0) return { bids: [], asks: [] };
+    const mid = (parseFloat(bids[0][0]) + parseFloat(asks[0][0])) / 2;
+    const low = mid * (1 - range.value / 100);
+    const high = mid * (1 + range.value / 100);
+    return {
+        bids: bids.filter(([priceStr]) => parseFloat(priceStr) >= low),
+        asks: asks.filter(([priceStr]) => parseFloat(priceStr) <= high),
+    };
+};
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { cumulativeSizes, maxCumulativeSize, depthCurve, orderLevelIndex, levelsInRange } from './levels';
+import { bookArb } from '@/test/arbitraries';
+
+const bids = [['100', '1'], ['99', '2'], ['98', '3']];
+const asks = [['101', '4'], ['102', '5'], ['103', '6']];
+
+describe('cumulativeSizes', () => {
+    it('totals from the best level outwards, up to the depth', () => {
+        expect(cumulativeSizes(bids)).toEqual([1, 3, 6]);
+        expect(cumulativeSizes(asks, 2)).toEqual([4, 9]);
+    });
+
+    it('skips unparseable sizes', () => {
+        expect(cumulativeSizes([['100', 'x'], ['99', '2']])).toEqual([0, 2]);
+    });
+
+    it('scales against the deeper side, never 0', () => {
+        expect(maxCumulativeSize(bids, asks, 2)).toBe(9);
+        expect(maxCumulativeSize([], [], 15)).toBe(1);
+    });
+});
+
+describe('depthCurve', () => {
+    it('accumulates bids downwards from the best bid', () => {
+        // The point at the best bid holds only its own size; the deepest bid holds everything
+        expect(depthCurve(bids, asks).bids).toEqual([
+            { price: 98, size: 6 },
+            { price: 99, size: 3 },
+            { price: 100, size: 1 },
+        ]);
+    });
+
+    it('accumulates asks upwards from the best ask', () => {
+        expect(depthCurve(bids, asks).asks).toEqual([
+            { price: 101, size: 4 },
+            { price: 102, size: 9 },
+            { price: 103, size: 15 },
+        ]);
+    });
+
+    it('is monotonic away from the mid for any book', () => {
+        fc.assert(fc.property(bookArb(), (book) => {
+            const curve = depthCurve(book.bids, book.asks);
+            curve.bids.forEach((point, i) => {
+                if (i > 0) {
+                    expect(point.price).toBeGreaterThan(curve.bids[i - 1].price);
+                    expect(point.size).toBeLessThan(curve.bids[i - 1].size);
+                }
+            });
+            curve.asks.forEach((point, i) => {
+                if (i > 0) expect(point.size).toBeGreaterThan(curve.asks[i - 1].size);
+            });
+        }));
+    });
+});
+
+describe('orderLevelIndex', () => {
+    it('marks the deepest level a marketable buy trades through', () => {
+        expect(orderLevelIndex(bids, asks, { side: 'Buy', price: '102.5' })).toEqual({ side: 'asks', index: 1 });
+        expect(orderLevelIndex(bids, asks, { side: 'Buy', price: '101' })).toEqual({ side: 'asks', index: 0 });
+    });
+
+    it('marks where a passive order joins its own side', () => {
+        expect(orderLevelIndex(bids, asks, { side: 'Buy', price: '99' })).toEqual({ side: 'bids', index: 1 });
+        // Between levels it sits in front of the next worse one
+        expect(orderLevelIndex(bids, asks, { side: 'Buy', price: '99.5' })).toEqual({ side: 'bids', index: 1 });
+        expect(orderLevelIndex(bids, asks, { side: 'Sell', price: '101.5' })).toEqual({ side: 'asks', index: 1 });
+        expect(orderLevelIndex(bids, asks, { side: 'Buy', price: '90' })).toEqual({ side: 'bids', index: -1 });
+    });
+
+    it('marks the deepest bid a marketable sell trades through', () => {
+        expect(orderLevelIndex(bids, asks, { side: 'Sell', price: '90' })).toEqual({ side: 'bids', index: 2 });
+    });
+
+    it('ignores missing orders and prices', () => {
+        expect(orderLevelIndex(bids, asks, null)).toBeNull();
+        expect(orderLevelIndex(bids, asks, { side: 'Buy', price: '' })).toBeNull();
+    });
+});
+
+describe('levelsInRange', () => {
+    const bids = [['99.9', '1'], ['99.5', '1'], ['98', '1']];
+    const asks = [['100.1', '1'], ['100.4', '1'], ['103', '1']];
+
+    it('takes a number of levels per side', () => {
+        expect(levelsInRange(bids, asks, { mode: 'levels', value: 2 })).toEqual({ bids: bids.slice(0, 2), asks: asks.slice(0, 2) });
+    });
+
+    it('takes the levels within a percentage of the mid', () => {
+        expect(levelsInRange(bids, asks, { mode: 'percent', value: 0.5 })).toEqual({ bids: bids.slice(0, 2), asks: asks.slice(0, 2) });
+        expect(levelsInRange([], asks, { mode: 'percent', value: 1 })).toEqual({ bids: [], asks: [] });
+    });
+});
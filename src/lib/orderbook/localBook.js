@@ -0,0 +1,103 @@
+// --- Local order book engine ---
+// Venue-independent book that applies full snapshots and incremental deltas.
+// Venue parsers normalise every book message into:
+//   { action: 'snapshot' | 'delta', bids, asks, seqId, prevSeqId, checksum }
+// where bids/asks are [priceStr, sizeStr] pairs and a size of 0 removes the level.
+// `maxDepth` is for venues that stop sending levels once they fall out of the
+// subscribed depth instead of deleting them: each side is cut back to it after
+// every update, before the checksum is verified. `verifyChecksum` returns null
+// when it cannot compute one.
+
+const applyLevels = (side, levels) => {
+    for (const [priceStr, sizeStr] of levels) {
+        const price = parseFloat(priceStr);
+        if (isNaN(price)) continue;
+        if (parseFloat(sizeStr) === 0) {
+            side.delete(price);
+        } else {
+            // Keep the original strings so checksums can be recomputed exactly
+            side.set(price, [priceStr, sizeStr]);
+        }
+    }
+};
+
+const truncate = (side, descending, maxDepth) => {
+    if (!maxDepth || side.size <= maxDepth) return;
+    const prices = [...side.keys()].sort((a, b) => (descending ? b - a : a - b));
+    for (let i = maxDepth; i < prices.length; i++) side.delete(prices[i]);
+};
+
+const sortedLevels = (side, descending, depth) => {
+    const prices = [...side.keys()].sort((a, b) => (descending ? b - a : a - b));
+    const limit = depth ? Math.min(depth, prices.length) : prices.length;
+    const levels = new Array(limit);
+    for (let i = 0; i < limit; i++) levels[i] = side.get(prices[i]);
+    return levels;
+};
+
+export const createLocalBook = ({ verifyChecksum, maxDepth = null } = {}) => {
+    const bids = new Map();
+    const asks = new Map();
+    let lastSeqId = null;
+    let hasSnapshot = false;
+
+    const reset = () => {
+        bids.clear();
+        asks.clear();
+        lastSeqId = null;
+        hasSnapshot = false;
+    };
+
+    // Bids are returned best (highest) first, asks best (lowest) first.
+    const getLevels = (depth) => ({
+        bids: sortedLevels(bids, true, depth),
+        asks: sortedLevels(asks, false, depth),
+    });
+
+    // Returns { ok: true } when the update was applied (or safely ignored) and
+    // { ok: false, reason } when the book can no longer be trusted and a fresh
+    // snapshot must be requested.
+    const apply = (update) => {
+        if (update.action === 'snapshot') {
+            reset();
+        } else {
+            // Deltas before the first snapshot have nothing to apply to
+            if (!hasSnapshot) return { ok: true, ignored: true };
+            if (update.prevSeqId != null && lastSeqId != null && update.prevSeqId !== lastSeqId) {
+                return { ok: false, reason: 'gap', expected: lastSeqId, received: update.prevSeqId };
+            }
+        }
+
+        applyLevels(bids, update.bids || []);
+        applyLevels(asks, update.asks || []);
+        truncate(bids, true, maxDepth);
+        truncate(asks, false, maxDepth);
+        hasSnapshot = true;
+        if (update.seqId != null) lastSeqId = update.seqId;
+
+        if (verifyChecksum && update.checksum != null) {
+            const { bids: topBids, asks: topAsks } = getLevels(25);
+            const expected = verifyChecksum(topBids, topAsks);
+            if (expected !== null && expected !== update.checksum) {
+                return { ok: false, reason: 'checksum' };
+            }
+        }
+
+        // A crossed book means a missed delta even when sequence ids look fine
+        const bestBid = bids.size ? Math.max(...bids.keys()) : null;
+        const bestAsk = asks.size ? Math.min(...asks.keys()) : null;
+        if (bestBid !== null && bestAsk !== null && bestBid >= bestAsk) {
+            return { ok: false, reason: 'crossed' };
+        }
+
+        return { ok: true };
+    };
+
+    return {
+        apply,
+        reset,
+        getLevels,
+        get hasSnapshot() { return hasSnapshot; },
+        get lastSeqId() { return lastSeqId; },
+    };
+};
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { createLocalBook } from './localBook';
+import { crc32, okxChecksum, krakenChecksum } from './checksum';
+
+const snapshot = { action: 'snapshot', bids: [['99', '1'], ['98', '2']], asks: [['101', '1'], ['102', '2']], seqId: 10, prevSeqId: null };
+
+describe('crc32', () => {
+    it('matches the IEEE check value, as a signed integer', () => {
+        expect(crc32('123456789')).toBe(0xCBF43926 | 0);
+        expect(crc32('')).toBe(0);
+    });
+
+    it('interleaves the top bids and asks for OKX', () => {
+        expect(okxChecksum([['3366.1', '7'], ['3366', '6']], [['3366.8', '9'], ['3368', '8'], ['3372', '8']]))
+            .toBe(crc32('3366.1:7:3366.8:9:3366:6:3368:8:3372:8'));
+    });
+
+    it('builds the Kraken string from asks then bids at the instrument precision, unsigned', () => {
+        // 68000.0 -> 680000, 0.75000000 -> 75000000 with the leading zeros removed
+        expect(krakenChecksum([['67999.9', '0.5']], [['68000', '0.75']], { priceDecimals: 1, sizeDecimals: 8 }))
+            .toBe(crc32('6800007500000067999950000000') >>> 0);
+    });
+});
+
+describe('createLocalBook', () => {
+    it('ignores deltas until the first snapshot', () => {
+        const book = createLocalBook();
+        expect(book.apply({ action: 'delta', bids: [['99', '1']], asks: [], seqId: 1, prevSeqId: 0 })).toEqual({ ok: true, ignored: true });
+        expect(book.hasSnapshot).toBe(false);
+    });
+
+    it('applies deltas, deleting zero-size levels and keeping the original strings', () => {
+        const book = createLocalBook();
+        book.apply(snapshot);
+        expect(book.apply({ action: 'delta', bids: [['99', '0'], ['99.50', '3']], asks: [['101', '0.5']], seqId: 11, prevSeqId: 10 })).toEqual({ ok: true });
+        expect(book.getLevels()).toEqual({
+            bids: [['99.50', '3'], ['98', '2']],
+            asks: [['101', '0.5'], ['102', '2']],
+        });
+        expect(book.lastSeqId).toBe(11);
+    });
+
+    it('limits the depth returned', () => {
+        const book = createLocalBook();
+        book.apply(snapshot);
+        expect(book.getLevels(1)).toEqual({ bids: [['99', '1']], asks: [['101', '1']] });
+    });
+
+    it('cuts each side back to maxDepth after every update', () => {
+        const book = createLocalBook({ maxDepth: 2 });
+        book.apply(snapshot);
+        book.apply({ action: 'delta', bids: [['99.5', '1']], asks: [['100.5', '1']], seqId: 11, prevSeqId: 10 });
+        expect(book.getLevels()).toEqual({
+            bids: [['99.5', '1'], ['99', '1']],
+            asks: [['100.5', '1'], ['101', '1']],
+        });
+    });
+
+    it('reports sequence gaps', () => {
+        const book = createLocalBook();
+        book.apply(snapshot);
+        expect(book.apply({ action: 'delta', bids: [], asks: [], seqId: 13, prevSeqId: 12 })).toMatchObject({ ok: false, reason: 'gap', expected: 10, received: 12 });
+    });
+
+    it('reports checksum mismatches against the updated book', () => {
+        const book = createLocalBook({ verifyChecksum: okxChecksum });
+        const checksum = okxChecksum([['99', '1'], ['98', '2']], [['101', '1'], ['102', '2']]);
+        expect(book.apply({ ...snapshot, checksum })).toEqual({ ok: true });
+        expect(book.apply({ action: 'delta', bids: [['98', '3']], asks: [], seqId: 11, prevSeqId: 10, checksum })).toEqual({ ok: false, reason: 'checksum' });
+    });
+
+    it('reports a crossed book', () => {
+        const book = createLocalBook();
+        book.apply(snapshot);
+        expect(book.apply({ action: 'delta', bids: [['101.5', '1']], asks: [], seqId: 11, prevSeqId: 10 })).toEqual({ ok: false, reason: 'crossed' });
+    });
+
+    it('starts over on a new snapshot', () => {
+        const book = createLocalBook();
+        book.apply(snapshot);
+        book.apply({ action: 'snapshot', bids: [['50', '1']], asks: [['51', '1']], seqId: 99, prevSeqId: null });
+        expect(book.getLevels()).toEqual({ bids: [['50', '1']], asks: [['51', '1']] });
+        expect(book.lastSeqId).toBe(99);
+    });
+});
@@ -0,0 +1,41 @@
+import { aggregateBooks } from './aggregate';
+import { groupBook } from './grouping';
+import { cumulativeSizes, maxCumulativeSize, levelsInRange, depthCurve } from './levels';
+import { bookFromBase } from '@/lib/instruments/units';
+
+// --- Book view ---
+// Everything the ladder and depth chart draw, derived in one pass from the
+// base-currency books of the venues on screen. Runs in the feed engine (see
+// lib/feed/engine.js) once per UI frame rather than once per message.
+//
+// config: {
+//   venues      Venues in the view; more than one only when `aggregate` is set
+//   aggregate   Merge the venues' books into one (the aggregated tab)
+//   unit        Display size unit: 'base', 'quote' or 'contract'
+//   grouping    Price step to group by, or null for the raw book
+//   depth       Ladder rows per side
+//   chartRange  Depth chart range, see levelsInRange
+// }
+// instruments: { [venue]: catalog entry } for the display unit conversion
+
+const EMPTY_BOOK = { bids: [], asks: [] };
+
+export const buildBookView = (booksByVenue, config, instruments = {}) => {
+    const { venues, aggregate, unit, grouping, depth, chartRange } = config;
+    const base = aggregate
+        ? aggregateBooks(Object.fromEntries(venues.filter(venue => booksByVenue[venue]).map(venue => [venue, booksByVenue[venue]])))
+        : booksByVenue[venues[0]] || EMPTY_BOOK;
+    // The aggregated book has no single instrument; contracts are not offered for it
+    const display = bookFromBase(base, unit, aggregate ? null : instruments[venues[0]]);
+    const grouped = groupBook(display, grouping);
+    const charted = levelsInRange(grouped.bids, grouped.asks, chartRange);
+
+    return {
+        base,
+        display,
+        grouped,
+        cumulative: { bids: cumulativeSizes(grouped.bids, depth), asks: cumulativeSizes(grouped.asks, depth) },
+        maxCumulative: maxCumulativeSize(grouped.bids, grouped.asks, depth),
+        depthCurve: depthCurve(charted.bids, charted.asks, Infinity),
+    };
+};
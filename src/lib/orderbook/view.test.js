@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { buildBookView } from './view';
+import { groupBook } from './grouping';
+import { cumulativeSizes, maxCumulativeSize } from './levels';
+import { bookArb } from '@/test/arbitraries';
+
+const CONFIG = { venues: ['A'], aggregate: false, unit: 'base', grouping: null, depth: 10, chartRange: { mode: 'levels', value: 50 } };
+
+describe('buildBookView', () => {
+    it('matches computing each step separately', () => {
+        fc.assert(fc.property(bookArb(68000), fc.constantFrom(null, 1, 10), fc.integer({ min: 1, max: 30 }), (book, grouping, depth) => {
+            const view = buildBookView({ A: book }, { ...CONFIG, grouping, depth });
+            const grouped = groupBook(book, grouping);
+            expect(view.grouped).toEqual(grouped);
+            expect(view.cumulative.bids).toEqual(cumulativeSizes(grouped.bids, depth));
+            expect(view.cumulative.asks).toEqual(cumulativeSizes(grouped.asks, depth));
+            expect(view.maxCumulative).toBe(maxCumulativeSize(grouped.bids, grouped.asks, depth));
+        }));
+    });
+
+    it('converts the display book to the chosen unit and leaves the base book alone', () => {
+        const book = { bids: [['100', '2']], asks: [['101', '1']] };
+        const view = buildBookView({ A: book }, { ...CONFIG, unit: 'quote' });
+        expect(view.base).toBe(book);
+        expect(parseFloat(view.display.bids[0][1])).toBe(200);
+        expect(parseFloat(view.display.asks[0][1])).toBe(101);
+    });
+
+    it('aggregates the venues that have a book and reports crossings', () => {
+        const books = {
+            A: { bids: [['100', '1']], asks: [['102', '1']] },
+            B: { bids: [['103', '2']], asks: [['104', '1']] },
+        };
+        const view = buildBookView(books, { ...CONFIG, venues: ['A', 'B', 'C'], aggregate: true });
+        expect(view.base.bids.map(([price]) => price)).toEqual(['103', '100']);
+        expect(view.base.bids[0][2]).toEqual({ B: 2 });
+        expect(view.base.crossings).toHaveLength(1);
+    });
+
+    it('charts only the configured range', () => {
+        const book = { bids: [['100', '1'], ['99', '1'], ['98', '1']], asks: [['101', '1'], ['102', '1'], ['103', '1']] };
+        const view = buildBookView({ A: book }, { ...CONFIG, chartRange: { mode: 'levels', value: 2 } });
+        expect(view.depthCurve.bids.map(point => point.price)).toEqual([99, 100]);
+        expect(view.depthCurve.asks.map(point => point.price)).toEqual([101, 102]);
+    });
+
+    it('shows an empty book for a venue without one', () => {
+        const view = buildBookView({}, CONFIG);
+        expect(view.display).toEqual({ bids: [], asks: [] });
+        expect(view.depthCurve).toEqual({ bids: [], asks: [] });
+    });
+});
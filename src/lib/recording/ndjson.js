@@ -0,0 +1,51 @@
+// --- Recording file format ---
+// Newline-delimited JSON: one header line with the recording's metadata, then
+// one line per message ({ t, venue, symbol, data }). Exports are gzip
+// compressed; imports accept both gzip and plain NDJSON.
+
+export const FORMAT_VERSION = 1;
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+export const toNdjson = (recording) => {
+    const { messages, ...meta } = recording;
+    const header = JSON.stringify({ format: 'goquant-recording', version: FORMAT_VERSION, ...meta });
+    return [header, ...messages.map(message => JSON.stringify(message))].join('\n') + '\n';
+};
+
+export const fromNdjson = (text) => {
+    const lines = text.split('\n').filter(line => line.trim() !== '');
+    if (lines.length === 0) throw new Error('Recording file is empty.');
+
+    const { format, version, ...meta } = JSON.parse(lines[0]);
+    if (format !== 'goquant-recording') throw new Error('Not a recording file.');
+    if (version > FORMAT_VERSION) throw new Error(`Unsupported recording version ${version}.`);
+
+    const messages = lines.slice(1).map((line, index) => {
+        const message = JSON.parse(line);
+        if (typeof message.t !== 'number' || !message.venue || message.data === undefined) {
+            throw new Error(`Malformed message on line ${index + 2}.`);
+        }
+        return message;
+    });
+    return { ...meta, messages };
+};
+
+const pipeThrough = (bytes, transform) => new Response(new Blob([bytes]).stream().pipeThrough(transform));
+
+// Returns a gzip-compressed Blob ready for download
+export const exportRecording = async (recording) => {
+    const compressed = pipeThrough(new TextEncoder().encode(toNdjson(recording)), new CompressionStream('gzip'));
+    return new Blob([await compressed.arrayBuffer()], { type: 'application/gzip' });
+};
+
+export const importRecording = async (file) => {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const isGzip = bytes[0] === GZIP_MAGIC[0] && bytes[1] === GZIP_MAGIC[1];
+    const text = isGzip
+        ? await pipeThrough(bytes, new DecompressionStream('gzip')).text()
+        : new TextDecoder().decode(bytes);
+    return fromNdjson(text);
+};
+
+export const recordingFileName = (recording) => `goquant-${recording.instrumentId}-${recording.id}.ndjson.gz`;
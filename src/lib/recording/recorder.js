@@ -0,0 +1,47 @@
+// --- Session recorder ---
+// Captures raw venue messages exactly as they arrived, so a replay can push
+// them back through the same decode/classify/parse path as the live feed.
+//
+// Recording shape:
+//   { id, name, instrumentId, startedAt, endedAt, feeds: [{ venue, symbol }],
+//     messages: [{ t, venue, symbol, data }] }
+// where `t` is milliseconds since `startedAt` and `data` the raw frame.
+
+// Roughly an hour of a busy book on three venues; recording stops on its own after this
+export const MAX_RECORDED_MESSAGES = 500000;
+
+export const createRecorder = ({ instrumentId, now = Date.now }) => {
+    const startedAt = now();
+    const messages = [];
+    const feeds = new Map();
+
+    // Returns false once the recording is full. `at` is when the message
+    // arrived, which can be a frame earlier than it reaches the recorder.
+    const record = (venue, symbol, data, at = now()) => {
+        if (messages.length >= MAX_RECORDED_MESSAGES) return false;
+        feeds.set(`${venue}:${symbol}`, { venue, symbol });
+        messages.push({ t: Math.max(0, at - startedAt), venue, symbol, data });
+        return true;
+    };
+
+    const finish = (name) => {
+        const endedAt = now();
+        return {
+            id: `${startedAt}`,
+            name: name || `${instrumentId} ${new Date(startedAt).toLocaleString('en-US', { hour12: false })}`,
+            instrumentId,
+            startedAt,
+            endedAt,
+            feeds: [...feeds.values()],
+            messages,
+        };
+    };
+
+    return { record, finish, count: () => messages.length, startedAt };
+};
+
+// m:ss for recording lengths and replay positions
+export const formatDuration = (ms) => {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
@@ -0,0 +1,140 @@
+// --- Session replay ---
+// Plays a recording back through fake sockets handed to createOrderbookFeed,
+// so replayed frames go through the exact decode/classify/parse path of the
+// live feed. A socket opened mid-replay (e.g. after switching venue tab) is
+// caught up from the start of the recording to the current position first,
+// which rebuilds its book from the recorded snapshot.
+//
+// Seeking backwards cannot undo book updates, so it bumps `generation`; the
+// caller restarts its feeds (new sockets), which then catch up to the new position.
+// Sockets opened for an earlier generation receive nothing after the seek.
+
+export const REPLAY_SPEEDS = [1, 10, Infinity];
+
+const TICK_MS = 50;
+// Messages dispatched per tick at maximum speed, so the UI keeps rendering
+const MAX_SPEED_BATCH = 2000;
+
+const SOCKET_CONNECTING = 0;
+const SOCKET_OPEN = 1;
+const SOCKET_CLOSED = 3;
+
+const feedKey = (venue, symbol) => `${venue}:${symbol}`;
+
+export const createReplayer = (recording, { onProgress }) => {
+    const { messages } = recording;
+    const duration = messages.length > 0 ? messages[messages.length - 1].t : 0;
+    const sockets = new Set();
+    let index = 0; // next message to dispatch
+    let clock = 0; // ms into the recording
+    let speed = 1;
+    let playing = false;
+    let generation = 0;
+    let timer = null;
+
+    const report = () => onProgress({ playing, speed, position: clock, duration, index, total: messages.length, generation });
+
+    const deliver = (socket, message) => {
+        if (socket.readyState === SOCKET_OPEN && socket.generation === generation && socket.key === feedKey(message.venue, message.symbol) && socket.onmessage) {
+            socket.onmessage({ data: message.data });
+        }
+    };
+
+    const dispatch = (message) => sockets.forEach(socket => deliver(socket, message));
+
+    // Quacks like a WebSocket as far as createOrderbookFeed is concerned; sends are dropped
+    const createSocket = (url, { venue, symbol, generation: socketGeneration = generation }) => {
+        const socket = {
+            key: feedKey(venue, symbol),
+            generation: socketGeneration,
+            readyState: SOCKET_CONNECTING,
+            onopen: null,
+            onmessage: null,
+            onclose: null,
+            onerror: null,
+            send: () => {},
+            close: () => {
+                if (socket.readyState === SOCKET_CLOSED) return;
+                socket.readyState = SOCKET_CLOSED;
+                sockets.delete(socket);
+                setTimeout(() => socket.onclose && socket.onclose({ code: 1000 }), 0);
+            },
+        };
+        sockets.add(socket);
+        setTimeout(() => {
+            if (socket.readyState !== SOCKET_CONNECTING) return;
+            socket.readyState = SOCKET_OPEN;
+            if (socket.onopen) socket.onopen();
+            for (let i = 0; i < index; i++) deliver(socket, messages[i]);
+        }, 0);
+        return socket;
+    };
+
+    const advanceTo = (target) => {
+        while (index < messages.length && messages[index].t <= target) {
+            dispatch(messages[index]);
+            index += 1;
+        }
+        clock = Math.min(target, duration);
+    };
+
+    const tick = () => {
+        if (speed === Infinity) {
+            const end = Math.min(index + MAX_SPEED_BATCH, messages.length);
+            advanceTo(end > 0 ? messages[end - 1].t : 0);
+        } else {
+            advanceTo(clock + TICK_MS * speed);
+        }
+        if (index >= messages.length) {
+            pause();
+            return;
+        }
+        report();
+    };
+
+    const play = () => {
+        if (playing) return;
+        if (index >= messages.length) seek(0);
+        playing = true;
+        timer = setInterval(tick, TICK_MS);
+        report();
+    };
+
+    const pause = () => {
+        playing = false;
+        clearInterval(timer);
+        report();
+    };
+
+    const setSpeed = (value) => {
+        speed = value;
+        report();
+    };
+
+    // Dispatches the next message only, without moving past it
+    const step = () => {
+        if (playing) pause();
+        if (index < messages.length) advanceTo(messages[index].t);
+        report();
+    };
+
+    const seek = (target) => {
+        const position = Math.max(0, Math.min(target, duration));
+        if (position < clock) {
+            index = messages.findIndex(message => message.t > position);
+            if (index === -1) index = messages.length;
+            clock = position;
+            generation += 1;
+        } else {
+            advanceTo(position);
+        }
+        report();
+    };
+
+    const destroy = () => {
+        pause();
+        sockets.forEach(socket => socket.close());
+    };
+
+    return { createSocket, play, pause, setSpeed, step, seek, destroy, recording, duration };
+};
@@ -0,0 +1,74 @@
+// --- Recording storage (IndexedDB) ---
+// Metadata and messages live in separate object stores so listing recordings
+// does not load every message into memory.
+
+const DB_NAME = 'goquant';
+const DB_VERSION = 1;
+const META_STORE = 'recordings';
+const MESSAGE_STORE = 'recordingMessages';
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (!dbPromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'id' });
+            if (!db.objectStoreNames.contains(MESSAGE_STORE)) db.createObjectStore(MESSAGE_STORE);
+        };
+        dbPromise = promisify(request).catch((error) => {
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+};
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+});
+
+export const saveRecording = async (recording) => {
+    const db = await openDb();
+    const { messages, ...meta } = recording;
+    const transaction = db.transaction([META_STORE, MESSAGE_STORE], 'readwrite');
+    transaction.objectStore(META_STORE).put({ ...meta, messageCount: messages.length });
+    transaction.objectStore(MESSAGE_STORE).put(messages, recording.id);
+    await transactionDone(transaction);
+    return recording;
+};
+
+// Newest first, without messages
+export const listRecordings = async () => {
+    const db = await openDb();
+    const recordings = await promisify(db.transaction(META_STORE).objectStore(META_STORE).getAll());
+    return recordings.sort((a, b) => b.startedAt - a.startedAt);
+};
+
+export const loadRecording = async (id) => {
+    const db = await openDb();
+    const transaction = db.transaction([META_STORE, MESSAGE_STORE]);
+    const [meta, messages] = await Promise.all([
+        promisify(transaction.objectStore(META_STORE).get(id)),
+        promisify(transaction.objectStore(MESSAGE_STORE).get(id)),
+    ]);
+    if (!meta) throw new Error(`Recording ${id} not found.`);
+    const { messageCount, ...rest } = meta;
+    return { ...rest, messages: messages || [] };
+};
+
+export const deleteRecording = async (id) => {
+    const db = await openDb();
+    const transaction = db.transaction([META_STORE, MESSAGE_STORE], 'readwrite');
+    transaction.objectStore(META_STORE).delete(id);
+    transaction.objectStore(MESSAGE_STORE).delete(id);
+    await transactionDone(transaction);
+};
@@ -0,0 +1,326 @@
+import { calculateMetrics } from './fills';
+import { createWorkingOrder, applyBookUpdate, applyTrades, cancelWorkingOrder, untakenBook, WORKING_ORDER_STATUS } from './workingOrder';
+
+// --- Simulated execution algorithms ---
+// A parent order worked over time on one venue by an execution algorithm.
+// Child orders fill against the live (or replayed) book when they are due;
+// like the rest of the simulator, the book does not remember what earlier
+// children took. All functions are pure and return a new order.
+//
+//   TWAP     `sliceCount` equal slices spread evenly over `durationMs`, the
+//            first at the start
+//   VWAP     Same grid as TWAP, but each slice brings the filled share of the
+//            order up to the market's share of the volume expected over the
+//            horizon (projected from the trade rate before arrival), one
+//            interval ahead; with a steady trade rate it is TWAP
+//   POV      Every POV_CHECK_MS, trades `participation` of the market volume
+//            since arrival not yet matched; stops at `durationMs`
+//   Iceberg  Rests `clipSize` at `limitPrice` as a working order (see
+//            workingOrder.js); each filled clip is replaced at the back of the queue
+//
+// TWAP, VWAP and POV children are market orders, or immediate-or-cancel at
+// `limitPrice` if one is set; what a child misses is carried into the next.
+// Times come from the caller's clock (replay position while replaying), so
+// they are only meaningful relative to `startedAt`.
+
+export const ALGOS = { TWAP: 'TWAP', VWAP: 'VWAP', POV: 'POV', ICEBERG: 'Iceberg' };
+
+export const ALGO_STATUS = {
+    RUNNING: 'running',
+    FILLED: 'filled',
+    // The schedule finished with part of the order unfilled
+    ENDED: 'ended',
+    CANCELLED: 'cancelled',
+};
+
+export const SLICE_STATUS = {
+    SCHEDULED: 'scheduled',
+    WORKING: 'working',
+    FILLED: 'filled',
+    PARTIAL: 'partial',
+    MISSED: 'missed',
+    // Nothing was due, e.g. no market volume for VWAP to follow
+    SKIPPED: 'skipped',
+};
+
+export const POV_CHECK_MS = 5000;
+
+const EPSILON = 1e-12;
+
+export const isAlgoRunning = (order) => Boolean(order) && order.status === ALGO_STATUS.RUNNING;
+
+const bestPrice = (levels) => (levels && levels.length > 0 ? parseFloat(levels[0][0]) : null);
+
+const sumOf = (items, key) => items.reduce((acc, item) => acc + item[key], 0);
+
+const filledQtyOf = (order) => sumOf(order.slices, 'filledQty');
+
+const remainingOf = (order) => Math.max(order.quantity - filledQtyOf(order), 0);
+
+const sliceStatus = (filledQty, targetQty) => {
+    if (targetQty <= EPSILON) return SLICE_STATUS.SKIPPED;
+    if (filledQty >= targetQty - EPSILON) return SLICE_STATUS.FILLED;
+    return filledQty > 0 ? SLICE_STATUS.PARTIAL : SLICE_STATUS.MISSED;
+};
+
+// Market volume per ms over the trades on screen (newest first), or null if too few to tell
+const tradeRate = (trades) => {
+    if (!trades || trades.length < 2) return null;
+    const span = trades[0].timestamp - trades[trades.length - 1].timestamp;
+    return span > 0 ? sumOf(trades, 'size') / span : null;
+};
+
+const scheduledSlice = (index, scheduledAt, targetQty) => ({
+    index,
+    scheduledAt,
+    targetQty,
+    executedAt: null,
+    filledQty: 0,
+    notional: 0,
+    fees: 0,
+    avgPrice: null,
+    marketVolume: null,
+    status: SLICE_STATUS.SCHEDULED,
+});
+
+const planSlices = ({ algo, quantity, durationMs, sliceCount }, startedAt) => {
+    if (algo !== ALGOS.TWAP && algo !== ALGOS.VWAP) return [];
+    const interval = durationMs / sliceCount;
+    return Array.from({ length: sliceCount }, (_, i) => scheduledSlice(i, startedAt + i * interval, quantity / sliceCount));
+};
+
+const replaceSlice = (order, slice) => ({ ...order, slices: order.slices.map(existing => (existing.index === slice.index ? slice : existing)) });
+
+// Sends `qty` to the book as a market (or IOC limit) child and records it on `slice`
+const executeSlice = (order, slice, qty, book, now) => {
+    const metrics = qty > EPSILON
+        ? calculateMetrics({ side: order.side, quantity: qty, orderType: order.limitPrice === null ? 'Market' : 'Limit', price: order.limitPrice }, book, { fees: order.feeRates })
+        : null;
+    const filledQty = metrics ? metrics.filledQty : 0;
+    return {
+        ...order,
+        intervalVolume: 0,
+        slices: [...order.slices.filter(existing => existing.index !== slice.index), {
+            ...slice,
+            targetQty: qty,
+            executedAt: now,
+            filledQty,
+            notional: metrics ? metrics.notional : 0,
+            fees: metrics ? metrics.takerFees : 0,
+            avgPrice: metrics ? metrics.avgPrice : null,
+            marketVolume: order.intervalVolume,
+            status: sliceStatus(filledQty, qty),
+        }].sort((a, b) => a.index - b.index),
+    };
+};
+
+// Quantity the scheduled slice `index` should send so the order catches up with its plan
+const scheduledQty = (order, index) => {
+    const isLast = index === order.sliceCount - 1;
+    let targetShare = (index + 1) / order.sliceCount;
+    if (order.algo === ALGOS.VWAP && order.expectedVolume) {
+        targetShare = (order.marketVolume + order.expectedVolume / order.sliceCount) / order.expectedVolume;
+    }
+    const target = isLast ? order.quantity : Math.min(order.quantity * targetShare, order.quantity);
+    return Math.max(Math.min(target - filledQtyOf(order), remainingOf(order)), 0);
+};
+
+// Once filled, slices still scheduled will not be needed
+const finish = (order) => {
+    if (remainingOf(order) > EPSILON) return order;
+    const slices = order.slices.map(slice => (slice.status === SLICE_STATUS.SCHEDULED ? { ...slice, targetQty: 0, status: SLICE_STATUS.SKIPPED } : slice));
+    return { ...order, slices, status: ALGO_STATUS.FILLED };
+};
+
+const advanceSchedule = (order, book, now) => {
+    let next = order;
+    for (const slice of order.slices) {
+        if (slice.status !== SLICE_STATUS.SCHEDULED || slice.scheduledAt > now) continue;
+        next = executeSlice(next, slice, scheduledQty(next, slice.index), book, now);
+    }
+    next = finish(next);
+    if (next.status === ALGO_STATUS.RUNNING && next.slices.every(slice => slice.status !== SLICE_STATUS.SCHEDULED)) {
+        next = { ...next, status: ALGO_STATUS.ENDED };
+    }
+    return next;
+};
+
+const advancePov = (order, book, now) => {
+    let next = order;
+    const endsAt = order.startedAt + order.durationMs;
+    while (next.status === ALGO_STATUS.RUNNING && next.nextCheckAt <= now && next.nextCheckAt <= endsAt) {
+        const qty = Math.min(next.participation * next.marketVolume - filledQtyOf(next), remainingOf(next));
+        if (qty > EPSILON) {
+            next = executeSlice(next, scheduledSlice(next.slices.length, next.nextCheckAt, qty), qty, book, now);
+        }
+        next = finish({ ...next, nextCheckAt: next.nextCheckAt + POV_CHECK_MS });
+    }
+    if (next.status === ALGO_STATUS.RUNNING && next.nextCheckAt > endsAt) {
+        next = { ...next, status: ALGO_STATUS.ENDED };
+    }
+    return next;
+};
+
+// The clip's fills so far, as slice fields
+const clipFills = (order, clip) => {
+    const notional = clip.fills.reduce((acc, fill) => acc + fill.price * fill.quantity, 0);
+    const fees = clip.fills.reduce((acc, fill) => acc + fill.price * fill.quantity * (order.feeRates ? order.feeRates[fill.liquidity] : 0), 0);
+    return { filledQty: clip.filledQty, notional, fees, avgPrice: clip.filledQty > 0 ? notional / clip.filledQty : null };
+};
+
+const syncClip = (order, clip, now) => {
+    const slice = order.slices[order.slices.length - 1];
+    const isDone = clip.status === WORKING_ORDER_STATUS.FILLED || clip.status === WORKING_ORDER_STATUS.CANCELLED;
+    return replaceSlice({ ...order, clip }, {
+        ...slice,
+        ...clipFills(order, clip),
+        executedAt: isDone ? now : slice.executedAt,
+        status: isDone ? sliceStatus(clip.filledQty, clip.quantity) : SLICE_STATUS.WORKING,
+    });
+};
+
+// Rests the next clip, taking whatever part of it is marketable straight away
+// from the crossing size earlier clips have not taken already
+const postClip = (order, book, now) => {
+    const quantity = Math.min(order.clipSize, remainingOf(order));
+    const available = order.clip ? untakenBook(order.clip, book) : book;
+    const marketable = calculateMetrics({ side: order.side, quantity, orderType: 'Limit', price: order.limitPrice }, available);
+    const clip = createWorkingOrder({
+        id: order.slices.length,
+        venue: order.venue,
+        symbol: order.symbol,
+        side: order.side,
+        price: order.limitPrice,
+        quantity,
+        book,
+        immediateFills: marketable.fills,
+        taken: order.clip ? order.clip.taken : {},
+        lastTradeSeq: order.lastTradeSeq,
+        now,
+    });
+    return syncClip({ ...order, slices: [...order.slices, scheduledSlice(order.slices.length, now, quantity)] }, clip, now);
+};
+
+// One new clip per update at most: the book does not shrink by what we take,
+// so a marketable iceberg would otherwise refill against the same levels at once.
+// The clip keeps its own trade sequence, so `trades` are the full list.
+const advanceIceberg = (order, book, trades, now) => {
+    const clip = applyTrades(applyBookUpdate(order.clip, book, now), trades);
+    let next = clip === order.clip ? order : syncClip(order, clip, now);
+    if (next.clip.status === WORKING_ORDER_STATUS.FILLED) {
+        next = finish(next);
+        if (next.status === ALGO_STATUS.RUNNING) next = postClip(next, book, now);
+    }
+    return next;
+};
+
+// Counts market volume since arrival from the trades on screen (newest first, with `seq`)
+const absorbTrades = (order, trades) => {
+    const fresh = (trades || []).filter(trade => trade.seq > order.lastTradeSeq);
+    if (fresh.length === 0) return order;
+    const volume = sumOf(fresh, 'size');
+    return {
+        ...order,
+        marketVolume: order.marketVolume + volume,
+        intervalVolume: order.intervalVolume + volume,
+        lastTradeSeq: fresh.reduce((acc, trade) => Math.max(acc, trade.seq), order.lastTradeSeq),
+    };
+};
+
+// `params` are the algorithm's inputs (see algoOrderParams); `book` (base units)
+// and `trades` are the venue's at arrival, `fees` its { maker, taker } rates.
+export const createAlgoOrder = ({ id, venue, symbol, side, book, trades = [], fees = null, now = Date.now(), ...params }) => {
+    const bid = bestPrice(book.bids);
+    const ask = bestPrice(book.asks);
+    const rate = tradeRate(trades);
+    let order = {
+        id,
+        venue,
+        symbol,
+        side,
+        ...params,
+        feeRates: fees,
+        startedAt: now,
+        updatedAt: now,
+        status: ALGO_STATUS.RUNNING,
+        arrival: { bid, ask, mid: bid !== null && ask !== null ? (bid + ask) / 2 : null },
+        // What sending the whole order at once would have done
+        benchmark: calculateMetrics({ side, quantity: params.quantity, orderType: 'Market' }, book, { fees }),
+        expectedVolume: params.algo === ALGOS.VWAP && rate !== null ? rate * params.durationMs : null,
+        marketVolume: 0,
+        intervalVolume: 0,
+        lastTradeSeq: trades.length > 0 ? trades[0].seq : 0,
+        nextCheckAt: now + POV_CHECK_MS,
+        slices: planSlices(params, now),
+        clip: null,
+    };
+    if (params.algo === ALGOS.ICEBERG) order = postClip(order, book, now);
+    return advanceAlgoOrder(order, { book, now });
+};
+
+// Feeds the venue's latest book and trades to a running order; slices due by
+// `now` are sent to `book`. Returns `order` itself when nothing changed.
+export const advanceAlgoOrder = (order, { book, trades = [], now = Date.now() }) => {
+    if (!isAlgoRunning(order)) return order;
+    // An empty book while the feed resyncs would fill nothing
+    if (!book || book.bids.length === 0 || book.asks.length === 0) return absorbTrades(order, trades);
+
+    let next;
+    if (order.algo === ALGOS.ICEBERG) next = advanceIceberg(absorbTrades(order, trades), book, trades, now);
+    else if (order.algo === ALGOS.POV) next = advancePov(absorbTrades(order, trades), book, now);
+    else next = advanceSchedule(absorbTrades(order, trades), book, now);
+
+    return next === order ? order : { ...next, updatedAt: now };
+};
+
+export const cancelAlgoOrder = (order, now = Date.now()) => {
+    if (!isAlgoRunning(order)) return order;
+    const clip = order.clip ? cancelWorkingOrder(order.clip, now) : null;
+    const cancelled = { ...order, status: ALGO_STATUS.CANCELLED, updatedAt: now };
+    return clip ? syncClip(cancelled, clip, now) : cancelled;
+};
+
+// Realised execution against the arrival mid (implementation shortfall), and
+// the same for the single market order in `benchmark`. Positive shortfall is
+// a cost; `improvementBps` is how much better the algorithm did, per unit.
+export const algoSummary = (order) => {
+    const filledQty = filledQtyOf(order);
+    const notional = sumOf(order.slices, 'notional');
+    const avgPrice = filledQty > 0 ? notional / filledQty : null;
+    const { mid } = order.arrival;
+    const shortfallBps = (price) => {
+        if (price === null || mid === null) return null;
+        return ((order.side === 'Buy' ? price - mid : mid - price) / mid) * 10000;
+    };
+    const algoShortfall = shortfallBps(avgPrice);
+    const benchmarkShortfall = shortfallBps(order.benchmark.avgPrice);
+    return {
+        filledQty,
+        remainingQty: remainingOf(order),
+        fillPercent: order.quantity > 0 ? Math.min((filledQty / order.quantity) * 100, 100) : 0,
+        avgPrice,
+        notional,
+        fees: sumOf(order.slices, 'fees'),
+        arrivalMid: mid,
+        shortfallBps: algoShortfall,
+        shortfallCost: algoShortfall !== null ? (algoShortfall / 10000) * mid * filledQty : null,
+        benchmark: {
+            avgPrice: order.benchmark.avgPrice,
+            filledQty: order.benchmark.filledQty,
+            fees: order.benchmark.takerFees,
+            shortfallBps: benchmarkShortfall,
+        },
+        improvementBps: algoShortfall !== null && benchmarkShortfall !== null ? benchmarkShortfall - algoShortfall : null,
+    };
+};
+
+// Algorithm inputs from the order form's fields (see DEFAULT_ORDER_FORM)
+export const algoOrderParams = (formData) => ({
+    algo: formData.execution,
+    quantity: parseFloat(formData.quantity),
+    limitPrice: formData.orderType === 'Limit' ? parseFloat(formData.price) : null,
+    durationMs: parseFloat(formData.algoMinutes) * 60 * 1000,
+    sliceCount: parseInt(formData.algoSlices, 10),
+    participation: parseFloat(formData.participation) / 100,
+    clipSize: parseFloat(formData.clipSize),
+});
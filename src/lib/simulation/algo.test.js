@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import {
+    ALGOS,
+    ALGO_STATUS,
+    SLICE_STATUS,
+    POV_CHECK_MS,
+    createAlgoOrder,
+    advanceAlgoOrder,
+    cancelAlgoOrder,
+    algoSummary,
+    algoOrderParams,
+} from './algo';
+import { WORKING_ORDER_STATUS } from './workingOrder';
+
+const book = {
+    bids: [['99', '5'], ['98', '5']],
+    asks: [['101', '1'], ['102', '1'], ['103', '10']],
+};
+
+const MINUTE = 60 * 1000;
+
+const trade = (seq, size, timestamp = seq, side = 'Buy', price = 101) => ({ seq, side, price, size, timestamp });
+
+const start = (params) => createAlgoOrder({ id: 1, venue: 'OKX', symbol: 'X', side: 'Buy', book, now: 0, limitPrice: null, ...params });
+
+describe('TWAP', () => {
+    it('sends the first slice on arrival and the rest on schedule', () => {
+        let order = start({ algo: ALGOS.TWAP, quantity: 2, durationMs: 4 * MINUTE, sliceCount: 4 });
+        expect(order.slices.map(slice => slice.scheduledAt)).toEqual([0, MINUTE, 2 * MINUTE, 3 * MINUTE]);
+        expect(order.slices[0]).toMatchObject({ status: SLICE_STATUS.FILLED, filledQty: 0.5, avgPrice: 101 });
+        expect(order.slices[1].status).toBe(SLICE_STATUS.SCHEDULED);
+
+        expect(advanceAlgoOrder(order, { book, now: MINUTE - 1 })).toBe(order);
+        order = advanceAlgoOrder(order, { book, now: 3 * MINUTE });
+        expect(order.status).toBe(ALGO_STATUS.FILLED);
+        expect(order.slices.every(slice => slice.executedAt !== null)).toBe(true);
+        expect(algoSummary(order).avgPrice).toBe(101);
+    });
+
+    it('carries what a limit slice misses into the next one', () => {
+        const away = { bids: book.bids, asks: [['105', '10']] };
+        let order = start({ algo: ALGOS.TWAP, quantity: 2, durationMs: 2 * MINUTE, sliceCount: 2, limitPrice: 101, book: away });
+        expect(order.slices[0].status).toBe(SLICE_STATUS.MISSED);
+        order = advanceAlgoOrder(order, { book: { bids: book.bids, asks: [['101', '10']] }, now: MINUTE });
+        expect(order.slices[1]).toMatchObject({ targetQty: 2, filledQty: 2 });
+        expect(order.status).toBe(ALGO_STATUS.FILLED);
+    });
+
+    it('ends with the remainder unfilled when the last slice cannot fill', () => {
+        const order = start({ algo: ALGOS.TWAP, quantity: 2, durationMs: MINUTE, sliceCount: 1, limitPrice: 100 });
+        expect(order.status).toBe(ALGO_STATUS.ENDED);
+        expect(algoSummary(order).remainingQty).toBe(2);
+    });
+});
+
+describe('VWAP', () => {
+    // 10 per minute before arrival, so 20 expected over the two minute horizon
+    const history = [trade(2, 5, MINUTE), trade(1, 5, 0)];
+
+    it('follows the market volume after arrival', () => {
+        let order = start({ algo: ALGOS.VWAP, quantity: 4, durationMs: 2 * MINUTE, sliceCount: 4, trades: history });
+        expect(order.expectedVolume).toBe(20);
+        // The first slice assumes one interval of expected volume: a quarter
+        expect(order.slices[0].filledQty).toBe(1);
+
+        // A busy first interval: 10 of the 20 traded brings the target to 75%
+        order = advanceAlgoOrder(order, { book, trades: [trade(3, 10), ...history], now: 30 * 1000 });
+        expect(order.slices[1]).toMatchObject({ filledQty: 2, marketVolume: 10 });
+    });
+
+    it('falls back to TWAP without trade history', () => {
+        const order = start({ algo: ALGOS.VWAP, quantity: 4, durationMs: 2 * MINUTE, sliceCount: 4 });
+        expect(order.expectedVolume).toBeNull();
+        expect(order.slices[0].filledQty).toBe(1);
+    });
+});
+
+describe('POV', () => {
+    it('trades its share of the market volume since arrival', () => {
+        let order = start({ algo: ALGOS.POV, quantity: 3, durationMs: MINUTE, participation: 0.1, trades: [trade(1, 100)] });
+        expect(order.slices).toHaveLength(0);
+
+        order = advanceAlgoOrder(order, { book, trades: [trade(3, 4), trade(2, 6), trade(1, 100)], now: POV_CHECK_MS });
+        expect(order.slices).toHaveLength(1);
+        expect(order.slices[0]).toMatchObject({ targetQty: 1, filledQty: 1 });
+
+        // A quiet interval sends nothing
+        order = advanceAlgoOrder(order, { book, now: 2 * POV_CHECK_MS });
+        expect(order.slices).toHaveLength(1);
+    });
+
+    it('stops at the end of its duration', () => {
+        const order = start({ algo: ALGOS.POV, quantity: 3, durationMs: 2 * POV_CHECK_MS, participation: 0.1 });
+        const ended = advanceAlgoOrder(order, { book, trades: [trade(1, 10)], now: 5 * POV_CHECK_MS });
+        expect(ended.status).toBe(ALGO_STATUS.ENDED);
+        expect(algoSummary(ended).filledQty).toBe(1);
+    });
+});
+
+describe('Iceberg', () => {
+    it('replaces each filled clip at the back of the queue', () => {
+        let order = start({ algo: ALGOS.ICEBERG, quantity: 2, clipSize: 1, limitPrice: 99 });
+        expect(order.slices).toHaveLength(1);
+        expect(order.clip).toMatchObject({ quantity: 1, queueAhead: 5 });
+
+        // 5 ahead of us, then our clip
+        order = advanceAlgoOrder(order, { book, trades: [trade(1, 6, 1, 'Sell', 99)], now: 1000 });
+        expect(order.slices[0].status).toBe(SLICE_STATUS.FILLED);
+        expect(order.slices[1]).toMatchObject({ status: SLICE_STATUS.WORKING, scheduledAt: 1000 });
+        expect(order.clip.queueAhead).toBe(5);
+
+        order = cancelAlgoOrder(order, 2000);
+        expect(order.status).toBe(ALGO_STATUS.CANCELLED);
+        expect(order.slices[1].status).toBe(SLICE_STATUS.MISSED);
+    });
+
+    it('takes a crossing level that stays on the book only once across clips', () => {
+        const crossed = { bids: book.bids, asks: [['101', '1.5'], ['103', '10']] };
+        let order = start({ algo: ALGOS.ICEBERG, quantity: 5, clipSize: 1, limitPrice: 101, book: crossed });
+        for (let now = 1000; now <= 10000; now += 1000) {
+            order = advanceAlgoOrder(order, { book: crossed, now });
+        }
+        expect(algoSummary(order).filledQty).toBe(1.5);
+        expect(order.slices).toHaveLength(2);
+        expect(order.clip).toMatchObject({ filledQty: 0.5, status: WORKING_ORDER_STATUS.PARTIALLY_FILLED });
+    });
+});
+
+describe('algoSummary', () => {
+    it('compares the shortfall against one market order for the whole size', () => {
+        // Arrival mid 100; one 2 unit market buy averages 101.5
+        const order = start({ algo: ALGOS.TWAP, quantity: 2, durationMs: 2 * MINUTE, sliceCount: 2 });
+        const summary = algoSummary(advanceAlgoOrder(order, { book, now: MINUTE }));
+        expect(summary.arrivalMid).toBe(100);
+        expect(summary.shortfallBps).toBeCloseTo(100, 9);
+        expect(summary.shortfallCost).toBeCloseTo(2, 9);
+        expect(summary.benchmark.avgPrice).toBe(101.5);
+        expect(summary.improvementBps).toBeCloseTo(50, 9);
+    });
+});
+
+describe('algoOrderParams', () => {
+    it('reads the order form fields', () => {
+        expect(algoOrderParams({ execution: 'TWAP', orderType: 'Market', price: '', quantity: '2', algoMinutes: '1.5', algoSlices: '6', participation: '20', clipSize: '' }))
+            .toMatchObject({ algo: 'TWAP', quantity: 2, limitPrice: null, durationMs: 90000, sliceCount: 6, participation: 0.2 });
+    });
+});
@@ -0,0 +1,31 @@
+// --- Cost of waiting ---
+// Compares the fill an order would get if sent at submit time with the fill
+// it gets when the timing delay ends. Both inputs are calculateMetrics results
+// for the same order; positive costs mean waiting was worse for the order.
+
+export const compareDelayedExecution = (side, now, later) => {
+    const adverse = (from, to) => (side === 'Buy' ? to - from : from - to);
+
+    const midDrift = now.midPrice !== null && later.midPrice !== null ? later.midPrice - now.midPrice : null;
+    const midDriftBps = midDrift !== null ? (midDrift / now.midPrice) * 10000 : null;
+
+    let priceDrift = null;
+    let costOfWaiting = null;
+    let costOfWaitingBps = null;
+    if (now.avgPrice !== null && later.avgPrice !== null) {
+        priceDrift = later.avgPrice - now.avgPrice;
+        // Only the size both executions filled is comparable
+        const comparableQty = Math.min(now.filledQty, later.filledQty);
+        costOfWaiting = adverse(now.avgPrice, later.avgPrice) * comparableQty;
+        costOfWaitingBps = (adverse(now.avgPrice, later.avgPrice) / now.avgPrice) * 10000;
+    }
+
+    return {
+        midDrift,
+        midDriftBps,
+        priceDrift,
+        costOfWaiting,
+        costOfWaitingBps,
+        fillPercentChange: later.fillPercent - now.fillPercent,
+    };
+};
@@ -0,0 +1,165 @@
+// --- Single-book fill simulation ---
+// Walks one side of a book (a single venue, or the aggregated book) and
+// reports execution-quality metrics for a market or limit order. Books use the
+// usual [priceStr, sizeStr, contributions?] levels with sizes in base currency.
+
+const parseLevels = (levels) => (levels || []).reduce((acc, [priceStr, sizeStr, contributions]) => {
+    const price = parseFloat(priceStr);
+    const size = parseFloat(sizeStr);
+    if (!isNaN(price) && !isNaN(size) && size > 0) acc.push({ price, size, contributions });
+    return acc;
+}, []);
+
+// Taker fee rate for a level: the venue's rate, or for aggregated levels the
+// size-weighted rate of the venues that make up the level
+const takerRateFor = (level, fees, feesByVenue) => {
+    if (level.contributions && feesByVenue) {
+        let weighted = 0;
+        let total = 0;
+        for (const [venue, size] of Object.entries(level.contributions)) {
+            weighted += size * (feesByVenue[venue] ? feesByVenue[venue].taker : 0);
+            total += size;
+        }
+        return total > 0 ? weighted / total : 0;
+    }
+    return fees ? fees.taker : 0;
+};
+
+const emptyMetrics = (warning) => ({
+    fillPercent: 0,
+    filledQty: 0,
+    slippage: 0,
+    impact: 0,
+    avgPrice: null,
+    bestPrice: null,
+    midPrice: null,
+    slippageBpsVsBest: 0,
+    slippageBpsVsMid: null,
+    notional: 0,
+    takerFees: 0,
+    makerFees: 0,
+    postTradeMid: null,
+    postTradeSpread: null,
+    postTradeSpreadBps: null,
+    restingQty: 0,
+    queuePosition: null,
+    fills: [],
+    warning,
+});
+
+export const calculateMetrics = (order, book, { fees = null, feesByVenue = null } = {}) => {
+    const { side, quantity, orderType, price } = order;
+    const qty = parseFloat(quantity);
+    const isBuy = side === 'Buy';
+
+    const takeSide = parseLevels(isBuy ? book.asks : book.bids);
+    const restSide = parseLevels(isBuy ? book.bids : book.asks);
+    if (takeSide.length === 0) {
+        return emptyMetrics('No liquidity available.');
+    }
+
+    const limitPrice = orderType === 'Limit' ? parseFloat(price) : null;
+    if (orderType === 'Limit' && isNaN(limitPrice)) {
+        return emptyMetrics('Invalid limit price.');
+    }
+
+    const bestPrice = takeSide[0].price;
+    const midPrice = restSide.length > 0 ? (bestPrice + restSide[0].price) / 2 : null;
+
+    // Positive when the price is worse for the order than the reference
+    const adverseBps = (value, reference) => (isBuy ? value - reference : reference - value) / reference * 10000;
+
+    const fills = [];
+    let remaining = qty;
+    // Summed from the fills rather than qty - remaining, which loses precision
+    // when a large order only takes a small amount
+    let filledQty = 0;
+    let notional = 0;
+    let takerFees = 0;
+    let nextTakeIndex = 0;
+    let partialLeft = null;
+
+    for (let i = 0; i < takeSide.length && remaining > 0; i++) {
+        const level = takeSide[i];
+        // Levels are sorted best first, so the first level past the limit ends the sweep
+        if (limitPrice !== null && (isBuy ? level.price > limitPrice : level.price < limitPrice)) break;
+
+        const fill = Math.min(remaining, level.size);
+        remaining -= fill;
+        filledQty += fill;
+        notional += fill * level.price;
+        takerFees += fill * level.price * takerRateFor(level, fees, feesByVenue);
+
+        // Aggregated levels keep each venue's share, so fills can be attributed to venues
+        fills.push({ price: level.price, quantity: fill, cumulativeQty: filledQty, notional: fill * level.price, avgPrice: notional / filledQty, contributions: level.contributions });
+
+        if (fill < level.size) {
+            partialLeft = level.size - fill;
+            nextTakeIndex = i;
+        } else {
+            nextTakeIndex = i + 1;
+        }
+    }
+
+    const avgPrice = filledQty > 0 ? notional / filledQty : null;
+    const worstPrice = fills.length > 0 ? fills[fills.length - 1].price : bestPrice;
+
+    const slippageBpsVsBest = avgPrice !== null ? adverseBps(avgPrice, bestPrice) : 0;
+    const slippageBpsVsMid = avgPrice !== null && midPrice !== null ? adverseBps(avgPrice, midPrice) : null;
+
+    // Market remainders are cancelled; limit remainders rest at the limit price
+    const restingQty = limitPrice !== null ? Math.max(remaining, 0) : 0;
+
+    // Book after the trade: the taken side starts at the first level not fully
+    // consumed, and a resting remainder may become the new best on its own side
+    const newBestTake = partialLeft !== null || nextTakeIndex < takeSide.length ? takeSide[nextTakeIndex].price : null;
+    let newBestRest = restSide.length > 0 ? restSide[0].price : null;
+    if (restingQty > 0 && (newBestRest === null || (isBuy ? limitPrice > newBestRest : limitPrice < newBestRest))) {
+        newBestRest = limitPrice;
+    }
+    const postBid = isBuy ? newBestRest : newBestTake;
+    const postAsk = isBuy ? newBestTake : newBestRest;
+    const postTradeMid = postBid !== null && postAsk !== null ? (postBid + postAsk) / 2 : null;
+    const postTradeSpread = postTradeMid !== null ? postAsk - postBid : null;
+
+    // A resting order joins the back of the queue at its price
+    let queuePosition = null;
+    if (restingQty > 0) {
+        const samePrice = restSide.find(level => level.price === limitPrice);
+        queuePosition = {
+            sizeAhead: samePrice ? samePrice.size : 0,
+            levelsAhead: restSide.filter(level => (isBuy ? level.price > limitPrice : level.price < limitPrice)).length,
+        };
+    }
+    const makerFees = restingQty > 0 && fees ? restingQty * limitPrice * fees.maker : 0;
+
+    const slippage = slippageBpsVsBest / 100;
+    const impact = Math.abs(worstPrice - bestPrice);
+
+    let warning = '';
+    if (slippage > 0.5) {
+        warning = `High slippage warning! Your order may cause a price impact of approximately $${impact.toFixed(2)}.`;
+    }
+
+    return {
+        fillPercent: qty > 0 && filledQty > 0 ? Math.min((filledQty / qty) * 100, 100) : 0,
+        filledQty,
+        slippage,
+        impact,
+        avgPrice,
+        bestPrice,
+        midPrice,
+        slippageBpsVsBest,
+        slippageBpsVsMid,
+        notional,
+        takerFees,
+        makerFees,
+        postTradeMid,
+        postTradeSpread,
+        postTradeSpreadBps: postTradeSpread !== null ? (postTradeSpread / postTradeMid) * 10000 : null,
+        restingQty,
+        queuePosition,
+        fills,
+        warning,
+    };
+};
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { calculateMetrics } from './fills';
+import { bookArb, sideOfBookArb, quantityArb, totalSize } from '@/test/arbitraries';
+
+const EPSILON = 1e-9;
+
+const book = {
+    bids: [['99', '1'], ['98', '2'], ['97', '5']],
+    asks: [['101', '1'], ['102', '2'], ['103', '5']],
+};
+
+describe('calculateMetrics', () => {
+    it('walks the book for a market buy', () => {
+        const metrics = calculateMetrics({ side: 'Buy', orderType: 'Market', quantity: '2' }, book);
+        expect(metrics.filledQty).toBe(2);
+        expect(metrics.avgPrice).toBe(101.5);
+        expect(metrics.bestPrice).toBe(101);
+        expect(metrics.midPrice).toBe(100);
+        expect(metrics.fills.map(fill => [fill.price, fill.quantity, fill.cumulativeQty])).toEqual([[101, 1, 1], [102, 1, 2]]);
+        expect(metrics.slippageBpsVsBest).toBeCloseTo((0.5 / 101) * 10000, 10);
+        expect(metrics.impact).toBe(1);
+        // 1 of the 2 at 102 is left, so the new best ask is still 102
+        expect(metrics.postTradeMid).toBe(100.5);
+    });
+
+    it('stops a limit sell at its price and rests the remainder', () => {
+        const metrics = calculateMetrics({ side: 'Sell', orderType: 'Limit', price: '98', quantity: '5' }, book, { fees: { maker: 0.001, taker: 0.002 } });
+        expect(metrics.filledQty).toBe(3);
+        expect(metrics.restingQty).toBe(2);
+        expect(metrics.fillPercent).toBe(60);
+        expect(metrics.takerFees).toBeCloseTo((99 + 98 * 2) * 0.002, 10);
+        expect(metrics.makerFees).toBeCloseTo(2 * 98 * 0.001, 10);
+        // The resting sell at 98 becomes the new best ask
+        expect(metrics.postTradeSpread).toBe(1);
+        expect(metrics.queuePosition).toEqual({ sizeAhead: 0, levelsAhead: 0 });
+    });
+
+    it('charges aggregated levels at the size-weighted venue fee', () => {
+        const aggregated = { bids: [['99', '1']], asks: [['101', '4', { A: 3, B: 1 }]] };
+        const metrics = calculateMetrics({ side: 'Buy', orderType: 'Market', quantity: '4' }, aggregated, {
+            feesByVenue: { A: { taker: 0.001 }, B: { taker: 0.005 } },
+        });
+        expect(metrics.takerFees).toBeCloseTo(4 * 101 * 0.002, 10);
+    });
+
+    it('reports an empty book and an invalid limit price', () => {
+        expect(calculateMetrics({ side: 'Buy', orderType: 'Market', quantity: '1' }, { bids: [], asks: [] }).warning).toBe('No liquidity available.');
+        expect(calculateMetrics({ side: 'Buy', orderType: 'Limit', price: 'abc', quantity: '1' }, book).warning).toBe('Invalid limit price.');
+    });
+});
+
+describe('calculateMetrics properties', () => {
+    const orderArb = fc.record({
+        side: sideOfBookArb,
+        orderType: fc.constantFrom('Market', 'Limit'),
+        quantity: quantityArb,
+        // Limit prices anywhere from deep in the bids to deep in the asks
+        price: fc.integer({ min: 67700, max: 68300 }),
+    });
+
+    it('never fills more than the order or the liquidity on the other side', () => {
+        fc.assert(fc.property(bookArb(), orderArb, (generated, order) => {
+            const metrics = calculateMetrics(order, generated);
+            const liquidity = totalSize(order.side === 'Buy' ? generated.asks : generated.bids);
+            expect(metrics.filledQty).toBeLessThanOrEqual(order.quantity + EPSILON);
+            expect(metrics.filledQty).toBeLessThanOrEqual(liquidity + EPSILON);
+            expect(metrics.fillPercent).toBeGreaterThanOrEqual(0);
+            expect(metrics.fillPercent).toBeLessThanOrEqual(100);
+        }));
+    });
+
+    it('never fills a buy above, or a sell below, its limit', () => {
+        fc.assert(fc.property(bookArb(), orderArb, (generated, order) => {
+            const metrics = calculateMetrics({ ...order, orderType: 'Limit' }, generated);
+            for (const fill of metrics.fills) {
+                if (order.side === 'Buy') expect(fill.price).toBeLessThanOrEqual(order.price);
+                else expect(fill.price).toBeGreaterThanOrEqual(order.price);
+            }
+            // Whatever does not fill rests
+            expect(metrics.filledQty + metrics.restingQty).toBeCloseTo(order.quantity, 9);
+        }));
+    });
+
+    it('fully fills a market order that fits in the book', () => {
+        fc.assert(fc.property(bookArb(), sideOfBookArb, fc.double({ min: 0.01, max: 1, noNaN: true }), (generated, side, fraction) => {
+            const liquidity = totalSize(side === 'Buy' ? generated.asks : generated.bids);
+            const quantity = liquidity * fraction;
+            const metrics = calculateMetrics({ side, orderType: 'Market', quantity }, generated);
+            expect(metrics.filledQty).toBeCloseTo(quantity, 9);
+        }));
+    });
+
+    it('averages between the best and worst fill, with non-negative slippage', () => {
+        fc.assert(fc.property(bookArb(), orderArb, (generated, order) => {
+            const metrics = calculateMetrics({ ...order, orderType: 'Market' }, generated);
+            const prices = metrics.fills.map(fill => fill.price);
+            expect(metrics.avgPrice).toBeGreaterThanOrEqual(Math.min(...prices) - EPSILON);
+            expect(metrics.avgPrice).toBeLessThanOrEqual(Math.max(...prices) + EPSILON);
+            expect(metrics.slippageBpsVsBest).toBeGreaterThanOrEqual(-EPSILON);
+            // The ladder is cumulative and ends at the filled quantity
+            metrics.fills.forEach((fill, i) => {
+                if (i > 0) expect(fill.cumulativeQty).toBeGreaterThan(metrics.fills[i - 1].cumulativeQty);
+            });
+            expect(metrics.fills[metrics.fills.length - 1].cumulativeQty).toBeCloseTo(metrics.filledQty, 9);
+        }));
+    });
+});
@@ -0,0 +1,162 @@
+// --- Market impact beyond the visible book ---
+// calculateMetrics can only walk the levels a venue publishes. For the part of
+// a market order beyond them, a model calibrated from the recent book and
+// trades extrapolates the cost:
+//
+//   sqrt    Square-root law: after q has traded the price has moved
+//           Y · σ · √(q / V) · mid, with σ the volatility and V the volume
+//           traded over the same period (one second here; the period cancels out)
+//   linear  The price moves λ per unit, with λ fitted to how far each visible
+//           level is from the best price against the size in front of it;
+//           afterwards the move decays with a half-life as the book refills
+//
+// The extrapolation starts at the last visible level, so the model only prices
+// what the book could not show. Bands are 95% intervals from the sampling
+// error of the calibration (σ and V, or λ); they do not cover the choice of
+// model or of Y.
+
+export const IMPACT_MODELS = { SQRT: 'sqrt', LINEAR: 'linear' };
+
+export const DEFAULT_IMPACT_CONFIG = { model: IMPACT_MODELS.SQRT, coefficient: 1, halfLifeSeconds: 30 };
+
+const Z_95 = 1.96;
+const EPSILON = 1e-12;
+// Fewer samples than these give no usable estimate
+const MIN_RETURNS = 5;
+const MIN_TRADES = 10;
+const MIN_LEVELS = 3;
+
+const bestPrice = (levels) => (levels && levels.length > 0 ? parseFloat(levels[0][0]) : null);
+
+// Log returns between the last trade price of consecutive seconds that had
+// trades, scaled to one second so gaps in the tape do not inflate them
+const secondReturns = (ordered) => {
+    const lastPrice = new Map();
+    for (const trade of ordered) lastPrice.set(Math.floor(trade.timestamp / 1000), trade.price);
+    const seconds = [...lastPrice.keys()];
+    const returns = [];
+    for (let i = 1; i < seconds.length; i++) {
+        const prev = lastPrice.get(seconds[i - 1]);
+        const price = lastPrice.get(seconds[i]);
+        if (prev > 0 && price > 0) returns.push(Math.log(price / prev) / Math.sqrt(seconds[i] - seconds[i - 1]));
+    }
+    return returns;
+};
+
+const sampleStdDev = (values) => {
+    const mean = values.reduce((acc, value) => acc + value, 0) / values.length;
+    return Math.sqrt(values.reduce((acc, value) => acc + (value - mean) ** 2, 0) / (values.length - 1));
+};
+
+// Least squares through the origin of each visible level's distance from the
+// best price against the size in front of it, on both sides
+const fitBookSlope = (book) => {
+    const points = [];
+    for (const levels of [book.bids, book.asks]) {
+        const best = bestPrice(levels);
+        let ahead = 0;
+        for (const [priceStr, sizeStr] of levels || []) {
+            points.push([ahead, Math.abs(parseFloat(priceStr) - best)]);
+            ahead += parseFloat(sizeStr) || 0;
+        }
+    }
+    const sumQQ = points.reduce((acc, [q]) => acc + q * q, 0);
+    if (points.length < MIN_LEVELS || sumQQ === 0) return { lambda: null, lambdaSE: null, levelCount: points.length };
+    const lambda = points.reduce((acc, [q, d]) => acc + q * d, 0) / sumQQ;
+    const residual = points.reduce((acc, [q, d]) => acc + (d - lambda * q) ** 2, 0) / (points.length - 1);
+    return { lambda, lambdaSE: Math.sqrt(residual / sumQQ), levelCount: points.length };
+};
+
+// Model inputs from a book in base units and recent trades ({ price, size,
+// timestamp }, base units, any order). Inputs that cannot be estimated are null.
+export const calibrateImpact = (book, trades = []) => {
+    const bid = bestPrice(book.bids);
+    const ask = bestPrice(book.asks);
+    const mid = bid !== null && ask !== null ? (bid + ask) / 2 : null;
+
+    const ordered = [...trades].sort((a, b) => a.timestamp - b.timestamp);
+    const spanSeconds = ordered.length > 1 ? (ordered[ordered.length - 1].timestamp - ordered[0].timestamp) / 1000 : 0;
+    const volume = ordered.reduce((acc, trade) => acc + trade.size, 0);
+    const returns = secondReturns(ordered);
+
+    return {
+        mid,
+        // Per second
+        volatility: returns.length >= MIN_RETURNS ? sampleStdDev(returns) : null,
+        returnCount: returns.length,
+        volumeRate: ordered.length >= MIN_TRADES && spanSeconds > 0 ? volume / spanSeconds : null,
+        tradeCount: ordered.length,
+        spanSeconds,
+        ...fitBookSlope(book),
+    };
+};
+
+// Extra move past the last visible level for the remainder of the order, as
+// { avgMove, endMove, relativeError }, or { unavailable } without the inputs
+const modelledMove = (filledQty, quantity, mid, calibration, config) => {
+    const remaining = quantity - filledQty;
+    if (config.model === IMPACT_MODELS.LINEAR) {
+        const { lambda, lambdaSE } = calibration;
+        if (lambda === null || lambda <= 0) return { unavailable: 'Not enough visible levels to fit the book slope.' };
+        return { avgMove: (lambda * remaining) / 2, endMove: lambda * remaining, relativeError: lambdaSE / lambda };
+    }
+    const { volatility, volumeRate, returnCount, tradeCount } = calibration;
+    if (volatility === null || volumeRate === null) return { unavailable: 'Not enough recent trades to estimate volatility and volume.' };
+    const scale = (config.coefficient * volatility * mid) / Math.sqrt(volumeRate);
+    // Mean of √q over the remainder, from the integral of √q
+    const meanRoot = ((2 / 3) * (quantity ** 1.5 - filledQty ** 1.5)) / remaining;
+    return {
+        avgMove: scale * (meanRoot - Math.sqrt(filledQty)),
+        endMove: scale * (Math.sqrt(quantity) - Math.sqrt(filledQty)),
+        // σ from n returns has a relative standard error of about 1/√(2(n-1));
+        // the volume rate, counted like a Poisson process, about 1/√n under the root
+        relativeError: Math.sqrt(1 / (2 * (returnCount - 1)) + 0.25 / tradeCount),
+    };
+};
+
+// Cost of the part of a market order beyond the visible book. `metrics` is
+// calculateMetrics' result for `quantity` on `side`. Returns null when the book
+// filled the whole order, otherwise { model, observed, modelled, total, worstPrice,
+// recovery, unavailable } where prices come with a 95% band as [low, high].
+export const estimateBeyondDepth = (side, quantity, metrics, calibration, config = DEFAULT_IMPACT_CONFIG) => {
+    const remainingQty = quantity - metrics.filledQty;
+    if (remainingQty <= EPSILON) return null;
+
+    const observed = { qty: metrics.filledQty, avgPrice: metrics.avgPrice, notional: metrics.notional };
+    const lastPrice = metrics.fills.length > 0 ? metrics.fills[metrics.fills.length - 1].price : metrics.bestPrice;
+    const mid = metrics.midPrice !== null ? metrics.midPrice : calibration.mid;
+    if (lastPrice === null || mid === null) return { model: config.model, observed, remainingQty, unavailable: 'No visible liquidity to extrapolate from.' };
+
+    const move = modelledMove(metrics.filledQty, quantity, mid, calibration, config);
+    if (move.unavailable) return { model: config.model, observed, remainingQty, unavailable: move.unavailable };
+
+    const direction = side === 'Buy' ? 1 : -1;
+    const priceAt = (factor) => lastPrice + direction * move.avgMove * Math.max(factor, 0);
+    const bandOf = (low, high) => [Math.min(low, high), Math.max(low, high)];
+    const spread = Z_95 * move.relativeError;
+
+    const modelledAvg = priceAt(1);
+    const modelledBand = bandOf(priceAt(1 - spread), priceAt(1 + spread));
+    const totalAvg = (price) => (metrics.notional + remainingQty * price) / quantity;
+    const adverseBps = (price) => (direction * (price - mid) / mid) * 10000;
+
+    const worstPrice = lastPrice + direction * move.endMove;
+    return {
+        model: config.model,
+        observed,
+        remainingQty,
+        modelled: { qty: remainingQty, avgPrice: modelledAvg, band: modelledBand, notional: remainingQty * modelledAvg },
+        total: {
+            avgPrice: totalAvg(modelledAvg),
+            band: bandOf(totalAvg(modelledBand[0]), totalAvg(modelledBand[1])),
+            slippageBpsVsMid: adverseBps(totalAvg(modelledAvg)),
+            slippageBandBps: bandOf(adverseBps(totalAvg(modelledBand[0])), adverseBps(totalAvg(modelledBand[1]))),
+        },
+        worstPrice,
+        // How far from the mid the price still is a minute later, as the book refills
+        recovery: config.model === IMPACT_MODELS.LINEAR
+            ? { halfLifeSeconds: config.halfLifeSeconds, moveAfterMinute: (worstPrice - mid) * 0.5 ** (60 / config.halfLifeSeconds) }
+            : null,
+        unavailable: null,
+    };
+};
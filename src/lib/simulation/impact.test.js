@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { calculateMetrics } from './fills';
+import { IMPACT_MODELS, calibrateImpact, estimateBeyondDepth } from './impact';
+
+// Mid 100, one unit per level a dollar apart: λ is exactly 1 per unit
+const book = {
+    bids: [['99.5', '1'], ['98.5', '1'], ['97.5', '1']],
+    asks: [['100.5', '1'], ['101.5', '1'], ['102.5', '1']],
+};
+
+// One trade of 2 a second for a minute, alternating between 100 and 100.1
+const trades = Array.from({ length: 60 }, (_, i) => ({ price: i % 2 === 0 ? 100 : 100.1, size: 2, timestamp: i * 1000 }));
+
+const marketBuy = (quantity) => calculateMetrics({ side: 'Buy', quantity, orderType: 'Market' }, book);
+
+describe('calibrateImpact', () => {
+    it('measures volatility and volume per second and the book slope', () => {
+        const calibration = calibrateImpact(book, trades);
+        expect(calibration.mid).toBe(100);
+        expect(calibration.volumeRate).toBeCloseTo(120 / 59, 9);
+        expect(calibration.returnCount).toBe(59);
+        expect(calibration.volatility).toBeCloseTo(Math.log(100.1 / 100), 3);
+        expect(calibration.lambda).toBeCloseTo(1, 9);
+        expect(calibration.lambdaSE).toBeCloseTo(0, 9);
+    });
+
+    it('leaves out what a short history cannot estimate', () => {
+        const calibration = calibrateImpact(book, trades.slice(0, 3));
+        expect(calibration.volatility).toBeNull();
+        expect(calibration.volumeRate).toBeNull();
+    });
+});
+
+describe('estimateBeyondDepth', () => {
+    const calibration = calibrateImpact(book, trades);
+
+    it('has nothing to add when the book fills the order', () => {
+        expect(estimateBeyondDepth('Buy', 2, marketBuy(2), calibration)).toBeNull();
+    });
+
+    it('extends the linear model from the last visible level', () => {
+        const estimate = estimateBeyondDepth('Buy', 5, marketBuy(5), calibration, { model: IMPACT_MODELS.LINEAR, halfLifeSeconds: 60 });
+        expect(estimate.observed).toMatchObject({ qty: 3, avgPrice: 101.5 });
+        // Two more units, the price rising a dollar per unit from 102.5
+        expect(estimate.modelled.qty).toBe(2);
+        expect(estimate.modelled.avgPrice).toBeCloseTo(103.5, 9);
+        expect(estimate.worstPrice).toBeCloseTo(104.5, 9);
+        expect(estimate.total.avgPrice).toBeCloseTo((304.5 + 207) / 5, 9);
+        expect(estimate.recovery.moveAfterMinute).toBeCloseTo(2.25, 9);
+    });
+
+    it('prices the remainder with the square-root law and a band around it', () => {
+        const estimate = estimateBeyondDepth('Buy', 12, marketBuy(12), calibration, { model: IMPACT_MODELS.SQRT, coefficient: 1 });
+        const { volatility, volumeRate } = calibration;
+        const scale = (volatility * 100) / Math.sqrt(volumeRate);
+        expect(estimate.worstPrice).toBeCloseTo(102.5 + scale * (Math.sqrt(12) - Math.sqrt(3)), 9);
+        const [low, high] = estimate.modelled.band;
+        expect(low).toBeLessThan(estimate.modelled.avgPrice);
+        expect(high).toBeGreaterThan(estimate.modelled.avgPrice);
+        expect(low).toBeGreaterThanOrEqual(102.5);
+        expect(estimate.total.slippageBandBps[0]).toBeLessThan(estimate.total.slippageBandBps[1]);
+    });
+
+    it('moves the price down for sells', () => {
+        const sell = calculateMetrics({ side: 'Sell', quantity: 5, orderType: 'Market' }, book);
+        const estimate = estimateBeyondDepth('Sell', 5, sell, calibration, { model: IMPACT_MODELS.LINEAR, halfLifeSeconds: 30 });
+        expect(estimate.modelled.avgPrice).toBeCloseTo(96.5, 9);
+        expect(estimate.total.slippageBpsVsMid).toBeGreaterThan(0);
+    });
+
+    it('says why it cannot estimate without enough history', () => {
+        const estimate = estimateBeyondDepth('Buy', 5, marketBuy(5), calibrateImpact(book, []));
+        expect(estimate.modelled).toBeUndefined();
+        expect(estimate.unavailable).toMatch(/Not enough recent trades/);
+    });
+});
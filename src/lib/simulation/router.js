@@ -0,0 +1,122 @@
+// --- Smart order routing simulation ---
+// Splits a taker order across venues to get the best fee-adjusted blended
+// price. Taker fees are proportional to notional, so every unit can be priced
+// independently and filling the cheapest fee-adjusted levels first is optimal.
+//
+// booksByVenue: { [venue]: { bids, asks } } with sizes already in base currency
+// fees:         { [venue]: takerFeeRate }
+
+// What one unit at `price` really costs a buyer (or nets a seller) after fees
+const effectivePrice = (side, price, feeRate) => (side === 'Buy' ? price * (1 + feeRate) : price * (1 - feeRate));
+
+const isBetter = (side, a, b) => (side === 'Buy' ? a < b : a > b);
+
+const withinLimit = (side, price, limitPrice) => {
+    if (limitPrice === null) return true;
+    return side === 'Buy' ? price <= limitPrice : price >= limitPrice;
+};
+
+const collectLevels = (side, booksByVenue, fees) => {
+    const levels = [];
+    for (const [venue, book] of Object.entries(booksByVenue)) {
+        const feeRate = fees[venue] || 0;
+        for (const [priceStr, sizeStr] of (side === 'Buy' ? book.asks : book.bids) || []) {
+            const price = parseFloat(priceStr);
+            const size = parseFloat(sizeStr);
+            if (isNaN(price) || isNaN(size) || size <= 0) continue;
+            levels.push({ venue, price, size, effective: effectivePrice(side, price, feeRate), feeRate });
+        }
+    }
+    return levels.sort((a, b) => (side === 'Buy' ? a.effective - b.effective : b.effective - a.effective));
+};
+
+// Fills `quantity` against the given venues and returns per-venue child orders
+// plus blended totals. Prices in the result are raw venue prices; effective
+// prices include taker fees.
+export const routeOrder = ({ side, quantity, limitPrice = null }, booksByVenue, fees = {}) => {
+    const children = {};
+    let remaining = quantity;
+
+    for (const level of collectLevels(side, booksByVenue, fees)) {
+        if (remaining <= 0) break;
+        if (!withinLimit(side, level.price, limitPrice)) continue;
+        const fill = Math.min(remaining, level.size);
+        const child = children[level.venue] || { venue: level.venue, quantity: 0, notional: 0, fees: 0, worstPrice: level.price };
+        child.quantity += fill;
+        child.notional += fill * level.price;
+        child.fees += fill * level.price * level.feeRate;
+        child.worstPrice = level.price;
+        children[level.venue] = child;
+        remaining -= fill;
+    }
+
+    const childOrders = Object.values(children)
+        .map(child => ({ ...child, avgPrice: child.notional / child.quantity }))
+        .sort((a, b) => b.quantity - a.quantity);
+
+    const filledQty = childOrders.reduce((acc, c) => acc + c.quantity, 0);
+    const notional = childOrders.reduce((acc, c) => acc + c.notional, 0);
+    const totalFees = childOrders.reduce((acc, c) => acc + c.fees, 0);
+    // All-in cost for a buy, all-in proceeds for a sell
+    const netNotional = side === 'Buy' ? notional + totalFees : notional - totalFees;
+
+    return {
+        side,
+        quantity,
+        childOrders,
+        filledQty,
+        fillPercent: quantity > 0 ? Math.min((filledQty / quantity) * 100, 100) : 0,
+        notional,
+        totalFees,
+        avgPrice: filledQty > 0 ? notional / filledQty : null,
+        avgEffectivePrice: filledQty > 0 ? netNotional / filledQty : null,
+    };
+};
+
+// Mid of the best bid and best ask across all venues, or null without both
+const consolidatedMid = (booksByVenue) => {
+    const bestOf = (side, pick) => Object.values(booksByVenue)
+        .map(book => (book[side] && book[side].length > 0 ? parseFloat(book[side][0][0]) : NaN))
+        .filter(price => !isNaN(price))
+        .reduce((best, price) => (best === null ? price : pick(best, price)), null);
+    const bid = bestOf('bids', Math.max);
+    const ask = bestOf('asks', Math.min);
+    return bid !== null && ask !== null ? (bid + ask) / 2 : null;
+};
+
+// Routes the order across all venues and compares it with the best venue on
+// its own. The best single venue is the one that fills the most, then the one
+// with the best fee-adjusted price. Savings are in quote currency and are
+// positive when routing beats the single venue. `midPrice` is the
+// consolidated mid, for comparing routes taken at different times.
+export const simulateSmartRoute = (order, booksByVenue, fees = {}) => {
+    const routed = routeOrder(order, booksByVenue, fees);
+
+    let bestSingle = null;
+    for (const [venue, book] of Object.entries(booksByVenue)) {
+        const single = { venue, ...routeOrder(order, { [venue]: book }, fees) };
+        if (single.filledQty <= 0) continue;
+        if (!bestSingle
+            || single.filledQty > bestSingle.filledQty + 1e-12
+            || (Math.abs(single.filledQty - bestSingle.filledQty) <= 1e-12 && isBetter(order.side, single.avgEffectivePrice, bestSingle.avgEffectivePrice))) {
+            bestSingle = single;
+        }
+    }
+
+    let savings = null;
+    let savingsBps = null;
+    if (bestSingle && routed.filledQty > 0) {
+        // Routing can fill more than any one venue; compare like for like on the
+        // quantity the single venue could fill so the extra size is not counted as a saving
+        const comparable = routed.filledQty > bestSingle.filledQty
+            ? routeOrder({ ...order, quantity: bestSingle.filledQty }, booksByVenue, fees)
+            : routed;
+        const priceDiff = order.side === 'Buy'
+            ? bestSingle.avgEffectivePrice - comparable.avgEffectivePrice
+            : comparable.avgEffectivePrice - bestSingle.avgEffectivePrice;
+        savings = priceDiff * bestSingle.filledQty;
+        savingsBps = (priceDiff / bestSingle.avgEffectivePrice) * 10000;
+    }
+
+    return { ...routed, midPrice: consolidatedMid(booksByVenue), bestSingle, savings, savingsBps };
+};
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { routeOrder, simulateSmartRoute } from './router';
+import { bookArb, sideOfBookArb, quantityArb, totalSize } from '@/test/arbitraries';
+
+const EPSILON = 1e-9;
+
+describe('routeOrder', () => {
+    it('takes the cheapest levels after fees first', () => {
+        const books = {
+            A: { bids: [], asks: [['100', '1'], ['100.5', '1']] },
+            B: { bids: [], asks: [['100.05', '1']] },
+        };
+        // A charges 10 bps, so its 100 costs 100.1, more than B's 100.05 with no fee
+        const result = routeOrder({ side: 'Buy', quantity: 1.5 }, books, { A: 0.001, B: 0 });
+        expect(result.childOrders.map(child => [child.venue, child.quantity])).toEqual([['B', 1], ['A', 0.5]]);
+        expect(result.totalFees).toBeCloseTo(0.5 * 100 * 0.001, 10);
+    });
+
+    it('reports the saving against the best single venue', () => {
+        const books = {
+            A: { bids: [], asks: [['100', '1'], ['102', '1']] },
+            B: { bids: [], asks: [['101', '1'], ['103', '1']] },
+        };
+        const result = simulateSmartRoute({ side: 'Buy', quantity: 2 }, books);
+        expect(result.bestSingle.venue).toBe('A');
+        expect(result.avgPrice).toBe(100.5);
+        expect(result.savings).toBeCloseTo(1, 10);
+    });
+
+    it('gives the mid of the best bid and ask across venues', () => {
+        const books = {
+            A: { bids: [['99', '1']], asks: [['102', '1']] },
+            B: { bids: [['98', '1']], asks: [['101', '1']] },
+        };
+        expect(simulateSmartRoute({ side: 'Buy', quantity: 1 }, books).midPrice).toBe(100);
+        expect(simulateSmartRoute({ side: 'Buy', quantity: 1 }, { A: { bids: [], asks: [['102', '1']] } }).midPrice).toBeNull();
+    });
+});
+
+describe('routeOrder properties', () => {
+    const booksArb = fc.record({ A: bookArb(68000), B: bookArb(68001), C: bookArb(67999) });
+
+    it('splits exactly the filled quantity, within the liquidity and the limit', () => {
+        fc.assert(fc.property(booksArb, sideOfBookArb, quantityArb, fc.option(fc.integer({ min: 67800, max: 68200 })), (books, side, quantity, limitPrice) => {
+            const result = routeOrder({ side, quantity, limitPrice }, books);
+            const liquidity = Object.values(books).reduce((acc, book) => acc + totalSize(side === 'Buy' ? book.asks : book.bids), 0);
+            const childTotal = result.childOrders.reduce((acc, child) => acc + child.quantity, 0);
+            expect(childTotal).toBeCloseTo(result.filledQty, 9);
+            expect(result.filledQty).toBeLessThanOrEqual(Math.min(quantity, liquidity) + EPSILON);
+            if (limitPrice !== null) {
+                for (const child of result.childOrders) {
+                    if (side === 'Buy') expect(child.worstPrice).toBeLessThanOrEqual(limitPrice);
+                    else expect(child.worstPrice).toBeGreaterThanOrEqual(limitPrice);
+                }
+            }
+        }));
+    });
+
+    it('never does worse than the best single venue on the same quantity', () => {
+        fc.assert(fc.property(booksArb, sideOfBookArb, quantityArb, (books, side, quantity) => {
+            const result = simulateSmartRoute({ side, quantity }, books, { A: 0.0005, B: 0.001, C: 0 });
+            if (result.savings !== null) expect(result.savings).toBeGreaterThanOrEqual(-1e-6);
+        }));
+    });
+});
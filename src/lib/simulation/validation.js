@@ -0,0 +1,53 @@
+import { ALGOS } from './algo';
+
+// --- Order form defaults and validation ---
+
+// Delays offered by the timing simulation, in seconds
+export const DELAY_SECONDS = [0, 5, 10, 30];
+
+// 'None' sends a single order; the others run an execution algorithm (see algo.js)
+export const EXECUTION_CHOICES = ['None', ...Object.values(ALGOS)];
+
+export const MAX_ALGO_SLICES = 100;
+
+// Field values are kept as the form's strings
+export const DEFAULT_ORDER_FORM = {
+    orderType: 'Limit',
+    side: 'Buy',
+    price: '',
+    quantity: '',
+    delay: '0',
+    routing: 'Single',
+    execution: 'None',
+    algoMinutes: '10',
+    algoSlices: '10',
+    participation: '10',
+    clipSize: '',
+};
+
+const isPositive = (value) => parseFloat(value) > 0;
+
+// Returns the message to show for invalid order form input, or null if the order can be simulated
+export const validateOrderForm = ({ orderType, price, quantity, execution = 'None', algoMinutes, algoSlices, participation, clipSize }) => {
+    if (orderType === 'Limit' && !isPositive(price)) {
+        return 'Please enter a valid price for a limit order.';
+    }
+    if (!isPositive(quantity)) {
+        return 'Please enter a valid quantity.';
+    }
+    if (execution === ALGOS.ICEBERG) {
+        if (orderType !== 'Limit') return 'An iceberg order needs a limit price.';
+        if (!isPositive(clipSize)) return 'Please enter a valid clip size.';
+        if (parseFloat(clipSize) > parseFloat(quantity)) return 'The clip size cannot be larger than the order.';
+    } else if (execution !== 'None') {
+        if (!isPositive(algoMinutes)) return 'Please enter a valid duration.';
+    }
+    if (execution === ALGOS.TWAP || execution === ALGOS.VWAP) {
+        const slices = Number(algoSlices);
+        if (!Number.isInteger(slices) || slices < 1 || slices > MAX_ALGO_SLICES) return `Please enter between 1 and ${MAX_ALGO_SLICES} slices.`;
+    }
+    if (execution === ALGOS.POV && !(isPositive(participation) && parseFloat(participation) <= 100)) {
+        return 'Please enter a participation rate between 0 and 100%.';
+    }
+    return null;
+};
@@ -0,0 +1,204 @@
+// --- Simulated working (resting) limit order ---
+// A paper limit order that stays in the book after submit. It keeps an
+// estimate of the size queued ahead of it at its price and is filled by the
+// venue's public trades. All functions are pure and return a new order.
+//
+// Queue model: the order joins the back of the queue at its price. Size ahead
+// only shrinks: trades at our price consume it first, and cancellations are
+// detected when the displayed level gets smaller than the size we think is
+// ahead. A trade through our price (or the other side crossing it) means the
+// whole queue at our price was taken.
+//
+// Crossing levels: the book does not shrink by what we take, so `taken` keeps
+// how much of each opposite-side level at or through our price ({ [price]:
+// size }) has already filled the order. Only size beyond that fills it again;
+// a level that stops crossing is forgotten, and is new liquidity if it returns.
+
+export const WORKING_ORDER_STATUS = {
+    WORKING: 'working',
+    PARTIALLY_FILLED: 'partially_filled',
+    FILLED: 'filled',
+    CANCELLED: 'cancelled',
+};
+
+// Float dust left by repeated subtraction should not keep an order open
+const EPSILON = 1e-12;
+
+export const isWorking = (order) => Boolean(order)
+    && (order.status === WORKING_ORDER_STATUS.WORKING || order.status === WORKING_ORDER_STATUS.PARTIALLY_FILLED);
+
+const sameSideLevels = (book, side) => (side === 'Buy' ? book.bids : book.asks) || [];
+const oppositeLevels = (book, side) => (side === 'Buy' ? book.asks : book.bids) || [];
+
+// Opposite-side levels at or through `price`, best first, as [price, size] numbers
+const crossingLevels = (book, side, price) => {
+    const levels = [];
+    for (const [priceStr, sizeStr] of oppositeLevels(book, side)) {
+        const levelPrice = parseFloat(priceStr);
+        if (side === 'Buy' ? levelPrice > price : levelPrice < price) break;
+        levels.push([levelPrice, parseFloat(sizeStr) || 0]);
+    }
+    return levels;
+};
+
+const levelSize = (book, side, price) => {
+    const level = sameSideLevels(book, side).find(([levelPrice]) => parseFloat(levelPrice) === price);
+    return level ? parseFloat(level[1]) : 0;
+};
+
+const statusFor = (filledQty, quantity) => {
+    if (filledQty >= quantity - EPSILON) return WORKING_ORDER_STATUS.FILLED;
+    return filledQty > 0 ? WORKING_ORDER_STATUS.PARTIALLY_FILLED : WORKING_ORDER_STATUS.WORKING;
+};
+
+const recordFill = (order, quantity, price, timestamp, liquidity = 'maker') => {
+    if (quantity <= EPSILON) return order;
+    const filledQty = order.filledQty + quantity;
+    return {
+        ...order,
+        filledQty,
+        fills: [...order.fills, { price, quantity, timestamp, liquidity }],
+        status: statusFor(filledQty, order.quantity),
+    };
+};
+
+export const remainingQty = (order) => Math.max(order.quantity - order.filledQty, 0);
+
+// `immediateFills` are the taker fills from the marketable part of the order
+// at submit time ({ price, quantity }); the rest starts resting behind the
+// size currently displayed at `price`. `taken` is what earlier orders already
+// took from the crossing levels of `book` (see above), left out of
+// `immediateFills` by the caller.
+export const createWorkingOrder = ({ id, venue, symbol, side, price, quantity, book, immediateFills = [], taken = {}, lastTradeSeq = 0, now = Date.now() }) => {
+    const takenNow = {};
+    for (const [levelPrice, size] of crossingLevels(book, side, price)) {
+        const filled = immediateFills.reduce((acc, fill) => (fill.price === levelPrice ? acc + fill.quantity : acc), 0);
+        takenNow[levelPrice] = Math.min((taken[levelPrice] || 0) + filled, size);
+    }
+    let order = {
+        id,
+        venue,
+        symbol,
+        side,
+        price,
+        quantity,
+        filledQty: 0,
+        fills: [],
+        queueAhead: levelSize(book, side, price),
+        taken: takenNow,
+        status: WORKING_ORDER_STATUS.WORKING,
+        createdAt: now,
+        updatedAt: now,
+        lastTradeSeq,
+    };
+    for (const fill of immediateFills) {
+        order = recordFill(order, fill.quantity, fill.price, now, 'taker');
+    }
+    return order;
+};
+
+export const applyBookUpdate = (order, book, now = Date.now()) => {
+    if (!isWorking(order)) return order;
+
+    // Cancellations ahead of us shrink the displayed level; new orders join behind us
+    let next = { ...order, queueAhead: Math.min(order.queueAhead, levelSize(book, order.side, order.price)) };
+
+    // The other side reaching our price means it would have matched against us,
+    // but only with size that has not filled us already
+    const previouslyTaken = order.taken || {};
+    const taken = {};
+    let unfilled = remainingQty(next);
+    let crossed = false;
+    let fillQty = 0;
+    for (const [levelPrice, size] of crossingLevels(book, order.side, order.price)) {
+        crossed = true;
+        const alreadyTaken = Math.min(previouslyTaken[levelPrice] || 0, size);
+        const fill = Math.min(size - alreadyTaken, unfilled);
+        unfilled -= fill;
+        fillQty += fill;
+        taken[levelPrice] = alreadyTaken + fill;
+    }
+    next = { ...next, taken };
+    if (crossed) next = { ...next, queueAhead: 0 };
+    next = recordFill(next, fillQty, order.price, now);
+
+    const takenChanged = Object.keys(taken).length !== Object.keys(previouslyTaken).length
+        || Object.entries(taken).some(([levelPrice, size]) => previouslyTaken[levelPrice] !== size);
+    return next.status === order.status && next.queueAhead === order.queueAhead && next.filledQty === order.filledQty && !takenChanged
+        ? order
+        : { ...next, updatedAt: now };
+};
+
+// `book` without what `order` has already taken from its crossing levels, for
+// sizing a follow-on order against the same book
+export const untakenBook = (order, book) => {
+    const taken = (order && order.taken) || {};
+    const side = order.side === 'Buy' ? 'asks' : 'bids';
+    const levels = (book[side] || [])
+        .map(([price, size]) => [price, String(Math.max((parseFloat(size) || 0) - (taken[parseFloat(price)] || 0), 0))])
+        .filter(([, size]) => parseFloat(size) > 0);
+    return { ...book, [side]: levels };
+};
+
+const applyTrade = (order, trade) => {
+    const next = { ...order, lastTradeSeq: Math.max(order.lastTradeSeq, trade.seq) };
+    if (!isWorking(order)) return next;
+
+    // Only aggressors on the other side can hit a resting order
+    const hitsOurSide = order.side === 'Buy' ? trade.side === 'Sell' : trade.side === 'Buy';
+    if (!hitsOurSide) return next;
+    if (order.side === 'Buy' ? trade.price > order.price : trade.price < order.price) return next;
+
+    if (trade.price === order.price) {
+        // Size ahead of us at our price trades first
+        const consumed = Math.min(next.queueAhead, trade.size);
+        const leftover = trade.size - consumed;
+        return { ...recordFill({ ...next, queueAhead: next.queueAhead - consumed }, Math.min(leftover, remainingQty(next)), order.price, trade.timestamp), updatedAt: trade.timestamp };
+    }
+
+    // Traded through our price: everything at our price, including us, was taken
+    return { ...recordFill({ ...next, queueAhead: 0 }, Math.min(trade.size, remainingQty(next)), order.price, trade.timestamp), updatedAt: trade.timestamp };
+};
+
+// `trades` is newest first (as kept by useOrderbookFeeds); only trades newer
+// than the last one processed are applied, oldest first.
+export const applyTrades = (order, trades) => {
+    if (!order) return order;
+    const fresh = trades.filter(trade => trade.seq > order.lastTradeSeq);
+    if (fresh.length === 0) return order;
+    return fresh.reverse().reduce(applyTrade, order);
+};
+
+export const cancelWorkingOrder = (order, now = Date.now()) => (isWorking(order)
+    ? { ...order, status: WORKING_ORDER_STATUS.CANCELLED, updatedAt: now }
+    : order);
+
+// Changing the price, or increasing the size, loses queue priority like it
+// would on a real venue; reducing the size keeps it. A new price keeps what
+// was taken only from the levels that cross it, so they do not fill it again.
+export const amendWorkingOrder = (order, { price = order.price, quantity = order.quantity }, book, now = Date.now()) => {
+    if (!isWorking(order)) return order;
+    const losesPriority = price !== order.price || quantity > order.quantity;
+    let taken = order.taken || {};
+    if (price !== order.price) {
+        const previouslyTaken = taken;
+        taken = {};
+        for (const [levelPrice, size] of crossingLevels(book, order.side, price)) {
+            if (previouslyTaken[levelPrice]) taken[levelPrice] = Math.min(previouslyTaken[levelPrice], size);
+        }
+    }
+    return {
+        ...order,
+        price,
+        quantity,
+        queueAhead: losesPriority ? levelSize(book, order.side, price) : order.queueAhead,
+        taken,
+        status: statusFor(order.filledQty, quantity),
+        updatedAt: now,
+    };
+};
+
+export const averageFillPrice = (order) => {
+    if (!order || order.filledQty <= 0) return null;
+    return order.fills.reduce((acc, fill) => acc + fill.price * fill.quantity, 0) / order.filledQty;
+};
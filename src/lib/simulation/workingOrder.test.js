@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import {
+    WORKING_ORDER_STATUS,
+    createWorkingOrder,
+    applyBookUpdate,
+    applyTrades,
+    amendWorkingOrder,
+    cancelWorkingOrder,
+    remainingQty,
+    averageFillPrice,
+} from './workingOrder';
+
+const book = {
+    bids: [['100', '3'], ['99', '5']],
+    asks: [['101', '2'], ['102', '4']],
+};
+
+const buyAt100 = (overrides = {}) => createWorkingOrder({ id: 1, venue: 'OKX', symbol: 'X', side: 'Buy', price: 100, quantity: 2, book, now: 0, ...overrides });
+
+const trade = (seq, side, price, size) => ({ seq, side, price, size, timestamp: seq });
+
+describe('createWorkingOrder', () => {
+    it('queues behind the displayed size at its price', () => {
+        const order = buyAt100();
+        expect(order.queueAhead).toBe(3);
+        expect(order.status).toBe(WORKING_ORDER_STATUS.WORKING);
+    });
+
+    it('records immediate taker fills', () => {
+        const order = buyAt100({ immediateFills: [{ price: 99.5, quantity: 0.5 }] });
+        expect(order.status).toBe(WORKING_ORDER_STATUS.PARTIALLY_FILLED);
+        expect(order.fills[0].liquidity).toBe('taker');
+        expect(remainingQty(order)).toBe(1.5);
+    });
+});
+
+describe('applyTrades', () => {
+    it('consumes the queue ahead before filling the order', () => {
+        const order = applyTrades(buyAt100(), [trade(2, 'Sell', 100, 2), trade(1, 'Sell', 100, 2)]);
+        expect(order.queueAhead).toBe(0);
+        expect(order.filledQty).toBe(1);
+        expect(order.lastTradeSeq).toBe(2);
+    });
+
+    it('ignores trades on our side, away from our price, or already seen', () => {
+        let order = applyTrades(buyAt100(), [trade(1, 'Buy', 100, 10), trade(2, 'Sell', 101, 10)]);
+        expect(order.filledQty).toBe(0);
+        order = applyTrades(order, [trade(2, 'Sell', 99, 10)]);
+        expect(order.filledQty).toBe(0);
+    });
+
+    it('fills completely when a trade goes through our price', () => {
+        const order = applyTrades(buyAt100(), [trade(1, 'Sell', 99, 10)]);
+        expect(order.status).toBe(WORKING_ORDER_STATUS.FILLED);
+        expect(averageFillPrice(order)).toBe(100);
+    });
+});
+
+describe('applyBookUpdate', () => {
+    it('moves up the queue when size ahead is cancelled', () => {
+        const order = applyBookUpdate(buyAt100(), { ...book, bids: [['100', '1']] }, 1);
+        expect(order.queueAhead).toBe(1);
+    });
+
+    it('fills against the other side crossing our price', () => {
+        const order = applyBookUpdate(buyAt100(), { bids: [], asks: [['100', '0.5']] }, 1);
+        expect(order.filledQty).toBe(0.5);
+        expect(order.queueAhead).toBe(0);
+    });
+
+    it('fills from a crossing level that stays on the book only once', () => {
+        let order = buyAt100({ quantity: 10 });
+        for (let now = 1; now <= 10; now++) {
+            order = applyBookUpdate(order, { bids: [], asks: [['100', '1']] }, now);
+        }
+        expect(order.filledQty).toBe(1);
+        // Size added to the level is new liquidity
+        order = applyBookUpdate(order, { bids: [], asks: [['99.5', '2'], ['100', '1.5']] }, 11);
+        expect(order.filledQty).toBe(3.5);
+    });
+
+    it('does not refill from levels its marketable part took at submit', () => {
+        const crossed = { bids: [['99', '5']], asks: [['100', '1']] };
+        const order = buyAt100({ book: crossed, immediateFills: [{ price: 100, quantity: 1 }] });
+        expect(applyBookUpdate(order, crossed, 1).filledQty).toBe(1);
+    });
+
+    it('returns the same object when nothing changed', () => {
+        const order = buyAt100();
+        expect(applyBookUpdate(order, book, 1)).toBe(order);
+    });
+});
+
+describe('amend and cancel', () => {
+    it('keeps priority when reducing size and loses it otherwise', () => {
+        const moved = applyBookUpdate(buyAt100(), { ...book, bids: [['100', '1']] }, 1);
+        expect(amendWorkingOrder(moved, { quantity: 1 }, book).queueAhead).toBe(1);
+        expect(amendWorkingOrder(moved, { quantity: 5 }, book).queueAhead).toBe(3);
+        expect(amendWorkingOrder(moved, { price: 99 }, book).queueAhead).toBe(5);
+    });
+
+    it('fills from each level once when amended across the book', () => {
+        let order = buyAt100({ quantity: 10 });
+        order = applyBookUpdate(amendWorkingOrder(order, { price: 101 }, book), book, 1);
+        expect(order.filledQty).toBe(2);
+        expect(order.taken).toEqual({ 101: 2 });
+
+        // Further through the book, only the new level fills
+        order = applyBookUpdate(amendWorkingOrder(order, { price: 102 }, book), book, 2);
+        expect(order.filledQty).toBe(6);
+
+        // Back behind the book, nothing crosses and nothing is kept
+        order = amendWorkingOrder(order, { price: 100 }, book);
+        expect(order.taken).toEqual({});
+        expect(order.queueAhead).toBe(3);
+    });
+
+    it('cancels only working orders', () => {
+        const cancelled = cancelWorkingOrder(buyAt100());
+        expect(cancelled.status).toBe(WORKING_ORDER_STATUS.CANCELLED);
+        expect(applyTrades(cancelled, [trade(1, 'Sell', 99, 10)]).filledQty).toBe(0);
+    });
+});
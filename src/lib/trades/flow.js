@@ -0,0 +1,88 @@
+// --- Trade flow analytics ---
+// Rolling statistics over public trades: buy/sell (aggressor) volume, volume
+// delta, cumulative volume delta (CVD) and trade-weighted VWAP.
+//
+// Trades are { price, size, side, timestamp, seq } as published by
+// useOrderbookFeeds, where `side` is the aggressor. Windows are measured back
+// from the newest trade's own timestamp rather than the wall clock, so a
+// replayed session gives the same numbers as it did live.
+
+const signedSize = (trade) => (trade.side === 'Buy' ? trade.size : -trade.size);
+
+export const summarizeTrades = (trades) => {
+    let buyVolume = 0;
+    let sellVolume = 0;
+    let notional = 0;
+    for (const trade of trades) {
+        if (trade.side === 'Buy') buyVolume += trade.size;
+        else sellVolume += trade.size;
+        notional += trade.price * trade.size;
+    }
+    const volume = buyVolume + sellVolume;
+    return {
+        count: trades.length,
+        buyVolume,
+        sellVolume,
+        volume,
+        delta: buyVolume - sellVolume,
+        // Share of volume bought by aggressors, 0..1
+        buyRatio: volume > 0 ? buyVolume / volume : null,
+        vwap: volume > 0 ? notional / volume : null,
+    };
+};
+
+// Size at percentile `p` (0..1) of the given trades, null when there are none
+export const sizePercentile = (trades, p) => {
+    if (trades.length === 0) return null;
+    const sizes = trades.map(trade => trade.size).sort((a, b) => a - b);
+    return sizes[Math.min(sizes.length - 1, Math.floor(sizes.length * p))];
+};
+
+// Keeps trades for up to `maxAgeMs` and the session's running CVD, which,
+// unlike the windowed stats, counts every trade seen since it was created.
+// Adding the same trades again is harmless: anything at or below the last
+// `seq` seen is skipped.
+export const createTradeFlow = ({ maxAgeMs = 15 * 60 * 1000, maxPoints = 2000 } = {}) => {
+    let trades = [];
+    let cvdPoints = [];
+    let cvd = 0;
+    let lastSeq = 0;
+    let newestTimestamp = -Infinity;
+
+    // `batch` is newest first, as kept by useOrderbookFeeds
+    const add = (batch) => {
+        let added = false;
+        for (let i = batch.length - 1; i >= 0; i--) {
+            const trade = batch[i];
+            if (trade.seq <= lastSeq) continue;
+            lastSeq = trade.seq;
+            newestTimestamp = Math.max(newestTimestamp, trade.timestamp);
+            cvd += signedSize(trade);
+            trades.push(trade);
+            cvdPoints.push({ timestamp: trade.timestamp, cvd });
+            added = true;
+        }
+        if (!added) return false;
+
+        const cutoff = newestTimestamp - maxAgeMs;
+        if (trades[0].timestamp < cutoff) trades = trades.filter(trade => trade.timestamp >= cutoff);
+        if (cvdPoints[0].timestamp < cutoff) cvdPoints = cvdPoints.filter(point => point.timestamp >= cutoff);
+        if (cvdPoints.length > maxPoints) cvdPoints = cvdPoints.slice(-maxPoints);
+        return true;
+    };
+
+    // Trades in the last `windowMs` before the newest one, in arrival order.
+    // Venue clocks differ, so merged feeds are not strictly in timestamp order.
+    const recent = (windowMs) => {
+        const cutoff = newestTimestamp - windowMs;
+        return trades.filter(trade => trade.timestamp > cutoff);
+    };
+
+    return {
+        add,
+        recent,
+        cvd: () => cvd,
+        cvdSeries: () => cvdPoints,
+        maxAgeMs,
+    };
+};
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { summarizeTrades, sizePercentile, createTradeFlow } from './flow';
+
+const trade = (seq, side, size, price = 100, timestamp = seq * 1000) => ({ seq, side, size, price, timestamp });
+// useOrderbookFeeds keeps trades newest first
+const newestFirst = (trades) => [...trades].reverse();
+
+describe('summarizeTrades', () => {
+    it('splits volume by aggressor and weights VWAP by size', () => {
+        const stats = summarizeTrades([trade(1, 'Buy', 3, 100), trade(2, 'Sell', 1, 104)]);
+        expect(stats.buyVolume).toBe(3);
+        expect(stats.sellVolume).toBe(1);
+        expect(stats.delta).toBe(2);
+        expect(stats.buyRatio).toBe(0.75);
+        expect(stats.vwap).toBe(101);
+    });
+
+    it('reports no VWAP or ratio without volume', () => {
+        const stats = summarizeTrades([]);
+        expect(stats.vwap).toBeNull();
+        expect(stats.buyRatio).toBeNull();
+        expect(stats.count).toBe(0);
+    });
+
+    it('keeps VWAP within the traded prices', () => {
+        const tradeArb = fc.record({
+            seq: fc.nat(),
+            side: fc.constantFrom('Buy', 'Sell'),
+            size: fc.double({ min: 0.001, max: 100, noNaN: true }),
+            price: fc.double({ min: 1, max: 100000, noNaN: true }),
+            timestamp: fc.nat(),
+        });
+        fc.assert(fc.property(fc.array(tradeArb, { minLength: 1 }), (trades) => {
+            const { vwap, volume, buyVolume, sellVolume } = summarizeTrades(trades);
+            const prices = trades.map(t => t.price);
+            expect(vwap).toBeGreaterThanOrEqual(Math.min(...prices) * (1 - 1e-9));
+            expect(vwap).toBeLessThanOrEqual(Math.max(...prices) * (1 + 1e-9));
+            expect(volume).toBeCloseTo(buyVolume + sellVolume);
+        }));
+    });
+});
+
+describe('sizePercentile', () => {
+    it('returns the size at the percentile', () => {
+        const trades = Array.from({ length: 20 }, (_, i) => trade(i, 'Buy', i + 1));
+        expect(sizePercentile(trades, 0.95)).toBe(20);
+        expect(sizePercentile(trades, 0.5)).toBe(11);
+        expect(sizePercentile([], 0.5)).toBeNull();
+    });
+});
+
+describe('createTradeFlow', () => {
+    it('accumulates CVD over every trade and ignores ones already seen', () => {
+        const flow = createTradeFlow();
+        const first = [trade(1, 'Buy', 2), trade(2, 'Sell', 0.5)];
+        expect(flow.add(newestFirst(first))).toBe(true);
+        expect(flow.add(newestFirst(first))).toBe(false);
+        flow.add(newestFirst([...first, trade(3, 'Buy', 1)]));
+        expect(flow.cvd()).toBe(2.5);
+        expect(flow.cvdSeries().map(point => point.cvd)).toEqual([2, 1.5, 2.5]);
+    });
+
+    it('measures windows back from the newest trade', () => {
+        const flow = createTradeFlow();
+        flow.add(newestFirst([trade(1, 'Buy', 1, 100, 0), trade(2, 'Buy', 1, 100, 30000), trade(3, 'Sell', 1, 100, 65000)]));
+        expect(flow.recent(60000).map(t => t.seq)).toEqual([2, 3]);
+        expect(flow.recent(1000).map(t => t.seq)).toEqual([3]);
+    });
+
+    it('forgets trades older than its maximum age but keeps the session CVD', () => {
+        const flow = createTradeFlow({ maxAgeMs: 10000, maxPoints: 2 });
+        flow.add(newestFirst([trade(1, 'Buy', 1, 100, 0), trade(2, 'Buy', 1, 100, 5000), trade(3, 'Buy', 1, 100, 6000), trade(4, 'Buy', 1, 100, 20000)]));
+        expect(flow.recent(Infinity).map(t => t.seq)).toEqual([4]);
+        expect(flow.cvdSeries()).toEqual([{ timestamp: 20000, cvd: 4 }]);
+        expect(flow.cvd()).toBe(4);
+    });
+});
@@ -0,0 +1,45 @@
+import { MESSAGE_TYPES } from './registry';
+
+// The partial depth stream pushes a complete top-20 book every 100ms, so every
+// message is a snapshot and no REST bootstrap is needed.
+const depthStream = (symbol) => `${symbol.toLowerCase()}@depth20@100ms`;
+const tradeStream = (symbol) => `${symbol.toLowerCase()}@trade`;
+
+export const binance = {
+    id: 'Binance',
+    color: '#FACC15',
+    url: 'wss://stream.binance.com:9443/ws',
+    // Regular tier spot fees, as fractions of notional
+    fees: { maker: 0.001, taker: 0.001 },
+    toNativeSymbol: ({ base, quote, kind }) => (kind === 'spot' ? `${base}${quote}` : null),
+    subscribe: (symbol) => ({ method: 'SUBSCRIBE', params: [depthStream(symbol)], id: 1 }),
+    unsubscribe: (symbol) => ({ method: 'UNSUBSCRIBE', params: [depthStream(symbol)], id: 2 }),
+    subscribeTrades: (symbol) => ({ method: 'SUBSCRIBE', params: [tradeStream(symbol)], id: 3 }),
+    unsubscribeTrades: (symbol) => ({ method: 'UNSUBSCRIBE', params: [tradeStream(symbol)], id: 4 }),
+    // Binance uses protocol-level ping frames, which the browser answers itself
+    keepalive: null,
+    classify: (data) => {
+        if (data.code && data.msg) return MESSAGE_TYPES.ERROR;
+        if (data.id !== undefined && 'result' in data) return MESSAGE_TYPES.ACK;
+        if (data.lastUpdateId !== undefined && data.bids && data.asks) return MESSAGE_TYPES.BOOK;
+        if (data.e === 'trade') return MESSAGE_TYPES.TRADE;
+        return MESSAGE_TYPES.UNKNOWN;
+    },
+    parseBook: (data) => ({
+        action: 'snapshot',
+        bids: data.bids,
+        asks: data.asks,
+        seqId: data.lastUpdateId,
+        prevSeqId: null,
+    }),
+    // m is true when the buyer was the maker, i.e. the aggressor sold
+    parseTrades: (data) => [{
+        id: data.t,
+        price: parseFloat(data.p),
+        size: parseFloat(data.q),
+        side: data.m ? 'Sell' : 'Buy',
+        timestamp: data.T,
+    }],
+    // Only trades are stamped (E, the event time); partial depth messages carry no time
+    messageTime: (data) => data.E || null,
+};
@@ -0,0 +1,60 @@
+import { MESSAGE_TYPES } from './registry';
+
+export const bybit = {
+    id: 'Bybit',
+    color: '#F59E0B',
+    url: 'wss://stream.bybit.com/v5/public/spot',
+    mockPath: '/bybit',
+    // Non-VIP spot fees, as fractions of notional
+    fees: { maker: 0.001, taker: 0.001 },
+    toNativeSymbol: ({ base, quote, kind }) => (kind === 'spot' ? `${base}${quote}` : null),
+    subscribe: (instId) => ({ op: 'subscribe', args: [`orderbook.50.${instId}`] }),
+    unsubscribe: (instId) => ({ op: 'unsubscribe', args: [`orderbook.50.${instId}`] }),
+    subscribeTrades: (instId) => ({ op: 'subscribe', args: [`publicTrade.${instId}`] }),
+    unsubscribeTrades: (instId) => ({ op: 'unsubscribe', args: [`publicTrade.${instId}`] }),
+    // The spot stream has no mark price or funding; its ticker gives the last price and the USD index
+    subscribeTicker: (instId) => ({ op: 'subscribe', args: [`tickers.${instId}`] }),
+    unsubscribeTicker: (instId) => ({ op: 'unsubscribe', args: [`tickers.${instId}`] }),
+    // Bybit requires a ping every 20s
+    keepalive: { intervalMs: 20000, message: () => ({ op: 'ping' }) },
+    classify: (data) => {
+        if (data.op === 'pong' || data.op === 'ping') return MESSAGE_TYPES.HEARTBEAT;
+        if (data.op) return data.success === false ? MESSAGE_TYPES.ERROR : MESSAGE_TYPES.ACK;
+        if (data.topic && data.topic.startsWith('orderbook.50') && data.data) return MESSAGE_TYPES.BOOK;
+        if (data.topic && data.topic.startsWith('publicTrade.') && data.data) return MESSAGE_TYPES.TRADE;
+        if (data.topic && data.topic.startsWith('tickers.') && data.data) return MESSAGE_TYPES.TICKER;
+        return MESSAGE_TYPES.UNKNOWN;
+    },
+    parseBook: (data) => {
+        const { b: bids, a: asks, u } = data.data;
+        // u === 1 means Bybit restarted the service and is sending a fresh snapshot
+        const isSnapshot = data.type === 'snapshot' || u === 1;
+        return {
+            action: isSnapshot ? 'snapshot' : 'delta',
+            bids,
+            asks,
+            seqId: u,
+            // u is the topic's update sequence (seq is shared with other depths), so
+            // each delta must follow the last update by exactly one; a repeated,
+            // older or skipped u resyncs the book
+            prevSeqId: isSnapshot ? null : u - 1,
+        };
+    },
+    // S is the taker's side
+    parseTrades: (data) => data.data.map(({ i, p, v, S, T }) => ({
+        id: i,
+        price: parseFloat(p),
+        size: parseFloat(v),
+        side: S,
+        timestamp: T,
+    })),
+    // usdIndexPrice is missing or empty for pairs Bybit has no index for
+    parseTicker: (data) => {
+        const { lastPrice, usdIndexPrice } = data.data;
+        const ticker = { lastPrice: parseFloat(lastPrice), timestamp: data.ts };
+        if (usdIndexPrice) ticker.indexPrice = parseFloat(usdIndexPrice);
+        return ticker;
+    },
+    // ts is when Bybit pushed the message; cts, the matching engine time, is only on books
+    messageTime: (data) => data.ts || null,
+};
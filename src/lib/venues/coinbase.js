@@ -0,0 +1,46 @@
+import { MESSAGE_TYPES } from './registry';
+
+export const coinbase = {
+    id: 'Coinbase',
+    color: '#3B82F6',
+    url: 'wss://ws-feed.exchange.coinbase.com',
+    // Lowest volume tier, as fractions of notional
+    fees: { maker: 0.004, taker: 0.006 },
+    toNativeSymbol: ({ base, quote, kind }) => (kind === 'spot' ? `${base}-${quote}` : null),
+    // level2_batch is the unauthenticated level 2 channel, batched every 50ms
+    subscribe: (productId) => ({ type: 'subscribe', product_ids: [productId], channels: ['level2_batch', 'heartbeat'] }),
+    unsubscribe: (productId) => ({ type: 'unsubscribe', product_ids: [productId], channels: ['level2_batch', 'heartbeat'] }),
+    subscribeTrades: (productId) => ({ type: 'subscribe', product_ids: [productId], channels: ['matches'] }),
+    unsubscribeTrades: (productId) => ({ type: 'unsubscribe', product_ids: [productId], channels: ['matches'] }),
+    keepalive: null,
+    classify: (data) => {
+        if (data.type === 'heartbeat') return MESSAGE_TYPES.HEARTBEAT;
+        if (data.type === 'error') return MESSAGE_TYPES.ERROR;
+        if (data.type === 'subscriptions') return MESSAGE_TYPES.ACK;
+        if (data.type === 'snapshot' || data.type === 'l2update') return MESSAGE_TYPES.BOOK;
+        if (data.type === 'match' || data.type === 'last_match') return MESSAGE_TYPES.TRADE;
+        return MESSAGE_TYPES.UNKNOWN;
+    },
+    parseBook: (data) => {
+        if (data.type === 'snapshot') {
+            return { action: 'snapshot', bids: data.bids, asks: data.asks, seqId: null, prevSeqId: null };
+        }
+        // l2update carries [side, price, size] changes and no sequence number
+        const bids = [];
+        const asks = [];
+        for (const [side, price, size] of data.changes) {
+            (side === 'buy' ? bids : asks).push([price, size]);
+        }
+        return { action: 'delta', bids, asks, seqId: null, prevSeqId: null };
+    },
+    // Coinbase reports the maker's side, so the aggressor is the opposite one
+    parseTrades: (data) => [{
+        id: data.trade_id,
+        price: parseFloat(data.price),
+        size: parseFloat(data.size),
+        side: data.side === 'buy' ? 'Sell' : 'Buy',
+        timestamp: Date.parse(data.time),
+    }],
+    // The snapshot carries no time
+    messageTime: (data) => (data.time ? Date.parse(data.time) : null),
+};
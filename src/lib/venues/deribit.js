@@ -0,0 +1,97 @@
+import { MESSAGE_TYPES } from './registry';
+
+export const deribit = {
+    id: 'Deribit',
+    color: '#34D399',
+    url: 'wss://www.deribit.com/ws/api/v2',
+    mockPath: '/deribit',
+    // Perpetual fees, as fractions of notional
+    fees: { maker: 0, taker: 0.0005 },
+    toNativeSymbol: ({ base, quote, kind }) => {
+        if (kind !== 'perp') return null;
+        // Inverse perpetuals are quoted in USD, linear ones are BASE_USDC-PERPETUAL
+        return quote === 'USD' ? `${base}-PERPETUAL` : `${base}_${quote}-PERPETUAL`;
+    },
+    subscribe: (instId) => ({
+        jsonrpc: '2.0',
+        method: 'public/subscribe',
+        params: { channels: [`book.${instId}.100ms`] }
+    }),
+    unsubscribe: (instId) => ({
+        jsonrpc: '2.0',
+        method: 'public/unsubscribe',
+        params: { channels: [`book.${instId}.100ms`] }
+    }),
+    subscribeTrades: (instId) => ({
+        jsonrpc: '2.0',
+        method: 'public/subscribe',
+        params: { channels: [`trades.${instId}.100ms`] }
+    }),
+    unsubscribeTrades: (instId) => ({
+        jsonrpc: '2.0',
+        method: 'public/unsubscribe',
+        params: { channels: [`trades.${instId}.100ms`] }
+    }),
+    subscribeTicker: (instId) => ({
+        jsonrpc: '2.0',
+        method: 'public/subscribe',
+        params: { channels: [`ticker.${instId}.100ms`] }
+    }),
+    unsubscribeTicker: (instId) => ({
+        jsonrpc: '2.0',
+        method: 'public/unsubscribe',
+        params: { channels: [`ticker.${instId}.100ms`] }
+    }),
+    keepalive: null,
+    classify: (data) => {
+        if (data.method === 'heartbeat') return MESSAGE_TYPES.HEARTBEAT;
+        if (data.error) return MESSAGE_TYPES.ERROR;
+        if (data.id !== undefined && data.result !== undefined) return MESSAGE_TYPES.ACK;
+        if (data.params && data.params.channel && data.params.channel.startsWith('book.') && data.params.data) return MESSAGE_TYPES.BOOK;
+        if (data.params && data.params.channel && data.params.channel.startsWith('trades.') && data.params.data) return MESSAGE_TYPES.TRADE;
+        if (data.params && data.params.channel && data.params.channel.startsWith('ticker.') && data.params.data) return MESSAGE_TYPES.TICKER;
+        return MESSAGE_TYPES.UNKNOWN;
+    },
+    // Deribit expects a public/test call in response to a heartbeat test_request
+    onHeartbeat: (data) => (data.params && data.params.type === 'test_request'
+        ? { jsonrpc: '2.0', method: 'public/test', params: {} }
+        : null),
+    parseBook: (data) => {
+        const { type, bids, asks, change_id, prev_change_id } = data.params.data;
+        // Deribit gives [action, price, amount] triplets; 'delete' removes the level
+        const toLevel = ([action, price, amount]) => [price.toString(), action === 'delete' ? '0' : amount.toString()];
+        return {
+            action: type === 'snapshot' ? 'snapshot' : 'delta',
+            bids: bids.map(toLevel),
+            asks: asks.map(toLevel),
+            seqId: change_id,
+            prevSeqId: type === 'snapshot' ? null : prev_change_id,
+        };
+    },
+    // direction is the taker's side; amount uses the book's size unit
+    parseTrades: (data) => data.params.data.map(({ trade_id, price, amount, direction, timestamp }) => ({
+        id: trade_id,
+        price,
+        size: amount,
+        side: direction === 'buy' ? 'Buy' : 'Sell',
+        timestamp,
+    })),
+    // Perpetual funding accrues continuously; funding_8h is the rate over the last 8 hours
+    parseTicker: (data) => {
+        const { mark_price, index_price, last_price, funding_8h, timestamp } = data.params.data;
+        return {
+            markPrice: mark_price,
+            indexPrice: index_price,
+            lastPrice: last_price,
+            fundingRate: funding_8h,
+            fundingIntervalHours: 8,
+            nextFundingTime: null,
+            timestamp,
+        };
+    },
+    messageTime: (data) => {
+        const payload = data.params.data;
+        if (Array.isArray(payload)) return payload.length > 0 ? payload[payload.length - 1].timestamp : null;
+        return payload.timestamp || null;
+    },
+};
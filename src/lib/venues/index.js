@@ -0,0 +1,12 @@
+import { registerVenue } from './registry';
+import { okx } from './okx';
+import { bybit } from './bybit';
+import { deribit } from './deribit';
+import { binance } from './binance';
+import { coinbase } from './coinbase';
+import { kraken } from './kraken';
+
+// Registration order is the tab order in the UI
+[okx, bybit, deribit, binance, coinbase, kraken].forEach(registerVenue);
+
+export { MESSAGE_TYPES, registerVenue, getVenue, listVenues, venueUrl } from './registry';
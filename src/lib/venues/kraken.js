@@ -0,0 +1,61 @@
+import { MESSAGE_TYPES } from './registry';
+import { krakenChecksum } from '@/lib/orderbook/checksum';
+import { getInstrument } from '@/lib/instruments/catalog';
+import { decimalsOf } from '@/lib/instruments/precision';
+
+const BOOK_DEPTH = 25;
+
+export const kraken = {
+    id: 'Kraken',
+    color: '#A78BFA',
+    url: 'wss://ws.kraken.com/v2',
+    // Lowest volume tier, as fractions of notional
+    fees: { maker: 0.0025, taker: 0.004 },
+    toNativeSymbol: ({ base, quote, kind }) => (kind === 'spot' ? `${base}/${quote}` : null),
+    subscribe: (symbol) => ({ method: 'subscribe', params: { channel: 'book', symbol: [symbol], depth: BOOK_DEPTH } }),
+    unsubscribe: (symbol) => ({ method: 'unsubscribe', params: { channel: 'book', symbol: [symbol], depth: BOOK_DEPTH } }),
+    subscribeTrades: (symbol) => ({ method: 'subscribe', params: { channel: 'trade', symbol: [symbol] } }),
+    unsubscribeTrades: (symbol) => ({ method: 'unsubscribe', params: { channel: 'trade', symbol: [symbol] } }),
+    keepalive: { intervalMs: 30000, message: () => ({ method: 'ping' }) },
+    // Levels pushed out of the subscribed depth are not deleted by the venue
+    maxDepth: BOOK_DEPTH,
+    classify: (data) => {
+        if (data.channel === 'heartbeat' || data.method === 'pong') return MESSAGE_TYPES.HEARTBEAT;
+        if (data.method) return data.success === false ? MESSAGE_TYPES.ERROR : MESSAGE_TYPES.ACK;
+        if (data.channel === 'book' && data.data && data.data.length > 0) return MESSAGE_TYPES.BOOK;
+        if (data.channel === 'trade' && data.data) return MESSAGE_TYPES.TRADE;
+        return MESSAGE_TYPES.UNKNOWN;
+    },
+    // Prices come as JSON numbers, so the checksum rebuilds the strings it is
+    // computed over from the instrument's tick and lot size
+    checksum: (bids, asks, symbol) => {
+        const instrument = getInstrument('Kraken', symbol);
+        if (!instrument) return null;
+        return krakenChecksum(bids, asks, { priceDecimals: decimalsOf(instrument.tickSize), sizeDecimals: decimalsOf(instrument.lotSize) });
+    },
+    parseBook: (data) => {
+        const { bids, asks, checksum } = data.data[0];
+        const toLevel = ({ price, qty }) => [price.toString(), qty.toString()];
+        return {
+            action: data.type === 'snapshot' ? 'snapshot' : 'delta',
+            bids: bids.map(toLevel),
+            asks: asks.map(toLevel),
+            seqId: null,
+            prevSeqId: null,
+            checksum,
+        };
+    },
+    // side is the taker's side
+    parseTrades: (data) => data.data.map(({ trade_id, price, qty, side, timestamp }) => ({
+        id: trade_id,
+        price,
+        size: qty,
+        side: side === 'buy' ? 'Buy' : 'Sell',
+        timestamp: Date.parse(timestamp),
+    })),
+    // Book snapshots carry no time
+    messageTime: (data) => {
+        const last = data.data[data.data.length - 1];
+        return last && last.timestamp ? Date.parse(last.timestamp) : null;
+    },
+};
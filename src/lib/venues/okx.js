@@ -0,0 +1,75 @@
+import { MESSAGE_TYPES } from './registry';
+import { okxChecksum } from '@/lib/orderbook/checksum';
+
+export const okx = {
+    id: 'OKX',
+    color: '#60A5FA',
+    url: 'wss://ws.okx.com:8443/ws/v5/public',
+    mockPath: '/okx',
+    // Regular tier swap fees, as fractions of notional
+    fees: { maker: 0.0002, taker: 0.0005 },
+    toNativeSymbol: ({ base, quote, kind }) => (kind === 'perp' ? `${base}-${quote}-SWAP` : `${base}-${quote}`),
+    subscribe: (instId) => ({ op: 'subscribe', args: [{ channel: 'books', instId }] }),
+    unsubscribe: (instId) => ({ op: 'unsubscribe', args: [{ channel: 'books', instId }] }),
+    subscribeTrades: (instId) => ({ op: 'subscribe', args: [{ channel: 'trades', instId }] }),
+    unsubscribeTrades: (instId) => ({ op: 'unsubscribe', args: [{ channel: 'trades', instId }] }),
+    // Funding and mark price only exist for swaps; both channels push a one-entry data array
+    subscribeTicker: (instId) => (instId.endsWith('-SWAP')
+        ? { op: 'subscribe', args: [{ channel: 'funding-rate', instId }, { channel: 'mark-price', instId }] }
+        : null),
+    unsubscribeTicker: (instId) => (instId.endsWith('-SWAP')
+        ? { op: 'unsubscribe', args: [{ channel: 'funding-rate', instId }, { channel: 'mark-price', instId }] }
+        : null),
+    // OKX drops connections that are silent for 30s; it answers a plain 'ping' with 'pong'
+    keepalive: { intervalMs: 25000, message: () => 'ping' },
+    classify: (data) => {
+        if (data === 'pong') return MESSAGE_TYPES.HEARTBEAT;
+        if (data.event === 'error') return MESSAGE_TYPES.ERROR;
+        if (data.event) return MESSAGE_TYPES.ACK;
+        if (data.arg && data.arg.channel === 'books' && data.data && data.data.length > 0) return MESSAGE_TYPES.BOOK;
+        if (data.arg && data.arg.channel === 'trades' && data.data) return MESSAGE_TYPES.TRADE;
+        if (data.arg && (data.arg.channel === 'funding-rate' || data.arg.channel === 'mark-price') && data.data && data.data.length > 0) return MESSAGE_TYPES.TICKER;
+        return MESSAGE_TYPES.UNKNOWN;
+    },
+    parseBook: (data) => {
+        const { bids, asks, seqId, prevSeqId, checksum } = data.data[0];
+        // OKX levels are [price, size, deprecated, orderCount]
+        return {
+            action: data.action === 'snapshot' ? 'snapshot' : 'delta',
+            bids: bids.map(([price, size]) => [price, size]),
+            asks: asks.map(([price, size]) => [price, size]),
+            seqId,
+            // prevSeqId is -1 on snapshots
+            prevSeqId: data.action === 'snapshot' ? null : prevSeqId,
+            checksum,
+        };
+    },
+    // side is the taker's side
+    parseTrades: (data) => data.data.map(({ tradeId, px, sz, side, ts }) => ({
+        id: tradeId,
+        price: parseFloat(px),
+        size: parseFloat(sz),
+        side: side === 'buy' ? 'Buy' : 'Sell',
+        timestamp: parseInt(ts, 10),
+    })),
+    // fundingTime is the next settlement and nextFundingTime the one after, so
+    // their difference is the funding interval
+    parseTicker: (data) => {
+        const entry = data.data[0];
+        if (data.arg.channel === 'mark-price') return { markPrice: parseFloat(entry.markPx), timestamp: parseInt(entry.ts, 10) };
+        const fundingTime = parseInt(entry.fundingTime, 10);
+        const nextFundingTime = parseInt(entry.nextFundingTime, 10);
+        return {
+            fundingRate: parseFloat(entry.fundingRate),
+            fundingIntervalHours: nextFundingTime > fundingTime ? (nextFundingTime - fundingTime) / 3600000 : 8,
+            nextFundingTime: fundingTime,
+            timestamp: parseInt(entry.ts, 10),
+        };
+    },
+    // Book messages carry one entry; trade batches are stamped per trade
+    messageTime: (data) => {
+        const last = data.data && data.data[data.data.length - 1];
+        return last && last.ts ? parseInt(last.ts, 10) : null;
+    },
+    checksum: okxChecksum,
+};
@@ -0,0 +1,87 @@
+// --- Venue adapter registry ---
+//
+// A venue adapter describes everything venue-specific about an order book feed:
+//
+//   id              Display name and registry key, e.g. 'OKX'
+//   color           Hex colour used to attribute size to the venue in aggregated views
+//   url             WebSocket endpoint
+//   fees            { maker, taker } fee rates as fractions of notional (0.0005 = 5 bps)
+//   toNativeSymbol  ({ base, quote, kind }) => native id, or null if the venue has no such market;
+//                   ids are only used if they also appear in lib/instruments/catalog.js
+//   subscribe       (symbol) => message that subscribes to the book channel
+//   unsubscribe     (symbol) => message that unsubscribes from it
+//   keepalive       Optional { intervalMs, message: () => string | object } sent while the socket is open
+//   classify        (data) => one of MESSAGE_TYPES; data is the parsed JSON, or the raw string if it was not JSON
+//   parseBook       (data) => normalised book update for createLocalBook, see lib/orderbook/localBook.js
+//   subscribeTrades, unsubscribeTrades
+//                   (symbol) => messages for the public trades channel
+//   parseTrades     (data) => [{ id, price, size, side, timestamp }] where side is the
+//                   aggressor ('Buy' or 'Sell'), size is in the book's size unit and
+//                   timestamp is exchange time in ms
+//   subscribeTicker, unsubscribeTicker
+//                   Optional (symbol) => messages for the venue's mark price, index price and
+//                   funding channels, or null if the market has none (e.g. OKX spot)
+//   parseTicker     (data) => the fields a ticker message carries, out of { markPrice,
+//                   indexPrice, lastPrice, fundingRate, fundingIntervalHours, nextFundingTime,
+//                   timestamp }; fundingRate is per funding interval, times are in ms
+//   messageTime     Optional (data) => exchange time in ms of a book or trades message, or
+//                   null if it carries none; used to measure feed latency
+//   onHeartbeat     Optional (data) => reply to send for a 'heartbeat' message, or null
+//   checksum        Optional (topBids, topAsks, symbol) => checksum the venue sends with each update
+//   maxDepth        Optional number of levels per side the venue keeps the book to; it does
+//                   not delete levels that fall out of it, so the local book drops them
+//   mockPath        Optional path of this venue's protocol on the local mock exchange
+//                   (scripts/mock-exchange.mjs), e.g. '/okx'
+//
+// Outgoing messages may be objects (sent as JSON) or plain strings (sent as-is).
+
+export const MESSAGE_TYPES = {
+    BOOK: 'book',
+    TRADE: 'trade',
+    TICKER: 'ticker',
+    HEARTBEAT: 'heartbeat',
+    ACK: 'ack',
+    ERROR: 'error',
+    UNKNOWN: 'unknown',
+};
+
+const adapters = new Map();
+
+export const registerVenue = (adapter) => {
+    if (adapters.has(adapter.id)) {
+        throw new Error(`Venue adapter "${adapter.id}" is already registered.`);
+    }
+    adapters.set(adapter.id, adapter);
+    return adapter;
+};
+
+export const getVenue = (id) => adapters.get(id);
+
+export const listVenues = () => [...adapters.keys()];
+
+// --- Endpoint configuration ---
+// Read at build time, since Next.js inlines NEXT_PUBLIC_ variables:
+//   NEXT_PUBLIC_MOCK_EXCHANGE_URL  base URL of the local mock exchange, e.g. ws://localhost:8765;
+//                                  venues with a mockPath connect to it instead of the real venue
+//   NEXT_PUBLIC_VENUE_URLS         JSON map of venue id to URL for individual overrides,
+//                                  e.g. {"OKX":"ws://localhost:8765/okx?gapRate=0.05"}
+const MOCK_EXCHANGE_URL = process.env.NEXT_PUBLIC_MOCK_EXCHANGE_URL;
+
+const parseUrlOverrides = (json) => {
+    if (!json) return {};
+    try {
+        return JSON.parse(json);
+    } catch (e) {
+        console.error('Ignoring NEXT_PUBLIC_VENUE_URLS, it is not valid JSON:', e);
+        return {};
+    }
+};
+
+const URL_OVERRIDES = parseUrlOverrides(process.env.NEXT_PUBLIC_VENUE_URLS);
+
+// WebSocket endpoint to connect to for an adapter, after configuration overrides
+export const venueUrl = (adapter) => {
+    if (URL_OVERRIDES[adapter.id]) return URL_OVERRIDES[adapter.id];
+    if (MOCK_EXCHANGE_URL && adapter.mockPath) return `${MOCK_EXCHANGE_URL.replace(/\/+$/, '')}${adapter.mockPath}`;
+    return adapter.url;
+};
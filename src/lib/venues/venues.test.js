@@ -0,0 +1,288 @@
+import { describe, it, expect } from 'vitest';
+import { getVenue, MESSAGE_TYPES } from '@/lib/venues';
+import { createLocalBook } from '@/lib/orderbook/localBook';
+import okx from './__fixtures__/okx.json';
+import bybit from './__fixtures__/bybit.json';
+import deribit from './__fixtures__/deribit.json';
+import binance from './__fixtures__/binance.json';
+import coinbase from './__fixtures__/coinbase.json';
+import kraken from './__fixtures__/kraken.json';
+
+// Fixtures follow each venue's documented message shapes. The OKX and Kraken
+// checksums are real CRC32s of the fixture books, so the checksum path is
+// exercised too.
+
+// Builds the local book the way the feed does for `symbol`
+const replay = (adapter, messages, symbol = null) => {
+    const book = createLocalBook({
+        verifyChecksum: adapter.checksum && ((bids, asks) => adapter.checksum(bids, asks, symbol)),
+        maxDepth: adapter.maxDepth,
+    });
+    const results = messages.map(message => book.apply(adapter.parseBook(message)));
+    return { book, results };
+};
+
+describe('OKX', () => {
+    const adapter = getVenue('OKX');
+
+    it('classifies every message type', () => {
+        expect(adapter.classify(okx.snapshot)).toBe(MESSAGE_TYPES.BOOK);
+        expect(adapter.classify(okx.update)).toBe(MESSAGE_TYPES.BOOK);
+        expect(adapter.classify(okx.trades)).toBe(MESSAGE_TYPES.TRADE);
+        expect(adapter.classify(okx.fundingRate)).toBe(MESSAGE_TYPES.TICKER);
+        expect(adapter.classify(okx.markPrice)).toBe(MESSAGE_TYPES.TICKER);
+        expect(adapter.classify(okx.subscribeAck)).toBe(MESSAGE_TYPES.ACK);
+        expect(adapter.classify(okx.error)).toBe(MESSAGE_TYPES.ERROR);
+        expect(adapter.classify(okx.pong)).toBe(MESSAGE_TYPES.HEARTBEAT);
+    });
+
+    it('parses a snapshot, dropping the deprecated and order count fields', () => {
+        const update = adapter.parseBook(okx.snapshot);
+        expect(update.action).toBe('snapshot');
+        expect(update.prevSeqId).toBeNull();
+        expect(update.bids[0]).toEqual(['67999.9', '12']);
+        expect(update.asks[0]).toEqual(['68000.1', '9']);
+    });
+
+    it('applies an update with a matching checksum', () => {
+        const { book, results } = replay(adapter, [okx.snapshot, okx.update]);
+        expect(results).toEqual([{ ok: true }, { ok: true }]);
+        expect(book.getLevels(3)).toEqual({
+            bids: [['68000.0', '3'], ['67999.9', '12'], ['67998.0', '7']],
+            asks: [['68000.1', '4'], ['68000.4', '25'], ['68001.2', '60']],
+        });
+    });
+
+    it('rejects a tampered checksum and a sequence gap', () => {
+        const tampered = structuredClone(okx.update);
+        tampered.data[0].checksum += 1;
+        expect(replay(adapter, [okx.snapshot, tampered]).results[1]).toMatchObject({ ok: false, reason: 'checksum' });
+        expect(replay(adapter, [okx.snapshot, okx.updateWithGap]).results[1]).toMatchObject({ ok: false, reason: 'gap' });
+    });
+
+    it('parses trades with the taker side', () => {
+        expect(adapter.parseTrades(okx.trades)).toEqual([
+            { id: '930563621', price: 68000.1, size: 5, side: 'Buy', timestamp: 1754035200250 },
+            { id: '930563622', price: 67999.9, size: 2, side: 'Sell', timestamp: 1754035200251 },
+        ]);
+    });
+
+    it('parses funding and mark price, subscribing to them only for swaps', () => {
+        expect(adapter.parseTicker(okx.fundingRate)).toEqual({
+            fundingRate: 0.0001, fundingIntervalHours: 8, nextFundingTime: 1754035200000, timestamp: 1754035200300,
+        });
+        expect(adapter.parseTicker(okx.markPrice)).toEqual({ markPrice: 68001.5, timestamp: 1754035200400 });
+        expect(adapter.subscribeTicker('BTC-USD-SWAP').args.map(arg => arg.channel)).toEqual(['funding-rate', 'mark-price']);
+        expect(adapter.subscribeTicker('BTC-USDT')).toBeNull();
+    });
+});
+
+describe('Bybit', () => {
+    const adapter = getVenue('Bybit');
+
+    it('classifies every message type', () => {
+        expect(adapter.classify(bybit.snapshot)).toBe(MESSAGE_TYPES.BOOK);
+        expect(adapter.classify(bybit.delta)).toBe(MESSAGE_TYPES.BOOK);
+        expect(adapter.classify(bybit.trades)).toBe(MESSAGE_TYPES.TRADE);
+        expect(adapter.classify(bybit.ticker)).toBe(MESSAGE_TYPES.TICKER);
+        expect(adapter.classify(bybit.subscribeAck)).toBe(MESSAGE_TYPES.ACK);
+        expect(adapter.classify(bybit.subscribeError)).toBe(MESSAGE_TYPES.ERROR);
+        expect(adapter.classify(bybit.pong)).toBe(MESSAGE_TYPES.HEARTBEAT);
+    });
+
+    it('resyncs when u repeats, goes back or skips ahead after the snapshot', () => {
+        const withU = (u) => ({ ...bybit.delta, data: { ...bybit.delta.data, u } });
+        const { u } = bybit.snapshot.data;
+        expect(replay(adapter, [bybit.snapshot, withU(u + 2)]).results[1]).toMatchObject({ ok: false, reason: 'gap' });
+        expect(replay(adapter, [bybit.snapshot, withU(u)]).results[1]).toMatchObject({ ok: false, reason: 'gap' });
+        expect(replay(adapter, [bybit.snapshot, bybit.delta, withU(u)]).results[2]).toMatchObject({ ok: false, reason: 'gap' });
+    });
+
+    it('chains deltas on consecutive update ids', () => {
+        const { book, results } = replay(adapter, [bybit.snapshot, bybit.delta]);
+        expect(results.every(result => result.ok)).toBe(true);
+        expect(book.getLevels()).toEqual({
+            bids: [['67999.90', '0.512']],
+            asks: [['68000.10', '0.100'], ['68000.20', '0.800'], ['68000.40', '2.000']],
+        });
+    });
+
+    it('treats u = 1 as a service restart snapshot', () => {
+        expect(adapter.parseBook(bybit.restartSnapshot).action).toBe('snapshot');
+        const { book } = replay(adapter, [bybit.snapshot, bybit.restartSnapshot]);
+        expect(book.getLevels()).toEqual({ bids: [['67990.00', '1.000']], asks: [['68010.00', '1.000']] });
+    });
+
+    it('parses trades', () => {
+        expect(adapter.parseTrades(bybit.trades)).toEqual([
+            { id: '2290000000123456789', price: 68000.1, size: 0.012, side: 'Buy', timestamp: 1754035200148 },
+        ]);
+    });
+
+    it('parses the spot ticker, which has no mark price or funding', () => {
+        expect(adapter.parseTicker(bybit.ticker)).toEqual({ lastPrice: 67995.1, indexPrice: 67990.2, timestamp: 1754035200500 });
+    });
+});
+
+describe('Deribit', () => {
+    const adapter = getVenue('Deribit');
+
+    it('classifies every message type', () => {
+        expect(adapter.classify(deribit.snapshot)).toBe(MESSAGE_TYPES.BOOK);
+        expect(adapter.classify(deribit.change)).toBe(MESSAGE_TYPES.BOOK);
+        expect(adapter.classify(deribit.trades)).toBe(MESSAGE_TYPES.TRADE);
+        expect(adapter.classify(deribit.ticker)).toBe(MESSAGE_TYPES.TICKER);
+        expect(adapter.classify(deribit.subscribeAck)).toBe(MESSAGE_TYPES.ACK);
+        expect(adapter.classify(deribit.error)).toBe(MESSAGE_TYPES.ERROR);
+        expect(adapter.classify(deribit.heartbeat)).toBe(MESSAGE_TYPES.HEARTBEAT);
+    });
+
+    it('answers heartbeat test requests', () => {
+        expect(adapter.onHeartbeat(deribit.heartbeat)).toMatchObject({ method: 'public/test' });
+        expect(adapter.onHeartbeat({ method: 'heartbeat', params: { type: 'heartbeat' } })).toBeNull();
+    });
+
+    it('turns triplets into levels, with delete meaning size 0', () => {
+        const update = adapter.parseBook(deribit.change);
+        expect(update).toMatchObject({ action: 'delta', seqId: 73110051405, prevSeqId: 73110051401 });
+        expect(update.bids).toEqual([['67999', '0']]);
+        const { book, results } = replay(adapter, [deribit.snapshot, deribit.change]);
+        expect(results.every(result => result.ok)).toBe(true);
+        expect(book.getLevels()).toEqual({
+            bids: [['67999.5', '125000']],
+            asks: [['68000', '80000'], ['68000.5', '10'], ['68001', '2500']],
+        });
+    });
+
+    it('parses trades', () => {
+        expect(adapter.parseTrades(deribit.trades)).toEqual([
+            { id: '317012301', price: 68000, size: 3000, side: 'Buy', timestamp: 1754035200200 },
+        ]);
+    });
+
+    it('parses the ticker with the 8 hour funding rate', () => {
+        expect(adapter.parseTicker(deribit.ticker)).toEqual({
+            markPrice: 68010.25,
+            indexPrice: 67990.31,
+            lastPrice: 68010,
+            fundingRate: 0.00012,
+            fundingIntervalHours: 8,
+            nextFundingTime: null,
+            timestamp: 1754035200600,
+        });
+    });
+});
+
+describe('Binance', () => {
+    const adapter = getVenue('Binance');
+
+    it('classifies every message type', () => {
+        expect(adapter.classify(binance.depth)).toBe(MESSAGE_TYPES.BOOK);
+        expect(adapter.classify(binance.trade)).toBe(MESSAGE_TYPES.TRADE);
+        expect(adapter.classify(binance.subscribeAck)).toBe(MESSAGE_TYPES.ACK);
+        expect(adapter.classify(binance.error)).toBe(MESSAGE_TYPES.ERROR);
+    });
+
+    it('treats every depth message as a snapshot', () => {
+        expect(adapter.parseBook(binance.depth)).toMatchObject({ action: 'snapshot', seqId: 74523160032 });
+    });
+
+    it('derives the aggressor from the buyer-is-maker flag', () => {
+        expect(adapter.parseTrades(binance.trade)).toEqual([
+            { id: 5123456789, price: 68000, size: 0.0015, side: 'Sell', timestamp: 1754035200124 },
+        ]);
+    });
+});
+
+describe('Coinbase', () => {
+    const adapter = getVenue('Coinbase');
+
+    it('classifies every message type', () => {
+        expect(adapter.classify(coinbase.snapshot)).toBe(MESSAGE_TYPES.BOOK);
+        expect(adapter.classify(coinbase.l2update)).toBe(MESSAGE_TYPES.BOOK);
+        expect(adapter.classify(coinbase.match)).toBe(MESSAGE_TYPES.TRADE);
+        expect(adapter.classify(coinbase.subscriptions)).toBe(MESSAGE_TYPES.ACK);
+        expect(adapter.classify(coinbase.heartbeat)).toBe(MESSAGE_TYPES.HEARTBEAT);
+        expect(adapter.classify(coinbase.error)).toBe(MESSAGE_TYPES.ERROR);
+    });
+
+    it('splits l2update changes by side', () => {
+        const { book } = replay(adapter, [coinbase.snapshot, coinbase.l2update]);
+        expect(book.getLevels()).toEqual({
+            bids: [['67999.99', '0.51234567']],
+            asks: [['68000.00', '0.10000000'], ['68000.01', '2']],
+        });
+    });
+
+    it('reports the aggressor, the opposite of the maker side', () => {
+        expect(adapter.parseTrades(coinbase.match)).toEqual([
+            { id: 612345678, price: 67999.99, size: 0.01, side: 'Sell', timestamp: Date.parse('2025-08-01T08:00:00.250000Z') },
+        ]);
+    });
+});
+
+describe('Kraken', () => {
+    const adapter = getVenue('Kraken');
+
+    it('classifies every message type', () => {
+        expect(adapter.classify(kraken.snapshot)).toBe(MESSAGE_TYPES.BOOK);
+        expect(adapter.classify(kraken.update)).toBe(MESSAGE_TYPES.BOOK);
+        expect(adapter.classify(kraken.trade)).toBe(MESSAGE_TYPES.TRADE);
+        expect(adapter.classify(kraken.subscribeAck)).toBe(MESSAGE_TYPES.ACK);
+        expect(adapter.classify(kraken.subscribeError)).toBe(MESSAGE_TYPES.ERROR);
+        expect(adapter.classify(kraken.heartbeat)).toBe(MESSAGE_TYPES.HEARTBEAT);
+        expect(adapter.classify(kraken.pong)).toBe(MESSAGE_TYPES.HEARTBEAT);
+    });
+
+    it('converts numeric price levels to strings and verifies the checksum', () => {
+        const { book, results } = replay(adapter, [kraken.snapshot, kraken.update], 'BTC/USD');
+        expect(results.every(result => result.ok)).toBe(true);
+        expect(book.getLevels()).toEqual({
+            bids: [['67999.9', '0.5']],
+            asks: [['68000', '0.25'], ['68000.4', '2']],
+        });
+    });
+
+    it('reports a checksum that does not match the book', () => {
+        const wrong = { ...kraken.update, data: [{ ...kraken.update.data[0], checksum: 1 }] };
+        const { results } = replay(adapter, [kraken.snapshot, wrong], 'BTC/USD');
+        expect(results[1]).toEqual({ ok: false, reason: 'checksum' });
+    });
+
+    it('drops levels a delta pushes out of the subscribed depth', () => {
+        const bids = Array.from({ length: 25 }, (_, i) => ({ price: 67999 - i, qty: 1 }));
+        const snapshot = { channel: 'book', type: 'snapshot', data: [{ symbol: 'BTC/USD', bids, asks: [{ price: 68001, qty: 1 }] }] };
+        // Kraken sends the new level but no delete for the one that fell out
+        const update = { channel: 'book', type: 'update', data: [{ symbol: 'BTC/USD', bids: [{ price: 68000, qty: 2 }], asks: [] }] };
+        const { book } = replay(adapter, [snapshot, update], 'BTC/USD');
+        const levels = book.getLevels().bids;
+        expect(levels).toHaveLength(25);
+        expect(levels[0]).toEqual(['68000', '2']);
+        expect(levels.map(([price]) => price)).not.toContain('67975');
+    });
+
+    it('parses trades', () => {
+        expect(adapter.parseTrades(kraken.trade)).toEqual([
+            { id: 80123456, price: 67999.9, size: 0.0125, side: 'Sell', timestamp: Date.parse('2025-08-01T08:00:00.250000Z') },
+        ]);
+    });
+});
+
+describe('messageTime', () => {
+    it('reads the exchange time from book and trades messages', () => {
+        expect(getVenue('OKX').messageTime(okx.snapshot)).toBe(1754035200123);
+        expect(getVenue('OKX').messageTime(okx.trades)).toBe(1754035200251);
+        expect(getVenue('Bybit').messageTime(bybit.delta)).toBe(1754035200143);
+        expect(getVenue('Deribit').messageTime(deribit.change)).toBe(1754035200223);
+        expect(getVenue('Deribit').messageTime(deribit.trades)).toBe(deribit.trades.params.data.at(-1).timestamp);
+        expect(getVenue('Binance').messageTime(binance.trade)).toBe(1754035200125);
+        expect(getVenue('Coinbase').messageTime(coinbase.l2update)).toBe(Date.parse('2025-08-01T08:00:00.223456Z'));
+        expect(getVenue('Kraken').messageTime(kraken.update)).toBe(Date.parse('2025-08-01T08:00:00.223456Z'));
+    });
+
+    it('returns null for messages without a time', () => {
+        expect(getVenue('Binance').messageTime(binance.depth)).toBeNull();
+        expect(getVenue('Coinbase').messageTime(coinbase.snapshot)).toBeNull();
+        expect(getVenue('Kraken').messageTime(kraken.snapshot)).toBeNull();
+    });
+});
@@ -0,0 +1,48 @@
+// --- Workspace storage (local storage) ---
+// The last workspace, restored on the next visit, and named presets as
+// [{ name, savedAt, workspace }] sorted by name. Storage can be unavailable
+// (private browsing, quota); reads then fall back and writes are skipped.
+
+const LAST_KEY = 'goquant:workspace';
+const PRESETS_KEY = 'goquant:presets';
+
+const read = (key, fallback) => {
+    try {
+        const raw = window.localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (e) {
+        console.error(`Could not read ${key} from local storage:`, e);
+        return fallback;
+    }
+};
+
+const write = (key, value) => {
+    try {
+        window.localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        console.error(`Could not write ${key} to local storage:`, e);
+    }
+};
+
+export const loadLastWorkspace = () => read(LAST_KEY, null);
+
+export const saveLastWorkspace = (workspace) => write(LAST_KEY, workspace);
+
+export const listPresets = () => {
+    const presets = read(PRESETS_KEY, []);
+    return Array.isArray(presets) ? presets.filter(preset => preset && typeof preset.name === 'string') : [];
+};
+
+// Saving under an existing name replaces that preset; returns the new list
+export const savePreset = (name, workspace, now = Date.now) => {
+    const presets = [...listPresets().filter(preset => preset.name !== name), { name, savedAt: now(), workspace }]
+        .sort((a, b) => a.name.localeCompare(b.name));
+    write(PRESETS_KEY, presets);
+    return presets;
+};
+
+export const deletePreset = (name) => {
+    const presets = listPresets().filter(preset => preset.name !== name);
+    write(PRESETS_KEY, presets);
+    return presets;
+};
@@ -0,0 +1,126 @@
+import { CANONICAL_INSTRUMENTS } from '@/lib/instruments/symbols';
+import { SIZE_UNITS } from '@/lib/instruments/units';
+import { DEFAULT_ORDER_FORM, DELAY_SECONDS, EXECUTION_CHOICES } from '@/lib/simulation/validation';
+
+// --- Workspace state ---
+// What is on screen, as a plain object that can be written to the URL, kept in
+// local storage and saved as a named preset:
+//   {
+//     venue         Active tab
+//     instrumentId  Canonical instrument, see lib/instruments/symbols
+//     unit          Size display unit
+//     grouping      Price grouping step, or null for the raw book
+//     depth         Ladder rows per side
+//     chartRange    Depth chart range, { mode, value }
+//     compare       Compare venues in the microstructure panel
+//     basis         Run the basis and funding monitor
+//     order         Order form fields, see DEFAULT_ORDER_FORM
+//     simulate      Rerun the order simulation when the workspace is opened
+//   }
+//
+// Anything read back is checked against `options` ({ venues, depths,
+// chartRanges }), which the page owns; invalid or unknown values are dropped
+// rather than failing the whole workspace.
+
+// URL parameter for each order form field
+const ORDER_PARAMS = {
+    orderType: 'type',
+    side: 'side',
+    price: 'price',
+    quantity: 'qty',
+    delay: 'delay',
+    routing: 'route',
+    execution: 'algo',
+    algoMinutes: 'mins',
+    algoSlices: 'slices',
+    participation: 'pov',
+    clipSize: 'clip',
+};
+
+const ORDER_CHOICES = {
+    orderType: ['Limit', 'Market'],
+    side: ['Buy', 'Sell'],
+    delay: DELAY_SECONDS.map(String),
+    routing: ['Single', 'Smart'],
+    execution: EXECUTION_CHOICES,
+};
+
+const isNumberInput = (value) => typeof value === 'string' && /^\d*\.?\d*$/.test(value);
+
+const rangeParam = ({ mode, value }) => `${mode}-${value}`;
+
+const sanitizeOrder = (order) => {
+    if (!order || typeof order !== 'object') return null;
+    const result = {};
+    for (const field of Object.keys(DEFAULT_ORDER_FORM)) {
+        const value = order[field];
+        if (value === undefined) continue;
+        const valid = ORDER_CHOICES[field] ? ORDER_CHOICES[field].includes(value) : isNumberInput(value);
+        if (valid) result[field] = value;
+    }
+    return Object.keys(result).length > 0 ? { ...DEFAULT_ORDER_FORM, ...result } : null;
+};
+
+// The valid fields of `candidate`, e.g. a stored workspace from an older version
+export const sanitizeWorkspace = (candidate, options) => {
+    if (!candidate || typeof candidate !== 'object') return {};
+    const result = {};
+    const { venue, instrumentId, unit, grouping, depth, chartRange, compare, basis, simulate } = candidate;
+    if (options.venues.includes(venue)) result.venue = venue;
+    if (CANONICAL_INSTRUMENTS.some(instrument => instrument.id === instrumentId)) result.instrumentId = instrumentId;
+    if (SIZE_UNITS.includes(unit)) result.unit = unit;
+    if (grouping === null || (Number.isFinite(grouping) && grouping > 0)) result.grouping = grouping;
+    if (options.depths.includes(depth)) result.depth = depth;
+    const range = chartRange && options.chartRanges.find(option => option.mode === chartRange.mode && option.value === chartRange.value);
+    if (range) result.chartRange = range;
+    if (typeof compare === 'boolean') result.compare = compare;
+    if (typeof basis === 'boolean') result.basis = basis;
+    const order = sanitizeOrder(candidate.order);
+    if (order) result.order = order;
+    if (typeof simulate === 'boolean') result.simulate = simulate && Boolean(order);
+    return result;
+};
+
+// Search params for a workspace; values equal to `defaults` are left out to keep links short
+export const workspaceToParams = (workspace, defaults = {}) => {
+    const params = new URLSearchParams();
+    const set = (key, value, defaultValue) => {
+        if (value !== defaultValue && value !== null && value !== undefined && value !== '') params.set(key, String(value));
+    };
+    set('venue', workspace.venue, defaults.venue);
+    set('symbol', workspace.instrumentId, defaults.instrumentId);
+    set('unit', workspace.unit, defaults.unit);
+    set('group', workspace.grouping, defaults.grouping);
+    set('depth', workspace.depth, defaults.depth);
+    if (workspace.chartRange) set('chart', rangeParam(workspace.chartRange), defaults.chartRange && rangeParam(defaults.chartRange));
+    if (workspace.compare) params.set('compare', '1');
+    if (workspace.basis) params.set('basis', '1');
+    const order = workspace.order || {};
+    const defaultOrder = defaults.order || {};
+    for (const [field, key] of Object.entries(ORDER_PARAMS)) set(key, order[field], defaultOrder[field]);
+    if (workspace.simulate) params.set('sim', '1');
+    return params;
+};
+
+// The workspace fields present and valid in `params`; empty when the URL has none
+export const workspaceFromParams = (params, options) => {
+    const candidate = {};
+    if (params.has('venue')) candidate.venue = params.get('venue');
+    if (params.has('symbol')) candidate.instrumentId = params.get('symbol');
+    if (params.has('unit')) candidate.unit = params.get('unit');
+    if (params.has('group')) candidate.grouping = Number(params.get('group'));
+    if (params.has('depth')) candidate.depth = Number(params.get('depth'));
+    if (params.has('chart')) {
+        const [mode, value] = params.get('chart').split('-');
+        candidate.chartRange = { mode, value: Number(value) };
+    }
+    if (params.has('compare')) candidate.compare = params.get('compare') === '1';
+    if (params.has('basis')) candidate.basis = params.get('basis') === '1';
+    const order = {};
+    for (const [field, key] of Object.entries(ORDER_PARAMS)) {
+        if (params.has(key)) order[field] = params.get(key);
+    }
+    if (Object.keys(order).length > 0) candidate.order = order;
+    if (params.has('sim')) candidate.simulate = params.get('sim') === '1';
+    return sanitizeWorkspace(candidate, options);
+};
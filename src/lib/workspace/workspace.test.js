@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { sanitizeWorkspace, workspaceToParams, workspaceFromParams } from './workspace';
+import { DEFAULT_ORDER_FORM } from '../simulation/validation';
+
+const CHART_RANGES = [{ mode: 'levels', value: 50 }, { mode: 'percent', value: 0.5 }];
+const OPTIONS = { venues: ['OKX', 'Bybit', 'Aggregated'], depths: [10, 15, 25], chartRanges: CHART_RANGES };
+
+const DEFAULTS = {
+    venue: 'OKX',
+    instrumentId: 'BTC',
+    unit: 'base',
+    grouping: null,
+    depth: 15,
+    chartRange: CHART_RANGES[0],
+    compare: false,
+    basis: false,
+    order: DEFAULT_ORDER_FORM,
+    simulate: false,
+};
+
+describe('workspace params', () => {
+    it('round-trips a workspace through the URL', () => {
+        const workspace = {
+            venue: 'Bybit',
+            instrumentId: 'ETH-PERP',
+            unit: 'quote',
+            grouping: 0.5,
+            depth: 25,
+            chartRange: CHART_RANGES[1],
+            compare: true,
+            basis: true,
+            order: { ...DEFAULT_ORDER_FORM, side: 'Sell', price: '3100.5', quantity: '2', delay: '10', routing: 'Smart', execution: 'TWAP', algoMinutes: '30', algoSlices: '12' },
+            simulate: true,
+        };
+        const params = new URLSearchParams(workspaceToParams(workspace, DEFAULTS).toString());
+        expect(workspaceFromParams(params, OPTIONS)).toEqual(workspace);
+    });
+
+    it('leaves out values at their defaults', () => {
+        expect(workspaceToParams(DEFAULTS, DEFAULTS).toString()).toBe('');
+        const params = workspaceToParams({ ...DEFAULTS, depth: 25, order: { ...DEFAULT_ORDER_FORM, quantity: '1' } }, DEFAULTS);
+        expect(params.toString()).toBe('depth=25&qty=1');
+    });
+
+    it('fills unset order fields from the defaults', () => {
+        const restored = workspaceFromParams(new URLSearchParams('qty=3&sim=1'), OPTIONS);
+        expect(restored).toEqual({ order: { ...DEFAULT_ORDER_FORM, quantity: '3' }, simulate: true });
+    });
+
+    it('returns nothing for a URL without workspace parameters', () => {
+        expect(workspaceFromParams(new URLSearchParams('utm_source=chat'), OPTIONS)).toEqual({});
+    });
+});
+
+describe('sanitizeWorkspace', () => {
+    it('drops invalid values and keeps the rest', () => {
+        const restored = sanitizeWorkspace({
+            venue: 'Kraken',
+            instrumentId: 'NOPE',
+            unit: 'lots',
+            grouping: -1,
+            depth: 999,
+            chartRange: { mode: 'levels', value: 7 },
+            compare: 'yes',
+            basis: 1,
+            order: { side: 'Sell', price: 'abc', delay: '7' },
+        }, OPTIONS);
+        expect(restored).toEqual({ order: { ...DEFAULT_ORDER_FORM, side: 'Sell' } });
+    });
+
+    it('does not rerun a simulation without an order', () => {
+        expect(sanitizeWorkspace({ venue: 'OKX', simulate: true }, OPTIONS)).toEqual({ venue: 'OKX', simulate: false });
+    });
+
+    it('ignores anything that is not a workspace', () => {
+        expect(sanitizeWorkspace(null, OPTIONS)).toEqual({});
+        expect(sanitizeWorkspace('OKX', OPTIONS)).toEqual({});
+    });
+});
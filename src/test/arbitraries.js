@@ -0,0 +1,21 @@
+import fc from 'fast-check';
+
+// --- fast-check generators shared by the property-based tests ---
+
+// Sizes are whole thousandths so expected totals can be compared exactly
+const sizeArb = fc.integer({ min: 1, max: 50000 }).map(n => n / 1000);
+
+// One side of a book: distinct tick offsets from the touch, best level first
+const sideArb = (mid, direction) => fc
+    .uniqueArray(fc.integer({ min: 1, max: 400 }), { minLength: 1, maxLength: 40 })
+    .chain(offsets => fc.tuple(fc.constant(offsets.sort((a, b) => a - b)), fc.array(sizeArb, { minLength: offsets.length, maxLength: offsets.length })))
+    .map(([offsets, sizes]) => offsets.map((offset, i) => [(mid + direction * offset * 0.5).toFixed(2), sizes[i].toString()]));
+
+// Uncrossed { bids, asks } book around `mid`
+export const bookArb = (mid = 68000) => fc.record({ bids: sideArb(mid, -1), asks: sideArb(mid, 1) });
+
+export const sideOfBookArb = fc.constantFrom('Buy', 'Sell');
+
+export const quantityArb = fc.integer({ min: 1, max: 500000 }).map(n => n / 1000);
+
+export const totalSize = (levels) => levels.reduce((acc, [, size]) => acc + parseFloat(size), 0);
@@ -0,0 +1,37 @@
+import { createFeedEngine } from '@/lib/feed/engine';
+
+// --- Feed worker ---
+// Hosts the feed engine off the main thread. Commands mirror the engine's
+// methods (see lib/feed/transport.js); a 'frame' request is answered with the
+// next coalesced frame, or null when nothing changed.
+
+let engine = null;
+
+self.onmessage = ({ data: command }) => {
+    switch (command.type) {
+        case 'init':
+            engine = createFeedEngine({ staleAfterMs: command.staleAfterMs });
+            return;
+        case 'subscriptions':
+            engine.setSubscriptions(command.subscriptions);
+            return;
+        case 'view':
+            engine.setView(command.view);
+            return;
+        case 'recording':
+            engine.setRecording(command.enabled);
+            return;
+        case 'retry':
+            engine.retry(command.venue);
+            return;
+        case 'frame':
+            self.postMessage({ type: 'frame', frame: engine.takeFrame() });
+            return;
+        case 'destroy':
+            engine.destroy();
+            self.close();
+            return;
+        default:
+            console.error('Unknown feed worker command:', command);
+    }
+};
@@ -0,0 +1,20 @@
+import { fileURLToPath } from 'node:url';
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+    resolve: {
+        alias: { '@': fileURLToPath(new URL('./src', import.meta.url)) },
+    },
+    // Components are .js files containing JSX, as in the Next.js app
+    esbuild: {
+        include: /\.m?jsx?$/,
+        exclude: [],
+        loader: 'jsx',
+        jsx: 'automatic',
+    },
+    test: {
+        include: ['src/**/*.test.js', 'scripts/**/*.test.mjs'],
+        // Component tests opt into jsdom with a `@vitest-environment jsdom` comment
+        environment: 'node',
+    },
+});